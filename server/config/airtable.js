@@ -1,20 +1,21 @@
-const Airtable = require('airtable');
-
-Airtable.configure({
-  endpointUrl: 'https://api.airtable.com',
-  apiKey: process.env.AIRTABLE_API_KEY
-});
-
-const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
+const { createAirtableStore } = require('./stores/airtable-store');
+const { createLocalStore } = require('./stores/local-store');
 
 // Table names mapping (verified from Airtable schema)
 const TABLES = {
   BRANCHES: 'Branches',
   EMPLOYEES: 'Employees', 
   STOCK: 'Stock',
+  PRODUCTS: 'Products',
   STOCK_MOVEMENTS: 'Stock_Movements',
+  COST_LAYERS: 'Cost_Layers',
+  STOCK_BATCHES: 'Stock_Batches',
+  SERIAL_NUMBERS: 'Serial_Numbers',
+  TRANSFERS: 'Transfers',
+  TRANSFER_ITEMS: 'Transfer_Items',
   SALES: 'Sales',
   SALE_ITEMS: 'Sale_Items',
+  SALE_PAYMENTS: 'Sale_Payments',
   EXPENSES: 'Expenses',
   VEHICLES: 'Vehicles',
   TRIPS: 'Trips',
@@ -23,18 +24,42 @@ const TABLES = {
   ORDER_ITEMS: 'Order_Items',
   PAYROLL: 'Payroll',
   CONTACTS: 'Contacts',
+  CUSTOMER_PAYMENTS: 'Customer_Payments',
+  PAYMENT_ALLOCATIONS: 'Payment_Allocations',
   // New Zoho-style tables for enhanced inventory management
   PURCHASE_RECEIVES: 'Purchase_Receives',
   RECEIVE_ITEMS: 'Receive_Items',
   BILLS: 'Bills',
   BILL_ITEMS: 'Bill_Items',
   PAYMENTS_MADE: 'Payments_Made',
+  RECURRING_BILLS: 'Recurring_Bills',
+  SCHEDULED_PAYMENTS: 'Scheduled_Payments',
   VENDOR_CREDITS: 'Vendor_Credits',
   INVENTORY_ADJUSTMENTS: 'Inventory_Adjustments',
   ADJUSTMENT_ITEMS: 'Adjustment_Items',
+  STOCKTAKES: 'Stocktakes',
+  STOCKTAKE_LINES: 'Stocktake_Lines',
+  STOCKTAKE_COUNTS: 'Stocktake_Counts',
   PACKAGES: 'Packages',
   PACKAGE_ITEMS: 'Package_Items',
-  LOGISTICS_TRANSACTIONS: 'Logistics_Transactions'
+  LOGISTICS_TRANSACTIONS: 'Logistics_Transactions',
+  // General ledger
+  ACCOUNTS: 'Accounts',
+  JOURNAL_ENTRIES: 'Journal_Entries',
+  JOURNAL_LINES: 'Journal_Lines',
+  ACCOUNTING_PERIODS: 'Accounting_Periods',
+  // Xero integration
+  XERO_MAPPINGS: 'Xero_Mappings',
+  XERO_SYNC_LOG: 'Xero_Sync_Log',
+  // Security
+  SECURITY_SETTINGS: 'Security_Settings',
+  SESSIONS: 'Sessions',
+  NOTIFICATION_OUTBOX: 'Notification_Outbox',
+  ROLES: 'Roles',
+  MFA_CHALLENGES: 'Mfa_Challenges',
+  LOGIN_FAILURES: 'Login_Failures',
+  // Cross-instance compare-and-set claims (see stores/airtable-store.js)
+  WRITE_CLAIMS: 'Write_Claims'
 };
 
 // Field mappings for relationships
@@ -61,13 +86,31 @@ const FIELD_MAPPINGS = {
   TRIP_DRIVER: 'driver_id'
 };
 
-// Helper functions for Airtable operations
+// Storage adapters, selected with DATA_STORE (defaults to Airtable).
+// Every adapter exposes the same select/find/create/update/updateIfMatch/destroy
+// interface and returns records as `{ id, ...fields }`.
+const STORE_FACTORIES = {
+  airtable: () => createAirtableStore(),
+  local: () => createLocalStore({ knownTables: Object.values(TABLES) })
+};
+
+const createDataStore = (storeName = process.env.DATA_STORE || 'airtable') => {
+  const factory = STORE_FACTORIES[storeName.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown DATA_STORE "${storeName}". Expected one of: ${Object.keys(STORE_FACTORIES).join(', ')}`);
+  }
+  return factory();
+};
+
+const dataStore = createDataStore();
+console.log(`[DATA STORE] Using ${dataStore.name} data store`);
+
+// Helper functions for data store operations
 const airtableHelpers = {
   // Create record
-  async create(tableName, fields) {
+  async create(tableName, fields, options) {
     try {
-      const records = await base(tableName).create([{ fields }]);
-      return records[0];
+      return await dataStore.create(tableName, fields, options);
     } catch (error) {
       throw new Error(`Airtable create error: ${error.message}`);
     }
@@ -85,11 +128,17 @@ const airtableHelpers = {
         selectOptions.sort = sort;
       }
       
-      const records = await base(tableName).select(selectOptions).all();
-      return records.map(record => ({
-        id: record.id,
-        ...record.fields
-      }));
+      return await dataStore.select(tableName, selectOptions);
+    } catch (error) {
+      throw new Error(`Airtable find error: ${error.message}`);
+    }
+  },
+
+  // Find the first record matching a filter, or null
+  async findOne(tableName, filterFormula) {
+    try {
+      const records = await dataStore.select(tableName, { filterByFormula: filterFormula, maxRecords: 1 });
+      return records[0] || null;
     } catch (error) {
       throw new Error(`Airtable find error: ${error.message}`);
     }
@@ -98,11 +147,17 @@ const airtableHelpers = {
   // Update record
   async update(tableName, recordId, fields) {
     try {
-      const records = await base(tableName).update([{
-        id: recordId,
-        fields: fields
-      }]);
-      return records[0];
+      return await dataStore.update(tableName, recordId, fields);
+    } catch (error) {
+      throw new Error(`Airtable update error: ${error.message}`);
+    }
+  },
+
+  // Update record only if the expected field values still match (optimistic
+  // concurrency). Resolves to null when another writer got there first.
+  async updateIfMatch(tableName, recordId, expected, fields) {
+    try {
+      return await dataStore.updateIfMatch(tableName, recordId, expected, fields);
     } catch (error) {
       throw new Error(`Airtable update error: ${error.message}`);
     }
@@ -111,8 +166,7 @@ const airtableHelpers = {
   // Delete record
   async delete(tableName, recordId) {
     try {
-      const records = await base(tableName).destroy([recordId]);
-      return records[0];
+      return await dataStore.destroy(tableName, recordId);
     } catch (error) {
       throw new Error(`Airtable delete error: ${error.message}`);
     }
@@ -121,11 +175,7 @@ const airtableHelpers = {
   // Get record by ID
   async findById(tableName, recordId) {
     try {
-      const record = await base(tableName).find(recordId);
-      return {
-        id: record.id,
-        ...record.fields
-      };
+      return await dataStore.find(tableName, recordId);
     } catch (error) {
       throw new Error(`Airtable findById error: ${error.message}`);
     }
@@ -133,8 +183,9 @@ const airtableHelpers = {
 };
 
 module.exports = {
-  base,
+  dataStore,
+  createDataStore,
   TABLES,
   FIELD_MAPPINGS,
   airtableHelpers
-};
\ No newline at end of file
+};
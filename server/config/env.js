@@ -0,0 +1,10 @@
+// A numeric setting from the environment, or `fallback` when it is unset or
+// not a number. Unlike `Number(value) || fallback` this lets 0 through.
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = {
+  envNumber
+};
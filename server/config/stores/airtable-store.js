@@ -0,0 +1,140 @@
+const Airtable = require('airtable');
+const { envNumber } = require('../env');
+
+// Flatten an Airtable record into the `{ id, ...fields }` shape the routes use
+const toPlainRecord = (record) => ({
+  id: record.id,
+  ...record.fields
+});
+
+const CLAIMS_TABLE = 'Write_Claims';
+const CLAIM_TTL_MS = envNumber('AIRTABLE_CLAIM_TTL_SECONDS', 15) * 1000;
+
+const useClaims = () => process.env.AIRTABLE_WRITE_CLAIMS !== 'false';
+
+// When Airtable created a record, in ms; orders racing claims
+const claimedAt = (record) => new Date(record._rawJson.createdTime).getTime();
+
+const createAirtableStore = () => {
+  let base;
+
+  // Configure lazily so requiring this module never needs credentials
+  const getBase = () => {
+    if (!base) {
+      Airtable.configure({
+        endpointUrl: 'https://api.airtable.com',
+        apiKey: process.env.AIRTABLE_API_KEY,
+        requestTimeout: 60000
+      });
+      base = Airtable.base(process.env.AIRTABLE_BASE_ID);
+    }
+    return base;
+  };
+
+  return {
+    name: 'airtable',
+
+    isConfigured() {
+      return !!(process.env.AIRTABLE_API_KEY && process.env.AIRTABLE_BASE_ID);
+    },
+
+    async select(tableName, { filterByFormula, sort, maxRecords } = {}) {
+      const selectOptions = {};
+      if (filterByFormula) selectOptions.filterByFormula = filterByFormula;
+      if (sort) selectOptions.sort = sort;
+      if (maxRecords) selectOptions.maxRecords = maxRecords;
+
+      const records = await getBase()(tableName).select(selectOptions).all();
+      return records.map(toPlainRecord);
+    },
+
+    async find(tableName, recordId) {
+      const record = await getBase()(tableName).find(recordId);
+      return toPlainRecord(record);
+    },
+
+    async create(tableName, fields, { typecast } = {}) {
+      const options = typecast ? { typecast: true } : {};
+      const records = await getBase()(tableName).create([{ fields }], options);
+      return toPlainRecord(records[0]);
+    },
+
+    async update(tableName, recordId, fields) {
+      const records = await getBase()(tableName).update([{ id: recordId, fields }]);
+      return toPlainRecord(records[0]);
+    },
+
+    /**
+     * Compare-and-set: only update when every expected field still matches.
+     *
+     * Airtable has no conditional writes, and on serverless several instances
+     * may race for the same record, so a plain read-check-write is not enough.
+     * Each caller first adds a row to Write_Claims keyed by the record, then
+     * lists the live claims for that key: only the caller whose claim Airtable
+     * created strictly first goes on to re-read, compare and write, the others
+     * get null like any other mismatch and retry or report a conflict. Claims
+     * are deleted when done; ones older than AIRTABLE_CLAIM_TTL_SECONDS (left
+     * by a crashed instance) are ignored and deleted along with ours.
+     *
+     * That costs five API calls per write (claim, list, read, write, release),
+     * four on a mismatch and three when beaten, against Airtable's limit of
+     * five per second per base; airtable.js waits and retries when it is
+     * rate limited, so a burst slows down rather than fails. The list is one
+     * page and the release one batch whatever is left behind, so the cost
+     * never grows past that.
+     *
+     * AIRTABLE_WRITE_CLAIMS=false skips the claim, leaving the read and the
+     * write, for deployments that run a single instance, where the in-process
+     * locks already serialise writers.
+     */
+    async updateIfMatch(tableName, recordId, expected, fields) {
+      if (!useClaims()) {
+        return this.compareAndUpdate(tableName, recordId, expected, fields);
+      }
+
+      const key = `${tableName}:${recordId}`;
+      const claims = getBase()(CLAIMS_TABLE);
+      const [mine] = await claims.create([{ fields: { key, claimed_at: new Date().toISOString() } }]);
+      let expired = [];
+      try {
+        const rivals = await claims.select({ filterByFormula: `{key} = '${key.replace(/'/g, "\\'")}'`, pageSize: 100 }).firstPage();
+        const now = Date.now();
+        expired = rivals.filter(claim => claim.id !== mine.id && now - claimedAt(claim) > CLAIM_TTL_MS);
+        const mineAt = claimedAt(mine);
+        const beaten = rivals.some(claim => claim.id !== mine.id && !expired.includes(claim) && claimedAt(claim) <= mineAt);
+        if (beaten) return null;
+        return await this.compareAndUpdate(tableName, recordId, expected, fields);
+      } finally {
+        // One call for ours and up to nine stale ones (Airtable deletes ten at
+        // most); if another instance already deleted a stale one the batch
+        // fails, and ours goes on its own
+        const stale = expired.slice(0, 9).map(claim => claim.id);
+        const release = async () => {
+          try {
+            await claims.destroy([mine.id, ...stale]);
+          } catch (error) {
+            if (!stale.length) throw error;
+            await claims.destroy([mine.id]);
+          }
+        };
+        await release().catch(error => console.warn(`Could not release write claim ${mine.id}:`, error.message));
+      }
+    },
+
+    async compareAndUpdate(tableName, recordId, expected, fields) {
+      const current = await this.find(tableName, recordId);
+      const matches = Object.entries(expected).every(([key, value]) => (current[key] ?? null) === (value ?? null));
+      if (!matches) return null;
+      return this.update(tableName, recordId, fields);
+    },
+
+    async destroy(tableName, recordId) {
+      const records = await getBase()(tableName).destroy([recordId]);
+      return { id: records[0].id, deleted: true };
+    }
+  };
+};
+
+module.exports = {
+  createAirtableStore
+};
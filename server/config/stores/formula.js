@@ -0,0 +1,279 @@
+// Minimal evaluator for Airtable `filterByFormula` expressions.
+// Supports the subset the routes actually build: field references, string and
+// number literals, comparison / arithmetic / concatenation operators and the
+// common logical, text, array and date functions.
+
+const tokenize = (formula) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const ch = formula[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '{') {
+      const end = formula.indexOf('}', i);
+      if (end === -1) throw new Error('Unterminated field reference in formula');
+      tokens.push({ type: 'field', value: formula.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < formula.length && formula[i] !== ch) {
+        if (formula[i] === '\\' && i + 1 < formula.length) {
+          i++;
+        }
+        value += formula[i];
+        i++;
+      }
+      if (i >= formula.length) throw new Error('Unterminated string in formula');
+      tokens.push({ type: 'string', value });
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(formula[i + 1] || ''))) {
+      const match = formula.slice(i).match(/^\d*\.?\d+/);
+      tokens.push({ type: 'number', value: parseFloat(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = formula.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'ident', value: match[0].toUpperCase() });
+      i += match[0].length;
+      continue;
+    }
+
+    const two = formula.slice(i, i + 2);
+    if (['!=', '<>', '<=', '>='].includes(two)) {
+      tokens.push({ type: 'op', value: two === '<>' ? '!=' : two });
+      i += 2;
+      continue;
+    }
+
+    if ('=<>&+-*/(),'.includes(ch)) {
+      tokens.push({ type: ch === '(' || ch === ')' || ch === ',' ? ch : 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${ch}" in formula`);
+  }
+
+  return tokens;
+};
+
+// Precedence climbing: comparison < concatenation < additive < multiplicative
+const BINARY_PRECEDENCE = {
+  '=': 1, '!=': 1, '<': 1, '>': 1, '<=': 1, '>=': 1,
+  '&': 2,
+  '+': 3, '-': 3,
+  '*': 4, '/': 4
+};
+
+const parse = (formula) => {
+  const tokens = tokenize(formula);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const expect = (type) => {
+    const token = tokens[pos];
+    if (!token || token.type !== type) {
+      throw new Error(`Expected "${type}" in formula`);
+    }
+    pos++;
+    return token;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of formula');
+
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'field':
+        return { type: 'field', name: token.value };
+      case 'op':
+        if (token.value === '-') {
+          return { type: 'call', name: 'NEGATE', args: [parsePrimary()] };
+        }
+        break;
+      case '(': {
+        const inner = parseExpression(0);
+        expect(')');
+        return inner;
+      }
+      case 'ident': {
+        expect('(');
+        const args = [];
+        if (peek() && peek().type !== ')') {
+          args.push(parseExpression(0));
+          while (peek() && peek().type === ',') {
+            pos++;
+            args.push(parseExpression(0));
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      default:
+        break;
+    }
+    throw new Error(`Unexpected token "${token.value}" in formula`);
+  };
+
+  const parseExpression = (minPrecedence) => {
+    let left = parsePrimary();
+    while (peek() && peek().type === 'op' && BINARY_PRECEDENCE[peek().value] > minPrecedence) {
+      const op = tokens[pos++].value;
+      const right = parseExpression(BINARY_PRECEDENCE[op]);
+      left = { type: 'binary', op, left, right };
+    }
+    return left;
+  };
+
+  const ast = parseExpression(0);
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected token "${tokens[pos].value}" in formula`);
+  }
+  return ast;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Airtable renders link / multi-select fields as comma separated text when they
+// are used in a scalar context.
+const toScalar = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === undefined || value === null) return '';
+  return value;
+};
+
+const toText = (value) => String(toScalar(value));
+
+const toNumber = (value) => {
+  const scalar = toScalar(value);
+  if (scalar === '' || scalar === false) return 0;
+  if (scalar === true) return 1;
+  const number = Number(scalar);
+  return Number.isNaN(number) ? 0 : number;
+};
+
+const toBoolean = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+};
+
+const toTime = (value) => {
+  const time = new Date(toScalar(value)).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const compare = (op, left, right) => {
+  const a = toScalar(left);
+  const b = toScalar(right);
+  const numeric = typeof a === 'number' || typeof b === 'number';
+  const x = numeric ? toNumber(a) : String(a);
+  const y = numeric ? toNumber(b) : String(b);
+
+  switch (op) {
+    case '=': return x === y;
+    case '!=': return x !== y;
+    case '<': return x < y;
+    case '>': return x > y;
+    case '<=': return x <= y;
+    case '>=': return x >= y;
+    default: throw new Error(`Unsupported operator "${op}"`);
+  }
+};
+
+const FUNCTIONS = {
+  AND: (...args) => args.every(toBoolean),
+  OR: (...args) => args.some(toBoolean),
+  NOT: (value) => !toBoolean(value),
+  IF: (condition, whenTrue, whenFalse = '') => (toBoolean(condition) ? whenTrue : whenFalse),
+  TRUE: () => true,
+  FALSE: () => false,
+  BLANK: () => '',
+  NEGATE: (value) => -toNumber(value),
+
+  FIND: (needle, haystack, start = 0) => toText(haystack).indexOf(toText(needle), toNumber(start)) + 1,
+  SEARCH: (needle, haystack, start = 0) => {
+    const index = toText(haystack).toLowerCase().indexOf(toText(needle).toLowerCase(), toNumber(start));
+    return index === -1 ? '' : index + 1;
+  },
+  ARRAYJOIN: (values, separator = ', ') => (Array.isArray(values) ? values : isBlank(values) ? [] : [values])
+    .join(toText(separator)),
+  LOWER: (value) => toText(value).toLowerCase(),
+  UPPER: (value) => toText(value).toUpperCase(),
+  TRIM: (value) => toText(value).trim(),
+  LEN: (value) => toText(value).length,
+  CONCATENATE: (...args) => args.map(toText).join(''),
+  VALUE: (value) => toNumber(value),
+
+  IS_AFTER: (a, b) => {
+    const x = toTime(a);
+    const y = toTime(b);
+    return x !== null && y !== null && x > y;
+  },
+  IS_BEFORE: (a, b) => {
+    const x = toTime(a);
+    const y = toTime(b);
+    return x !== null && y !== null && x < y;
+  },
+  IS_SAME: (a, b) => {
+    const x = toTime(a);
+    return x !== null && x === toTime(b);
+  }
+};
+
+const evaluate = (node, record) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return record[node.name];
+    case 'binary': {
+      const left = evaluate(node.left, record);
+      const right = evaluate(node.right, record);
+      switch (node.op) {
+        case '&': return toText(left) + toText(right);
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(left) / toNumber(right);
+        default: return compare(node.op, left, right);
+      }
+    }
+    case 'call': {
+      if (node.name === 'RECORD_ID') return record.id;
+      const fn = FUNCTIONS[node.name];
+      if (!fn) throw new Error(`Unsupported formula function: ${node.name}`);
+      return fn(...node.args.map(arg => evaluate(arg, record)));
+    }
+    default:
+      throw new Error(`Unknown formula node: ${node.type}`);
+  }
+};
+
+// Compile a formula once and return a predicate usable with Array#filter
+const compileFormula = (formula) => {
+  const ast = parse(formula);
+  return (record) => toBoolean(evaluate(ast, record));
+};
+
+module.exports = {
+  compileFormula
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { compileFormula } = require('./formula');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', '..', 'data', 'local-store.json');
+
+// Airtable style record id: "rec" followed by 14 alphanumeric characters
+const generateRecordId = () => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(14);
+  let id = 'rec';
+  for (const byte of bytes) {
+    id += alphabet[byte % alphabet.length];
+  }
+  return id;
+};
+
+// Airtable does not store empty cells, so neither do we
+const cleanFields = (fields) => {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    cleaned[key] = value;
+  }
+  return cleaned;
+};
+
+const notFound = (tableName, recordId) => {
+  const error = new Error(`NOT_FOUND: Could not find record ${recordId} in table ${tableName}`);
+  error.statusCode = 404;
+  error.error = 'NOT_FOUND';
+  return error;
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+/**
+ * Embedded data store persisted to a single JSON file. Records are kept in the
+ * same `{ id, ...fields }` shape as the Airtable store, link fields stay arrays
+ * of record ids and `filterByFormula` is evaluated locally.
+ *
+ * Set LOCAL_DATA_FILE=:memory: to keep everything in memory (useful in tests).
+ */
+const createLocalStore = ({ filePath = process.env.LOCAL_DATA_FILE || DEFAULT_DATA_FILE, knownTables = [] } = {}) => {
+  const inMemory = filePath === ':memory:';
+  let data = { tables: {} };
+
+  if (!inMemory && fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    data.tables = data.tables || {};
+  }
+
+  const persist = () => {
+    if (inMemory) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  // Table names are matched case-insensitively, like Airtable does
+  const resolveTable = (tableName) => {
+    if (!tableName || typeof tableName !== 'string') {
+      throw new Error('Table name is required');
+    }
+    const wanted = tableName.toLowerCase();
+    const existing = Object.keys(data.tables).find(name => name.toLowerCase() === wanted);
+    const canonical = existing || knownTables.find(name => name.toLowerCase() === wanted) || tableName;
+    if (!data.tables[canonical]) {
+      data.tables[canonical] = [];
+    }
+    return { name: canonical, rows: data.tables[canonical] };
+  };
+
+  const toPlainRecord = (row) => ({ id: row.id, ...row.fields });
+
+  return {
+    name: 'local',
+
+    isConfigured() {
+      return true;
+    },
+
+    async select(tableName, { filterByFormula, sort, maxRecords } = {}) {
+      const { rows } = resolveTable(tableName);
+      let records = rows.map(toPlainRecord);
+
+      if (filterByFormula) {
+        const predicate = compileFormula(filterByFormula);
+        records = records.filter(predicate);
+      }
+
+      if (sort && sort.length > 0) {
+        records.sort((a, b) => {
+          for (const { field, direction } of sort) {
+            const result = compareValues(a[field], b[field]);
+            if (result !== 0) return direction === 'desc' ? -result : result;
+          }
+          return 0;
+        });
+      }
+
+      return maxRecords ? records.slice(0, maxRecords) : records;
+    },
+
+    async find(tableName, recordId) {
+      const { name, rows } = resolveTable(tableName);
+      const row = rows.find(r => r.id === recordId);
+      if (!row) throw notFound(name, recordId);
+      return toPlainRecord(row);
+    },
+
+    async create(tableName, fields) {
+      const { rows } = resolveTable(tableName);
+      const row = {
+        id: generateRecordId(),
+        createdTime: new Date().toISOString(),
+        fields: cleanFields(fields)
+      };
+      rows.push(row);
+      persist();
+      return toPlainRecord(row);
+    },
+
+    async update(tableName, recordId, fields) {
+      const { name, rows } = resolveTable(tableName);
+      const row = rows.find(r => r.id === recordId);
+      if (!row) throw notFound(name, recordId);
+
+      // PATCH semantics: only the given fields change, null/empty clears a cell
+      const merged = { ...row.fields };
+      for (const [key, value] of Object.entries(fields || {})) {
+        if (value === undefined) continue;
+        merged[key] = value;
+      }
+      row.fields = cleanFields(merged);
+      persist();
+      return toPlainRecord(row);
+    },
+
+    // Compare-and-set: only update when every expected field still matches.
+    // Runs synchronously, so it is atomic within this process.
+    async updateIfMatch(tableName, recordId, expected, fields) {
+      const { name, rows } = resolveTable(tableName);
+      const row = rows.find(r => r.id === recordId);
+      if (!row) throw notFound(name, recordId);
+
+      const matches = Object.entries(expected).every(([key, value]) => (row.fields[key] ?? null) === (value ?? null));
+      if (!matches) return null;
+      return this.update(tableName, recordId, fields);
+    },
+
+    async destroy(tableName, recordId) {
+      const { name, rows } = resolveTable(tableName);
+      const index = rows.findIndex(r => r.id === recordId);
+      if (index === -1) throw notFound(name, recordId);
+      rows.splice(index, 1);
+      persist();
+      return { id: recordId, deleted: true };
+    }
+  };
+};
+
+module.exports = {
+  createLocalStore
+};
@@ -5,6 +5,7 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const branchRoutes = require('./routes/branches');
 const stockRoutes = require('./routes/stock');
+const productsRoutes = require('./routes/products');
 const salesRoutes = require('./routes/sales');
 const logisticsRoutes = require('./routes/logistics');
 const ordersRoutes = require('./routes/orders');
@@ -17,15 +18,42 @@ const dataRoutes = require('./routes/data');
 const purchaseReceivesRoutes = require('./routes/purchase-receives');
 const billsRoutes = require('./routes/bills');
 const inventoryAdjustmentsRoutes = require('./routes/inventory-adjustments');
+const stocktakesRoutes = require('./routes/stocktakes');
 const logisticsTransactionsRoutes = require('./routes/logistics-transactions');
 const packagesRoutes = require('./routes/packages');
 const paymentsRoutes = require('./routes/payments');
 const vendorCreditsRoutes = require('./routes/vendor-credits');
-const debugRoutes = require('./routes/debug');
-const { authenticateToken, authorizeRoles } = require('./middleware/auth');
+const customersRoutes = require('./routes/customers');
+const suppliersRoutes = require('./routes/suppliers');
+const recurringBillsRoutes = require('./routes/recurring-bills');
+const accountingRoutes = require('./routes/accounting');
+const xeroRoutes = require('./routes/xero');
+const documentsRoutes = require('./routes/documents');
+const scheduler = require('./services/scheduler');
+const { generateDueBills } = require('./services/recurring-bills');
+const { syncPendingPostings } = require('./services/journal-postings');
+const { syncXero } = require('./services/xero');
+const { schedulePayments, settleStaleSchedules } = require('./services/payment-schedule');
+const { pruneSessions } = require('./services/sessions');
+const { assertTransportConfigured } = require('./services/notifier');
+const { envNumber } = require('./config/env');
+const { authenticateToken, requirePermission } = require('./middleware/auth');
+
+// Refuse to start where password reset links would never be delivered
+assertTransportConfigured();
 
 const app = express();
 
+// Behind a proxy (Vercel sets VERCEL), req.ip must come from X-Forwarded-For
+// for the per-IP login counters and rate limits. TRUST_PROXY takes a hop
+// count, true/false or Express's address list.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === undefined) {
+  app.set('trust proxy', process.env.VERCEL ? 1 : false);
+} else {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : ({ true: true, false: false })[trustProxy] ?? trustProxy);
+}
+
 const corsOptions = {
   origin: function (origin, callback) {
     if (!origin) return callback(null, true);
@@ -116,6 +144,8 @@ app.use('/api/expenses', authenticateToken, expensesRoutes);
 console.log('[BACKEND] ✓ Expenses routes mounted at /api/expenses');
 app.use('/api/stock', authenticateToken, stockRoutes);
 console.log('[BACKEND] ✓ Stock routes mounted at /api/stock');
+app.use('/api/products', authenticateToken, productsRoutes);
+console.log('[BACKEND] ✓ Products routes mounted at /api/products');
 app.use('/api/sales', authenticateToken, salesRoutes);
 console.log('[BACKEND] ✓ Sales routes mounted at /api/sales');
 app.use('/api/logistics', authenticateToken, logisticsRoutes);
@@ -124,7 +154,7 @@ app.use('/api/orders', authenticateToken, ordersRoutes);
 console.log('[BACKEND] ✓ Orders routes mounted at /api/orders');
 app.use('/api/hr', authenticateToken, hrRoutes);
 console.log('[BACKEND] ✓ HR routes mounted at /api/hr');
-app.use('/api/boss', authenticateToken, authorizeRoles(['boss', 'manager', 'admin']), bossRoutes);
+app.use('/api/boss', authenticateToken, requirePermission('reports.view'), bossRoutes);
 console.log('[BACKEND] ✓ Boss routes mounted at /api/boss');
 app.use('/api/manager', authenticateToken, managerRoutes);
 console.log('[BACKEND] ✓ Manager routes mounted at /api/manager');
@@ -138,6 +168,8 @@ app.use('/api/bills', authenticateToken, billsRoutes);
 console.log('[BACKEND] ✓ Bills routes mounted at /api/bills');
 app.use('/api/inventory-adjustments', authenticateToken, inventoryAdjustmentsRoutes);
 console.log('[BACKEND] ✓ Inventory adjustments routes mounted at /api/inventory-adjustments');
+app.use('/api/stocktakes', authenticateToken, stocktakesRoutes);
+console.log('[BACKEND] ✓ Stocktakes routes mounted at /api/stocktakes');
 app.use('/api/logistics-transactions', authenticateToken, logisticsTransactionsRoutes);
 console.log('[BACKEND] ✓ Logistics transactions routes mounted at /api/logistics-transactions');
 app.use('/api/packages', authenticateToken, packagesRoutes);
@@ -146,8 +178,18 @@ app.use('/api/payments', authenticateToken, paymentsRoutes);
 console.log('[BACKEND] ✓ Payments routes mounted at /api/payments');
 app.use('/api/vendor-credits', authenticateToken, vendorCreditsRoutes);
 console.log('[BACKEND] ✓ Vendor credits routes mounted at /api/vendor-credits');
-app.use('/api/debug', debugRoutes);
-console.log('[BACKEND] ✓ Debug routes mounted at /api/debug');
+app.use('/api/customers', authenticateToken, customersRoutes);
+console.log('[BACKEND] ✓ Customers routes mounted at /api/customers');
+app.use('/api/suppliers', authenticateToken, suppliersRoutes);
+console.log('[BACKEND] ✓ Suppliers routes mounted at /api/suppliers');
+app.use('/api/recurring-bills', authenticateToken, recurringBillsRoutes);
+console.log('[BACKEND] ✓ Recurring bills routes mounted at /api/recurring-bills');
+app.use('/api/accounting', authenticateToken, accountingRoutes);
+console.log('[BACKEND] ✓ Accounting routes mounted at /api/accounting');
+app.use('/api/xero', authenticateToken, xeroRoutes);
+console.log('[BACKEND] ✓ Xero routes mounted at /api/xero');
+app.use('/api/documents', documentsRoutes);
+console.log('[BACKEND] ✓ Documents routes mounted at /api/documents');
 
 console.log('[BACKEND] ✓ All routes mounted successfully');
 
@@ -177,8 +219,26 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs: recurring bills, payments for bills set to auto-schedule,
+// ledger postings still outstanding, documents not yet in Xero, and login
+// sessions that ended long ago. An interval of 0 runs them once at start-up.
+const SCHEDULER_INTERVAL_MS = envNumber('SCHEDULER_INTERVAL_MINUTES', 60) * 60 * 1000;
+scheduler.registerJob('recurring-bills', SCHEDULER_INTERVAL_MS, async () => {
+  const { created, failed } = await generateDueBills();
+  return { bills_created: created.length, failed: failed.length };
+});
+scheduler.registerJob('payment-schedule', SCHEDULER_INTERVAL_MS, async () => {
+  const settled = await settleStaleSchedules();
+  const { scheduled } = await schedulePayments({ autoOnly: true });
+  return { payments_scheduled: scheduled.length, schedules_closed: settled };
+});
+scheduler.registerJob('journal-postings', SCHEDULER_INTERVAL_MS, syncPendingPostings);
+scheduler.registerJob('xero-sync', SCHEDULER_INTERVAL_MS, syncXero);
+scheduler.registerJob('session-cleanup', SCHEDULER_INTERVAL_MS, pruneSessions);
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  scheduler.start();
 });// Deployment trigger - 2025-11-15T03:30:00Z
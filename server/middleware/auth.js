@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { airtableHelpers, TABLES } = require('../config/airtable');
+const { IDLE_TIMEOUT_MINUTES, SessionError, checkSession } = require('../services/sessions');
+const { hasPermission } = require('../services/permissions');
+const { firstId } = require('../services/stock-ledger');
 
 // JWT Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -13,18 +16,34 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+
+    // Single-purpose tokens (e.g. an MFA challenge) are not access tokens
+    if (decoded.purpose) {
+      console.error(`[AUTH ERROR] ${decoded.purpose} token used as access token - ${req.method} ${req.path}`);
+      return res.status(401).json({ message: 'Access token required' });
+    }
     
     req.user = {
       id: decoded.userId || decoded.id,
       email: decoded.email,
-      role: decoded.role || 'admin',
+      role: decoded.role,
       branch_id: decoded.branch_id || decoded.branchId,
-      fullName: decoded.fullName || decoded.name
+      fullName: decoded.fullName || decoded.name,
+      sessionId: decoded.sid,
+      iat: decoded.iat
     };
 
+    // Access tokens belong to a server-side session, which logout, sign out
+    // everywhere and refresh token reuse revoke
+    req.session = await checkSession(decoded.sid, req.user.id);
+
     console.log(`[AUTH] User authenticated: ${req.user.role} - ${req.method} ${req.path}`);
     next();
   } catch (error) {
+    if (error instanceof SessionError) {
+      console.error(`[AUTH ERROR] ${error.message} - ${req.method} ${req.path}`);
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error(`[AUTH ERROR] ${error.name}: ${error.message} - ${req.method} ${req.path}`);
     return res.status(401).json({ message: 'Authentication failed', error: error.message });
   }
@@ -58,28 +77,50 @@ const authorizeRoles = (allowedRoles) => {
   };
 };
 
+// Permission-based authorization middleware: the user's role must hold
+// `permission` (see services/permissions). Admin always has access.
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        console.error(`[AUTHORIZATION ERROR] No user in request - ${req.method} ${req.path}`);
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      if (await hasPermission(req.user, permission)) {
+        return next();
+      }
+
+      console.error(`[AUTHORIZATION ERROR] Forbidden: User ${req.user.role} attempted ${req.path}, required: ${permission}`);
+      return res.status(403).json({
+        message: 'Insufficient permissions',
+        required: permission,
+        current: req.user.role
+      });
+    } catch (error) {
+      console.error(`[AUTHORIZATION ERROR] ${error.message} - ${req.method} ${req.path}`);
+      return res.status(500).json({ message: 'Authorization failed' });
+    }
+  };
+};
+
 // Branch access control middleware
-const authorizeBranch = (req, res, next) => {
+const authorizeBranch = async (req, res, next) => {
   const requestedBranchId = req.params.branchId || req.body.branchId || req.query.branchId;
   
-  // Boss, Manager, and Admin can access all branches
-  if (['boss', 'manager', 'admin'].includes(req.user.role)) {
+  // Roles with branches.all (boss, manager and HR by default) can access all branches
+  if (await hasPermission(req.user, 'branches.all')) {
     console.log(`[BRANCH AUTH] ${req.user.role} granted access to all branches`);
     return next();
   }
 
-  // HR can access all branches for employee management
-  if (req.user.role === 'hr') {
-    console.log(`[BRANCH AUTH] HR granted access to all branches`);
-    return next();
-  }
-
   // Other roles can only access their assigned branch
-  if (req.user.branchId && requestedBranchId && req.user.branchId !== requestedBranchId) {
-    console.error(`[BRANCH AUTH ERROR] User branch ${req.user.branchId} attempted access to branch ${requestedBranchId}`);
+  const userBranchId = firstId(req.user.branch_id);
+  if (requestedBranchId && userBranchId !== requestedBranchId) {
+    console.error(`[BRANCH AUTH ERROR] User branch ${userBranchId} attempted access to branch ${requestedBranchId}`);
     return res.status(403).json({ 
       message: 'Access denied to this branch',
-      userBranch: req.user.branchId,
+      userBranch: userBranchId || null,
       requestedBranch: requestedBranchId
     });
   }
@@ -88,14 +129,13 @@ const authorizeBranch = (req, res, next) => {
   next();
 };
 
-// Session timeout middleware
+// Session timeout middleware: authenticateToken already refuses sessions
+// idle past SESSION_TIMEOUT_MINUTES; this also requires that it ran
 const checkSessionTimeout = (req, res, next) => {
-  const sessionTimeout = parseInt(process.env.SESSION_TIMEOUT_MINUTES) || 30;
-  const now = Date.now();
-  const tokenIssuedAt = req.user.iat * 1000; // Convert to milliseconds
-  const timeoutMs = sessionTimeout * 60 * 1000;
+  const sessionTimeout = IDLE_TIMEOUT_MINUTES;
+  const lastActivity = req.session && new Date(req.session.last_activity_at || req.session.created_at).getTime();
 
-  if (now - tokenIssuedAt > timeoutMs) {
+  if (!lastActivity || (sessionTimeout > 0 && Date.now() - lastActivity > sessionTimeout * 60 * 1000)) {
     return res.status(401).json({ 
       message: 'Session expired due to inactivity',
       timeout: sessionTimeout
@@ -105,6 +145,27 @@ const checkSessionTimeout = (req, res, next) => {
   next();
 };
 
+// Write one Audit_Logs row; for events outside a route's response, such as
+// a failed login where there is no req.user yet
+const recordAuditEvent = async (req, action, { userId, success = true, statusCode, details } = {}) => {
+  try {
+    await airtableHelpers.create('Audit_Logs', {
+      user_id: userId || req.user?.id,
+      action: action,
+      resource: req.originalUrl,
+      method: req.method,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      timestamp: new Date().toISOString(),
+      success,
+      status_code: statusCode,
+      details: details ? JSON.stringify(details) : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
 // Audit logging middleware
 const auditLog = (action) => {
   return async (req, res, next) => {
@@ -112,23 +173,10 @@ const auditLog = (action) => {
     
     res.send = function(data) {
       // Log the action after response is sent
-      setImmediate(async () => {
-        try {
-          await airtableHelpers.create('Audit_Logs', {
-            user_id: req.user?.id,
-            action: action,
-            resource: req.originalUrl,
-            method: req.method,
-            ip_address: req.ip,
-            user_agent: req.get('User-Agent'),
-            timestamp: new Date().toISOString(),
-            success: res.statusCode < 400,
-            status_code: res.statusCode
-          });
-        } catch (error) {
-          console.error('Audit log error:', error);
-        }
-      });
+      setImmediate(() => recordAuditEvent(req, action, {
+        success: res.statusCode < 400,
+        statusCode: res.statusCode
+      }));
       
       originalSend.call(this, data);
     };
@@ -140,7 +188,9 @@ const auditLog = (action) => {
 module.exports = {
   authenticateToken,
   authorizeRoles,
+  requirePermission,
   authorizeBranch,
   checkSessionTimeout,
-  auditLog
+  auditLog,
+  recordAuditEvent
 };
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { airtableHelpers } = require('../config/airtable');
+const { DATED_TABLES, findClosedDate, recordDate, closedMessage } = require('../services/periods');
+
+/**
+ * Reject writes to dated financial records in a closed accounting period.
+ *
+ * Checks the date the request gives (the table's date field in the body,
+ * or today for a new record) and, for existing records, the date they
+ * already have. `param` names the route parameter holding the record id;
+ * `ids` picks record ids out of a bulk request body and `dates` the dates
+ * of records a bulk request creates.
+ */
+const requireOpenPeriod = (table, { param, ids, dates: bodyDates, label = 'Record' } = {}) => async (req, res, next) => {
+  try {
+    const field = DATED_TABLES[table];
+    const recordIds = param ? [req.params[param]] : ids ? (ids(req) || []).filter(Boolean) : [];
+    const dates = [];
+    for (const id of recordIds) {
+      const record = await airtableHelpers.findById(table, id).catch(() => null);
+      if (record) dates.push(recordDate(table, record));
+    }
+    if (bodyDates) {
+      dates.push(...(bodyDates(req) || []));
+    }
+    if (req.body && req.body[field]) {
+      dates.push(req.body[field]);
+    }
+    if (dates.length === 0 && recordIds.length === 0) {
+      dates.push(new Date().toISOString());
+    }
+
+    const closed = await findClosedDate(dates);
+    if (closed) {
+      return res.status(409).json({ message: closedMessage(label, closed.date, closed.period), period: closed.period });
+    }
+    next();
+  } catch (error) {
+    console.error('Period lock error:', error);
+    res.status(500).json({ message: 'Failed to check the accounting period' });
+  }
+};
+
+module.exports = {
+  requireOpenPeriod
+};
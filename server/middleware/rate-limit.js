@@ -0,0 +1,60 @@
+const rateLimit = require('express-rate-limit');
+const { envNumber } = require('../config/env');
+
+/**
+ * Request rate limits by route group. Each group's budget is set with
+ * RATE_LIMIT_<GROUP>_MAX requests per RATE_LIMIT_<GROUP>_WINDOW_MINUTES;
+ * signed-in requests are counted per user, the rest per IP address.
+ * RATE_LIMITS_ENABLED=false turns them all off. Routes in one group share
+ * its budget.
+ */
+const RATE_LIMIT_GROUPS = {
+  // Login, MFA challenges, refresh and password resets: before sign-in, so per IP
+  auth: { max: 100, windowMinutes: 15 },
+  // The rest of /api/auth: sessions, MFA settings, roles and lockouts
+  account: { max: 300, windowMinutes: 15 },
+  // Generic bulk create/update/delete
+  bulk: { max: 30, windowMinutes: 15 },
+  // Report exports and PDF documents
+  exports: { max: 60, windowMinutes: 15 }
+};
+
+const limiters = new Map();
+
+const createLimiter = (group) => {
+  const defaults = RATE_LIMIT_GROUPS[group];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group ${group}`);
+  }
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  const windowMs = envNumber(`${prefix}_WINDOW_MINUTES`, defaults.windowMinutes) * 60 * 1000;
+
+  return rateLimit({
+    windowMs,
+    max: envNumber(`${prefix}_MAX`, defaults.max),
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: () => process.env.RATE_LIMITS_ENABLED === 'false',
+    keyGenerator: (req) => (req.user && req.user.id ? `user:${req.user.id}` : `ip:${req.ip}`),
+    handler: (req, res) => {
+      console.warn(`[RATE LIMIT] ${group} limit reached by ${req.user && req.user.id ? req.user.id : req.ip} - ${req.method} ${req.originalUrl}`);
+      const resetTime = req.rateLimit && req.rateLimit.resetTime;
+      res.status(429).json({
+        message: 'Too many requests; try again later',
+        retry_after_seconds: Math.ceil((resetTime ? resetTime.getTime() - Date.now() : windowMs) / 1000)
+      });
+    }
+  });
+};
+
+const rateLimiter = (group) => {
+  if (!limiters.has(group)) {
+    limiters.set(group, createLimiter(group));
+  }
+  return limiters.get(group);
+};
+
+module.exports = {
+  RATE_LIMIT_GROUPS,
+  rateLimiter
+};
@@ -0,0 +1,207 @@
+const express = require('express');
+const { requirePermission, auditLog } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const {
+  AccountingError,
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  postManualEntry,
+  getEntry,
+  listEntries,
+  getTrialBalance,
+  getProfitAndLoss,
+  getBalanceSheet
+} = require('../services/accounting');
+const { SOURCE_TYPES, repostAll, getPostingStatus } = require('../services/journal-postings');
+const { PeriodError, listPeriods, createPeriod, closePeriod, reopenPeriod, deletePeriod } = require('../services/periods');
+
+const router = express.Router();
+
+const sendAccountingError = (res, error, fallbackMessage) => {
+  if (error instanceof AccountingError || error instanceof PeriodError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Without accounting.all_branches (managers, by default) only your own
+// branch's books are shown
+const isBranchScoped = async (req) => !(await hasPermission(req.user, 'accounting.all_branches'));
+
+const branchScope = async (req) => (await isBranchScoped(req) ? firstId(req.user.branch_id) : req.query.branchId);
+
+// Chart of accounts, e.g. ?type=expense&includeInactive=true
+router.get('/accounts', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    res.json(await listAccounts({ type: req.query.type, includeInactive: req.query.includeInactive === 'true' }));
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    sendAccountingError(res, error, 'Failed to fetch accounts');
+  }
+});
+
+// Body: code, name, type (asset, liability, equity, revenue, expense), subtype?, description?
+router.post('/accounts', requirePermission('accounting.accounts.manage'), auditLog('CREATE_ACCOUNT'), async (req, res) => {
+  try {
+    res.status(201).json(await createAccount(req.body));
+  } catch (error) {
+    console.error('Create account error:', error);
+    sendAccountingError(res, error, 'Failed to create account');
+  }
+});
+
+router.get('/accounts/:code', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    res.json(await getAccount(req.params.code));
+  } catch (error) {
+    console.error('Get account error:', error);
+    sendAccountingError(res, error, 'Failed to fetch account');
+  }
+});
+
+router.put('/accounts/:code', requirePermission('accounting.accounts.manage'), auditLog('UPDATE_ACCOUNT'), async (req, res) => {
+  try {
+    res.json(await updateAccount(req.params.code, req.body));
+  } catch (error) {
+    console.error('Update account error:', error);
+    sendAccountingError(res, error, 'Failed to update account');
+  }
+});
+
+// Journal entries, e.g. ?from=2026-01-01&to=2026-01-31&sourceType=sale&accountCode=4000
+router.get('/journal', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    const { from, to, sourceType, sourceId, accountCode } = req.query;
+    res.json(await listEntries({ from, to, branchId: await branchScope(req), sourceType, sourceId, accountCode }));
+  } catch (error) {
+    console.error('Get journal error:', error);
+    sendAccountingError(res, error, 'Failed to fetch journal');
+  }
+});
+
+// Manual entry; body = { entry_date, branch_id?, description, reference?, lines: [{ account_code, debit?, credit?, memo? }] }
+router.post('/journal', requirePermission('accounting.journal.post'), auditLog('POST_JOURNAL_ENTRY'), async (req, res) => {
+  try {
+    res.status(201).json(await postManualEntry(req.body, req.user));
+  } catch (error) {
+    console.error('Post journal entry error:', error);
+    sendAccountingError(res, error, 'Failed to post journal entry');
+  }
+});
+
+router.get('/journal/:id', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    const entry = await getEntry(req.params.id);
+    if (await isBranchScoped(req) && !entry.lines.some(line => line.branch_id && line.branch_id.includes(firstId(req.user.branch_id)))) {
+      return res.status(404).json({ message: 'Journal entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Get journal entry error:', error);
+    sendAccountingError(res, error, 'Failed to fetch journal entry');
+  }
+});
+
+// ?to=2026-06-30 for balances, add ?from= for the activity in a period
+router.get('/trial-balance', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    res.json(await getTrialBalance({ from: req.query.from, to: req.query.to || undefined, branchId: await branchScope(req) }));
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    sendAccountingError(res, error, 'Failed to build trial balance');
+  }
+});
+
+router.get('/profit-loss', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    res.json(await getProfitAndLoss({ from: req.query.from, to: req.query.to || undefined, branchId: await branchScope(req) }));
+  } catch (error) {
+    console.error('Get profit and loss error:', error);
+    sendAccountingError(res, error, 'Failed to build profit and loss');
+  }
+});
+
+router.get('/balance-sheet', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    res.json(await getBalanceSheet({ asOf: req.query.asOf || undefined, branchId: await branchScope(req) }));
+  } catch (error) {
+    console.error('Get balance sheet error:', error);
+    sendAccountingError(res, error, 'Failed to build balance sheet');
+  }
+});
+
+// Accounting periods, newest first, e.g. ?status=closed
+router.get('/periods', requirePermission('accounting.view'), async (req, res) => {
+  try {
+    res.json(await listPeriods({ status: req.query.status }));
+  } catch (error) {
+    console.error('Get periods error:', error);
+    sendAccountingError(res, error, 'Failed to fetch accounting periods');
+  }
+});
+
+// Body: start_date, end_date, name?, notes?
+router.post('/periods', requirePermission('accounting.periods.manage'), auditLog('CREATE_PERIOD'), async (req, res) => {
+  try {
+    res.status(201).json(await createPeriod(req.body, req.user));
+  } catch (error) {
+    console.error('Create period error:', error);
+    sendAccountingError(res, error, 'Failed to create accounting period');
+  }
+});
+
+// Lock the period's dates; body = { notes? }
+router.put('/periods/:id/close', requirePermission('accounting.periods.manage'), auditLog('CLOSE_PERIOD'), async (req, res) => {
+  try {
+    res.json(await closePeriod(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Close period error:', error);
+    sendAccountingError(res, error, 'Failed to close accounting period');
+  }
+});
+
+// Admin only; body = { reason }
+router.put('/periods/:id/reopen', requirePermission('accounting.periods.reopen'), auditLog('REOPEN_PERIOD'), async (req, res) => {
+  try {
+    res.json(await reopenPeriod(req.params.id, req.body, req.user));
+  } catch (error) {
+    console.error('Reopen period error:', error);
+    sendAccountingError(res, error, 'Failed to reopen accounting period');
+  }
+});
+
+router.delete('/periods/:id', requirePermission('accounting.periods.manage'), auditLog('DELETE_PERIOD'), async (req, res) => {
+  try {
+    res.json(await deletePeriod(req.params.id));
+  } catch (error) {
+    console.error('Delete period error:', error);
+    sendAccountingError(res, error, 'Failed to delete accounting period');
+  }
+});
+
+// Postings that failed and are waiting for a repost
+router.get('/postings/status', requirePermission('accounting.postings.manage'), (req, res) => {
+  res.json(getPostingStatus());
+});
+
+// Bring the ledger in line with every document, e.g. after importing data;
+// body = { source_types?: ['sale', 'bill', ...] }
+router.post('/postings/repost', requirePermission('accounting.postings.manage'), auditLog('REPOST_JOURNAL'), async (req, res) => {
+  try {
+    const sourceTypes = req.body.source_types || SOURCE_TYPES;
+    const unknown = sourceTypes.filter(type => !SOURCE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown source types: ${unknown.join(', ')}`, source_types: SOURCE_TYPES });
+    }
+    res.json(await repostAll({ sourceTypes, user: req.user }));
+  } catch (error) {
+    console.error('Repost journal error:', error);
+    sendAccountingError(res, error, 'Failed to repost journal');
+  }
+});
+
+module.exports = router;
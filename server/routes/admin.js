@@ -1,34 +1,51 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { applyStockChanges } = require('../services/stock-ledger');
+const { getProducts, createProductResolver, productLinkFields, ProductError } = require('../services/products');
 
 const router = express.Router();
 
-// Get all products
-router.get('/products', authenticateToken, authorizeRoles(['boss', 'manager', 'admin']), async (req, res) => {
+// Get all products from the catalogue with their stock across branches
+router.get('/products', authenticateToken, requirePermission('products.manage'), async (req, res) => {
   try {
-    const products = await airtableHelpers.find(TABLES.STOCK);
-    
-    // Group by product name to get unique products
-    const uniqueProducts = {};
-    products.forEach(item => {
-      if (!uniqueProducts[item.product_name]) {
-        uniqueProducts[item.product_name] = {
+    const [catalogue, stock] = await Promise.all([
+      getProducts(),
+      airtableHelpers.find(TABLES.STOCK)
+    ]);
+
+    const products = {};
+    catalogue.forEach(product => {
+      products[product.id] = {
+        ...product,
+        unit_price: product.default_price,
+        total_quantity: 0,
+        branches: []
+      };
+    });
+
+    // Stock rows not yet linked to the catalogue are grouped by name
+    stock.forEach(item => {
+      const key = products[item.product_id] ? item.product_id : `name:${item.product_name}`;
+      if (!products[key]) {
+        products[key] = {
           product_name: item.product_name,
           unit_price: item.unit_price,
           reorder_level: item.reorder_level,
+          catalogued: false,
           total_quantity: 0,
           branches: []
         };
       }
-      uniqueProducts[item.product_name].total_quantity += item.quantity_available || 0;
-      uniqueProducts[item.product_name].branches.push({
+      products[key].total_quantity += item.quantity_available || 0;
+      products[key].branches.push({
+        stock_id: item.id,
         branch_id: item.branch_id,
         quantity: item.quantity_available
       });
     });
 
-    res.json(Object.values(uniqueProducts));
+    res.json(Object.values(products));
   } catch (error) {
     console.error('Get products error:', error);
     res.status(500).json({ message: 'Failed to fetch products' });
@@ -36,11 +53,11 @@ router.get('/products', authenticateToken, authorizeRoles(['boss', 'manager', 'a
 });
 
 // Create new product (add to specific branch or all branches)
-router.post('/products', authenticateToken, authorizeRoles(['boss', 'manager', 'admin']), async (req, res) => {
+router.post('/products', authenticateToken, requirePermission('products.manage'), async (req, res) => {
   try {
-    const { product_name, unit_price, reorder_level, branch_id, quantity_available } = req.body;
+    const { product_id, product_name, unit_price, reorder_level, branch_id, quantity_available } = req.body;
 
-    if (!product_name || !unit_price) {
+    if ((!product_name && !product_id) || !unit_price) {
       return res.status(400).json({ message: 'Product name and unit price are required' });
     }
 
@@ -56,36 +73,67 @@ router.post('/products', authenticateToken, authorizeRoles(['boss', 'manager', '
       // Create for all branches
       branches = await airtableHelpers.find(TABLES.BRANCHES);
     }
+
+    // Use the catalogue product, creating it with the given details if it is new
+    const product = await createProductResolver({ userId: req.user.id })(req.body, {
+      createIfMissing: true,
+      defaults: { ...req.body, default_price: req.body.default_price || unit_price }
+    });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found in catalogue' });
+    }
+
+    // Branches that already stock the product keep their row
+    const existingStock = await airtableHelpers.find(TABLES.STOCK);
+    const newBranches = branches.filter(branch => !existingStock.some(stock =>
+      stock.product_id === product.id && stock.branch_id && stock.branch_id.includes(branch.id)
+    ));
     
-    // Create stock entries
+    // Create stock entries; any starting quantity is booked as an opening balance
+    const openingQuantity = parseInt(quantity_available) || 0;
     const stockEntries = await Promise.all(
-      branches.map(branch => 
-        airtableHelpers.create(TABLES.STOCK, {
-          product_id: `PRD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          product_name,
+      newBranches.map(async (branch) => {
+        const stock = await airtableHelpers.create(TABLES.STOCK, {
+          ...productLinkFields(product),
           unit_price: parseFloat(unit_price),
-          quantity_available: parseInt(quantity_available) || 0,
-          reorder_level: parseInt(reorder_level) || 10,
+          quantity_available: 0,
+          reorder_level: parseInt(reorder_level) || product.reorder_level || 10,
           branch_id: [branch.id],
+          version: 1,
+          ledger_initialized: true,
           last_updated: new Date().toISOString()
-        })
-      )
+        });
+        if (openingQuantity === 0) return stock;
+
+        await applyStockChanges([{
+          type: 'opening_balance',
+          stockId: stock.id,
+          branchId: branch.id,
+          productId: product.id,
+          quantity: openingQuantity
+        }], { userId: req.user.id, reason: 'Opening balance' });
+        return airtableHelpers.findById(TABLES.STOCK, stock.id);
+      })
     );
 
     res.status(201).json({
       message: 'Product created successfully',
-      product_name,
+      product,
+      product_name: product.product_name,
       branches_added: stockEntries.length,
       stock_entries: stockEntries
     });
   } catch (error) {
     console.error('Create product error:', error);
+    if (error instanceof ProductError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to create product', error: error.message });
   }
 });
 
 // Get system overview
-router.get('/overview', authenticateToken, authorizeRoles(['boss', 'manager', 'admin']), async (req, res) => {
+router.get('/overview', authenticateToken, requirePermission('dashboards.view'), async (req, res) => {
   try {
     const [branches, employees, stock, sales, orders, vehicles] = await Promise.all([
       airtableHelpers.find(TABLES.BRANCHES),
@@ -110,7 +158,7 @@ router.get('/overview', authenticateToken, authorizeRoles(['boss', 'manager', 'a
         }, {})
       },
       inventory: {
-        totalProducts: new Set(stock.map(s => s.product_name)).size,
+        totalProducts: new Set(stock.map(s => s.product_id || s.product_name)).size,
         totalItems: stock.reduce((sum, item) => sum + (item.quantity_available || 0), 0),
         lowStock: stock.filter(item => item.quantity_available <= (item.reorder_level || 0)).length
       },
@@ -1,16 +1,68 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const speakeasy = require('speakeasy');
-const QRCode = require('qrcode');
 // const { body, validationResult } = require('express-validator');
-const { airtableHelpers, TABLES } = require('../config/airtable');
+const { airtableHelpers, dataStore, TABLES } = require('../config/airtable');
+const { authenticateToken, requirePermission, auditLog, recordAuditEvent } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rate-limit');
+const {
+  MfaError,
+  getRequiredRoles,
+  setRequiredRoles,
+  readChallenge,
+  spendChallenge,
+  startLoginChallenge,
+  completeLoginChallenge,
+  beginSetup,
+  confirmSetup,
+  regenerateRecoveryCodes,
+  disableMfa,
+  resetMfa,
+  getMfaStatus
+} = require('../services/mfa');
+const {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  sessionIdFrom,
+  listSessions
+} = require('../services/sessions');
+const {
+  LoginGuardError,
+  checkLoginAllowed,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  unlockIp,
+  listLockouts
+} = require('../services/login-guard');
+const {
+  PasswordError,
+  hashNewPassword,
+  passwordFields,
+  passwordChangeReason,
+  issuePasswordChangeToken,
+  completeRequiredChange,
+  requestReset,
+  resetPassword
+} = require('../services/passwords');
+const {
+  PERMISSIONS,
+  PermissionError,
+  listRoles,
+  getRole,
+  permissionsFor,
+  assertCanAssignRole,
+  saveRole,
+  deleteRole
+} = require('../services/permissions');
 
 
 // CSRF protection middleware (configurable)
 const csrfProtection = (req, res, next) => {
   // Skip CSRF for API endpoints that don't modify data
-  if (req.method === 'GET' && !req.path.includes('/list-users')) {
+  if (req.method === 'GET') {
     return next();
   }
   
@@ -28,13 +80,163 @@ const csrfProtection = (req, res, next) => {
 
 const router = express.Router();
 
+// Sign-in routes are limited per address; everything else is limited per
+// signed-in user, after authentication, so colleagues behind one office
+// address don't share a budget
+const signInLimit = rateLimiter('auth');
+const signedIn = [authenticateToken, rateLimiter('account')];
+
+const sendMfaError = (res, error, fallbackMessage) => {
+  if (error instanceof MfaError) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const sendSessionError = (res, error, fallbackMessage) => {
+  if (error instanceof SessionError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const sendPasswordError = (res, error, fallbackMessage) => {
+  if (error instanceof PasswordError) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const sendPermissionError = (res, error, fallbackMessage) => {
+  if (error instanceof PermissionError) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const sendGuardError = (res, error, fallbackMessage) => {
+  if (error instanceof LoginGuardError) {
+    if (error.details && error.details.retry_after_seconds) {
+      res.set('Retry-After', String(error.details.retry_after_seconds));
+    }
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Count a failed password or MFA code and raise an alert for any lockout it
+// caused; returns what was locked
+const countFailedSignIn = async (req, user) => {
+  const locked = await recordFailure(req.ip, user);
+  if (locked.account) {
+    console.warn(`[SECURITY ALERT] Account ${user.email || user.id} locked after ${locked.account.failures} failed sign-in attempts, last from ${req.ip}`);
+    await recordAuditEvent(req, 'ACCOUNT_LOCKED', {
+      userId: user.id,
+      success: false,
+      statusCode: 423,
+      details: { alert: true, email: user.email, ...locked.account }
+    });
+  }
+  if (locked.ip) {
+    console.warn(`[SECURITY ALERT] Address ${req.ip} locked after ${locked.ip.failures} failed sign-in attempts`);
+    await recordAuditEvent(req, 'IP_LOCKED', {
+      userId: user && user.id,
+      success: false,
+      statusCode: 423,
+      details: { alert: true, ip: req.ip, ...locked.ip }
+    });
+  }
+  return locked;
+};
+
+// Answer a failed password login
+const rejectLogin = async (req, res, user, { email, reason }) => {
+  const locked = await countFailedSignIn(req, user);
+  await recordAuditEvent(req, 'LOGIN_FAILED', { userId: user && user.id, success: false, statusCode: 401, details: { email, reason } });
+  if (locked.account || locked.ip) {
+    return res.status(423).json({
+      message: 'Too many failed sign-in attempts; sign-in is temporarily locked',
+      locked_until: (locked.account || locked.ip).locked_until
+    });
+  }
+  return res.status(401).json({ message: 'Invalid credentials' });
+};
+
+// A new session for a user who has passed every login check. Failed
+// attempts since their previous login flag this one. A password set by
+// someone else, or too old, must be changed first: the answer is then a
+// password change token instead of a session.
+const completeLogin = async (user, req, method) => {
+  const passwordChange = passwordChangeReason(user);
+  if (passwordChange) {
+    await recordAuditEvent(req, 'PASSWORD_CHANGE_REQUIRED', { userId: user.id, details: { reason: passwordChange, method } });
+    return {
+      requiresPasswordChange: true,
+      reason: passwordChange,
+      passwordChangeToken: issuePasswordChangeToken(user, passwordChange)
+    };
+  }
+
+  const { session, accessToken, refreshToken } = await createSession(user, req, { method });
+
+  const failedAttempts = await recordSuccess(user);
+  if (failedAttempts > 0) {
+    console.warn(`[SECURITY] ${user.email} signed in after ${failedAttempts} failed attempts, from ${req.ip}`);
+  }
+  await recordAuditEvent(req, failedAttempts > 0 ? 'LOGIN_AFTER_FAILURES' : 'LOGIN', {
+    userId: user.id,
+    details: { method, session_id: session.id, failed_attempts: failedAttempts || undefined, flagged: failedAttempts > 0 || undefined }
+  });
+
+  // Update last login and ensure user is active
+  try {
+    await airtableHelpers.update(TABLES.EMPLOYEES, user.id, {
+      last_login: new Date().toISOString(),
+      is_active: true
+    });
+    console.log('Updated last login for user:', user.email);
+  } catch (updateError) {
+    console.warn('Failed to update last login:', updateError.message);
+  }
+
+  return {
+    success: true,
+    accessToken,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      fullName: user.full_name,
+      role: user.role,
+      branchId: user.branch_id
+    },
+    ...(failedAttempts > 0 ? { failedAttemptsSinceLastLogin: failedAttempts } : {})
+  };
+};
+
+// MFA enrolment is open to a signed-in user, or to a login that must enrol
+// first (a challenge token in the body)
+const authenticateMfaSetup = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+  try {
+    req.mfaChallenge = await readChallenge(req.body.challengeToken);
+    req.user = { id: req.mfaChallenge.userId };
+    next();
+  } catch (error) {
+    sendMfaError(res, error, 'MFA challenge check failed');
+  }
+};
+
 // Test route to verify auth routes are loaded
-router.get('/test', (req, res) => {
+router.get('/test', signInLimit, (req, res) => {
   res.json({ 
     message: 'Auth routes loaded successfully',
     timestamp: new Date().toISOString(),
-    available_routes: ['POST /login', 'POST /register', 'POST /refresh'],
+    available_routes: ['POST /login', 'POST /register', 'POST /refresh', 'POST /password/forgot', 'POST /password/reset'],
     environment: {
+      dataStore: dataStore.name,
       hasAirtableKey: !!process.env.AIRTABLE_API_KEY,
       hasAirtableBase: !!process.env.AIRTABLE_BASE_ID,
       hasJwtSecret: !!process.env.JWT_SECRET,
@@ -43,127 +245,27 @@ router.get('/test', (req, res) => {
   });
 });
 
-// List all users in database (for debugging) - ADMIN ONLY
-router.get('/list-users', csrfProtection, async (req, res) => {
-  try {
-    const Airtable = require('airtable');
-    Airtable.configure({
-      endpointUrl: 'https://api.airtable.com',
-      apiKey: process.env.AIRTABLE_API_KEY
-    });
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    
-    const records = await base('Employees').select().all();
-    const users = records.map(record => ({
-      id: record.id,
-      email: record.fields.email,
-      full_name: record.fields.full_name,
-      role: record.fields.role,
-      is_active: record.fields.is_active,
-      has_password: !!record.fields.password_hash,
-      branch_id: record.fields.branch_id
-    }));
-    
-    res.json({
-      total_users: users.length,
-      users: users,
-      login_ready: users.filter(u => u.email && u.has_password && u.is_active !== false).length
-    });
-  } catch (error) {
-    console.error('List users error:', error);
-    res.status(500).json({ message: 'Failed to list users', error: error.message });
-  }
-});
+const { validateAndSanitize, commonValidations } = require('../middleware/validation');
 
-// Diagnostic route for Airtable connection - ADMIN ONLY  
-router.get('/test-airtable', csrfProtection, async (req, res) => {
+const requireRoleManager = express.Router().use(signedIn, requirePermission('roles.manage'));
+
+// The first admin registers without signing in, to set the system up; once
+// there is one, accounts are created by a signed-in user with roles.manage
+const authenticateRegistration = async (req, res, next) => {
   try {
-    console.log('Testing Airtable connection...');
-    
-    // Check environment variables
-    const envCheck = {
-      hasApiKey: !!process.env.AIRTABLE_API_KEY,
-      hasBaseId: !!process.env.AIRTABLE_BASE_ID,
-      apiKeyLength: process.env.AIRTABLE_API_KEY ? process.env.AIRTABLE_API_KEY.length : 0,
-      baseIdLength: process.env.AIRTABLE_BASE_ID ? process.env.AIRTABLE_BASE_ID.length : 0,
-      baseIdValue: process.env.AIRTABLE_BASE_ID ? process.env.AIRTABLE_BASE_ID.substring(0, 8) + '...' : 'Not set'
-    };
-    
-    console.log('Environment check:', envCheck);
-    
-    if (!process.env.AIRTABLE_API_KEY || !process.env.AIRTABLE_BASE_ID) {
-      return res.status(500).json({
-        status: 'error',
-        message: 'Missing Airtable configuration',
-        envCheck
-      });
+    const existingAdmin = await airtableHelpers.findOne(TABLES.EMPLOYEES, `{role} = 'admin'`);
+    if (!existingAdmin) {
+      return next();
     }
-    
-    // Test direct Airtable connection without helpers
-    const Airtable = require('airtable');
-    Airtable.configure({
-      endpointUrl: 'https://api.airtable.com',
-      apiKey: process.env.AIRTABLE_API_KEY
-    });
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    
-    // Try to list records from Employees table
-    const records = await base('Employees').select({ maxRecords: 3 }).all();
-    console.log('Direct Airtable test - Found records:', records.length);
-    
-    const users = records.map(record => ({
-      id: record.id,
-      ...record.fields
-    }));
-    
-    const sampleUser = users.length > 0 ? {
-      id: users[0].id,
-      email: users[0].email,
-      role: users[0].role,
-      hasPassword: !!users[0].password_hash,
-      isActive: users[0].is_active
-    } : null;
-    
-    res.json({
-      status: 'success',
-      message: 'Airtable connection working',
-      envCheck,
-      usersFound: users.length,
-      sampleUser,
-      tablesTested: ['Employees'],
-      timestamp: new Date().toISOString()
-    });
-    
   } catch (error) {
-    console.error('Airtable test error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: error.message,
-      errorType: error.name,
-      statusCode: error.statusCode,
-      error: error.error,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-
-
-// Password validation function
-const validatePassword = (password) => {
-  if (!password || password.length < 12) {
-    return 'Password must be at least 12 characters long';
-  }
-  if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/.test(password)) {
-    return 'Password must contain uppercase, lowercase, number and special character';
+    console.error('Registration check error:', error);
+    return res.status(500).json({ message: 'Registration failed' });
   }
-  return null;
+  requireRoleManager(req, res, next);
 };
 
-// Register admin (first-time setup) - ALWAYS ALLOW FOR SETUP
-const { validateAndSanitize, commonValidations } = require('../middleware/validation');
-
-router.post('/register', validateAndSanitize([
+// Register an account: the admin at first-time setup, anyone else afterwards
+router.post('/register', signInLimit, authenticateRegistration, validateAndSanitize([
   commonValidations.name,
   commonValidations.email,
   commonValidations.password
@@ -177,28 +279,20 @@ router.post('/register', validateAndSanitize([
       return res.status(400).json({ message: 'Full name, email, and password are required' });
     }
 
-    // Allow admin or manager registration for initial setup
-    const allowedRoles = ['admin', 'manager', 'boss'];
+    // Without a signed-in user this is initial setup, which only creates the admin
     const userRole = role || 'admin';
-    if (!allowedRoles.includes(userRole)) {
-      return res.status(400).json({ message: 'Only admin, manager, or boss registration is allowed' });
+    if (!req.user && userRole !== 'admin') {
+      return res.status(403).json({ message: 'Only the first admin can register without signing in' });
+    }
+    if (req.user) {
+      await assertCanAssignRole(req.user, userRole);
     }
 
     // Check if admin already exists when trying to register admin
     if (userRole === 'admin') {
-      const Airtable = require('airtable');
-      Airtable.configure({
-        apiKey: process.env.AIRTABLE_API_KEY,
-        requestTimeout: 60000
-      });
-      const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
+      const existingAdmin = await airtableHelpers.findOne(TABLES.EMPLOYEES, `{role} = 'admin'`);
       
-      const existingAdmins = await base('Employees').select({
-        filterByFormula: `{role} = 'admin'`,
-        maxRecords: 1
-      }).firstPage();
-      
-      if (existingAdmins.length > 0) {
+      if (existingAdmin) {
         return res.status(400).json({ 
           message: 'Admin already exists. Only one admin account is allowed. Please contact existing admin.' 
         });
@@ -206,23 +300,16 @@ router.post('/register', validateAndSanitize([
     }
 
     // Check if email already exists
-    const Airtable = require('airtable');
-    Airtable.configure({
-      apiKey: process.env.AIRTABLE_API_KEY,
-      requestTimeout: 60000
-    });
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    
-    const existingUsers = await base('Employees').select({
-      filterByFormula: `{email} = '${email.toLowerCase().trim()}'`,
-      maxRecords: 1
-    }).firstPage();
+    const existingUser = await airtableHelpers.findOne(
+      TABLES.EMPLOYEES,
+      `{email} = '${email.toLowerCase().trim()}'`
+    );
     
-    if (existingUsers.length > 0) {
+    if (existingUser) {
       return res.status(400).json({ message: 'Email already registered' });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 12);
+    const hashedPassword = await hashNewPassword(password, { email, full_name });
     
     const userData = {
       full_name,
@@ -232,13 +319,13 @@ router.post('/register', validateAndSanitize([
       is_active: true,
       hire_date: new Date().toISOString().split('T')[0],
       mfa_enabled: false,
+      password_changed_at: new Date().toISOString(),
       created_at: new Date().toISOString()
     };
     
     console.log('Creating user with data:', { ...userData, password_hash: '[HIDDEN]' });
     
-    const createdRecords = await base('Employees').create([{ fields: userData }], { typecast: true });
-    const createdUser = createdRecords[0];
+    const createdUser = await airtableHelpers.create(TABLES.EMPLOYEES, userData, { typecast: true });
     
     console.log('User created successfully:', createdUser.id);
     
@@ -253,6 +340,12 @@ router.post('/register', validateAndSanitize([
     });
   } catch (error) {
     console.error('Register error:', error.message);
+    if (error instanceof PasswordError) {
+      return sendPasswordError(res, error, 'Registration failed');
+    }
+    if (error instanceof PermissionError) {
+      return sendPermissionError(res, error, 'Registration failed');
+    }
     if (error.message.includes('Admin already exists')) {
       return res.status(400).json({ message: error.message });
     }
@@ -264,7 +357,7 @@ router.post('/register', validateAndSanitize([
 });
 
 // Login endpoint
-router.post('/login', validateAndSanitize([
+router.post('/login', signInLimit, validateAndSanitize([
   commonValidations.email,
   commonValidations.password
 ]), async (req, res) => {
@@ -283,7 +376,7 @@ router.post('/login', validateAndSanitize([
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
-    if (!process.env.AIRTABLE_API_KEY || !process.env.AIRTABLE_BASE_ID) {
+    if (!dataStore.isConfigured()) {
       console.error('Missing Airtable configuration:', {
         hasApiKey: !!process.env.AIRTABLE_API_KEY,
         hasBaseId: !!process.env.AIRTABLE_BASE_ID
@@ -291,53 +384,46 @@ router.post('/login', validateAndSanitize([
       return res.status(500).json({ message: 'Database not configured' });
     }
 
-    console.log('Airtable config check passed, attempting login...');
+    console.log('Data store config check passed, attempting login...');
     console.log('Login credentials check:', { email, hasPassword: !!password });
 
-    // Find user in Airtable - DATABASE ONLY
+    // Find user in the data store - DATABASE ONLY
     let user;
-    let records = [];
     
     try {
-      console.log('Attempting direct Airtable connection...');
-      const Airtable = require('airtable');
-      Airtable.configure({
-        endpointUrl: 'https://api.airtable.com',
-        apiKey: process.env.AIRTABLE_API_KEY,
-        requestTimeout: 60000
-      });
-      const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-      
-      records = await Promise.race([
-        base('Employees').select({
-          filterByFormula: `{email} = '${email}'`,
-          maxRecords: 1
-        }).firstPage(),
+      console.log(`Looking up user in ${dataStore.name} data store...`);
+      user = await Promise.race([
+        airtableHelpers.findOne(TABLES.EMPLOYEES, `{email} = '${email}'`),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Query timeout')), 50000)
         )
       ]);
     } catch (airtableError) {
-      console.error('Airtable connection failed:', airtableError.message);
+      console.error('Data store connection failed:', airtableError.message);
       return res.status(500).json({ message: 'Database connection failed', error: airtableError.message });
     }
     
-    console.log('Found', records?.length || 0, 'matching users in database');
-    
-    if (records && records.length > 0) {
-      user = {
-        id: records[0].id,
-        ...records[0].fields
-      };
+    if (user) {
       console.log('User found in database:', { id: user.id, email: user.email, role: user.role, hasPassword: !!user.password_hash });
     } else {
       console.log('No user found in database for email:', email);
     }
 
-
+    // Locked accounts and addresses, and attempts inside a progressive delay, stop here
+    try {
+      await checkLoginAllowed(req.ip, user);
+    } catch (guardError) {
+      await recordAuditEvent(req, 'LOGIN_BLOCKED', {
+        userId: user && user.id,
+        success: false,
+        statusCode: guardError.status,
+        details: { email, reason: guardError.message }
+      });
+      return sendGuardError(res, guardError, 'Login failed');
+    }
 
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return rejectLogin(req, res, null, { email, reason: 'unknown_email' });
     }
 
     if (user.is_active === false) {
@@ -353,97 +439,18 @@ router.post('/login', validateAndSanitize([
     console.log('Database password verification result:', isValidPassword);
     
     if (!isValidPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-
-    // Check MFA for privileged roles (disabled for development)
-    const privilegedRoles = []; // ['boss', 'manager', 'admin'] - disabled for testing
-    if (privilegedRoles.includes(user.role)) {
-      if (!user.mfa_secret) {
-        return res.status(200).json({ 
-          requiresMfaSetup: true,
-          userId: user.id 
-        });
-      }
-
-      const { mfaToken } = req.body;
-      if (!mfaToken) {
-        return res.status(200).json({ 
-          requiresMfa: true,
-          userId: user.id 
-        });
-      }
-
-      const verified = speakeasy.totp.verify({
-        secret: user.mfa_secret,
-        encoding: 'base32',
-        token: mfaToken,
-        window: 2
-      });
-
-      if (!verified) {
-        return res.status(401).json({ message: 'Invalid MFA token' });
-      }
+      return rejectLogin(req, res, user, { email, reason: 'wrong_password' });
     }
 
-    // Generate JWT tokens
-    const accessToken = jwt.sign(
-      { 
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        branchId: user.branch_id
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '1h' }
-    );
-
-    const refreshToken = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
-    );
-
-    // Update last login and ensure user is active
-    try {
-      const Airtable = require('airtable');
-      Airtable.configure({
-        endpointUrl: 'https://api.airtable.com',
-        apiKey: process.env.AIRTABLE_API_KEY
-      });
-      const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-      
-      await base('Employees').update([{
-        id: user.id,
-        fields: { 
-          last_login: new Date().toISOString(),
-          is_active: true
-        }
-      }]);
-      console.log('Updated last login for user:', user.email);
-    } catch (updateError) {
-      console.warn('Failed to update last login:', updateError.message);
+    // Users with MFA on, or whose role requires it, answer a challenge first
+    const challenge = await startLoginChallenge(user);
+    if (challenge) {
+      await recordAuditEvent(req, challenge.requiresMfa ? 'MFA_CHALLENGE_ISSUED' : 'MFA_SETUP_REQUIRED', { userId: user.id });
+      return res.status(200).json(challenge);
     }
 
-    const userResponse = {
-      id: user.id,
-      email: user.email,
-      fullName: user.full_name,
-      role: user.role,
-      branchId: user.branch_id
-    };
-    
-    console.log('User found:', user);
-    console.log('Sending user response:', userResponse);
-    
-    const finalResponse = {
-      success: true,
-      accessToken,
-      refreshToken,
-      user: userResponse
-    };
-    
-    console.log('Final response being sent:', JSON.stringify(finalResponse, null, 2));
+    const finalResponse = await completeLogin(user, req, 'password');
+    console.log('Sending user response:', finalResponse.user);
     
     res.json(finalResponse);
 
@@ -471,78 +478,145 @@ router.post('/login', validateAndSanitize([
   }
 });
 
-// Setup MFA
-router.post('/setup-mfa', csrfProtection, async (req, res) => {
+// Answer a login MFA challenge; body = { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/mfa/challenge', signInLimit, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    const user = await airtableHelpers.findById(TABLES.EMPLOYEES, userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'code or recoveryCode is required' });
     }
 
-    const secret = speakeasy.generateSecret({
-      name: `BSN Manager (${user.email})`,
-      issuer: 'BSN Manager'
-    });
-
-    // Generate QR code
-    const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
+    // Only a valid, pending challenge gets this far, so a forged or spent
+    // token can't count failures against anyone's account
+    const challenge = await readChallenge(challengeToken);
+    const account = await airtableHelpers.findById(TABLES.EMPLOYEES, challenge.userId).catch(() => null);
+    await checkLoginAllowed(req.ip, account);
 
-    // Store secret temporarily (will be confirmed on verification)
-    await airtableHelpers.update(TABLES.EMPLOYEES, userId, {
-      mfa_secret_temp: secret.base32
-    });
+    let result;
+    try {
+      result = await completeLoginChallenge(challenge, { code, recoveryCode });
+    } catch (error) {
+      // A wrong code counts towards the account's lockout like a wrong password
+      if (error instanceof MfaError && error.wrongAnswer) {
+        await recordAuditEvent(req, 'MFA_VERIFY_FAILED', {
+          userId: challenge.userId,
+          success: false,
+          statusCode: 401,
+          details: { reason: error.message, method: recoveryCode ? 'recovery_code' : 'totp' }
+        });
+        if (account) {
+          await countFailedSignIn(req, account);
+        }
+      }
+      throw error;
+    }
 
-    res.json({
-      secret: secret.base32,
-      qrCode: qrCodeUrl
+    await recordAuditEvent(req, result.method === 'recovery_code' ? 'MFA_RECOVERY_CODE_USED' : 'MFA_VERIFIED', {
+      userId: result.user.id,
+      details: result.method === 'recovery_code' ? { recovery_codes_left: result.recoveryCodesLeft } : undefined
     });
+    const response = await completeLogin(result.user, req, result.method);
+    if (result.method === 'recovery_code') {
+      response.recoveryCodesLeft = result.recoveryCodesLeft;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('MFA challenge error:', error);
+    if (error instanceof LoginGuardError) {
+      return sendGuardError(res, error, 'MFA verification failed');
+    }
+    sendMfaError(res, error, 'MFA verification failed');
+  }
+});
 
+// Setup MFA: signed in, or with the challenge token from a login that must enrol
+router.post('/setup-mfa', signInLimit, csrfProtection, authenticateMfaSetup, auditLog('MFA_SETUP_STARTED'), async (req, res) => {
+  try {
+    res.json(await beginSetup(req.user.id));
   } catch (error) {
     console.error('MFA setup error:', error);
-    res.status(500).json({ message: 'MFA setup failed' });
+    sendMfaError(res, error, 'MFA setup failed');
   }
 });
 
-// Verify MFA setup
-router.post('/verify-mfa', csrfProtection, async (req, res) => {
+// Verify MFA setup; body = { code, challengeToken? }. Returns the recovery
+// codes once, and session tokens when it finishes a login.
+router.post('/verify-mfa', signInLimit, csrfProtection, authenticateMfaSetup, auditLog('MFA_ENABLED'), async (req, res) => {
   try {
-    const { userId, token } = req.body;
-
-    const user = await airtableHelpers.findById(TABLES.EMPLOYEES, userId);
-    if (!user || !user.mfa_secret_temp) {
-      return res.status(400).json({ message: 'MFA setup not initiated' });
+    const { user, recoveryCodes } = await confirmSetup(req.user.id, req.body.code || req.body.token);
+    if (!req.mfaChallenge) {
+      return res.json({ message: 'MFA setup completed successfully', recoveryCodes });
     }
+    await spendChallenge(req.mfaChallenge);
+    res.json({ message: 'MFA setup completed successfully', recoveryCodes, ...(await completeLogin(user, req, 'totp')) });
+  } catch (error) {
+    console.error('MFA verification error:', error);
+    sendMfaError(res, error, 'MFA verification failed');
+  }
+});
 
-    const verified = speakeasy.totp.verify({
-      secret: user.mfa_secret_temp,
-      encoding: 'base32',
-      token: token,
-      window: 2
-    });
+router.get('/mfa/status', signedIn, async (req, res) => {
+  try {
+    res.json(await getMfaStatus(req.user.id));
+  } catch (error) {
+    console.error('MFA status error:', error);
+    sendMfaError(res, error, 'Failed to fetch MFA status');
+  }
+});
 
-    if (!verified) {
-      return res.status(400).json({ message: 'Invalid token' });
-    }
+// New recovery codes replace the old ones; body = { code }
+router.post('/mfa/recovery-codes', signedIn, auditLog('MFA_RECOVERY_CODES_REGENERATED'), async (req, res) => {
+  try {
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user.id, req.body.code) });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    sendMfaError(res, error, 'Failed to regenerate recovery codes');
+  }
+});
 
-    // Confirm MFA setup
-    await airtableHelpers.update(TABLES.EMPLOYEES, userId, {
-      mfa_secret: user.mfa_secret_temp,
-      mfa_secret_temp: null,
-      mfa_enabled: true
-    });
+// Turn MFA off, where the user's role doesn't require it; body = { code }
+router.post('/mfa/disable', signedIn, auditLog('MFA_DISABLED'), async (req, res) => {
+  try {
+    await disableMfa(req.user.id, req.body.code);
+    res.json({ message: 'MFA disabled' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    sendMfaError(res, error, 'Failed to disable MFA');
+  }
+});
 
-    res.json({ message: 'MFA setup completed successfully' });
+// Roles that must use MFA
+router.get('/mfa/policy', signedIn, requirePermission('security.mfa.manage'), async (req, res) => {
+  try {
+    res.json({ required_roles: await getRequiredRoles() });
+  } catch (error) {
+    console.error('Get MFA policy error:', error);
+    sendMfaError(res, error, 'Failed to fetch MFA policy');
+  }
+});
 
+// body = { required_roles: ['admin', 'boss', ...] }
+router.put('/mfa/policy', signedIn, requirePermission('security.mfa.manage'), auditLog('MFA_POLICY_UPDATED'), async (req, res) => {
+  try {
+    res.json({ required_roles: await setRequiredRoles(req.body.required_roles, req.user) });
   } catch (error) {
-    console.error('MFA verification error:', error);
-    res.status(500).json({ message: 'MFA verification failed' });
+    console.error('Update MFA policy error:', error);
+    sendMfaError(res, error, 'Failed to update MFA policy');
+  }
+});
+
+// Clear a user's MFA so they enrol again at their next login
+router.post('/mfa/users/:id/reset', signedIn, requirePermission('security.mfa.manage'), auditLog('MFA_RESET'), async (req, res) => {
+  try {
+    res.json({ message: 'MFA reset', user: await resetMfa(req.params.id, req.user) });
+  } catch (error) {
+    console.error('MFA reset error:', error);
+    sendMfaError(res, error, 'Failed to reset MFA');
   }
 });
 
-// Refresh token
-router.post('/refresh', async (req, res) => {
+// Refresh token: rotates, so the refresh token sent can't be used again
+router.post('/refresh', signInLimit, async (req, res) => {
   try {
     const { refreshToken } = req.body;
 
@@ -550,71 +624,266 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ message: 'Refresh token required' });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await airtableHelpers.findById(TABLES.EMPLOYEES, decoded.userId);
+    const { accessToken, refreshToken: newRefreshToken } = await rotateSession(refreshToken);
+    res.json({ accessToken, refreshToken: newRefreshToken });
 
-    if (!user || !user.is_active) {
-      return res.status(401).json({ message: 'Invalid refresh token' });
+  } catch (error) {
+    if (error instanceof SessionError && error.details && error.details.reuse) {
+      await recordAuditEvent(req, 'REFRESH_TOKEN_REUSE', {
+        userId: error.details.userId,
+        success: false,
+        statusCode: 401,
+        details: { session_id: error.details.sessionId }
+      });
+    } else if (!(error instanceof SessionError)) {
+      console.error('Refresh token error:', error);
     }
+    sendSessionError(res, error, 'Invalid refresh token');
+  }
+});
 
-    const newAccessToken = jwt.sign(
-      { 
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        branchId: user.branch_id
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '1h' }
-    );
+// Change my password; body = { currentPassword, newPassword }. Signs out
+// my other sessions.
+router.post('/change-password', csrfProtection, signedIn, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
 
-    res.json({ accessToken: newAccessToken });
+    const user = await airtableHelpers.findById(TABLES.EMPLOYEES, req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword || '', user.password_hash || '');
+    if (!isValidPassword) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    await airtableHelpers.update(TABLES.EMPLOYEES, user.id, await passwordFields(user, newPassword));
+    const revoked = await revokeUserSessions(user.id, { reason: 'password_changed', except: req.user.sessionId, by: req.user });
+    await recordAuditEvent(req, 'PASSWORD_CHANGED', { userId: user.id, details: { sessions_revoked: revoked.length } });
+
+    res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
-    res.status(401).json({ message: 'Invalid refresh token' });
+    console.error('Password change error:', error);
+    sendPasswordError(res, error, 'Password change failed');
   }
 });
 
-// Change password
-router.post('/change-password', csrfProtection, async (req, res) => {
+// Finish a login held back for a password change; body = { passwordChangeToken, newPassword }
+router.post('/password/change-required', signInLimit, async (req, res) => {
   try {
-    const { userId, currentPassword, newPassword } = req.body;
-    
-    const passwordError = validatePassword(newPassword);
-    if (passwordError) {
-      return res.status(400).json({ message: passwordError });
+    const { passwordChangeToken, newPassword } = req.body;
+    if (!passwordChangeToken || !newPassword) {
+      return res.status(400).json({ message: 'passwordChangeToken and newPassword are required' });
     }
 
-    const user = await airtableHelpers.findById(TABLES.EMPLOYEES, userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const user = await completeRequiredChange(passwordChangeToken, newPassword);
+    await recordAuditEvent(req, 'PASSWORD_CHANGED', { userId: user.id, details: { required: true } });
+    // Sessions opened with the old password end with it
+    await revokeUserSessions(user.id, { reason: 'password_changed' });
+    res.json(await completeLogin(user, req, 'password'));
+  } catch (error) {
+    console.error('Required password change error:', error);
+    sendPasswordError(res, error, 'Password change failed');
+  }
+});
+
+// Email a password reset link; body = { email }. The answer is the same
+// whether or not the email belongs to an account.
+router.post('/password/forgot', signInLimit, async (req, res) => {
+  try {
+    const user = await requestReset(req.body.email);
+    await recordAuditEvent(req, 'PASSWORD_RESET_REQUESTED', {
+      userId: user && user.id,
+      success: Boolean(user),
+      details: { email: req.body.email }
+    });
+    res.json({ message: 'If that email belongs to an account, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    sendPasswordError(res, error, 'Failed to request a password reset');
+  }
+});
+
+// Set a new password from a reset link; body = { token, newPassword }.
+// Signs the user out everywhere.
+router.post('/password/reset', signInLimit, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'token and newPassword are required' });
     }
 
-    const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(400).json({ message: 'Current password is incorrect' });
+    const user = await resetPassword(token, newPassword);
+    const revoked = await revokeUserSessions(user.id, { reason: 'password_reset' });
+    await recordAuditEvent(req, 'PASSWORD_RESET', { userId: user.id, details: { sessions_revoked: revoked.length } });
+    res.json({ message: 'Password has been reset; sign in with the new password' });
+  } catch (error) {
+    if (error instanceof PasswordError && error.status === 401) {
+      await recordAuditEvent(req, 'PASSWORD_RESET_FAILED', { success: false, statusCode: 401, details: { reason: error.message } });
+    } else {
+      console.error('Password reset error:', error);
     }
+    sendPasswordError(res, error, 'Password reset failed');
+  }
+});
 
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+// Logout: ends the session named by the access token or the refresh token
+router.post('/logout', signInLimit, async (req, res) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const named = sessionIdFrom(authHeader && authHeader.split(' ')[1], process.env.JWT_SECRET) ||
+      sessionIdFrom(req.body.refreshToken, process.env.JWT_REFRESH_SECRET);
+    if (!named) {
+      return res.status(400).json({ message: 'An access or refresh token is required to log out' });
+    }
 
-    await airtableHelpers.update(TABLES.EMPLOYEES, userId, {
-      password_hash: hashedPassword,
-      password_changed_at: new Date().toISOString()
+    await revokeSession(named.sessionId, 'logout');
+    await recordAuditEvent(req, 'LOGOUT', { userId: named.userId, details: { session_id: named.sessionId } });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Logout failed' });
+  }
+});
+
+// My active sessions, the current one flagged
+router.get('/sessions', signedIn, async (req, res) => {
+  try {
+    res.json(await listSessions(req.user.id, req.user.sessionId));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out everywhere; body = { keepCurrent?: true } to stay signed in here
+router.post('/sessions/revoke-all', signedIn, auditLog('SIGN_OUT_EVERYWHERE'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, {
+      reason: 'sign_out_everywhere',
+      except: req.body.keepCurrent === true ? req.user.sessionId : undefined,
+      by: req.user
     });
+    res.json({ message: 'Signed out everywhere', revoked: revoked.length });
+  } catch (error) {
+    console.error('Sign out everywhere error:', error);
+    res.status(500).json({ message: 'Failed to sign out everywhere' });
+  }
+});
 
-    res.json({ message: 'Password changed successfully' });
+// Sign out one of my devices
+router.delete('/sessions/:id', signedIn, auditLog('REVOKE_SESSION'), async (req, res) => {
+  try {
+    const mine = await listSessions(req.user.id, req.user.sessionId);
+    if (!mine.some(session => session.id === req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    await revokeSession(req.params.id, 'revoked_by_user', req.user);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Failed to revoke session' });
+  }
+});
 
+// Sign a user out of every device, e.g. a lost phone or a leaver
+router.post('/users/:id/sessions/revoke', signedIn, requirePermission('security.sessions.revoke'), auditLog('REVOKE_USER_SESSIONS'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id, { reason: 'revoked_by_admin', by: req.user });
+    res.json({ message: 'User signed out everywhere', revoked: revoked.length });
   } catch (error) {
-    console.error('Password change error:', error);
-    res.status(500).json({ message: 'Password change failed' });
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: 'Failed to revoke sessions' });
+  }
+});
+
+// Locked accounts and addresses, and those with recent failed sign-ins
+router.get('/lockouts', signedIn, requirePermission('security.lockouts.manage'), async (req, res) => {
+  try {
+    res.json(await listLockouts());
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ message: 'Failed to fetch lockouts' });
+  }
+});
+
+router.post('/users/:id/unlock', signedIn, requirePermission('security.lockouts.manage'), auditLog('ACCOUNT_UNLOCKED'), async (req, res) => {
+  try {
+    res.json({ message: 'Account unlocked', user: await unlockAccount(req.params.id) });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    sendGuardError(res, error, 'Failed to unlock account');
+  }
+});
+
+router.delete('/lockouts/ips/:ip', signedIn, requirePermission('security.lockouts.manage'), auditLog('IP_UNLOCKED'), async (req, res) => {
+  try {
+    res.json({ message: 'Address unlocked', ...(await unlockIp(req.params.ip)) });
+  } catch (error) {
+    console.error('Unlock address error:', error);
+    res.status(500).json({ message: 'Failed to unlock address' });
   }
 });
 
-// Logout
-router.post('/logout', (req, res) => {
-  // In a production environment, you might want to blacklist the token
-  res.json({ message: 'Logged out successfully' });
+// What I may do, so the frontend can hide what I can't
+router.get('/me/permissions', signedIn, async (req, res) => {
+  try {
+    const permissions = req.user.role === 'admin' ? Object.keys(PERMISSIONS).sort() : await permissionsFor(req.user);
+    res.json({ role: req.user.role, permissions });
+  } catch (error) {
+    console.error('Get my permissions error:', error);
+    res.status(500).json({ message: 'Failed to fetch permissions' });
+  }
+});
+
+// Every permission a role can hold, with what it allows
+router.get('/permissions', signedIn, requirePermission('roles.manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+router.get('/roles', signedIn, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    res.json(await listRoles());
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Failed to fetch roles' });
+  }
+});
+
+router.get('/roles/:name', signedIn, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await getRole(req.params.name);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.json(role);
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({ message: 'Failed to fetch role' });
+  }
+});
+
+// Create a role or replace its permissions; body = { permissions: [...], description? }
+router.put('/roles/:name', signedIn, requirePermission('roles.manage'), auditLog('UPDATE_ROLE'), async (req, res) => {
+  try {
+    res.json(await saveRole(req.params.name, req.body, req.user));
+  } catch (error) {
+    console.error('Save role error:', error);
+    sendPermissionError(res, error, 'Failed to save role');
+  }
+});
+
+// Delete a custom role, or restore a built-in role's default permissions
+router.delete('/roles/:name', signedIn, requirePermission('roles.manage'), auditLog('DELETE_ROLE'), async (req, res) => {
+  try {
+    const restored = await deleteRole(req.params.name);
+    res.json(restored ? { message: 'Role restored to its defaults', role: restored } : { message: 'Role deleted' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    sendPermissionError(res, error, 'Failed to delete role');
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,6 +1,19 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles, auditLog } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { DocumentError, renderDocument, sendPdf } = require('../services/documents');
+const { SupplierError, resolveSupplier, billTerms } = require('../services/suppliers');
+const { createProductResolver, productLinkFields, ProductError } = require('../services/products');
+const {
+  BillMatchError,
+  recordMatch,
+  parseMatchDetails,
+  approvalFields,
+  getExceptions
+} = require('../services/bill-matching');
+const { syncPosting } = require('../services/journal-postings');
 
 const router = express.Router();
 
@@ -94,21 +107,24 @@ router.get('/list', authenticateToken, async (req, res) => {
 });
 
 // Bulk operations
-router.post('/bulk-approve', authenticateToken, auditLog('BULK_APPROVE_BILLS'), async (req, res) => {
+router.post('/bulk-approve', authenticateToken, requirePermission('bills.approve'), auditLog('BULK_APPROVE_BILLS'), requireOpenPeriod(TABLES.BILLS, { ids: req => req.body.billIds, label: 'Bill' }), async (req, res) => {
   try {
     const { billIds } = req.body;
     const results = [];
     
+    // Bills that fail the three-way match are left for one-by-one approval
     for (const billId of billIds) {
       try {
+        await approvalFields(billId, req.user);
         const updatedBill = await airtableHelpers.update(TABLES.BILLS, billId, {
           status: 'approved',
           approved_at: new Date().toISOString(),
           approved_by: [req.user.id]
         });
+        await syncPosting('bill', billId, req.user);
         results.push({ billId, success: true, bill: updatedBill });
       } catch (error) {
-        results.push({ billId, success: false, error: error.message });
+        results.push({ billId, success: false, error: error.message, details: error.details });
       }
     }
     
@@ -120,7 +136,7 @@ router.post('/bulk-approve', authenticateToken, auditLog('BULK_APPROVE_BILLS'),
 });
 
 // Get all bills
-router.get('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('bills.view'), async (req, res) => {
   try {
     const { status, startDate, endDate, vendorId } = req.query;
     
@@ -174,10 +190,21 @@ router.get('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']),
   }
 });
 
+// Bills held because they do not match their order and receipts
+router.get('/exceptions', authenticateToken, requirePermission('bills.view'), async (req, res) => {
+  try {
+    res.json(await getExceptions());
+  } catch (error) {
+    console.error('Get bill exceptions error:', error);
+    res.status(500).json({ message: 'Failed to fetch bill exceptions' });
+  }
+});
+
 // Create new bill
-router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('CREATE_BILL'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('bills.create'), auditLog('CREATE_BILL'), requireOpenPeriod(TABLES.BILLS, { label: 'Bill' }), async (req, res) => {
   try {
     const {
+      vendor_id,
       vendor_name,
       bill_number,
       bill_date,
@@ -192,12 +219,16 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
       payment_terms
     } = req.body;
 
-    if (!vendor_name || !bill_number || !bill_date || !total_amount) {
+    if ((!vendor_id && !vendor_name) || !bill_number || !bill_date || !total_amount) {
       return res.status(400).json({ 
-        message: 'Vendor name, bill number, bill date, and total amount are required' 
+        message: 'Vendor, bill number, bill date, and total amount are required' 
       });
     }
 
+    // Due date and terms default to the supplier's payment terms
+    const { supplier, name: vendorName } = await resolveSupplier({ id: vendor_id, name: vendor_name });
+    const terms = billTerms(supplier, bill_date);
+
     // Check for duplicate bill number
     const existingBill = await airtableHelpers.find(
       TABLES.BILLS,
@@ -210,10 +241,11 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
 
     // Create bill record
     const billData = {
-      vendor_name,
+      vendor_id: supplier ? [supplier.id] : undefined,
+      vendor_name: vendorName,
       bill_number,
       bill_date,
-      due_date: due_date || bill_date,
+      due_date: due_date || (supplier ? terms.due_date : bill_date),
       purchase_order_id: purchase_order_id ? [purchase_order_id] : null,
       receive_id: receive_id ? [receive_id] : null,
       subtotal: Number(subtotal) || 0,
@@ -223,23 +255,32 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
       balance_due: Number(total_amount),
       status: 'draft',
       payment_status: 'unpaid',
-      payment_terms: payment_terms || 'Net 30',
+      payment_terms: payment_terms || terms.payment_terms,
       notes: notes || '',
       created_by: [req.user.id],
       created_at: new Date().toISOString()
     };
 
+    // Link lines to the catalogue so they can be matched to the order
+    const resolveProduct = createProductResolver({ userId: req.user.id });
+    const lineProducts = [];
+    for (const item of line_items || []) {
+      lineProducts.push(await resolveProduct({ ...item, product_name: item.product_name || item.description }, { allowInactive: true }));
+    }
+
     const bill = await airtableHelpers.create(TABLES.BILLS, billData);
 
     // Create bill line items if provided
     const billItems = [];
     if (line_items && line_items.length > 0) {
-      for (const item of line_items) {
-        if (!item.description || !item.amount) continue;
+      for (const [index, item] of line_items.entries()) {
+        const description = item.description || item.product_name;
+        if (!description || !item.amount) continue;
 
         const billItem = await airtableHelpers.create(TABLES.BILL_ITEMS, {
           bill_id: [bill.id],
-          description: item.description,
+          ...productLinkFields(lineProducts[index]),
+          description,
           quantity: Number(item.quantity) || 1,
           unit_price: Number(item.unit_price) || 0,
           amount: Number(item.amount),
@@ -259,12 +300,19 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
       });
     }
 
+    // Bills against an order are matched straight away so exceptions show early
+    const match = purchase_order_id ? await recordMatch(bill.id) : null;
+
     res.status(201).json({
       message: 'Bill created successfully',
-      bill: { ...bill, line_items: billItems }
+      bill: { ...(match ? match.bill : bill), line_items: billItems },
+      match: match ? { status: match.status, lines: match.lines, issues: match.issues } : null
     });
   } catch (error) {
     console.error('Create bill error:', error);
+    if (error instanceof SupplierError || error instanceof ProductError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ 
       message: 'Failed to create bill',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
@@ -273,7 +321,7 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
 });
 
 // Get bill by ID
-router.get('/:billId', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.get('/:billId', authenticateToken, requirePermission('bills.view'), async (req, res) => {
   try {
     const { billId } = req.params;
     
@@ -305,6 +353,7 @@ router.get('/:billId', authenticateToken, authorizeRoles(['admin', 'manager', 'b
 
     res.json({
       ...bill,
+      match_details: parseMatchDetails(bill),
       line_items: lineItems,
       payments,
       order_details: order,
@@ -320,11 +369,39 @@ router.get('/:billId', authenticateToken, authorizeRoles(['admin', 'manager', 'b
   }
 });
 
-// Update bill status
-router.put('/:billId/status', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('UPDATE_BILL_STATUS'), async (req, res) => {
+// Bill PDF
+router.get('/:billId/bill.pdf', authenticateToken, requirePermission('bills.view'), rateLimiter('exports'), async (req, res) => {
+  try {
+    sendPdf(req, res, await renderDocument('bill', req.params.billId));
+  } catch (error) {
+    console.error('Bill PDF error:', error);
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to render bill' });
+  }
+});
+
+// Re-run the three-way match, e.g. after more goods were received
+router.post('/:billId/match', authenticateToken, requirePermission('bills.match'), async (req, res) => {
+  try {
+    const { status, lines, issues, tolerances } = await recordMatch(req.params.billId);
+    res.json({ status, lines, issues, tolerances });
+  } catch (error) {
+    console.error('Match bill error:', error);
+    if (error instanceof BillMatchError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to match bill' });
+  }
+});
+
+// Update bill status. Approving a bill that fails the three-way match needs
+// { override: true, override_reason } from a boss or admin
+router.put('/:billId/status', authenticateToken, requirePermission('bills.approve'), auditLog('UPDATE_BILL_STATUS'), requireOpenPeriod(TABLES.BILLS, { param: 'billId', label: 'Bill' }), async (req, res) => {
   try {
     const { billId } = req.params;
-    const { status, notes } = req.body;
+    const { status, notes, override, override_reason } = req.body;
 
     const validStatuses = ['draft', 'sent', 'approved', 'paid', 'overdue', 'cancelled'];
     if (!validStatuses.includes(status)) {
@@ -338,10 +415,15 @@ router.put('/:billId/status', authenticateToken, authorizeRoles(['admin', 'manag
     };
 
     if (notes) updateData.notes = notes;
-    if (status === 'approved') updateData.approved_at = new Date().toISOString();
+    if (status === 'approved') {
+      const { fields } = await approvalFields(billId, req.user, { override, reason: override_reason });
+      Object.assign(updateData, fields, { approved_at: new Date().toISOString(), approved_by: [req.user.id] });
+    }
     if (status === 'sent') updateData.sent_at = new Date().toISOString();
 
     const updatedBill = await airtableHelpers.update(TABLES.BILLS, billId, updateData);
+    // Approving posts the bill; cancelling reverses it
+    await syncPosting('bill', billId, req.user);
 
     res.json({
       message: `Bill ${status} successfully`,
@@ -349,12 +431,15 @@ router.put('/:billId/status', authenticateToken, authorizeRoles(['admin', 'manag
     });
   } catch (error) {
     console.error('Update bill status error:', error);
+    if (error instanceof BillMatchError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to update bill status' });
   }
 });
 
 // Record payment against bill
-router.post('/:billId/payment', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('RECORD_BILL_PAYMENT'), async (req, res) => {
+router.post('/:billId/payment', authenticateToken, requirePermission('bills.pay'), auditLog('RECORD_BILL_PAYMENT'), requireOpenPeriod(TABLES.PAYMENTS_MADE, { label: 'Payment' }), async (req, res) => {
   try {
     const { billId } = req.params;
     const { amount, payment_date, payment_method, reference_number, notes } = req.body;
@@ -377,6 +462,7 @@ router.post('/:billId/payment', authenticateToken, authorizeRoles(['admin', 'man
     // Create payment record
     const payment = await airtableHelpers.create(TABLES.PAYMENTS_MADE, {
       bill_id: [billId],
+      vendor_id: bill.vendor_id,
       vendor_name: bill.vendor_name,
       amount: Number(amount),
       payment_date: payment_date || new Date().toISOString().split('T')[0],
@@ -406,6 +492,7 @@ router.post('/:billId/payment', authenticateToken, authorizeRoles(['admin', 'man
       last_payment_date: payment_date || new Date().toISOString().split('T')[0],
       updated_at: new Date().toISOString()
     });
+    await syncPosting('payment_made', payment.id, req.user);
 
     res.json({
       message: 'Payment recorded successfully',
@@ -423,7 +510,7 @@ router.post('/:billId/payment', authenticateToken, authorizeRoles(['admin', 'man
 });
 
 // Delete bill
-router.delete('/:billId', authenticateToken, authorizeRoles(['admin', 'boss']), auditLog('DELETE_BILL'), async (req, res) => {
+router.delete('/:billId', authenticateToken, requirePermission('bills.delete'), auditLog('DELETE_BILL'), requireOpenPeriod(TABLES.BILLS, { param: 'billId', label: 'Bill' }), async (req, res) => {
   try {
     const { billId } = req.params;
 
@@ -439,6 +526,7 @@ router.delete('/:billId', authenticateToken, authorizeRoles(['admin', 'boss']),
 
     // Delete bill
     await airtableHelpers.delete(TABLES.BILLS, billId);
+    await syncPosting('bill', billId, req.user);
 
     res.json({ message: 'Bill deleted successfully' });
   } catch (error) {
@@ -1,5 +1,8 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
+const { valueInventory } = require('../services/costing');
+const { EXPORT_FORMATS, reportTable, streamReport } = require('../services/report-export');
+const { rateLimiter } = require('../middleware/rate-limit');
 
 const router = express.Router();
 
@@ -120,57 +123,139 @@ router.get('/expenses/branch/:branchId', async (req, res) => {
   }
 });
 
-// Get ROT (Return on Turnover) analysis
-router.get('/rot-analysis', async (req, res) => {
+// Sale lines with their revenue and cost of goods sold. Lines sold before
+// costing was introduced fall back to the product's default cost, or the
+// latest order price for that product, and are flagged as estimated.
+const getCostedSaleLines = async ({ startDate, endDate, branchId } = {}) => {
+  const [sales, saleItems, products, orderItems] = await Promise.all([
+    airtableHelpers.find(TABLES.SALES),
+    airtableHelpers.find(TABLES.SALE_ITEMS),
+    airtableHelpers.find(TABLES.PRODUCTS),
+    airtableHelpers.find(TABLES.ORDER_ITEMS)
+  ]);
+
+  const saleMap = new Map(sales.map(sale => [sale.id, sale]));
+  const productMap = new Map(products.map(product => [product.id, product]));
+  const lastOrderPrice = new Map();
+  orderItems.forEach(item => {
+    if (item.product_id && item.purchase_price_per_unit) {
+      lastOrderPrice.set(item.product_id, item.purchase_price_per_unit);
+    }
+  });
+
+  return saleItems
+    .map(item => {
+      const sale = saleMap.get(item.sale_id?.[0]);
+      const quantity = Number(item.quantity_sold) || 0;
+      const revenue = item.subtotal !== undefined ? Number(item.subtotal) : quantity * (Number(item.unit_price) || 0);
+      const hasCost = item.cost_of_goods_sold !== undefined;
+      const estimatedUnitCost = Number(productMap.get(item.product_id)?.default_cost) || Number(lastOrderPrice.get(item.product_id)) || 0;
+
+      return {
+        sale_id: sale?.id,
+        sale_date: sale?.sale_date,
+        branch_id: sale?.branch_id?.[0],
+        product_id: item.product_id,
+        product_name: item.product_name,
+        quantity,
+        revenue,
+        cost_of_goods_sold: hasCost ? Number(item.cost_of_goods_sold) : quantity * estimatedUnitCost,
+        cost_estimated: !hasCost || !!item.cost_estimated
+      };
+    })
+    .filter(line => line.sale_id)
+    .filter(line => !branchId || line.branch_id === branchId)
+    .filter(line => !startDate || line.sale_date >= startDate)
+    .filter(line => !endDate || line.sale_date <= endDate);
+};
+
+// Sum costed sale lines into revenue, COGS and gross margin per key
+const summariseMargins = (lines, keyOf, labelOf) => {
+  const groups = {};
+  lines.forEach(line => {
+    const key = keyOf(line);
+    if (!groups[key]) {
+      groups[key] = {
+        ...labelOf(line),
+        total_quantity_sold: 0,
+        total_revenue: 0,
+        total_cost: 0,
+        gross_profit: 0,
+        gross_margin_percentage: 0,
+        estimated_cost_lines: 0
+      };
+    }
+    const group = groups[key];
+    group.total_quantity_sold += line.quantity;
+    group.total_revenue += line.revenue;
+    group.total_cost += line.cost_of_goods_sold;
+    if (line.cost_estimated) group.estimated_cost_lines++;
+  });
+
+  return Object.values(groups).map(group => {
+    group.gross_profit = group.total_revenue - group.total_cost;
+    group.gross_margin_percentage = group.total_revenue > 0 ? (group.gross_profit / group.total_revenue) * 100 : 0;
+    return group;
+  });
+};
+
+// Gross margin from recorded cost of goods sold, by product and by branch
+router.get('/gross-margin', async (req, res) => {
   try {
-    const { period = 'monthly', startDate, endDate } = req.query;
-
-    // Get all sales items
-    const salesItems = await airtableHelpers.find(TABLES.SALE_ITEMS);
-    
-    // Get all order items to get purchase prices
-    const orderItems = await airtableHelpers.find(TABLES.ORDER_ITEMS);
+    const { startDate, endDate, branchId } = req.query;
+    const lines = await getCostedSaleLines({ startDate, endDate, branchId });
+
+    const byProduct = summariseMargins(
+      lines,
+      line => line.product_id || line.product_name,
+      line => ({ product_id: line.product_id, product_name: line.product_name })
+    ).sort((a, b) => b.gross_profit - a.gross_profit);
+    const byBranch = summariseMargins(
+      lines,
+      line => line.branch_id,
+      line => ({ branch_id: line.branch_id })
+    );
 
-    // Calculate ROT for each product
-    const productROT = {};
+    const totalRevenue = lines.reduce((sum, line) => sum + line.revenue, 0);
+    const totalCost = lines.reduce((sum, line) => sum + line.cost_of_goods_sold, 0);
 
-    salesItems.forEach(saleItem => {
-      const productId = saleItem.product_id;
-      
-      if (!productROT[productId]) {
-        productROT[productId] = {
-          product_name: saleItem.product_name,
-          total_quantity_sold: 0,
-          total_revenue: 0,
-          total_cost: 0,
-          gross_profit: 0,
-          rot_percentage: 0
-        };
+    res.json({
+      byProduct,
+      byBranch,
+      summary: {
+        totalRevenue,
+        totalCostOfGoodsSold: totalCost,
+        grossProfit: totalRevenue - totalCost,
+        grossMarginPercentage: totalRevenue > 0 ? ((totalRevenue - totalCost) / totalRevenue) * 100 : 0,
+        estimatedCostLines: lines.filter(line => line.cost_estimated).length
       }
+    });
+  } catch (error) {
+    console.error('Get gross margin error:', error);
+    res.status(500).json({ message: 'Failed to fetch gross margin' });
+  }
+});
 
-      // Find purchase price from order items
-      const orderItem = orderItems.find(oi => 
-        oi.product_name === saleItem.product_name
-      );
-      const purchasePrice = orderItem?.purchase_price_per_unit || 0;
+// Get ROT (Return on Turnover) analysis
+router.get('/rot-analysis', async (req, res) => {
+  try {
+    const { period = 'monthly', startDate, endDate } = req.query;
 
-      productROT[productId].total_quantity_sold += saleItem.quantity_sold;
-      productROT[productId].total_revenue += saleItem.subtotal;
-      productROT[productId].total_cost += (saleItem.quantity_sold * purchasePrice);
-    });
+    // Sale lines costed with the cost of goods sold recorded at sale time
+    const lines = await getCostedSaleLines({ startDate, endDate });
 
-    // Calculate ROT percentages
-    Object.keys(productROT).forEach(productId => {
-      const product = productROT[productId];
-      product.gross_profit = product.total_revenue - product.total_cost;
-      
-      if (product.total_cost > 0) {
-        product.rot_percentage = (product.gross_profit / product.total_cost) * 100;
-      }
-    });
+    // Calculate ROT for each product
+    const productROT = summariseMargins(
+      lines,
+      line => line.product_id || line.product_name,
+      line => ({ product_id: line.product_id, product_name: line.product_name })
+    ).map(product => ({
+      ...product,
+      rot_percentage: product.total_cost > 0 ? (product.gross_profit / product.total_cost) * 100 : 0
+    }));
 
     // Sort by ROT percentage
-    const sortedProducts = Object.values(productROT)
+    const sortedProducts = productROT
       .sort((a, b) => b.rot_percentage - a.rot_percentage);
 
     // Get branch-wise ROT
@@ -182,7 +267,9 @@ router.get('/rot-analysis', async (req, res) => {
           `{branch_id} = "${branch.id}"`
         );
         
-        const branchRevenue = branchSales.reduce((sum, sale) => sum + sale.total_amount, 0);
+        const branchRevenue = branchSales
+          .filter(sale => (!startDate || sale.sale_date >= startDate) && (!endDate || sale.sale_date <= endDate))
+          .reduce((sum, sale) => sum + sale.total_amount, 0);
         
         // Get branch expenses
         const branchExpenses = await airtableHelpers.find(
@@ -190,12 +277,18 @@ router.get('/rot-analysis', async (req, res) => {
           `{branch_id} = "${branch.id}"`
         );
         
-        const branchCosts = branchExpenses.reduce((sum, exp) => sum + exp.amount, 0);
+        const branchExpenseTotal = branchExpenses.reduce((sum, exp) => sum + exp.amount, 0);
+        const branchCogs = lines
+          .filter(line => line.branch_id === branch.id)
+          .reduce((sum, line) => sum + line.cost_of_goods_sold, 0);
+        const branchCosts = branchCogs + branchExpenseTotal;
         
         return {
           branch_id: branch.id,
           branch_name: branch.branch_name,
           revenue: branchRevenue,
+          cost_of_goods_sold: branchCogs,
+          expenses: branchExpenseTotal,
           costs: branchCosts,
           profit: branchRevenue - branchCosts,
           rot_percentage: branchCosts > 0 ? ((branchRevenue - branchCosts) / branchCosts) * 100 : 0
@@ -219,88 +312,104 @@ router.get('/rot-analysis', async (req, res) => {
   }
 });
 
+// Build the data behind a report; returns null for an unknown type
+const buildReport = async (type, { startDate, endDate, branchId } = {}) => {
+  switch (type) {
+    case 'sales':
+      let salesFilter = '';
+      if (branchId) salesFilter += `{branch_id} = "${branchId}"`;
+      if (startDate && endDate) {
+        const dateFilter = `IS_AFTER({sale_date}, "${startDate}") AND IS_BEFORE({sale_date}, "${endDate}")`;
+        salesFilter = salesFilter ? `AND(${salesFilter}, ${dateFilter})` : dateFilter;
+      }
+
+      const sales = await airtableHelpers.find(TABLES.SALES, salesFilter);
+      return {
+        totalSales: sales.length,
+        totalRevenue: sales.reduce((sum, sale) => sum + sale.total_amount, 0),
+        averageSale: sales.length > 0 ? sales.reduce((sum, sale) => sum + sale.total_amount, 0) / sales.length : 0,
+        paymentMethods: {
+          cash: sales.filter(s => s.payment_method === 'cash').length,
+          card: sales.filter(s => s.payment_method === 'card').length,
+          mpesa: sales.filter(s => s.payment_method === 'mpesa').length,
+          credit: sales.filter(s => s.payment_method === 'credit').length,
+          split: sales.filter(s => s.payment_method === 'split').length
+        },
+        sales: sales
+      };
+
+    case 'inventory':
+      let stockFilter = '';
+      if (branchId) stockFilter = `{branch_id} = "${branchId}"`;
+
+      const stock = await airtableHelpers.find(TABLES.STOCK, stockFilter);
+      const valuation = await valueInventory({ branchId });
+      return {
+        totalProducts: stock.length,
+        totalValue: valuation.totals.inventory_value,
+        totalRetailValue: valuation.totals.retail_value,
+        lowStockItems: stock.filter(item => item.quantity_available <= item.reorder_level),
+        outOfStockItems: stock.filter(item => item.quantity_available === 0),
+        stock: stock,
+        valuation: valuation.rows
+      };
+
+    case 'financial':
+      let expenseFilter = '';
+      if (branchId) expenseFilter += `{branch_id} = "${branchId}"`;
+      if (startDate && endDate) {
+        const dateFilter = `IS_AFTER({expense_date}, "${startDate}") AND IS_BEFORE({expense_date}, "${endDate}")`;
+        expenseFilter = expenseFilter ? `AND(${expenseFilter}, ${dateFilter})` : dateFilter;
+      }
+
+      const expenses = await airtableHelpers.find(TABLES.EXPENSES, expenseFilter);
+      
+      let salesFilterFinancial = '';
+      if (branchId) salesFilterFinancial += `{branch_id} = "${branchId}"`;
+      if (startDate && endDate) {
+        const dateFilter = `IS_AFTER({sale_date}, "${startDate}") AND IS_BEFORE({sale_date}, "${endDate}")`;
+        salesFilterFinancial = salesFilterFinancial ? `AND(${salesFilterFinancial}, ${dateFilter})` : dateFilter;
+      }
+
+      const salesFinancial = await airtableHelpers.find(TABLES.SALES, salesFilterFinancial);
+      
+      const totalRevenue = salesFinancial.reduce((sum, sale) => sum + sale.total_amount, 0);
+      const totalExpenses = expenses.reduce((sum, exp) => sum + exp.amount, 0);
+      const saleIds = new Set(salesFinancial.map(sale => sale.id));
+      const costOfGoodsSold = (await getCostedSaleLines({ branchId }))
+        .filter(line => saleIds.has(line.sale_id))
+        .reduce((sum, line) => sum + line.cost_of_goods_sold, 0);
+      const grossProfit = totalRevenue - costOfGoodsSold;
+
+      return {
+        totalRevenue,
+        costOfGoodsSold,
+        grossProfit,
+        grossMargin: totalRevenue > 0 ? (grossProfit / totalRevenue) * 100 : 0,
+        totalExpenses,
+        netProfit: grossProfit - totalExpenses,
+        profitMargin: totalRevenue > 0 ? ((grossProfit - totalExpenses) / totalRevenue) * 100 : 0,
+        expensesByCategory: expenses.reduce((acc, exp) => {
+          acc[exp.category] = (acc[exp.category] || 0) + exp.amount;
+          return acc;
+        }, {}),
+        expenses,
+        sales: salesFinancial
+      };
+
+    default:
+      return null;
+  }
+};
+
 // Get comprehensive reports
 router.get('/reports', async (req, res) => {
   try {
     const { type, startDate, endDate, branchId } = req.query;
 
-    let reportData = {};
-
-    switch (type) {
-      case 'sales':
-        let salesFilter = '';
-        if (branchId) salesFilter += `{branch_id} = "${branchId}"`;
-        if (startDate && endDate) {
-          const dateFilter = `IS_AFTER({sale_date}, "${startDate}") AND IS_BEFORE({sale_date}, "${endDate}")`;
-          salesFilter = salesFilter ? `AND(${salesFilter}, ${dateFilter})` : dateFilter;
-        }
-
-        const sales = await airtableHelpers.find(TABLES.SALES, salesFilter);
-        reportData = {
-          totalSales: sales.length,
-          totalRevenue: sales.reduce((sum, sale) => sum + sale.total_amount, 0),
-          averageSale: sales.length > 0 ? sales.reduce((sum, sale) => sum + sale.total_amount, 0) / sales.length : 0,
-          paymentMethods: {
-            cash: sales.filter(s => s.payment_method === 'cash').length,
-            card: sales.filter(s => s.payment_method === 'card').length,
-            credit: sales.filter(s => s.payment_method === 'credit').length
-          },
-          sales: sales
-        };
-        break;
-
-      case 'inventory':
-        let stockFilter = '';
-        if (branchId) stockFilter = `{branch_id} = "${branchId}"`;
-
-        const stock = await airtableHelpers.find(TABLES.STOCK, stockFilter);
-        reportData = {
-          totalProducts: stock.length,
-          totalValue: stock.reduce((sum, item) => sum + (item.quantity_available * item.unit_price), 0),
-          lowStockItems: stock.filter(item => item.quantity_available <= item.reorder_level),
-          outOfStockItems: stock.filter(item => item.quantity_available === 0),
-          stock: stock
-        };
-        break;
-
-      case 'financial':
-        let expenseFilter = '';
-        if (branchId) expenseFilter += `{branch_id} = "${branchId}"`;
-        if (startDate && endDate) {
-          const dateFilter = `IS_AFTER({expense_date}, "${startDate}") AND IS_BEFORE({expense_date}, "${endDate}")`;
-          expenseFilter = expenseFilter ? `AND(${expenseFilter}, ${dateFilter})` : dateFilter;
-        }
-
-        const expenses = await airtableHelpers.find(TABLES.EXPENSES, expenseFilter);
-        
-        let salesFilterFinancial = '';
-        if (branchId) salesFilterFinancial += `{branch_id} = "${branchId}"`;
-        if (startDate && endDate) {
-          const dateFilter = `IS_AFTER({sale_date}, "${startDate}") AND IS_BEFORE({sale_date}, "${endDate}")`;
-          salesFilterFinancial = salesFilterFinancial ? `AND(${salesFilterFinancial}, ${dateFilter})` : dateFilter;
-        }
-
-        const salesFinancial = await airtableHelpers.find(TABLES.SALES, salesFilterFinancial);
-        
-        const totalRevenue = salesFinancial.reduce((sum, sale) => sum + sale.total_amount, 0);
-        const totalExpenses = expenses.reduce((sum, exp) => sum + exp.amount, 0);
-
-        reportData = {
-          totalRevenue,
-          totalExpenses,
-          netProfit: totalRevenue - totalExpenses,
-          profitMargin: totalRevenue > 0 ? ((totalRevenue - totalExpenses) / totalRevenue) * 100 : 0,
-          expensesByCategory: expenses.reduce((acc, exp) => {
-            acc[exp.category] = (acc[exp.category] || 0) + exp.amount;
-            return acc;
-          }, {}),
-          expenses,
-          sales: salesFinancial
-        };
-        break;
-
-      default:
-        return res.status(400).json({ message: 'Invalid report type' });
+    const reportData = await buildReport(type, { startDate, endDate, branchId });
+    if (!reportData) {
+      return res.status(400).json({ message: 'Invalid report type' });
     }
 
     res.json(reportData);
@@ -310,23 +419,39 @@ router.get('/reports', async (req, res) => {
   }
 });
 
-// Export report (placeholder - would generate PDF/Excel)
-router.get('/reports/export/:type', async (req, res) => {
+// Export a report as CSV, XLSX or PDF, e.g. /reports/export/sales?format=xlsx&startDate=...&endDate=...&branchId=...
+router.get('/reports/export/:type', rateLimiter('exports'), async (req, res) => {
   try {
     const { type } = req.params;
-    const { format = 'pdf', ...queryParams } = req.query;
+    const { format = 'pdf', startDate, endDate, branchId } = req.query;
 
-    // This would integrate with PDF/Excel generation libraries
-    // For now, return the data that would be exported
-    const reportData = await router.get('/reports', { query: { type, ...queryParams } });
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
 
-    res.json({
-      message: `${type} report exported as ${format}`,
-      exportUrl: `/exports/${type}_${Date.now()}.${format}`,
-      data: reportData
+    const reportData = await buildReport(type, { startDate, endDate, branchId });
+    if (!reportData) {
+      return res.status(400).json({ message: 'Invalid report type' });
+    }
+
+    const branches = await airtableHelpers.find(TABLES.BRANCHES);
+    const branch = branches.find(b => b.id === branchId);
+    const filters = [
+      ['Branch', branchId ? (branch ? branch.branch_name : branchId) : 'All branches'],
+      ['Period', startDate && endDate ? `${startDate} to ${endDate}` : 'All dates'],
+      ['Generated', `${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC by ${req.user.fullName || req.user.email}`]
+    ];
+
+    await streamReport(res, format, reportTable(type, reportData, branches), {
+      filters,
+      fileName: `${type}-report-${new Date().toISOString().split('T')[0]}`
     });
   } catch (error) {
     console.error('Export report error:', error);
+    // Once streaming has started the only option left is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ message: 'Failed to export report' });
   }
 });
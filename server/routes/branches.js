@@ -1,21 +1,21 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authorizeRoles, authenticateToken } = require('../middleware/auth');
+const { requirePermission, authenticateToken } = require('../middleware/auth');
+const { withoutMfaSecrets } = require('../services/mfa');
+const { withoutPasswordSecrets } = require('../services/passwords');
+const { hasPermission } = require('../services/permissions');
+const { requestTransfer, TransferError } = require('../services/transfers');
 
 const router = express.Router();
 
+// The branch the signed-in user works at
+const ownBranch = (req) => (Array.isArray(req.user.branch_id) ? req.user.branch_id[0] : req.user.branch_id);
+
 // Get all branches (public for home page)
 router.get('/public', async (req, res) => {
   try {
-    const Airtable = require('airtable');
-    Airtable.configure({
-      apiKey: process.env.AIRTABLE_API_KEY,
-      requestTimeout: 60000
-    });
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    
     const records = await Promise.race([
-      base('Branches').select({ maxRecords: 10 }).firstPage(),
+      airtableHelpers.find(TABLES.BRANCHES).then(branches => branches.slice(0, 10)),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Query timeout')), 50000)
       )
@@ -23,12 +23,12 @@ router.get('/public', async (req, res) => {
     
     const publicBranches = records.map(record => ({
       id: record.id,
-      name: record.fields.branch_name || 'Branch',
-      address: record.fields.location_address || 'Address not available',
-      latitude: record.fields.latitude,
-      longitude: record.fields.longitude,
-      phone: record.fields.phone,
-      email: record.fields.email
+      name: record.branch_name || 'Branch',
+      address: record.location_address || 'Address not available',
+      latitude: record.latitude,
+      longitude: record.longitude,
+      phone: record.phone,
+      email: record.email
     }));
 
     res.json(publicBranches);
@@ -44,13 +44,13 @@ router.get('/', authenticateToken, async (req, res) => {
     let branches;
 
     try {
-      // Boss, Manager, and Admin can see all branches
-      if (['boss', 'manager', 'admin'].includes(req.user.role)) {
+      // Roles with branches.all (boss, manager and HR by default) see every branch
+      if (await hasPermission(req.user, 'branches.all')) {
         branches = await airtableHelpers.find(TABLES.BRANCHES);
       } else {
         // Other roles can only see their branch
         const allBranches = await airtableHelpers.find(TABLES.BRANCHES);
-        branches = allBranches.filter(branch => branch.id === req.user.branchId);
+        branches = allBranches.filter(branch => branch.id === ownBranch(req));
       }
     } catch (airtableError) {
       console.warn('Airtable connection failed, using mock branches data:', airtableError.message);
@@ -92,7 +92,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const { id } = req.params;
 
     // Check access permissions
-    if (!['boss', 'manager', 'admin'].includes(req.user.role) && req.user.branchId !== id) {
+    if (ownBranch(req) !== id && !(await hasPermission(req.user, 'branches.all'))) {
       return res.status(403).json({ message: 'Access denied to this branch' });
     }
 
@@ -120,7 +120,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new branch (Boss/Admin only)
-router.post('/', authenticateToken, authorizeRoles(['boss', 'admin']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('branches.create'), async (req, res) => {
   try {
     const {
       branch_name,
@@ -167,7 +167,7 @@ router.post('/', authenticateToken, authorizeRoles(['boss', 'admin']), async (re
 });
 
 // Update branch
-router.put('/:id', authenticateToken, authorizeRoles(['boss', 'manager', 'admin']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('branches.update'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -186,8 +186,8 @@ router.put('/:id', authenticateToken, authorizeRoles(['boss', 'manager', 'admin'
       return res.status(404).json({ message: 'Branch not found' });
     }
 
-    // Managers can only update their own branch
-    if (req.user.role === 'manager' && req.user.branchId !== id) {
+    // Without branches.update.any (managers, by default) only your own branch
+    if (ownBranch(req) !== id && !(await hasPermission(req.user, 'branches.update.any'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -221,7 +221,7 @@ router.put('/:id', authenticateToken, authorizeRoles(['boss', 'manager', 'admin'
 });
 
 // Delete branch (Boss/Admin only)
-router.delete('/:id', authenticateToken, authorizeRoles(['boss', 'admin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('branches.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -270,7 +270,7 @@ router.get('/:id/employees', authenticateToken, async (req, res) => {
       emp.branch_id && emp.branch_id.includes(id)
     );
     
-    res.json(employees);
+    res.json(employees.map(employee => withoutPasswordSecrets(withoutMfaSecrets(employee))));
   } catch (error) {
     console.error('Get branch employees error:', error);
     res.status(500).json({ message: 'Failed to fetch branch employees' });
@@ -406,8 +406,8 @@ router.get('/:id/analytics', authenticateToken, async (req, res) => {
   }
 });
 
-// Transfer stock between branches
-router.post('/:id/transfer-stock', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+// Request a stock transfer from this branch to another one
+router.post('/:id/transfer-stock', authenticateToken, requirePermission('stock.transfer'), async (req, res) => {
   try {
     const { id: fromBranchId } = req.params;
     const { toBranchId, items, reason } = req.body;
@@ -416,43 +416,29 @@ router.post('/:id/transfer-stock', authenticateToken, authorizeRoles(['manager',
       return res.status(400).json({ message: 'To branch ID and items are required' });
     }
     
-    const transferId = `TRF_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
-    const movements = [];
-    
-    for (const item of items) {
-      const { productName, quantity, unitCost } = item;
-      
-      if (!productName || !quantity || quantity <= 0) {
-        continue;
-      }
-      
-      const movement = await airtableHelpers.create(TABLES.STOCK_MOVEMENTS, {
-        transfer_id: transferId,
-        movement_type: 'transfer_out',
-        from_branch_id: [fromBranchId],
-        to_branch_id: [toBranchId],
-        product_name: productName,
-        quantity: parseInt(quantity),
-        unit_cost: parseFloat(unitCost) || 0,
-        total_cost: parseInt(quantity) * (parseFloat(unitCost) || 0),
-        reason: reason || 'Branch stock transfer',
-        status: 'pending',
-        requested_by: [req.user.id],
-        transfer_date: new Date().toISOString().split('T')[0],
-        created_at: new Date().toISOString()
-      });
-      
-      movements.push(movement);
-    }
+    const transfer = await requestTransfer({
+      fromBranchId,
+      toBranchId,
+      items: items.map(item => ({
+        product_id: item.productId,
+        product_name: item.productName,
+        quantity: item.quantity
+      })),
+      reason
+    }, req.user);
     
     res.json({
       success: true,
-      message: 'Stock transfer initiated successfully',
-      transferId,
-      movements: movements.length
+      message: 'Stock transfer requested successfully',
+      transferId: transfer.id,
+      transferNumber: transfer.transfer_number,
+      items: transfer.items.length
     });
   } catch (error) {
     console.error('Transfer stock error:', error);
+    if (error instanceof TransferError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to transfer stock' });
   }
 });
@@ -0,0 +1,157 @@
+const express = require('express');
+const { TABLES } = require('../config/airtable');
+const { requirePermission, auditLog } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const {
+  ReceivablesError,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  listCustomers,
+  availableCredit,
+  invoiceView,
+  customerInvoices,
+  recordPayment,
+  allocatePayment,
+  customerPayments,
+  getStatement,
+  getAgeing
+} = require('../services/receivables');
+const { syncPosting } = require('../services/journal-postings');
+const { hasPermission } = require('../services/permissions');
+
+const router = express.Router();
+
+const sendReceivablesError = (res, error, fallbackMessage) => {
+  if (error instanceof ReceivablesError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+// List customers, e.g. ?search=jane&branchId=...&active=true
+router.get('/', async (req, res) => {
+  try {
+    const { search, branchId, active } = req.query;
+    res.json(await listCustomers({ search, branchId, active }));
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({ message: 'Failed to fetch customers' });
+  }
+});
+
+// Credit limit, terms, hold and active flag can only be set by managers and above
+router.post('/', requirePermission('customers.manage'), auditLog('CREATE_CUSTOMER'), async (req, res) => {
+  try {
+    const customer = await createCustomer(req.body, req.user);
+    res.status(201).json(customer);
+  } catch (error) {
+    console.error('Create customer error:', error);
+    sendReceivablesError(res, error, 'Failed to create customer');
+  }
+});
+
+// AR ageing per branch, e.g. ?asOf=2026-06-30&branchId=...
+router.get('/ageing', requirePermission('receivables.view'), async (req, res) => {
+  try {
+    const { asOf, branchId } = req.query;
+    if (asOf && !isDate(asOf)) {
+      return res.status(400).json({ message: 'asOf must be YYYY-MM-DD' });
+    }
+    // Without receivables.all_branches (managers, by default) only your own branch
+    const scope = await hasPermission(req.user, 'receivables.all_branches') ? branchId : firstId(req.user.branch_id);
+    res.json(await getAgeing({ asOf: asOf || undefined, branchId: scope }));
+  } catch (error) {
+    console.error('Get AR ageing error:', error);
+    res.status(500).json({ message: 'Failed to build ageing report' });
+  }
+});
+
+// Apply what is left of an earlier payment; body = { allocations?: [{ sale_id, amount }] }
+router.post('/payments/:paymentId/allocate', requirePermission('receivables.allocate'), auditLog('ALLOCATE_CUSTOMER_PAYMENT'), requireOpenPeriod(TABLES.CUSTOMER_PAYMENTS, { param: 'paymentId', label: 'Payment' }), async (req, res) => {
+  try {
+    const result = await allocatePayment(req.params.paymentId, req.body.allocations, req.user);
+    res.json({ success: true, message: `${result.allocated} allocated`, ...result });
+  } catch (error) {
+    console.error('Allocate customer payment error:', error);
+    sendReceivablesError(res, error, 'Failed to allocate payment');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const customer = await getCustomer(req.params.id);
+    res.json({ ...customer, available_credit: availableCredit(customer) });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    sendReceivablesError(res, error, 'Failed to fetch customer');
+  }
+});
+
+router.put('/:id', requirePermission('customers.manage'), auditLog('UPDATE_CUSTOMER'), async (req, res) => {
+  try {
+    const customer = await updateCustomer(req.params.id, req.body, req.user);
+    res.json(customer);
+  } catch (error) {
+    console.error('Update customer error:', error);
+    sendReceivablesError(res, error, 'Failed to update customer');
+  }
+});
+
+// Credit sales on the customer's account, ?status=open for unpaid ones only
+router.get('/:id/invoices', async (req, res) => {
+  try {
+    await getCustomer(req.params.id);
+    const invoices = await customerInvoices(req.params.id, { openOnly: req.query.status === 'open' });
+    res.json(invoices.map(sale => invoiceView(sale)));
+  } catch (error) {
+    console.error('Get customer invoices error:', error);
+    sendReceivablesError(res, error, 'Failed to fetch invoices');
+  }
+});
+
+// Statement with running balance, e.g. ?from=2026-01-01&to=2026-03-31
+router.get('/:id/statement', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD' });
+    }
+    res.json(await getStatement(req.params.id, { from, to }));
+  } catch (error) {
+    console.error('Get customer statement error:', error);
+    sendReceivablesError(res, error, 'Failed to build statement');
+  }
+});
+
+router.get('/:id/payments', async (req, res) => {
+  try {
+    await getCustomer(req.params.id);
+    res.json(await customerPayments(req.params.id));
+  } catch (error) {
+    console.error('Get customer payments error:', error);
+    sendReceivablesError(res, error, 'Failed to fetch payments');
+  }
+});
+
+/**
+ * Receive a payment on account. Body: amount, payment_method, reference?,
+ * payment_date?, branch_id?, notes?, allocations?: [{ sale_id, amount }].
+ * Without allocations the oldest invoices are settled first.
+ */
+router.post('/:id/payments', auditLog('RECORD_CUSTOMER_PAYMENT'), requireOpenPeriod(TABLES.CUSTOMER_PAYMENTS, { label: 'Payment' }), async (req, res) => {
+  try {
+    const result = await recordPayment(req.params.id, req.body, req.user);
+    await syncPosting('customer_payment', result.payment.id, req.user);
+    res.status(201).json({ success: true, message: 'Payment recorded', ...result });
+  } catch (error) {
+    console.error('Record customer payment error:', error);
+    sendReceivablesError(res, error, 'Failed to record payment');
+  }
+});
+
+module.exports = router;
@@ -1,60 +1,12 @@
 const express = require('express');
-const { TABLES } = require('../config/airtable');
-
-// Direct Airtable helper functions
-const directAirtableHelpers = {
-  async find(tableName, filterFormula, sort) {
-    const Airtable = require('airtable');
-    Airtable.configure({
-      endpointUrl: 'https://api.airtable.com',
-      apiKey: process.env.AIRTABLE_API_KEY
-    });
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    
-    const selectOptions = {};
-    if (filterFormula && typeof filterFormula === 'string' && filterFormula.trim()) {
-      selectOptions.filterByFormula = filterFormula;
-    }
-    if (sort && Array.isArray(sort) && sort.length > 0) {
-      selectOptions.sort = sort;
-    }
-    
-    const records = await base(tableName).select(selectOptions).all();
-    return records.map(record => ({
-      id: record.id,
-      ...record.fields
-    }));
-  },
-  
-  async create(tableName, fields) {
-    const Airtable = require('airtable');
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    const records = await base(tableName).create([{ fields }]);
-    return { id: records[0].id, ...records[0].fields };
-  },
-  
-  async update(tableName, recordId, fields) {
-    const Airtable = require('airtable');
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    const records = await base(tableName).update([{ id: recordId, fields }]);
-    return { id: records[0].id, ...records[0].fields };
-  },
-  
-  async delete(tableName, recordId) {
-    const Airtable = require('airtable');
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    await base(tableName).destroy([recordId]);
-    return { id: recordId, deleted: true };
-  },
-  
-  async findById(tableName, recordId) {
-    const Airtable = require('airtable');
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-    const record = await base(tableName).find(recordId);
-    return { id: record.id, ...record.fields };
-  }
-};
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { DATED_TABLES, findClosedDate, recordDate, closedMessage } = require('../services/periods');
+const { MFA_SECRET_FIELDS, withoutMfaSecrets } = require('../services/mfa');
+const { PASSWORD_FIELDS, withoutPasswordSecrets } = require('../services/passwords');
+const { hasPermission } = require('../services/permissions');
+const { firstId } = require('../services/stock-ledger');
 
 const router = express.Router();
 
@@ -73,11 +25,15 @@ router.get('/:tableName', authenticateToken, async (req, res) => {
         available: validTables 
       });
     }
+    if (PRIVATE_TABLES.includes(tableName)) {
+      return sendPrivateTable(res);
+    }
 
-    // Apply branch filtering for non-boss users
+    // Users who can't see every branch only get their own branch's rows
     let filterFormula = filter || '';
-    if (req.user.role !== 'boss' && req.user.branchId) {
-      const branchFilter = `{branch_id} = '${req.user.branchId}'`;
+    const ownBranch = firstId(req.user.branch_id);
+    if (BRANCH_TABLES.includes(tableName) && ownBranch && !(await hasPermission(req.user, 'branches.all'))) {
+      const branchFilter = `FIND("${ownBranch}", ARRAYJOIN({branch_id}))`;
       filterFormula = filterFormula ? `AND(${filterFormula}, ${branchFilter})` : branchFilter;
     }
 
@@ -93,12 +49,16 @@ router.get('/:tableName', authenticateToken, async (req, res) => {
       console.warn('Invalid sort parameter:', sort);
       sortOptions = null;
     }
-    const records = await directAirtableHelpers.find(tableName, filterFormula, sortOptions);
+    const secretFields = secretQueryFields(tableName, filter, sortOptions);
+    if (secretFields.length) {
+      return res.status(400).json({ message: `Can't filter or sort on ${secretFields.join(', ')}`, fields: secretFields });
+    }
+    const records = await airtableHelpers.find(tableName, filterFormula, sortOptions);
     
     // Apply limit if specified
     const limitedRecords = limit ? records.slice(0, parseInt(limit)) : records;
     
-    res.json(limitedRecords);
+    res.json(limitedRecords.map(record => hideSecrets(tableName, record)));
   } catch (error) {
     console.error(`Error fetching ${req.params.tableName}:`, error);
     if (error.message.includes('NOT_FOUND') || error.message.includes('Table')) {
@@ -108,11 +68,105 @@ router.get('/:tableName', authenticateToken, async (req, res) => {
   }
 });
 
+// Employees' MFA and password fields only change through /api/auth and /api/hr
+const hideSecrets = (tableName, record) => (tableName === TABLES.EMPLOYEES ? withoutPasswordSecrets(withoutMfaSecrets(record)) : record);
+
+// Filtering or sorting on a hidden field would reveal it a guess at a time,
+// so queries can't name one. Formulas may name a field without braces, so
+// any mention counts.
+const secretQueryFields = (tableName, filter, sortOptions) => {
+  if (tableName !== TABLES.EMPLOYEES) return [];
+  const formula = String(filter || '').toLowerCase();
+  const sorted = (sortOptions || []).map(option => String(option?.field || '').toLowerCase());
+  return [...MFA_SECRET_FIELDS, ...PASSWORD_FIELDS]
+    .filter(field => formula.includes(field) || sorted.includes(field));
+};
+
+const dropAuthFields = (tableName, data) => {
+  if (tableName !== TABLES.EMPLOYEES || !data) return data;
+  const copy = { ...data };
+  [...MFA_SECRET_FIELDS, 'mfa_enabled', ...PASSWORD_FIELDS, 'password'].forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Tables that hold who can do what: writing them here needs the table's
+// permission for the operation, and only the listed fields can be set. An
+// employee's role, branch and sign-in lockout change through /api/hr and
+// /api/auth, which check who is asking.
+const RESTRICTED_TABLES = {
+  [TABLES.EMPLOYEES]: {
+    permissions: { create: 'employees.create', update: 'employees.update', delete: 'employees.delete' },
+    fields: ['full_name', 'email', 'phone', 'hire_date', 'salary', 'driver_license', 'vehicle_assigned', 'is_active']
+  }
+};
+
+// Why this user may not make this write, or null
+const restrictedWrite = async (tableName, operation, user, records = []) => {
+  const rule = RESTRICTED_TABLES[tableName];
+  if (!rule) return null;
+  const permission = rule.permissions[operation];
+  if (!permission || !(await hasPermission(user, permission))) {
+    return { message: 'Insufficient permissions to write this table', required: permission };
+  }
+  const fields = [...new Set(records.flatMap(record => Object.keys(record || {})))]
+    .filter(field => !rule.fields.includes(field));
+  return fields.length ? { message: `${fields.join(', ')} can't be written through the data API`, fields } : null;
+};
+
+const sendRestrictedWrite = (res, problem) => res.status(403).json(problem);
+
+// Tables whose rows belong to one branch
+const BRANCH_TABLES = [TABLES.STOCK, TABLES.SALES, TABLES.EXPENSES, TABLES.EMPLOYEES];
+
+// Sessions, MFA challenges, sign-in failures, security settings, roles and
+// outgoing messages (reset links) are never served here
+const PRIVATE_TABLES = [TABLES.SECURITY_SETTINGS, TABLES.SESSIONS, TABLES.MFA_CHALLENGES, TABLES.LOGIN_FAILURES, TABLES.NOTIFICATION_OUTBOX, TABLES.ROLES, TABLES.WRITE_CLAIMS];
+
+const sendPrivateTable = (res) => res.status(403).json({ message: 'This table is not available through the data API' });
+
+// Dated financial records in a closed accounting period are locked here too:
+// the closed period (if any) holding the given records or dates
+const closedPeriodConflict = async (tableName, recordIds = [], dates = []) => {
+  if (!DATED_TABLES[tableName]) return null;
+  const existing = [];
+  for (const id of recordIds) {
+    const record = await airtableHelpers.findById(tableName, id).catch(() => null);
+    if (record) existing.push(recordDate(tableName, record));
+  }
+  return findClosedDate([...existing, ...dates]);
+};
+
+const sendClosedPeriod = (res, closed) =>
+  res.status(409).json({ message: closedMessage('Record', closed.date, closed.period), period: closed.period });
+
+// Periods only change through the accounting routes, which keep their history
+const isPeriodTable = (tableName) => tableName === TABLES.ACCOUNTING_PERIODS;
+
+// Stock quantities only change through the stock ledger, so its entries and
+// the quantity fields it keeps on Stock rows can't be written here
+const LEDGER_TABLES = [TABLES.STOCK_MOVEMENTS, TABLES.COST_LAYERS];
+const LEDGER_STOCK_FIELDS = ['quantity_available', 'version', 'ledger_initialized', 'average_cost'];
+
+// Why this write would bypass the stock ledger, or null
+const ledgerBypass = (tableName, operation, records = []) => {
+  if (LEDGER_TABLES.includes(tableName)) {
+    return 'Stock movements are recorded by the stock routes and can\'t be written here';
+  }
+  if (tableName !== TABLES.STOCK) return null;
+  if (operation === 'delete') {
+    return 'Delete stock items under /api/stock so what is left is written off';
+  }
+  const fields = LEDGER_STOCK_FIELDS.filter(field => records.some(record => record && record[field] !== undefined));
+  return fields.length ? `${fields.join(', ')} only change through the stock ledger (/api/stock)` : null;
+};
+
+const sendLedgerBypass = (res, message) => res.status(403).json({ message });
+
 // Create new record
 router.post('/:tableName', authenticateToken, async (req, res) => {
   try {
     const { tableName } = req.params;
-    const data = req.body;
+    const data = dropAuthFields(tableName, req.body);
     
     console.log(`Creating ${tableName} with data:`, JSON.stringify(data, null, 2));
     console.log('User:', req.user);
@@ -123,6 +177,20 @@ router.post('/:tableName', authenticateToken, async (req, res) => {
     if (!validTables.includes(tableName)) {
       return res.status(400).json({ message: 'Invalid table name' });
     }
+    if (PRIVATE_TABLES.includes(tableName)) {
+      return sendPrivateTable(res);
+    }
+    if (isPeriodTable(tableName)) {
+      return res.status(403).json({ message: 'Accounting periods are managed under /api/accounting/periods' });
+    }
+    const bypass = ledgerBypass(tableName, 'create', [data]);
+    if (bypass) {
+      return sendLedgerBypass(res, bypass);
+    }
+    const restricted = await restrictedWrite(tableName, 'create', req.user, [data]);
+    if (restricted) {
+      return sendRestrictedWrite(res, restricted);
+    }
 
     // Clean data - remove undefined/null values and handle arrays properly
     const recordData = {};
@@ -146,24 +214,28 @@ router.post('/:tableName', authenticateToken, async (req, res) => {
       }
     }
 
-    // Admin-only tables for data submission
+    // Tables only written here with data.protected_tables.write (admin by default)
     const adminOnlyTables = [TABLES.STOCK, TABLES.SALES, TABLES.EXPENSES];
-    if (adminOnlyTables.includes(tableName) && req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Only admin users can create records in this table' });
+    if (adminOnlyTables.includes(tableName) && !(await hasPermission(req.user, 'data.protected_tables.write'))) {
+      return res.status(403).json({ message: 'Insufficient permissions to create records in this table', required: 'data.protected_tables.write' });
     }
 
     // Add branch_id for branch-specific tables
-    const branchSpecificTables = [TABLES.STOCK, TABLES.SALES, TABLES.EXPENSES, TABLES.EMPLOYEES];
-    if (branchSpecificTables.includes(tableName) && req.user?.branchId && !recordData.branch_id) {
-      recordData.branch_id = [req.user.branchId];
+    if (BRANCH_TABLES.includes(tableName) && firstId(req.user?.branch_id) && !recordData.branch_id) {
+      recordData.branch_id = [firstId(req.user.branch_id)];
+    }
+
+    const closed = await closedPeriodConflict(tableName, [], [recordData[DATED_TABLES[tableName]] || new Date().toISOString()]);
+    if (closed) {
+      return sendClosedPeriod(res, closed);
     }
 
     console.log(`Final record data for ${tableName}:`, JSON.stringify(recordData, null, 2));
     
     try {
-      const record = await directAirtableHelpers.create(tableName, recordData);
+      const record = await airtableHelpers.create(tableName, recordData);
       console.log(`Successfully created record in ${tableName}:`, record.id);
-      res.status(201).json(record);
+      res.status(201).json(hideSecrets(tableName, record));
     } catch (airtableError) {
       console.error(`Airtable creation error for ${tableName}:`, {
         message: airtableError.message,
@@ -187,7 +259,7 @@ router.post('/:tableName', authenticateToken, async (req, res) => {
 router.put('/:tableName/:recordId', authenticateToken, async (req, res) => {
   try {
     const { tableName, recordId } = req.params;
-    const data = req.body;
+    const data = dropAuthFields(tableName, req.body);
     
     // Validate table name
     const validTables = Object.values(TABLES);
@@ -195,10 +267,29 @@ router.put('/:tableName/:recordId', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Invalid table name' });
     }
 
-    // Admin-only tables for data modification
+    // Tables only written here with data.protected_tables.write (admin by default)
     const adminOnlyTables = [TABLES.STOCK, TABLES.SALES, TABLES.EXPENSES];
-    if (adminOnlyTables.includes(tableName) && req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Only admin users can modify records in this table' });
+    if (adminOnlyTables.includes(tableName) && !(await hasPermission(req.user, 'data.protected_tables.write'))) {
+      return res.status(403).json({ message: 'Insufficient permissions to modify records in this table', required: 'data.protected_tables.write' });
+    }
+    if (PRIVATE_TABLES.includes(tableName)) {
+      return sendPrivateTable(res);
+    }
+    if (isPeriodTable(tableName)) {
+      return res.status(403).json({ message: 'Accounting periods are managed under /api/accounting/periods' });
+    }
+    const bypass = ledgerBypass(tableName, 'update', [data]);
+    if (bypass) {
+      return sendLedgerBypass(res, bypass);
+    }
+    const restricted = await restrictedWrite(tableName, 'update', req.user, [data]);
+    if (restricted) {
+      return sendRestrictedWrite(res, restricted);
+    }
+
+    const closed = await closedPeriodConflict(tableName, [recordId], [data[DATED_TABLES[tableName]]]);
+    if (closed) {
+      return sendClosedPeriod(res, closed);
     }
 
     // Add audit fields only if they exist in the table
@@ -212,8 +303,8 @@ router.put('/:tableName/:recordId', authenticateToken, async (req, res) => {
       }
     }
 
-    const record = await directAirtableHelpers.update(tableName, recordId, updateData);
-    res.json(record);
+    const record = await airtableHelpers.update(tableName, recordId, updateData);
+    res.json(hideSecrets(tableName, record));
   } catch (error) {
     console.error(`Error updating ${req.params.tableName}:`, error);
     res.status(500).json({ message: 'Failed to update record', error: error.message });
@@ -231,13 +322,32 @@ router.delete('/:tableName/:recordId', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Invalid table name' });
     }
 
-    // Admin-only tables for data deletion
+    // Tables only written here with data.protected_tables.write (admin by default)
     const adminOnlyTables = [TABLES.STOCK, TABLES.SALES, TABLES.EXPENSES];
-    if (adminOnlyTables.includes(tableName) && req.user?.role !== 'admin') {
-      return res.status(403).json({ message: 'Only admin users can delete records in this table' });
+    if (adminOnlyTables.includes(tableName) && !(await hasPermission(req.user, 'data.protected_tables.write'))) {
+      return res.status(403).json({ message: 'Insufficient permissions to delete records in this table', required: 'data.protected_tables.write' });
+    }
+    if (PRIVATE_TABLES.includes(tableName)) {
+      return sendPrivateTable(res);
+    }
+    if (isPeriodTable(tableName)) {
+      return res.status(403).json({ message: 'Accounting periods are managed under /api/accounting/periods' });
+    }
+    const bypass = ledgerBypass(tableName, 'delete');
+    if (bypass) {
+      return sendLedgerBypass(res, bypass);
+    }
+    const restricted = await restrictedWrite(tableName, 'delete', req.user);
+    if (restricted) {
+      return sendRestrictedWrite(res, restricted);
+    }
+
+    const closed = await closedPeriodConflict(tableName, [recordId]);
+    if (closed) {
+      return sendClosedPeriod(res, closed);
     }
 
-    await directAirtableHelpers.delete(tableName, recordId);
+    await airtableHelpers.delete(tableName, recordId);
     res.json({ message: 'Record deleted successfully' });
   } catch (error) {
     console.error(`Error deleting ${req.params.tableName}:`, error);
@@ -255,9 +365,12 @@ router.get('/:tableName/:recordId', authenticateToken, async (req, res) => {
     if (!validTables.includes(tableName)) {
       return res.status(400).json({ message: 'Invalid table name' });
     }
+    if (PRIVATE_TABLES.includes(tableName)) {
+      return sendPrivateTable(res);
+    }
 
-    const record = await directAirtableHelpers.findById(tableName, recordId);
-    res.json(record);
+    const record = await airtableHelpers.findById(tableName, recordId);
+    res.json(hideSecrets(tableName, record));
   } catch (error) {
     console.error(`Error fetching ${req.params.tableName} record:`, error);
     res.status(500).json({ message: 'Failed to fetch record', error: error.message });
@@ -265,7 +378,7 @@ router.get('/:tableName/:recordId', authenticateToken, async (req, res) => {
 });
 
 // Bulk operations
-router.post('/:tableName/bulk', authenticateToken, authorizeRoles(['boss', 'admin']), async (req, res) => {
+router.post('/:tableName/bulk', authenticateToken, requirePermission('data.bulk'), rateLimiter('bulk'), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { operation, records } = req.body;
@@ -276,42 +389,69 @@ router.post('/:tableName/bulk', authenticateToken, authorizeRoles(['boss', 'admi
       return res.status(400).json({ message: 'Invalid table name' });
     }
 
+    if (PRIVATE_TABLES.includes(tableName)) {
+      return sendPrivateTable(res);
+    }
+    if (isPeriodTable(tableName)) {
+      return res.status(403).json({ message: 'Accounting periods are managed under /api/accounting/periods' });
+    }
+    const bypass = ledgerBypass(tableName, operation, operation === 'update' ? (records || []).map(record => record.data) : records);
+    if (bypass) {
+      return sendLedgerBypass(res, bypass);
+    }
+    const restricted = await restrictedWrite(tableName, operation, req.user, operation === 'delete' ? [] : (records || []).map(record => dropAuthFields(tableName, operation === 'update' ? record.data : record)));
+    if (restricted) {
+      return sendRestrictedWrite(res, restricted);
+    }
+
+    const dateField = DATED_TABLES[tableName];
+    const closed = operation === 'create'
+      ? await closedPeriodConflict(tableName, [], (records || []).map(record => record[dateField] || new Date().toISOString()))
+      : operation === 'update'
+        ? await closedPeriodConflict(tableName, (records || []).map(record => record.id), (records || []).map(record => record.data && record.data[dateField]))
+        : operation === 'delete'
+          ? await closedPeriodConflict(tableName, records || [])
+          : null;
+    if (closed) {
+      return sendClosedPeriod(res, closed);
+    }
+
     const results = [];
     
     switch (operation) {
       case 'create':
         for (const recordData of records) {
           const auditTables = [TABLES.EMPLOYEES, TABLES.SALES, TABLES.EXPENSES];
-          const dataToCreate = { ...recordData };
+          const dataToCreate = dropAuthFields(tableName, { ...recordData });
           if (auditTables.includes(tableName)) {
             dataToCreate.created_at = new Date().toISOString();
             if (req.user?.id) {
               dataToCreate.created_by = [req.user.id];
             }
           }
-          const record = await directAirtableHelpers.create(tableName, dataToCreate);
-          results.push(record);
+          const record = await airtableHelpers.create(tableName, dataToCreate);
+          results.push(hideSecrets(tableName, record));
         }
         break;
         
       case 'update':
         for (const { id, data } of records) {
           const auditTables = [TABLES.EMPLOYEES, TABLES.SALES, TABLES.EXPENSES];
-          const dataToUpdate = { ...data };
+          const dataToUpdate = dropAuthFields(tableName, { ...data });
           if (auditTables.includes(tableName)) {
             dataToUpdate.updated_at = new Date().toISOString();
             if (req.user?.id) {
               dataToUpdate.updated_by = [req.user.id];
             }
           }
-          const record = await directAirtableHelpers.update(tableName, id, dataToUpdate);
-          results.push(record);
+          const record = await airtableHelpers.update(tableName, id, dataToUpdate);
+          results.push(hideSecrets(tableName, record));
         }
         break;
         
       case 'delete':
         for (const recordId of records) {
-          await directAirtableHelpers.delete(tableName, recordId);
+          await airtableHelpers.delete(tableName, recordId);
           results.push({ id: recordId, deleted: true });
         }
         break;
@@ -336,15 +476,15 @@ router.get('/page/:pageName', authenticateToken, async (req, res) => {
     // Determine which branch to filter by
     let filterBranchId = branchId;
     if (!filterBranchId && req.user.role !== 'boss' && req.user.role !== 'manager') {
-      filterBranchId = req.user.branchId;
+      filterBranchId = firstId(req.user.branch_id);
     }
     
     switch (pageName) {
       case 'hr':
         // Fetch HR-related data
-        const employees = await directAirtableHelpers.find(TABLES.EMPLOYEES).catch(() => []);
-        const payroll = await directAirtableHelpers.find(TABLES.PAYROLL).catch(() => []);
-        const hrBranches = await directAirtableHelpers.find(TABLES.BRANCHES).catch(() => []);
+        const employees = await airtableHelpers.find(TABLES.EMPLOYEES).catch(() => []);
+        const payroll = await airtableHelpers.find(TABLES.PAYROLL).catch(() => []);
+        const hrBranches = await airtableHelpers.find(TABLES.BRANCHES).catch(() => []);
         
         // Clean and format data
         const cleanEmployees = employees.map(emp => ({
@@ -396,9 +536,9 @@ router.get('/page/:pageName', authenticateToken, async (req, res) => {
         
       case 'logistics':
         // Existing logistics data logic
-        const vehicles = await directAirtableHelpers.find(TABLES.VEHICLES).catch(() => []);
-        const trips = await directAirtableHelpers.find(TABLES.TRIPS).catch(() => []);
-        const maintenance = await directAirtableHelpers.find(TABLES.VEHICLE_MAINTENANCE).catch(() => []);
+        const vehicles = await airtableHelpers.find(TABLES.VEHICLES).catch(() => []);
+        const trips = await airtableHelpers.find(TABLES.TRIPS).catch(() => []);
+        const maintenance = await airtableHelpers.find(TABLES.VEHICLE_MAINTENANCE).catch(() => []);
         
         res.json({
           vehicles: vehicles || [],
@@ -417,9 +557,9 @@ router.get('/page/:pageName', authenticateToken, async (req, res) => {
           productFilter = `{branch_id} = '${filterBranchId}'`;
         }
         
-        const adminEmployees = await directAirtableHelpers.find(TABLES.EMPLOYEES, employeeFilter).catch(() => []);
-        const adminBranches = await directAirtableHelpers.find(TABLES.BRANCHES).catch(() => []);
-        const products = await directAirtableHelpers.find(TABLES.STOCK, productFilter).catch(() => []);
+        const adminEmployees = await airtableHelpers.find(TABLES.EMPLOYEES, employeeFilter).catch(() => []);
+        const adminBranches = await airtableHelpers.find(TABLES.BRANCHES).catch(() => []);
+        const products = await airtableHelpers.find(TABLES.STOCK, productFilter).catch(() => []);
         
         res.json({
           employees: adminEmployees || [],
@@ -441,11 +581,11 @@ router.get('/page/:pageName', authenticateToken, async (req, res) => {
           expensesFilter = `FIND('${filterBranchId}', ARRAYJOIN({branch_id}))`;
         }
         
-        const stock = await directAirtableHelpers.find(TABLES.STOCK, stockFilter).catch(() => []);
-        const sales = await directAirtableHelpers.find(TABLES.SALES, salesFilter).catch(() => []);
-        const saleItems = await directAirtableHelpers.find(TABLES.SALE_ITEMS).catch(() => []);
-        const expenses = await directAirtableHelpers.find(TABLES.EXPENSES, expensesFilter).catch(() => []);
-        const salesBranches = await directAirtableHelpers.find(TABLES.BRANCHES).catch(() => []);
+        const stock = await airtableHelpers.find(TABLES.STOCK, stockFilter).catch(() => []);
+        const sales = await airtableHelpers.find(TABLES.SALES, salesFilter).catch(() => []);
+        const saleItems = await airtableHelpers.find(TABLES.SALE_ITEMS).catch(() => []);
+        const expenses = await airtableHelpers.find(TABLES.EXPENSES, expensesFilter).catch(() => []);
+        const salesBranches = await airtableHelpers.find(TABLES.BRANCHES).catch(() => []);
         
         // Clean and format stock data
         const cleanStock = stock.map(item => ({
@@ -496,13 +636,13 @@ router.get('/page/:pageName', authenticateToken, async (req, res) => {
 });
 
 // Get all logistics data for management (no branch filtering)
-router.get('/logistics/all-data', authenticateToken, authorizeRoles(['boss', 'manager', 'admin']), async (req, res) => {
+router.get('/logistics/all-data', authenticateToken, requirePermission('logistics.view'), async (req, res) => {
   try {
     // Fetch all logistics-related data with error handling
-    const vehicles = await directAirtableHelpers.find(TABLES.VEHICLES).catch(() => []);
-    const trips = await directAirtableHelpers.find(TABLES.TRIPS).catch(() => []);
-    const maintenance = await directAirtableHelpers.find(TABLES.VEHICLE_MAINTENANCE).catch(() => []);
-    const expenses = await directAirtableHelpers.find(TABLES.EXPENSES).catch(() => []);
+    const vehicles = await airtableHelpers.find(TABLES.VEHICLES).catch(() => []);
+    const trips = await airtableHelpers.find(TABLES.TRIPS).catch(() => []);
+    const maintenance = await airtableHelpers.find(TABLES.VEHICLE_MAINTENANCE).catch(() => []);
+    const expenses = await airtableHelpers.find(TABLES.EXPENSES).catch(() => []);
 
     // Calculate comprehensive statistics
     const totalProfit = trips.reduce((sum, t) => sum + ((parseFloat(t.amount_charged) || 0) - (parseFloat(t.fuel_cost) || 0)), 0);
@@ -553,12 +693,12 @@ router.get('/logistics/all-data', authenticateToken, authorizeRoles(['boss', 'ma
 router.get('/dashboard/overview', authenticateToken, async (req, res) => {
   try {
     // Fetch all necessary data for dashboard
-    const employees = await directAirtableHelpers.find(TABLES.EMPLOYEES).catch(() => []);
-    const sales = await directAirtableHelpers.find(TABLES.SALES).catch(() => []);
-    const stock = await directAirtableHelpers.find(TABLES.STOCK).catch(() => []);
-    const vehicles = await directAirtableHelpers.find(TABLES.VEHICLES).catch(() => []);
-    const trips = await directAirtableHelpers.find(TABLES.TRIPS).catch(() => []);
-    const payroll = await directAirtableHelpers.find(TABLES.PAYROLL).catch(() => []);
+    const employees = await airtableHelpers.find(TABLES.EMPLOYEES).catch(() => []);
+    const sales = await airtableHelpers.find(TABLES.SALES).catch(() => []);
+    const stock = await airtableHelpers.find(TABLES.STOCK).catch(() => []);
+    const vehicles = await airtableHelpers.find(TABLES.VEHICLES).catch(() => []);
+    const trips = await airtableHelpers.find(TABLES.TRIPS).catch(() => []);
+    const payroll = await airtableHelpers.find(TABLES.PAYROLL).catch(() => []);
     
     // Calculate key metrics
     const totalEmployees = employees.length;
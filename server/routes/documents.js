@@ -0,0 +1,20 @@
+const express = require('express');
+const { DocumentError, verifyDocument } = require('../services/documents');
+
+const router = express.Router();
+
+// Public: the link printed as a QR code on every PDF, e.g.
+// /api/documents/verify/receipt/rec123?code=...
+router.get('/verify/:type/:id', async (req, res) => {
+  try {
+    res.json(await verifyDocument(req.params.type, req.params.id, req.query.code));
+  } catch (error) {
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ valid: false, message: error.message });
+    }
+    console.error('Verify document error:', error);
+    res.status(500).json({ valid: false, message: 'Failed to verify document' });
+  }
+});
+
+module.exports = router;
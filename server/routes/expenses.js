@@ -1,7 +1,10 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const { syncPosting } = require('../services/journal-postings');
 
 // Simple audit log middleware for backward compatibility
 const auditLog = (action) => (req, res, next) => {
@@ -453,7 +456,7 @@ router.get('/analytics', async (req, res) => {
 
 
 // 1. Create New Expense
-router.post('/', async (req, res) => {
+router.post('/', requireOpenPeriod(TABLES.EXPENSES, { label: 'Expense' }), async (req, res) => {
   try {
     const {
       expense_date,
@@ -462,7 +465,9 @@ router.post('/', async (req, res) => {
       amount,
       description,
       vehicle_id,
-      recorded_by
+      recorded_by,
+      account_code,
+      payment_method
     } = req.body;
     
     const expenseData = {
@@ -483,8 +488,12 @@ router.post('/', async (req, res) => {
     if (recorded_by) {
       expenseData.recorded_by = Array.isArray(recorded_by) ? recorded_by : [recorded_by];
     }
+    // Ledger account and how it was paid; default to the category's account and cash
+    if (account_code) expenseData.account_code = account_code;
+    if (payment_method) expenseData.payment_method = payment_method;
     
     const newExpense = await airtableHelpers.create(TABLES.EXPENSES, expenseData);
+    await syncPosting('expense', newExpense.id, req.user);
     
     res.status(201).json(newExpense);
   } catch (error) {
@@ -523,9 +532,9 @@ router.get('/direct', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/direct', authenticateToken, auditLog('CREATE_EXPENSE'), async (req, res) => {
+router.post('/direct', authenticateToken, auditLog('CREATE_EXPENSE'), requireOpenPeriod(TABLES.EXPENSES, { label: 'Expense' }), async (req, res) => {
   try {
-    const { branch_id, category, amount, description, expense_date, receipt_number, supplier_name, vehicle_id } = req.body;
+    const { branch_id, category, amount, description, expense_date, receipt_number, supplier_name, vehicle_id, account_code, payment_method } = req.body;
 
     if (!branch_id || !category || !amount) {
       return res.status(400).json({ message: 'Branch ID, category, and amount are required' });
@@ -544,8 +553,11 @@ router.post('/direct', authenticateToken, auditLog('CREATE_EXPENSE'), async (req
     if (receipt_number) expenseData.receipt_number = receipt_number;
     if (supplier_name) expenseData.supplier_name = supplier_name;
     if (vehicle_id && category === 'vehicle_related') expenseData.vehicle_id = [vehicle_id];
+    if (account_code) expenseData.account_code = account_code;
+    if (payment_method) expenseData.payment_method = payment_method;
 
     const newExpense = await airtableHelpers.create(TABLES.EXPENSES, expenseData);
+    await syncPosting('expense', newExpense.id, req.user);
     res.status(201).json(newExpense);
   } catch (error) {
     console.error('Add expense error:', error);
@@ -553,7 +565,7 @@ router.post('/direct', authenticateToken, auditLog('CREATE_EXPENSE'), async (req
   }
 });
 
-router.put('/direct/:expenseId', authenticateToken, auditLog('UPDATE_EXPENSE'), async (req, res) => {
+router.put('/direct/:expenseId', authenticateToken, requirePermission('expenses.update'), auditLog('UPDATE_EXPENSE'), requireOpenPeriod(TABLES.EXPENSES, { param: 'expenseId', label: 'Expense' }), async (req, res) => {
   try {
     const { expenseId } = req.params;
     const updateData = {
@@ -563,6 +575,7 @@ router.put('/direct/:expenseId', authenticateToken, auditLog('UPDATE_EXPENSE'),
     };
 
     const updatedExpense = await airtableHelpers.update(TABLES.EXPENSES, expenseId, updateData);
+    await syncPosting('expense', expenseId, req.user);
     res.json(updatedExpense);
   } catch (error) {
     console.error('Update expense error:', error);
@@ -570,10 +583,11 @@ router.put('/direct/:expenseId', authenticateToken, auditLog('UPDATE_EXPENSE'),
   }
 });
 
-router.delete('/direct/:expenseId', authenticateToken, auditLog('DELETE_EXPENSE'), async (req, res) => {
+router.delete('/direct/:expenseId', authenticateToken, requirePermission('expenses.delete'), auditLog('DELETE_EXPENSE'), requireOpenPeriod(TABLES.EXPENSES, { param: 'expenseId', label: 'Expense' }), async (req, res) => {
   try {
     const { expenseId } = req.params;
     await airtableHelpers.delete(TABLES.EXPENSES, expenseId);
+    await syncPosting('expense', expenseId, req.user);
     res.json({ message: 'Expense deleted successfully' });
   } catch (error) {
     console.error('Delete expense error:', error);
@@ -582,12 +596,13 @@ router.delete('/direct/:expenseId', authenticateToken, auditLog('DELETE_EXPENSE'
 });
 
 // Update expense
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('expenses.update'), requireOpenPeriod(TABLES.EXPENSES, { param: 'id', label: 'Expense' }), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = { ...req.body };
     
     const updatedExpense = await airtableHelpers.update(TABLES.EXPENSES, id, updateData);
+    await syncPosting('expense', id, req.user);
     res.json(updatedExpense);
   } catch (error) {
     console.error('Update expense error:', error);
@@ -596,10 +611,11 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete expense
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('expenses.delete'), requireOpenPeriod(TABLES.EXPENSES, { param: 'id', label: 'Expense' }), async (req, res) => {
   try {
     const { id } = req.params;
     await airtableHelpers.delete(TABLES.EXPENSES, id);
+    await syncPosting('expense', id, req.user);
     res.json({ message: 'Expense deleted successfully' });
   } catch (error) {
     console.error('Delete expense error:', error);
@@ -608,7 +624,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // 2. Bulk Create Expenses
-router.post('/bulk', async (req, res) => {
+router.post('/bulk', rateLimiter('bulk'), requireOpenPeriod(TABLES.EXPENSES, { dates: req => (req.body.expenses || []).map(expense => expense.expense_date || new Date().toISOString()), label: 'Expense' }), async (req, res) => {
   try {
     const { expenses } = req.body;
     
@@ -653,6 +669,7 @@ router.post('/bulk', async (req, res) => {
         }
         
         const newExpense = await airtableHelpers.create(TABLES.EXPENSES, expenseData);
+        await syncPosting('expense', newExpense.id, req.user);
         const populatedExpense = await populateExpense(newExpense);
         results.push(populatedExpense);
       } catch (error) {
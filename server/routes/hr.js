@@ -1,14 +1,25 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const bcrypt = require('bcryptjs');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { DocumentError, renderDocument, sendPdf } = require('../services/documents');
+const { syncPosting } = require('../services/journal-postings');
+const { MFA_SECRET_FIELDS, withoutMfaSecrets } = require('../services/mfa');
+const { PASSWORD_FIELDS, PasswordError, hashNewPassword, passwordFields, setPassword, sendResetLink, withoutPasswordSecrets } = require('../services/passwords');
+const { revokeUserSessions } = require('../services/sessions');
+const { LOCKOUT_FIELDS } = require('../services/login-guard');
+const { PermissionError, hasPermission, assertCanAssignRole } = require('../services/permissions');
 
 const router = express.Router();
 
+// Employees are never sent out with their MFA or password fields
+const withoutSecrets = (employee) => withoutPasswordSecrets(withoutMfaSecrets(employee));
+
 // HR Management System Architecture Implementation
 
 // HR Dashboard - Get comprehensive stats
-router.get('/dashboard/stats', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/dashboard/stats', authenticateToken, requirePermission('hr.view'), async (req, res) => {
   try {
     const [employees, payroll, auditLogs] = await Promise.all([
       airtableHelpers.find(TABLES.EMPLOYEES),
@@ -46,7 +57,7 @@ router.get('/dashboard/stats', authenticateToken, authorizeRoles(['hr', 'admin',
 });
 
 // Get all employees with advanced filtering
-router.get('/employees', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { role, branch, isActive, search, page = 1, limit = 50 } = req.query;
     
@@ -119,7 +130,7 @@ router.get('/employees', authenticateToken, authorizeRoles(['hr', 'admin', 'boss
     const paginatedEmployees = employees.slice(startIndex, startIndex + parseInt(limit));
     
     res.json({
-      employees: paginatedEmployees,
+      employees: paginatedEmployees.map(withoutSecrets),
       total_count: employees.length,
       page: parseInt(page)
     });
@@ -130,7 +141,7 @@ router.get('/employees', authenticateToken, authorizeRoles(['hr', 'admin', 'boss
 });
 
 // Get employee by ID with complete profile
-router.get('/employees/:id', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees/:id', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -145,7 +156,7 @@ router.get('/employees/:id', authenticateToken, authorizeRoles(['hr', 'admin', '
     }
     
     res.json({
-      employee,
+      employee: withoutSecrets(employee),
       payrollHistory,
       auditLogs: auditLogs.slice(0, 50), // Last 50 activities
       summary: {
@@ -162,9 +173,13 @@ router.get('/employees/:id', authenticateToken, authorizeRoles(['hr', 'admin', '
 });
 
 // Create employee with complete profile
-router.post('/employees', async (req, res) => {
+router.post('/employees', authenticateToken, requirePermission('employees.create'), async (req, res) => {
   try {
     const { full_name, email, role, branch_id, phone, salary, password } = req.body;
+    // Without a role a new employee gets the 'employee' role; any other needs roles.manage
+    if (role && role !== 'employee') {
+      await assertCanAssignRole(req.user, role);
+    }
     
     const employeeData = {
       full_name: full_name || 'Unknown',
@@ -174,9 +189,11 @@ router.post('/employees', async (req, res) => {
       hire_date: new Date().toISOString().split('T')[0]
     };
     
-    // Add password hash if password provided
+    // A password chosen by HR must be changed at first login
     if (password) {
-      employeeData.password_hash = await bcrypt.hash(password, 10);
+      employeeData.password_hash = await hashNewPassword(password, employeeData);
+      employeeData.password_changed_at = new Date().toISOString();
+      employeeData.must_change_password = true;
     }
     
     // Add optional fields
@@ -185,24 +202,38 @@ router.post('/employees', async (req, res) => {
     if (branch_id) employeeData.branch_id = [branch_id];
     
     const newEmployee = await airtableHelpers.create(TABLES.EMPLOYEES, employeeData);
-    res.status(201).json(newEmployee);
+    res.status(201).json(withoutSecrets(newEmployee));
   } catch (error) {
     console.error('Create employee error:', error);
+    if (error instanceof PasswordError || error instanceof PermissionError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     res.status(500).json({ message: 'Failed to create employee', error: error.message });
   }
 });
 
 // Update employee with validation
-router.put('/employees/:id', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.put('/employees/:id', authenticateToken, requirePermission('employees.update'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = { ...req.body };
+
+    // MFA and lockouts only change through /api/auth, passwords through the password policy
+    [...MFA_SECRET_FIELDS, 'mfa_enabled', ...PASSWORD_FIELDS, ...LOCKOUT_FIELDS].forEach(field => delete updateData[field]);
+
+    if (updateData.role !== undefined) {
+      const employee = await airtableHelpers.findById(TABLES.EMPLOYEES, id);
+      if (updateData.role !== employee.role) {
+        await assertCanAssignRole(req.user, updateData.role);
+      }
+    }
     
-    // Handle password update
+    // Handle password update: the employee must change it at next login
     if (updateData.password) {
-      updateData.password_hash = await bcrypt.hash(updateData.password, 10);
-      delete updateData.password;
+      const employee = await airtableHelpers.findById(TABLES.EMPLOYEES, id);
+      Object.assign(updateData, await passwordFields(employee, updateData.password, { mustChange: true }));
     }
+    delete updateData.password;
     
     // Handle branch assignment
     if (updateData.branch_id && !Array.isArray(updateData.branch_id)) {
@@ -213,18 +244,22 @@ router.put('/employees/:id', authenticateToken, authorizeRoles(['hr', 'admin', '
     
     const updatedEmployee = await airtableHelpers.update(TABLES.EMPLOYEES, id, updateData);
     
-    // Remove password hash from response
-    delete updatedEmployee.password_hash;
+    if (updateData.password_hash) {
+      await revokeUserSessions(id, { reason: 'password_reset', by: req.user });
+    }
     
-    res.json(updatedEmployee);
+    res.json(withoutSecrets(updatedEmployee));
   } catch (error) {
     console.error('Update employee error:', error);
+    if (error instanceof PasswordError || error instanceof PermissionError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     res.status(500).json({ message: 'Failed to update employee' });
   }
 });
 
 // Update employee status (activate/deactivate)
-router.put('/employees/:id/status', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.put('/employees/:id/status', authenticateToken, requirePermission('employees.update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { is_active } = req.body;
@@ -234,39 +269,45 @@ router.put('/employees/:id/status', authenticateToken, authorizeRoles(['hr', 'ad
       updated_at: new Date().toISOString()
     });
     
-    res.json({ success: true, employee: updatedEmployee });
+    res.json({ success: true, employee: withoutSecrets(updatedEmployee) });
   } catch (error) {
     console.error('Update employee status error:', error);
     res.status(500).json({ message: 'Failed to update employee status' });
   }
 });
 
-// Reset employee password
-router.post('/employees/:id/reset-password', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+// Reset employee password: with new_password, set it (to be changed at
+// first login); without, email the employee a reset link
+router.post('/employees/:id/reset-password', authenticateToken, requirePermission('employees.reset_password'), async (req, res) => {
   try {
     const { id } = req.params;
     const { new_password } = req.body;
     
     if (!new_password) {
-      return res.status(400).json({ message: 'New password is required' });
+      const employee = await airtableHelpers.findById(TABLES.EMPLOYEES, id).catch(() => null);
+      if (!employee || !employee.email) {
+        return res.status(404).json({ message: 'Employee not found or has no email' });
+      }
+      await sendResetLink(employee);
+      return res.json({ success: true, message: 'Password reset link sent' });
     }
     
-    const password_hash = await bcrypt.hash(new_password, 10);
-    
-    await airtableHelpers.update(TABLES.EMPLOYEES, id, {
-      password_hash,
-      updated_at: new Date().toISOString()
-    });
+    await setPassword(id, new_password, { mustChange: true });
+    await airtableHelpers.update(TABLES.EMPLOYEES, id, { updated_at: new Date().toISOString() });
+    await revokeUserSessions(id, { reason: 'password_reset', by: req.user });
     
     res.json({ success: true, message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
+    if (error instanceof PasswordError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to reset password' });
   }
 });
 
 // Delete employee
-router.delete('/employees/:id', async (req, res) => {
+router.delete('/employees/:id', authenticateToken, requirePermission('employees.delete'), async (req, res) => {
   try {
     const { id } = req.params;
     await airtableHelpers.delete(TABLES.EMPLOYEES, id);
@@ -280,7 +321,7 @@ router.delete('/employees/:id', async (req, res) => {
 // Payroll Management System
 
 // Get current payroll period
-router.get('/payroll/current-period', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/payroll/current-period', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
   try {
     const currentDate = new Date();
     const currentMonth = currentDate.getMonth() + 1;
@@ -308,7 +349,7 @@ router.get('/payroll/current-period', authenticateToken, authorizeRoles(['hr', '
 });
 
 // Get payroll records with filtering
-router.get('/payroll', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/payroll', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
   try {
     const { employee_id, period_start, period_end, payment_status } = req.query;
     
@@ -381,7 +422,7 @@ router.get('/payroll', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']
 });
 
 // Generate payroll for period
-router.post('/payroll/generate', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.post('/payroll/generate', authenticateToken, requirePermission('payroll.generate'), requireOpenPeriod(TABLES.PAYROLL, { label: 'Payroll' }), async (req, res) => {
   try {
     const { period_start, period_end, employee_ids } = req.body;
     
@@ -421,6 +462,7 @@ router.post('/payroll/generate', authenticateToken, authorizeRoles(['hr', 'admin
         };
         
         const newPayroll = await airtableHelpers.create(TABLES.PAYROLL, payrollData);
+        await syncPosting('payroll', newPayroll.id, req.user);
         generatedPayroll.push(newPayroll);
       }
     }
@@ -437,7 +479,7 @@ router.post('/payroll/generate', authenticateToken, authorizeRoles(['hr', 'admin
 });
 
 // Process payroll payment
-router.put('/payroll/:id', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.put('/payroll/:id', authenticateToken, requirePermission('payroll.update'), requireOpenPeriod(TABLES.PAYROLL, { param: 'id', label: 'Payroll' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { payment_status, payment_date, gross_salary, deductions } = req.body;
@@ -456,6 +498,8 @@ router.put('/payroll/:id', authenticateToken, authorizeRoles(['hr', 'admin', 'bo
     }
     
     const updatedPayroll = await airtableHelpers.update(TABLES.PAYROLL, id, updateData);
+    await syncPosting('payroll', id, req.user);
+    await syncPosting('payroll_payment', id, req.user);
     res.json(updatedPayroll);
   } catch (error) {
     console.error('Update payroll error:', error);
@@ -464,7 +508,7 @@ router.put('/payroll/:id', authenticateToken, authorizeRoles(['hr', 'admin', 'bo
 });
 
 // Send payslip
-router.post('/payroll/:id/send-payslip', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.post('/payroll/:id/send-payslip', authenticateToken, requirePermission('payroll.payslips.send'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -481,8 +525,30 @@ router.post('/payroll/:id/send-payslip', authenticateToken, authorizeRoles(['hr'
   }
 });
 
+// Payslip PDF; employees can download their own
+router.get('/payroll/:id/payslip.pdf', authenticateToken, rateLimiter('exports'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await hasPermission(req.user, 'payroll.view'))) {
+      const payroll = await airtableHelpers.findById(TABLES.PAYROLL, id).catch(() => null);
+      if (!payroll || !payroll.employee_id || !payroll.employee_id.includes(req.user.id)) {
+        return res.status(403).json({ message: 'Insufficient permissions' });
+      }
+    }
+
+    sendPdf(req, res, await renderDocument('payslip', id));
+  } catch (error) {
+    console.error('Payslip PDF error:', error);
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to render payslip' });
+  }
+});
+
 // Bulk process payroll
-router.post('/payroll/bulk-process', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.post('/payroll/bulk-process', authenticateToken, requirePermission('payroll.process'), requireOpenPeriod(TABLES.PAYROLL, { ids: req => req.body.payroll_ids, label: 'Payroll' }), async (req, res) => {
   try {
     const { payroll_ids, action, payment_date } = req.body;
     
@@ -509,6 +575,7 @@ router.post('/payroll/bulk-process', authenticateToken, authorizeRoles(['hr', 'a
       }
       
       const updated = await airtableHelpers.update(TABLES.PAYROLL, payrollId, updateData);
+      if (action === 'mark_paid') await syncPosting('payroll_payment', payrollId, req.user);
       results.push(updated);
     }
     
@@ -526,7 +593,7 @@ router.post('/payroll/bulk-process', authenticateToken, authorizeRoles(['hr', 'a
 // Audit & Security Module
 
 // Get audit logs
-router.get('/audit/logs', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/audit/logs', authenticateToken, requirePermission('audit.view'), async (req, res) => {
   try {
     const { user_id, action, startDate, endDate, success } = req.query;
     
@@ -566,7 +633,7 @@ router.get('/audit/logs', authenticateToken, authorizeRoles(['hr', 'admin', 'bos
 });
 
 // Get user activity statistics
-router.get('/audit/user-activity', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/audit/user-activity', authenticateToken, requirePermission('audit.view'), async (req, res) => {
   try {
     const { user_id } = req.query;
     
@@ -603,7 +670,7 @@ router.get('/audit/user-activity', authenticateToken, authorizeRoles(['hr', 'adm
 });
 
 // Get All Branches for HR
-router.get('/branches', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/branches', authenticateToken, requirePermission('hr.view'), async (req, res) => {
   try {
     const { include_employees, include_manager, status } = req.query;
     
@@ -656,7 +723,7 @@ router.get('/branches', authenticateToken, authorizeRoles(['hr', 'admin', 'boss'
 });
 
 // Get Employee Documents
-router.get('/documents', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/documents', authenticateToken, requirePermission('hr.view'), async (req, res) => {
   try {
     const { employee_id, category, approval_status, uploaded_by, branch_id, is_archived, limit = 50, offset = 0 } = req.query;
     
@@ -701,7 +768,7 @@ router.get('/documents', authenticateToken, authorizeRoles(['hr', 'admin', 'boss
 });
 
 // Get Audit Logs
-router.get('/audit-logs', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/audit-logs', authenticateToken, requirePermission('audit.view'), async (req, res) => {
   try {
     const { user_id, action, resource, success, start_date, end_date, ip_address, limit = 50, offset = 0 } = req.query;
     
@@ -743,7 +810,7 @@ router.get('/audit-logs', authenticateToken, authorizeRoles(['hr', 'admin', 'bos
 });
 
 // Get Employee Performance Data
-router.get('/employees/:employee_id/performance', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees/:employee_id/performance', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { employee_id } = req.params;
     const { start_date, end_date, metrics, branch_id } = req.query;
@@ -778,7 +845,7 @@ router.get('/employees/:employee_id/performance', authenticateToken, authorizeRo
 });
 
 // Get Department Summary
-router.get('/departments/summary', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/departments/summary', authenticateToken, requirePermission('hr.view'), async (req, res) => {
   try {
     const { branch_id, include_inactive, period } = req.query;
     
@@ -827,7 +894,7 @@ router.get('/departments/summary', authenticateToken, authorizeRoles(['hr', 'adm
 });
 
 // Get Employee Attendance
-router.get('/attendance', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/attendance', authenticateToken, requirePermission('hr.view'), async (req, res) => {
   try {
     const { employee_id, branch_id, start_date, end_date, summary, limit = 50, offset = 0 } = req.query;
     
@@ -863,7 +930,7 @@ router.get('/attendance', authenticateToken, authorizeRoles(['hr', 'admin', 'bos
 });
 
 // Get HR Dashboard Data
-router.get('/dashboard', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/dashboard', authenticateToken, requirePermission('hr.view'), async (req, res) => {
   try {
     const { period, branch_id, include_charts } = req.query;
     
@@ -906,7 +973,7 @@ router.get('/dashboard', authenticateToken, authorizeRoles(['hr', 'admin', 'boss
 });
 
 // HR Reports
-router.get('/reports/employees', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/reports/employees', authenticateToken, requirePermission('hr.view'), async (req, res) => {
   try {
     const { reportType = 'demographics' } = req.query;
     const employees = await airtableHelpers.find(TABLES.EMPLOYEES);
@@ -956,7 +1023,7 @@ router.get('/reports/employees', authenticateToken, authorizeRoles(['hr', 'admin
 });
 
 // Get payroll reports
-router.get('/reports/payroll', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.get('/reports/payroll', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
   try {
     const { period_start, period_end } = req.query;
     
@@ -987,7 +1054,7 @@ router.get('/reports/payroll', authenticateToken, authorizeRoles(['hr', 'admin',
 });
 
 // Get employees by branch
-router.get('/employees/by-branch/:branchId', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees/by-branch/:branchId', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { branchId } = req.params;
     
@@ -996,7 +1063,7 @@ router.get('/employees/by-branch/:branchId', authenticateToken, authorizeRoles([
       emp.branch_id && emp.branch_id.includes(branchId)
     );
     
-    res.json(employees);
+    res.json(employees.map(withoutSecrets));
   } catch (error) {
     console.error('Get employees by branch error:', error);
     res.status(500).json({ message: 'Failed to fetch employees by branch' });
@@ -1004,14 +1071,14 @@ router.get('/employees/by-branch/:branchId', authenticateToken, authorizeRoles([
 });
 
 // Get employees by role
-router.get('/employees/by-role/:role', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees/by-role/:role', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { role } = req.params;
     
     const allEmployees = await airtableHelpers.find(TABLES.EMPLOYEES);
     const employees = allEmployees.filter(emp => emp.role === role);
     
-    res.json(employees);
+    res.json(employees.map(withoutSecrets));
   } catch (error) {
     console.error('Get employees by role error:', error);
     res.status(500).json({ message: 'Failed to fetch employees by role' });
@@ -1019,7 +1086,7 @@ router.get('/employees/by-role/:role', authenticateToken, authorizeRoles(['hr',
 });
 
 // Get employee sales
-router.get('/employees/:id/sales', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees/:id/sales', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { startDate, endDate } = req.query;
@@ -1047,7 +1114,7 @@ router.get('/employees/:id/sales', authenticateToken, authorizeRoles(['hr', 'adm
 });
 
 // Get employee expenses
-router.get('/employees/:id/expenses', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees/:id/expenses', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { startDate, endDate } = req.query;
@@ -1080,7 +1147,7 @@ router.get('/employees/:id/expenses', authenticateToken, authorizeRoles(['hr', '
 });
 
 // Get employee payroll history
-router.get('/employees/:id/payroll', authenticateToken, authorizeRoles(['hr', 'admin', 'boss', 'manager']), async (req, res) => {
+router.get('/employees/:id/payroll', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 12 } = req.query;
@@ -1110,7 +1177,7 @@ router.get('/employees/:id/payroll', authenticateToken, authorizeRoles(['hr', 'a
 });
 
 // Activate employee
-router.post('/employees/:id/activate', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.post('/employees/:id/activate', authenticateToken, requirePermission('employees.update'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -1119,7 +1186,7 @@ router.post('/employees/:id/activate', authenticateToken, authorizeRoles(['hr',
       updated_at: new Date().toISOString()
     });
     
-    res.json({ success: true, message: 'Employee activated successfully', employee: updatedEmployee });
+    res.json({ success: true, message: 'Employee activated successfully', employee: withoutSecrets(updatedEmployee) });
   } catch (error) {
     console.error('Activate employee error:', error);
     res.status(500).json({ message: 'Failed to activate employee' });
@@ -1127,7 +1194,7 @@ router.post('/employees/:id/activate', authenticateToken, authorizeRoles(['hr',
 });
 
 // Deactivate employee
-router.post('/employees/:id/deactivate', authenticateToken, authorizeRoles(['hr', 'admin', 'boss']), async (req, res) => {
+router.post('/employees/:id/deactivate', authenticateToken, requirePermission('employees.update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
@@ -1139,7 +1206,7 @@ router.post('/employees/:id/deactivate', authenticateToken, authorizeRoles(['hr'
       updated_at: new Date().toISOString()
     });
     
-    res.json({ success: true, message: 'Employee deactivated successfully', employee: updatedEmployee });
+    res.json({ success: true, message: 'Employee deactivated successfully', employee: withoutSecrets(updatedEmployee) });
   } catch (error) {
     console.error('Deactivate employee error:', error);
     res.status(500).json({ message: 'Failed to deactivate employee' });
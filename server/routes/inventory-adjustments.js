@@ -1,9 +1,16 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { applyStockChanges, StockLedgerError } = require('../services/stock-ledger');
+const { createProductResolver, productLinkFields } = require('../services/products');
+const { listBatches, isExpired } = require('../services/batches');
+const { syncPosting } = require('../services/journal-postings');
 
 const router = express.Router();
 
+const EXPIRED_WRITE_OFF = 'expired_write_off';
+
 // Get all inventory adjustments
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -40,27 +47,113 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Build a pending write-off for what is left of an expired batch
+const expiredWriteOffData = (batch, user, reason) => ({
+  branch_id: batch.branch_id,
+  product_id: batch.product_id,
+  product_name: batch.product_name,
+  adjustment_type: EXPIRED_WRITE_OFF,
+  quantity_change: -Number(batch.quantity_remaining),
+  batch_id: [batch.id],
+  batch_number: batch.batch_number,
+  expiry_date: batch.expiry_date,
+  reason: reason || `Batch ${batch.batch_number || batch.id} expired on ${batch.expiry_date}`,
+  reference_number: `EXP_${Date.now()}`,
+  status: 'pending',
+  requested_by: [user.id],
+  adjustment_date: new Date().toISOString().split('T')[0],
+  created_at: new Date().toISOString()
+});
+
+// Create write-offs for every expired batch with stock left in a branch
+router.post('/expired-write-off', authenticateToken, requirePermission('stock.adjust'), requireOpenPeriod(TABLES.INVENTORY_ADJUSTMENTS, { label: 'Adjustment' }), async (req, res) => {
+  try {
+    const { branch_id, reason } = req.body;
+    
+    if (!branch_id) {
+      return res.status(400).json({ message: 'Branch ID is required' });
+    }
+    
+    const [batches, adjustments] = await Promise.all([
+      listBatches({ branchId: branch_id }),
+      airtableHelpers.find(TABLES.INVENTORY_ADJUSTMENTS)
+    ]);
+    
+    // Skip batches that already have a write-off waiting for approval
+    const pendingBatchIds = new Set(adjustments
+      .filter(adj => adj.adjustment_type === EXPIRED_WRITE_OFF && adj.status === 'pending')
+      .map(adj => adj.batch_id?.[0]));
+    const expired = batches.filter(batch => isExpired(batch) && !pendingBatchIds.has(batch.id));
+    
+    const created = [];
+    for (const batch of expired) {
+      created.push(await airtableHelpers.create(TABLES.INVENTORY_ADJUSTMENTS, expiredWriteOffData(batch, req.user, reason)));
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `${created.length} expired batch write-offs created`,
+      adjustments: created
+    });
+  } catch (error) {
+    console.error('Create expired write-offs error:', error);
+    res.status(500).json({ message: 'Failed to create expired batch write-offs' });
+  }
+});
+
 // Create inventory adjustment
-router.post('/', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('stock.adjust'), requireOpenPeriod(TABLES.INVENTORY_ADJUSTMENTS, { label: 'Adjustment' }), async (req, res) => {
   try {
     const {
       branch_id,
+      product_id,
       product_name,
       adjustment_type,
       quantity_change,
+      batch_id,
       reason,
       reference_number
     } = req.body;
     
-    if (!branch_id || !product_name || !adjustment_type || !quantity_change) {
+    // Expired stock is written off per batch, for whatever is left in it
+    if (adjustment_type === EXPIRED_WRITE_OFF) {
+      if (!batch_id) {
+        return res.status(400).json({ message: 'Batch ID is required for an expired stock write-off' });
+      }
+      const [batch] = (await listBatches({ includeEmpty: true })).filter(b => b.id === batch_id);
+      if (!batch || !batch.branch_id?.includes(branch_id)) {
+        return res.status(404).json({ message: 'Batch not found in this branch' });
+      }
+      if (!isExpired(batch)) {
+        return res.status(400).json({ message: `Batch has not expired yet (expires ${batch.expiry_date || 'never'})` });
+      }
+      if (!(Number(batch.quantity_remaining) > 0)) {
+        return res.status(400).json({ message: 'Batch has no stock left to write off' });
+      }
+      
+      const adjustment = await airtableHelpers.create(TABLES.INVENTORY_ADJUSTMENTS, expiredWriteOffData(batch, req.user, reason));
+      return res.status(201).json({
+        success: true,
+        message: 'Expired stock write-off created successfully',
+        adjustment
+      });
+    }
+    
+    if (!branch_id || (!product_name && !product_id) || !adjustment_type || !quantity_change) {
       return res.status(400).json({ 
-        message: 'Branch ID, product name, adjustment type, and quantity change are required' 
+        message: 'Branch ID, product, adjustment type, and quantity change are required' 
       });
     }
     
+    const product = await createProductResolver()(req.body, { allowInactive: true });
+    if (product_id && !product) {
+      return res.status(404).json({ message: 'Product not found in catalogue' });
+    }
+    
     const adjustmentData = {
       branch_id: [branch_id],
       product_name,
+      ...productLinkFields(product),
       adjustment_type,
       quantity_change: parseInt(quantity_change),
       reason: reason || '',
@@ -85,7 +178,7 @@ router.post('/', authenticateToken, authorizeRoles(['manager', 'admin', 'boss'])
 });
 
 // Approve inventory adjustment
-router.put('/:id/approve', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+router.put('/:id/approve', authenticateToken, requirePermission('stock.adjust.approve'), requireOpenPeriod(TABLES.INVENTORY_ADJUSTMENTS, { param: 'id', label: 'Adjustment' }), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -94,41 +187,49 @@ router.put('/:id/approve', authenticateToken, authorizeRoles(['manager', 'admin'
       return res.status(404).json({ message: 'Inventory adjustment not found' });
     }
     
+    if (adjustment.status !== 'pending') {
+      return res.status(400).json({ message: `Inventory adjustment is already ${adjustment.status}` });
+    }
+    
+    // A batch write-off only takes what is still left in the batch
+    let quantityChange = adjustment.quantity_change;
+    if (adjustment.batch_id) {
+      const batch = await airtableHelpers.findById(TABLES.STOCK_BATCHES, adjustment.batch_id[0]);
+      const remaining = Number(batch.quantity_remaining) || 0;
+      if (remaining <= 0) {
+        return res.status(409).json({ message: 'Batch has no stock left to write off' });
+      }
+      quantityChange = -Math.min(Math.abs(quantityChange), remaining);
+    }
+    
     // Update adjustment status
     await airtableHelpers.update(TABLES.INVENTORY_ADJUSTMENTS, id, {
+      quantity_change: quantityChange,
       status: 'approved',
       approved_by: [req.user.id],
       approved_at: new Date().toISOString()
     });
     
-    // Apply stock changes
-    const allStock = await airtableHelpers.find(TABLES.STOCK);
-    const stockItem = allStock.find(item => 
-      item.branch_id && item.branch_id.includes(adjustment.branch_id[0]) && 
-      item.product_name === adjustment.product_name
-    );
-    
-    if (stockItem) {
-      const newQuantity = Math.max(0, stockItem.quantity_available + adjustment.quantity_change);
-      await airtableHelpers.update(TABLES.STOCK, stockItem.id, {
-        quantity_available: newQuantity,
-        last_updated: new Date().toISOString()
-      });
-    }
-    
-    // Create stock movement record
-    await airtableHelpers.create(TABLES.STOCK_MOVEMENTS, {
-      movement_type: 'adjustment',
-      product_name: adjustment.product_name,
-      quantity: Math.abs(adjustment.quantity_change),
-      from_branch_id: adjustment.quantity_change < 0 ? adjustment.branch_id : null,
-      to_branch_id: adjustment.quantity_change > 0 ? adjustment.branch_id : null,
+    // Apply stock changes, putting the adjustment back to pending if they fail
+    await applyStockChanges([{
+      type: 'adjustment',
+      branchId: adjustment.branch_id[0],
+      productId: adjustment.product_id,
+      productName: adjustment.product_name,
+      quantity: quantityChange,
+      batches: adjustment.batch_id ? [{ batch_id: adjustment.batch_id[0], quantity: -quantityChange }] : undefined,
+      reference: { adjustment_id: [id] }
+    }], {
+      userId: req.user.id,
       reason: `Inventory adjustment: ${adjustment.reason}`,
-      status: 'completed',
-      adjustment_id: [id],
-      approved_by: [req.user.id],
-      created_at: new Date().toISOString()
+      rollback: () => airtableHelpers.update(TABLES.INVENTORY_ADJUSTMENTS, id, {
+        quantity_change: adjustment.quantity_change,
+        status: 'pending',
+        approved_by: null,
+        approved_at: null
+      })
     });
+    await syncPosting('adjustment', id, req.user);
     
     res.json({
       success: true,
@@ -136,12 +237,15 @@ router.put('/:id/approve', authenticateToken, authorizeRoles(['manager', 'admin'
     });
   } catch (error) {
     console.error('Approve inventory adjustment error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to approve inventory adjustment' });
   }
 });
 
 // Reject inventory adjustment
-router.put('/:id/reject', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+router.put('/:id/reject', authenticateToken, requirePermission('stock.adjust.approve'), requireOpenPeriod(TABLES.INVENTORY_ADJUSTMENTS, { param: 'id', label: 'Adjustment' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { rejection_reason } = req.body;
@@ -163,6 +267,22 @@ router.put('/:id/reject', authenticateToken, authorizeRoles(['manager', 'admin',
   }
 });
 
+// Get an adjustment with its lines (stocktake adjustments have one item per product)
+router.get('/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const adjustment = await airtableHelpers.findById(TABLES.INVENTORY_ADJUSTMENTS, id);
+    const allItems = await airtableHelpers.find(TABLES.ADJUSTMENT_ITEMS);
+    const items = allItems.filter(item => item.adjustment_id && item.adjustment_id.includes(id));
+    
+    res.json({ ...adjustment, items });
+  } catch (error) {
+    console.error('Get adjustment items error:', error);
+    res.status(500).json({ message: 'Failed to fetch adjustment items' });
+  }
+});
+
 // Get pending adjustments
 router.get('/pending', authenticateToken, async (req, res) => {
   try {
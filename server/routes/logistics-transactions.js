@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { base, TABLES } = require('../config/airtable');
+const { airtableHelpers, TABLES } = require('../config/airtable');
 const { authenticateToken } = require('../middleware/auth');
 
 // Get all logistics transactions
@@ -35,35 +35,34 @@ router.get('/', authenticateToken, async (req, res) => {
       filterFormula = `AND(${filters.join(', ')})`;
     }
 
-    const records = await base(TABLES.LOGISTICS_TRANSACTIONS)
-      .select({
-        filterByFormula: filterFormula,
-        sort: [{ field: 'transaction_date', direction: 'desc' }]
-      })
-      .all();
+    const records = await airtableHelpers.find(
+      TABLES.LOGISTICS_TRANSACTIONS,
+      filterFormula,
+      [{ field: 'transaction_date', direction: 'desc' }]
+    );
 
     const transactions = records.map(record => ({
       id: record.id,
-      transaction_id: record.fields.transaction_id,
-      transaction_name: record.fields.transaction_name,
-      transaction_type: record.fields.transaction_type,
-      amount: record.fields.amount,
-      transaction_date: record.fields.transaction_date,
-      description: record.fields.description,
-      logistics_category: record.fields.logistics_category,
-      carrier_vendor: record.fields.carrier_vendor,
-      shipment_reference: record.fields.shipment_reference,
-      payment_method: record.fields.payment_method,
-      status: record.fields.status,
-      approval_status: record.fields.approval_status,
-      cost_breakdown: record.fields.cost_breakdown,
-      reviewed_by: record.fields.reviewed_by,
-      notes: record.fields.notes,
-      vehicle_id: record.fields.vehicle_id,
-      branch_id: record.fields.branch_id,
-      package_id: record.fields.package_id,
-      trip_id: record.fields.trip_id,
-      created_at: record.fields.created_at
+      transaction_id: record.transaction_id,
+      transaction_name: record.transaction_name,
+      transaction_type: record.transaction_type,
+      amount: record.amount,
+      transaction_date: record.transaction_date,
+      description: record.description,
+      logistics_category: record.logistics_category,
+      carrier_vendor: record.carrier_vendor,
+      shipment_reference: record.shipment_reference,
+      payment_method: record.payment_method,
+      status: record.status,
+      approval_status: record.approval_status,
+      cost_breakdown: record.cost_breakdown,
+      reviewed_by: record.reviewed_by,
+      notes: record.notes,
+      vehicle_id: record.vehicle_id,
+      branch_id: record.branch_id,
+      package_id: record.package_id,
+      trip_id: record.trip_id,
+      created_at: record.created_at
     }));
 
     res.json(transactions);
@@ -100,7 +99,7 @@ router.post('/', authenticateToken, async (req, res) => {
     // Generate transaction ID
     const transaction_id = `LT-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-    const record = await base(TABLES.LOGISTICS_TRANSACTIONS).create({
+    const record = await airtableHelpers.create(TABLES.LOGISTICS_TRANSACTIONS, {
       transaction_id,
       transaction_name,
       transaction_type,
@@ -124,11 +123,7 @@ router.post('/', authenticateToken, async (req, res) => {
       created_at: new Date().toISOString()
     });
 
-    res.status(201).json({
-      id: record.id,
-      transaction_id: record.fields.transaction_id,
-      ...record.fields
-    });
+    res.status(201).json(record);
   } catch (error) {
     console.error('Error creating logistics transaction:', error);
     res.status(500).json({ error: 'Failed to create logistics transaction' });
@@ -153,12 +148,9 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     });
 
-    const record = await base(TABLES.LOGISTICS_TRANSACTIONS).update(id, updateFields);
+    const record = await airtableHelpers.update(TABLES.LOGISTICS_TRANSACTIONS, id, updateFields);
 
-    res.json({
-      id: record.id,
-      ...record.fields
-    });
+    res.json(record);
   } catch (error) {
     console.error('Error updating logistics transaction:', error);
     res.status(500).json({ error: 'Failed to update logistics transaction' });
@@ -169,7 +161,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    await base(TABLES.LOGISTICS_TRANSACTIONS).destroy(id);
+    await airtableHelpers.delete(TABLES.LOGISTICS_TRANSACTIONS, id);
     res.json({ message: 'Logistics transaction deleted successfully' });
   } catch (error) {
     console.error('Error deleting logistics transaction:', error);
@@ -201,9 +193,7 @@ router.get('/analytics', authenticateToken, async (req, res) => {
       filterFormula = `AND(${filters.join(', ')})`;
     }
 
-    const records = await base(TABLES.LOGISTICS_TRANSACTIONS)
-      .select({ filterByFormula: filterFormula })
-      .all();
+    const records = await airtableHelpers.find(TABLES.LOGISTICS_TRANSACTIONS, filterFormula);
 
     const analytics = {
       totalTransactions: records.length,
@@ -215,10 +205,10 @@ router.get('/analytics', authenticateToken, async (req, res) => {
     };
 
     records.forEach(record => {
-      const amount = record.fields.amount || 0;
-      const category = record.fields.logistics_category || 'Other';
-      const type = record.fields.transaction_type || 'Other';
-      const status = record.fields.status || 'Unknown';
+      const amount = record.amount || 0;
+      const category = record.logistics_category || 'Other';
+      const type = record.transaction_type || 'Other';
+      const status = record.status || 'Unknown';
 
       analytics.totalAmount += amount;
       
@@ -229,14 +219,14 @@ router.get('/analytics', authenticateToken, async (req, res) => {
 
     // Get recent transactions
     analytics.recentTransactions = records
-      .sort((a, b) => new Date(b.fields.transaction_date) - new Date(a.fields.transaction_date))
+      .sort((a, b) => new Date(b.transaction_date) - new Date(a.transaction_date))
       .slice(0, 10)
       .map(record => ({
         id: record.id,
-        transaction_name: record.fields.transaction_name,
-        amount: record.fields.amount,
-        transaction_date: record.fields.transaction_date,
-        status: record.fields.status
+        transaction_name: record.transaction_name,
+        amount: record.amount,
+        transaction_date: record.transaction_date,
+        status: record.status
       }));
 
     res.json(analytics);
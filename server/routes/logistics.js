@@ -1,6 +1,6 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles, auditLog } = require('../middleware/auth');
+const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
 
 // CSRF protection middleware (disabled for now)
 const csrfProtection = (req, res, next) => {
@@ -588,7 +588,7 @@ router.get('/vehicles/maintenance-due', authenticateToken, async (req, res) => {
 });
 
 // Create new vehicle
-router.post('/vehicles', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+router.post('/vehicles', authenticateToken, requirePermission('fleet.manage'), async (req, res) => {
   try {
     const {
       plate_number,
@@ -634,7 +634,7 @@ router.post('/vehicles', authenticateToken, authorizeRoles(['manager', 'admin',
 });
 
 // Transfer vehicle to branch
-router.post('/vehicles/:id/transfer', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+router.post('/vehicles/:id/transfer', authenticateToken, requirePermission('fleet.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { to_branch_id, reason } = req.body;
@@ -995,7 +995,7 @@ router.get('/maintenance/upcoming', authenticateToken, async (req, res) => {
 });
 
 // Create maintenance record
-router.post('/maintenance', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+router.post('/maintenance', authenticateToken, requirePermission('fleet.manage'), async (req, res) => {
   try {
     const {
       vehicle_id,
@@ -1,6 +1,8 @@
 const express = require('express');
-const { TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { withoutMfaSecrets } = require('../services/mfa');
+const { withoutPasswordSecrets } = require('../services/passwords');
 
 const router = express.Router();
 
@@ -9,29 +11,17 @@ router.get('/test', async (req, res) => {
   res.json({ message: 'Manager routes working', timestamp: new Date().toISOString() });
 });
 
-// Get manager dashboard data with direct Airtable calls
-router.get('/dashboard/:branchId', authenticateToken, authorizeRoles(['boss', 'manager', 'admin']), async (req, res) => {
+// Get manager dashboard data
+router.get('/dashboard/:branchId', authenticateToken, requirePermission('dashboards.view'), async (req, res) => {
   try {
     const { branchId } = req.params;
     console.log('Manager dashboard request for branchId:', branchId);
     console.log('User from token:', req.user);
 
-    // Direct Airtable connection
-    const Airtable = require('airtable');
-    Airtable.configure({
-      endpointUrl: 'https://api.airtable.com',
-      apiKey: process.env.AIRTABLE_API_KEY
-    });
-    const base = Airtable.base(process.env.AIRTABLE_BASE_ID);
-
     // Get branch info
     let branch;
     try {
-      const branchRecord = await base('branches').find(branchId);
-      branch = {
-        id: branchRecord.id,
-        ...branchRecord.fields
-      };
+      branch = await airtableHelpers.findById(TABLES.BRANCHES, branchId);
       console.log('Branch found:', branch.branch_name);
     } catch (branchError) {
       console.error('Branch not found:', branchError.message);
@@ -39,11 +29,7 @@ router.get('/dashboard/:branchId', authenticateToken, authorizeRoles(['boss', 'm
     }
 
     // Get all employees
-    const employeeRecords = await base('employees').select().all();
-    const allEmployees = employeeRecords.map(record => ({
-      id: record.id,
-      ...record.fields
-    }));
+    const allEmployees = await airtableHelpers.find(TABLES.EMPLOYEES);
     
     // Filter employees by branch
     const employees = allEmployees.filter(emp => 
@@ -52,11 +38,7 @@ router.get('/dashboard/:branchId', authenticateToken, authorizeRoles(['boss', 'm
     console.log('Employees found:', employees.length);
 
     // Get all stock
-    const stockRecords = await base('stock').select().all();
-    const allStock = stockRecords.map(record => ({
-      id: record.id,
-      ...record.fields
-    }));
+    const allStock = await airtableHelpers.find(TABLES.STOCK);
     
     // Filter stock by branch
     const stock = allStock.filter(item => 
@@ -65,11 +47,7 @@ router.get('/dashboard/:branchId', authenticateToken, authorizeRoles(['boss', 'm
     console.log('Stock items found:', stock.length, 'for branch:', branchId);
 
     // Get all sales
-    const salesRecords = await base('sales').select().all();
-    const allSales = salesRecords.map(record => ({
-      id: record.id,
-      ...record.fields
-    }));
+    const allSales = await airtableHelpers.find(TABLES.SALES);
     
     // Filter sales by branch
     const branchSales = allSales.filter(sale => 
@@ -133,7 +111,7 @@ router.get('/dashboard/:branchId', authenticateToken, authorizeRoles(['boss', 'm
         totalRevenue,
         todaySalesCount: todaySales.length
       },
-      employees,
+      employees: employees.map(employee => withoutPasswordSecrets(withoutMfaSecrets(employee))),
       stock,
       sales: sales.slice(-10).reverse(),
       lowStockItems,
@@ -1,6 +1,14 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles, auditLog } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { applyStockChanges, StockLedgerError } = require('../services/stock-ledger');
+const { createProductResolver, productLinkFields, ProductError } = require('../services/products');
+const { normalizeSerials, formatSerials } = require('../services/serials');
+const { DocumentError, renderDocument, sendPdf } = require('../services/documents');
+const { SupplierError, resolveSupplier, expectedDelivery } = require('../services/suppliers');
+const { syncPosting } = require('../services/journal-postings');
 
 // CSRF protection middleware (disabled in development)
 const csrfProtection = (req, res, next) => {
@@ -17,9 +25,9 @@ const csrfProtection = (req, res, next) => {
 const router = express.Router();
 
 // Order Processing Flow Architecture - Get all orders with complete lifecycle
-router.get('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('purchase_orders.view'), async (req, res) => {
   try {
-    const { status, startDate, endDate } = req.query;
+    const { status, startDate, endDate, supplierId } = req.query;
     
     let filterFormula = '';
     if (status) {
@@ -31,7 +39,10 @@ router.get('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']),
       filterFormula = filterFormula ? `AND(${filterFormula}, ${dateFilter})` : dateFilter;
     }
 
-    const orders = await airtableHelpers.find(TABLES.ORDERS, filterFormula);
+    let orders = await airtableHelpers.find(TABLES.ORDERS, filterFormula);
+    if (supplierId) {
+      orders = orders.filter(order => order.supplier_id && order.supplier_id.includes(supplierId));
+    }
     
     // Get order items from ORDER_ITEMS table with multiple approaches
     // Enrich orders with complete lifecycle data
@@ -186,22 +197,36 @@ router.get('/debug/:orderId', authenticateToken, async (req, res) => {
 });
 
 // Create order with complete workflow (Phase 1: Order Creation)
-router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('purchase_orders.create'), async (req, res) => {
   try {
-    const { supplier_name, order_date, expected_delivery_date, items } = req.body;
+    const { supplier_id, supplier_name, order_date, expected_delivery_date, items } = req.body;
 
-    if (!supplier_name || !order_date || !items || items.length === 0) {
-      return res.status(400).json({ message: 'Supplier name, order date, and items are required' });
+    if ((!supplier_id && !supplier_name) || !order_date || !items || items.length === 0) {
+      return res.status(400).json({ message: 'Supplier, order date, and items are required' });
     }
 
+    // Link the supplier record; a name of a supplier not on file is kept as text
+    const { supplier, name: supplierName } = await resolveSupplier({ id: supplier_id, name: supplier_name });
+
     // Calculate total amount
     const totalAmount = items.reduce((sum, item) => {
       return sum + (Number(item.quantity_ordered) * Number(item.purchase_price_per_unit));
     }, 0);
 
+    // Link every line to the catalogue, adding products ordered for the first time
+    const resolveProduct = createProductResolver({ userId: req.user.id });
+    const itemProducts = [];
+    for (const item of items) {
+      itemProducts.push(await resolveProduct(item, {
+        createIfMissing: true,
+        defaults: { default_cost: item.purchase_price_per_unit }
+      }));
+    }
+
     // Create order only
     const orderData = {
-      supplier_name,
+      supplier_id: supplier ? [supplier.id] : undefined,
+      supplier_name: supplierName,
       order_date,
       total_amount: totalAmount,
       amount_paid: 0,
@@ -209,19 +234,23 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
       status: 'ordered'
     };
     
-    if (expected_delivery_date) {
-      orderData.expected_delivery_date = expected_delivery_date;
+    // Without a date, expect delivery after the supplier's lead time
+    const expectedDate = expected_delivery_date || expectedDelivery(supplier, order_date);
+    if (expectedDate) {
+      orderData.expected_delivery_date = expectedDate;
     }
     
     const order = await airtableHelpers.create(TABLES.ORDERS, orderData);
 
     // Create order items in ORDER_ITEMS table
     const orderItems = [];
-    for (const item of items) {
+    for (const [index, item] of items.entries()) {
       try {
+        const product = itemProducts[index];
         const orderItemData = {
           order_id: [order.id],
           product_name: item.product_name,
+          ...productLinkFields(product),
           quantity_ordered: Number(item.quantity_ordered),
           purchase_price_per_unit: Number(item.purchase_price_per_unit),
           quantity_received: 0
@@ -244,6 +273,9 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
     });
   } catch (error) {
     console.error('Create order error:', error);
+    if (error instanceof ProductError || error instanceof SupplierError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ 
       message: 'Failed to create order', 
       error: error.message
@@ -252,11 +284,15 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
 });
 
 // Approve order (Phase 1: Approval Workflow)
-router.put('/:orderId/approve', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.put('/:orderId/approve', authenticateToken, requirePermission('purchase_orders.approve'), async (req, res) => {
   try {
     const { orderId } = req.params;
     
+    // Draft orders (e.g. from reorder suggestions) become real orders once approved
+    const order = await airtableHelpers.findById(TABLES.ORDERS, orderId);
+    
     const updatedOrder = await airtableHelpers.update(TABLES.ORDERS, orderId, {
+      status: order.status === 'draft' ? 'ordered' : undefined,
       approval_status: 'approved',
       approved_by: req.user?.id ? [req.user.id] : [],
       approved_at: new Date().toISOString()
@@ -270,7 +306,7 @@ router.put('/:orderId/approve', authenticateToken, authorizeRoles(['admin', 'man
 });
 
 // Reject order (Phase 1: Approval Workflow)
-router.put('/:orderId/reject', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.put('/:orderId/reject', authenticateToken, requirePermission('purchase_orders.approve'), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { rejection_reason } = req.body;
@@ -290,7 +326,7 @@ router.put('/:orderId/reject', authenticateToken, authorizeRoles(['admin', 'mana
 });
 
 // Record payment for order (Phase 2: Payment Processing)
-router.post('/:orderId/payment', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('RECORD_PAYMENT'), async (req, res) => {
+router.post('/:orderId/payment', authenticateToken, requirePermission('purchase_orders.pay'), auditLog('RECORD_PAYMENT'), requireOpenPeriod(TABLES.PAYMENTS_MADE, { label: 'Payment' }), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { amount } = req.body;
@@ -322,8 +358,9 @@ router.post('/:orderId/payment', authenticateToken, authorizeRoles(['admin', 'ma
 
     // Create payment record in PAYMENTS_MADE table
     try {
-      await airtableHelpers.create(TABLES.PAYMENTS_MADE, {
+      const payment = await airtableHelpers.create(TABLES.PAYMENTS_MADE, {
         order_id: [orderId],
+        vendor_id: order.supplier_id,
         vendor_name: order.supplier_name,
         amount: parseFloat(amount),
         payment_date: new Date().toISOString().split('T')[0],
@@ -333,6 +370,7 @@ router.post('/:orderId/payment', authenticateToken, authorizeRoles(['admin', 'ma
         created_by: req.user?.id ? [req.user.id] : [],
         created_at: new Date().toISOString()
       });
+      await syncPosting('payment_made', payment.id, req.user);
     } catch (paymentError) {
       console.log('Payment record creation skipped:', paymentError.message);
     }
@@ -345,7 +383,7 @@ router.post('/:orderId/payment', authenticateToken, authorizeRoles(['admin', 'ma
 });
 
 // Create purchase receive (Phase 3: Goods Receiving)
-router.post('/:orderId/receive', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.post('/:orderId/receive', authenticateToken, requirePermission('purchase_orders.receive'), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { receiving_branch_id, received_items, notes } = req.body;
@@ -366,16 +404,26 @@ router.post('/:orderId/receive', authenticateToken, authorizeRoles(['admin', 'ma
     
     const purchaseReceive = await airtableHelpers.create(TABLES.PURCHASE_RECEIVES, receiveData);
     
+    const resolveProduct = createProductResolver({ userId: req.user?.id });
     const receiveItems = [];
     for (const item of received_items) {
+      const product = await resolveProduct(item, {
+        createIfMissing: true,
+        allowInactive: true,
+        defaults: { default_cost: item.unit_cost }
+      });
       const receiveItem = await airtableHelpers.create(TABLES.RECEIVE_ITEMS, {
         receive_id: [purchaseReceive.id],
         product_name: item.product_name,
+        ...productLinkFields(product),
         quantity_ordered: item.quantity_ordered,
         quantity_received: item.quantity_received,
         unit_cost: item.unit_cost,
         total_cost: item.quantity_received * item.unit_cost,
-        condition: item.condition || 'good'
+        condition: item.condition || 'good',
+        batch_number: item.batch_number || undefined,
+        expiry_date: item.expiry_date || undefined,
+        serial_numbers: formatSerials(normalizeSerials(item.serial_numbers))
       });
       receiveItems.push(receiveItem);
     }
@@ -389,7 +437,7 @@ router.post('/:orderId/receive', authenticateToken, authorizeRoles(['admin', 'ma
 });
 
 // Mark items as delivered (Legacy)
-router.post('/:orderId/delivery', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('MARK_DELIVERED'), async (req, res) => {
+router.post('/:orderId/delivery', authenticateToken, requirePermission('purchase_orders.receive'), auditLog('MARK_DELIVERED'), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { deliveredItems } = req.body;
@@ -398,60 +446,35 @@ router.post('/:orderId/delivery', authenticateToken, authorizeRoles(['admin', 'm
       return res.status(400).json({ message: 'Delivered items are required' });
     }
 
-    // Update order items and add to stock
-    await Promise.all(
-      deliveredItems.map(async (item) => {
-        // Update order item
-        await airtableHelpers.update(TABLES.ORDER_ITEMS, item.orderItemId, {
-          quantity_received: item.quantityReceived,
-          received_at: new Date().toISOString()
-        });
-
-        // Add to branch stock if destination specified
-        if (item.branchDestinationId && item.quantityReceived > 0) {
-          // Check if product already exists in branch stock
-          const existingStock = await airtableHelpers.find(
-            TABLES.STOCK,
-            `AND({branch_id} = "${item.branchDestinationId}", {product_name} = "${item.productName}")`
-          );
-
-          if (existingStock.length > 0) {
-            // Update existing stock
-            const newQuantity = existingStock[0].quantity_available + item.quantityReceived;
-            await airtableHelpers.update(TABLES.STOCK, existingStock[0].id, {
-              quantity_available: newQuantity,
-              unit_price: item.purchasePrice, // Update with latest purchase price
-              last_updated: new Date().toISOString(),
-              updated_by: req.user.id
-            });
-          } else {
-            // Create new stock entry
-            await airtableHelpers.create(TABLES.STOCK, {
-              branch_id: [item.branchDestinationId],
-              product_id: `PRD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-              product_name: item.productName,
-              quantity_available: item.quantityReceived,
-              reorder_level: 10, // Default reorder level
-              unit_price: item.purchasePrice,
-              last_updated: new Date().toISOString()
-            });
-          }
-
-          // Log stock movement
-          await airtableHelpers.create(TABLES.STOCK_MOVEMENTS, {
-            to_branch_id: [item.branchDestinationId],
-            product_id: item.productId || `PRD_${Date.now()}`,
-            product_name: item.productName,
-            quantity: item.quantityReceived,
-            movement_type: 'purchase',
-            reason: 'Stock added from order delivery',
-            order_id: [orderId],
-            status: 'completed',
-            created_by: [req.user.id],
-          });
-        }
-      })
+    // Update order items
+    const updatedOrderItems = await Promise.all(
+      deliveredItems.map(item => airtableHelpers.update(TABLES.ORDER_ITEMS, item.orderItemId, {
+        quantity_received: item.quantityReceived,
+        received_at: new Date().toISOString()
+      }))
     );
+    const orderItemProducts = updatedOrderItems.reduce((acc, orderItem) => {
+      acc[orderItem.id] = orderItem.product_id;
+      return acc;
+    }, {});
+
+    // Add delivered quantities to branch stock in one go
+    const deliveredToBranch = deliveredItems.filter(item => item.branchDestinationId && item.quantityReceived > 0);
+    await applyStockChanges(deliveredToBranch.map(item => ({
+      type: 'receive',
+      branchId: item.branchDestinationId,
+      productId: orderItemProducts[item.orderItemId] || item.productId,
+      productName: item.productName,
+      quantity: item.quantityReceived,
+      unitCost: Number(item.purchasePrice) || 0,
+      fields: { last_purchase_cost: Number(item.purchasePrice) || undefined },
+      serials: normalizeSerials(item.serialNumbers),
+      reference: { order_id: [orderId], order_item_id: [item.orderItemId] }
+    })), {
+      userId: req.user.id,
+      reason: 'Stock added from order delivery'
+    });
+    await syncPosting('order_receipt', orderId, req.user);
 
     // Check if order is fully delivered
     const orderItems = await airtableHelpers.find(
@@ -476,12 +499,15 @@ router.post('/:orderId/delivery', authenticateToken, authorizeRoles(['admin', 'm
     res.json({ message: 'Delivery recorded successfully' });
   } catch (error) {
     console.error('Mark delivered error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to record delivery' });
   }
 });
 
 // Mark order as complete and add all items to stock
-router.post('/:orderId/complete', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.post('/:orderId/complete', authenticateToken, requirePermission('purchase_orders.receive'), async (req, res) => {
   try {
     const { orderId } = req.params;
     const { completedItems } = req.body;
@@ -490,19 +516,29 @@ router.post('/:orderId/complete', authenticateToken, authorizeRoles(['admin', 'm
       return res.status(400).json({ message: 'Completed items are required' });
     }
 
-    // Aggregate quantities by product and branch
+    // Aggregate quantities by catalogue product and branch
+    const resolveProduct = createProductResolver({ userId: req.user.id });
     const productTotals = {};
     
     for (const item of completedItems) {
       if (!item.branchDestinationId || !item.quantityOrdered) continue;
       
-      const key = `${item.branchDestinationId}_${item.productName.toLowerCase().trim()}`;
+      const product = await resolveProduct(item, {
+        createIfMissing: true,
+        allowInactive: true,
+        defaults: { default_cost: item.purchasePrice }
+      });
+      if (!product) continue;
+
+      const key = `${item.branchDestinationId}_${product.id}`;
       if (!productTotals[key]) {
         productTotals[key] = {
           branchId: item.branchDestinationId,
-          productName: item.productName,
+          productId: product.id,
+          productName: product.product_name,
           totalQuantity: 0,
-          unitPrice: Number(item.purchasePrice) || 0
+          unitCost: Number(item.purchasePrice) || 0,
+          sellingPrice: product.default_price || 0
         };
       }
       productTotals[key].totalQuantity += Number(item.quantityOrdered);
@@ -510,49 +546,26 @@ router.post('/:orderId/complete', authenticateToken, authorizeRoles(['admin', 'm
     
     console.log('Order product totals:', productTotals);
     
-    // Get existing stock
-    const allStock = await airtableHelpers.find(TABLES.STOCK);
-    
-    // Process each unique product
-    const stockPromises = Object.values(productTotals).map(async (product) => {
-      try {
-        // Find existing stock
-        const existingStock = allStock.find(s => 
-          s.branch_id && s.branch_id.includes(product.branchId) && 
-          s.product_name && s.product_name.toLowerCase().trim() === product.productName.toLowerCase().trim()
-        );
-        
-        if (existingStock) {
-          // Update existing stock
-          console.log(`Updating stock for ${product.productName}: ${existingStock.quantity_available} + ${product.totalQuantity}`);
-          await airtableHelpers.update(TABLES.STOCK, existingStock.id, {
-            quantity_available: existingStock.quantity_available + product.totalQuantity,
-            unit_price: product.unitPrice,
-            last_updated: new Date().toISOString()
-          });
-        } else {
-          // Create new stock
-          console.log(`Creating new stock for ${product.productName}: ${product.totalQuantity}`);
-          await airtableHelpers.create(TABLES.STOCK, {
-            branch_id: [product.branchId],
-            product_id: `PRD_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-            product_name: product.productName,
-            quantity_available: product.totalQuantity,
-            unit_price: product.unitPrice,
-            reorder_level: 10,
-            last_updated: new Date().toISOString()
-          });
-        }
-      } catch (err) {
-        console.log('Stock operation failed for:', product.productName, err.message);
-      }
+    const order = await airtableHelpers.findById(TABLES.ORDERS, orderId);
+    await airtableHelpers.update(TABLES.ORDERS, orderId, { status: 'completed' });
+
+    // Add every product to its branch; the order keeps its old status if any line fails
+    await applyStockChanges(Object.values(productTotals).map(product => ({
+      type: 'order_completion',
+      branchId: product.branchId,
+      productId: product.productId,
+      productName: product.productName,
+      quantity: product.totalQuantity,
+      unitCost: product.unitCost,
+      fields: { last_purchase_cost: product.unitCost || undefined },
+      template: { unit_price: product.sellingPrice },
+      reference: { order_id: [orderId] }
+    })), {
+      userId: req.user.id,
+      reason: `Order ${orderId} completed`,
+      rollback: () => airtableHelpers.update(TABLES.ORDERS, orderId, { status: order.status || null })
     });
-
-    // Execute all operations in parallel
-    await Promise.all([
-      ...stockPromises,
-      airtableHelpers.update(TABLES.ORDERS, orderId, { status: 'completed' })
-    ]);
+    await syncPosting('order_receipt', orderId, req.user);
 
     res.json({ 
       success: true,
@@ -560,6 +573,9 @@ router.post('/:orderId/complete', authenticateToken, authorizeRoles(['admin', 'm
     });
   } catch (error) {
     console.error('Complete order error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ 
       message: 'Failed to complete order',
       error: error.message
@@ -568,7 +584,7 @@ router.post('/:orderId/complete', authenticateToken, authorizeRoles(['admin', 'm
 });
 
 // Get transfer receipts for an order
-router.get('/:orderId/receipts', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.get('/:orderId/receipts', authenticateToken, requirePermission('purchase_orders.view'), async (req, res) => {
   try {
     const { orderId } = req.params;
     
@@ -624,14 +640,31 @@ router.get('/:orderId/receipts', authenticateToken, authorizeRoles(['admin', 'ma
   }
 });
 
+// Purchase order PDF to send to the supplier
+router.get('/:orderId/purchase-order.pdf', authenticateToken, requirePermission('purchase_orders.view'), rateLimiter('exports'), async (req, res) => {
+  try {
+    sendPdf(req, res, await renderDocument('purchase_order', req.params.orderId));
+  } catch (error) {
+    console.error('Purchase order PDF error:', error);
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to render purchase order' });
+  }
+});
+
 // Update order
-router.put('/:orderId', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('UPDATE_ORDER'), async (req, res) => {
+router.put('/:orderId', authenticateToken, requirePermission('purchase_orders.update'), auditLog('UPDATE_ORDER'), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { supplier_name, expected_delivery_date, status } = req.body;
+    const { supplier_id, supplier_name, expected_delivery_date, status } = req.body;
 
     const updateData = {};
-    if (supplier_name) updateData.supplier_name = supplier_name;
+    if (supplier_id || supplier_name) {
+      const { supplier, name } = await resolveSupplier({ id: supplier_id, name: supplier_name });
+      updateData.supplier_id = supplier ? [supplier.id] : null;
+      updateData.supplier_name = name;
+    }
     if (expected_delivery_date) updateData.expected_delivery_date = expected_delivery_date;
     if (status) updateData.status = status;
     updateData.updated_at = new Date().toISOString();
@@ -641,12 +674,15 @@ router.put('/:orderId', authenticateToken, authorizeRoles(['admin', 'manager', '
     res.json(updatedOrder);
   } catch (error) {
     console.error('Update order error:', error);
+    if (error instanceof SupplierError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to update order' });
   }
 });
 
 // Delete order
-router.delete('/:orderId', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('DELETE_ORDER'), async (req, res) => {
+router.delete('/:orderId', authenticateToken, requirePermission('purchase_orders.delete'), auditLog('DELETE_ORDER'), async (req, res) => {
   try {
     const { orderId } = req.params;
 
@@ -1,6 +1,19 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, auditLog } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
+const {
+  OUTFLOW_WINDOWS,
+  PaymentScheduleError,
+  getPaymentQueue,
+  schedulePayments,
+  listScheduledPayments,
+  updateScheduledPayment,
+  cancelScheduledPayment,
+  payScheduledPayment,
+  getOutflowPreview
+} = require('../services/payment-schedule');
+const { syncPosting } = require('../services/journal-postings');
 
 const router = express.Router();
 
@@ -46,32 +59,96 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
   }
 });
 
-// Get payment queue (pending payments)
+// Get payment queue (approved, unpaid bills) with any scheduled payment
 router.get('/queue', authenticateToken, async (req, res) => {
   try {
-    const bills = await airtableHelpers.find(TABLES.BILLS);
-    const pendingPayments = bills.filter(bill => 
-      bill.payment_status !== 'paid' && 
-      bill.status === 'approved' &&
-      (bill.balance_due || bill.total_amount) > 0
-    );
-    
-    res.json(pendingPayments.map(bill => ({
-      id: bill.id,
-      vendor_name: bill.vendor_name,
-      bill_number: bill.bill_number,
-      amount_due: bill.balance_due || bill.total_amount,
-      due_date: bill.due_date,
-      priority: new Date(bill.due_date) <= new Date() ? 'high' : 'normal'
-    })));
+    res.json(await getPaymentQueue());
   } catch (error) {
     console.error('Get payment queue error:', error);
     res.status(500).json({ message: 'Failed to fetch payment queue' });
   }
 });
 
+const sendScheduleError = (res, error, fallbackMessage) => {
+  if (error instanceof PaymentScheduleError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Schedule queued bills on their due dates; body = { bill_ids? } (default: the whole queue)
+router.post('/schedule', authenticateToken, requirePermission('payments.schedule'), auditLog('SCHEDULE_PAYMENTS'), async (req, res) => {
+  try {
+    const result = await schedulePayments({ billIds: req.body.bill_ids, user: req.user });
+    res.status(201).json({ message: `${result.scheduled.length} payment(s) scheduled`, ...result });
+  } catch (error) {
+    console.error('Schedule payments error:', error);
+    sendScheduleError(res, error, 'Failed to schedule payments');
+  }
+});
+
+// Scheduled payments, e.g. ?status=scheduled&from=2026-07-01&to=2026-07-31
+router.get('/scheduled', authenticateToken, async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+    res.json(await listScheduledPayments({ status, from, to }));
+  } catch (error) {
+    console.error('Get scheduled payments error:', error);
+    res.status(500).json({ message: 'Failed to fetch scheduled payments' });
+  }
+});
+
+// Move a scheduled payment; body = { scheduled_date?, amount?, payment_method? }
+router.put('/scheduled/:id', authenticateToken, requirePermission('payments.schedule'), auditLog('UPDATE_SCHEDULED_PAYMENT'), async (req, res) => {
+  try {
+    res.json(await updateScheduledPayment(req.params.id, req.body));
+  } catch (error) {
+    console.error('Update scheduled payment error:', error);
+    sendScheduleError(res, error, 'Failed to update scheduled payment');
+  }
+});
+
+// Make a scheduled payment now
+router.post('/scheduled/:id/pay', authenticateToken, requirePermission('bills.pay'), auditLog('PAY_SCHEDULED_PAYMENT'), requireOpenPeriod(TABLES.PAYMENTS_MADE, { label: 'Payment' }), async (req, res) => {
+  try {
+    const result = await payScheduledPayment(req.params.id, req.body, req.user);
+    await syncPosting('payment_made', result.payment.id, req.user);
+    res.json({ message: 'Payment processed successfully', ...result });
+  } catch (error) {
+    console.error('Pay scheduled payment error:', error);
+    sendScheduleError(res, error, 'Failed to pay scheduled payment');
+  }
+});
+
+router.delete('/scheduled/:id', authenticateToken, requirePermission('payments.schedule'), auditLog('CANCEL_SCHEDULED_PAYMENT'), async (req, res) => {
+  try {
+    res.json(await cancelScheduledPayment(req.params.id, req.user));
+  } catch (error) {
+    console.error('Cancel scheduled payment error:', error);
+    sendScheduleError(res, error, 'Failed to cancel scheduled payment');
+  }
+});
+
+// Upcoming cash outflows over the next 30/60/90 days, or ?days=14,28
+router.get('/outflow', authenticateToken, requirePermission('payments.outflow.view'), async (req, res) => {
+  try {
+    const { asOf, days } = req.query;
+    if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      return res.status(400).json({ message: 'asOf must be YYYY-MM-DD' });
+    }
+    const windows = days ? String(days).split(',').map(value => parseInt(value)) : OUTFLOW_WINDOWS;
+    if (windows.some(value => !Number.isInteger(value) || value <= 0 || value > 366)) {
+      return res.status(400).json({ message: 'days must be whole numbers between 1 and 366' });
+    }
+    res.json(await getOutflowPreview({ asOf: asOf || undefined, windows }));
+  } catch (error) {
+    console.error('Get outflow preview error:', error);
+    res.status(500).json({ message: 'Failed to build outflow preview' });
+  }
+});
+
 // Process single payment
-router.post('/process', authenticateToken, auditLog('PROCESS_PAYMENT'), async (req, res) => {
+router.post('/process', authenticateToken, requirePermission('payments.process'), auditLog('PROCESS_PAYMENT'), requireOpenPeriod(TABLES.PAYMENTS_MADE, { label: 'Payment' }), async (req, res) => {
   try {
     const { bill_id, amount, payment_method, reference_number, notes } = req.body;
     
@@ -86,6 +163,7 @@ router.post('/process', authenticateToken, auditLog('PROCESS_PAYMENT'), async (r
     
     const payment = await airtableHelpers.create(TABLES.PAYMENTS_MADE, {
       bill_id: [bill_id],
+      vendor_id: bill.vendor_id,
       vendor_name: bill.vendor_name,
       amount: parseFloat(amount),
       payment_date: new Date().toISOString().split('T')[0],
@@ -106,6 +184,7 @@ router.post('/process', authenticateToken, auditLog('PROCESS_PAYMENT'), async (r
       payment_status: newBalanceDue <= 0 ? 'paid' : 'partial',
       last_payment_date: new Date().toISOString().split('T')[0]
     });
+    await syncPosting('payment_made', payment.id, req.user);
     
     res.json({ message: 'Payment processed successfully', payment });
   } catch (error) {
@@ -115,7 +194,7 @@ router.post('/process', authenticateToken, auditLog('PROCESS_PAYMENT'), async (r
 });
 
 // Batch payment processing
-router.post('/batch', authenticateToken, auditLog('BATCH_PROCESS_PAYMENTS'), async (req, res) => {
+router.post('/batch', authenticateToken, requirePermission('payments.process'), auditLog('BATCH_PROCESS_PAYMENTS'), requireOpenPeriod(TABLES.PAYMENTS_MADE, { label: 'Payment' }), async (req, res) => {
   try {
     const { payments } = req.body;
     const results = [];
@@ -132,6 +211,7 @@ router.post('/batch', authenticateToken, auditLog('BATCH_PROCESS_PAYMENTS'), asy
         
         const payment = await airtableHelpers.create(TABLES.PAYMENTS_MADE, {
           bill_id: [bill_id],
+          vendor_id: bill.vendor_id,
           vendor_name: bill.vendor_name,
           amount: parseFloat(amount),
           payment_date: new Date().toISOString().split('T')[0],
@@ -149,6 +229,7 @@ router.post('/batch', authenticateToken, auditLog('BATCH_PROCESS_PAYMENTS'), asy
           balance_due: Math.max(0, newBalanceDue),
           payment_status: newBalanceDue <= 0 ? 'paid' : 'partial'
         });
+        await syncPosting('payment_made', payment.id, req.user);
         
         results.push({ bill_id, success: true, payment });
       } catch (error) {
@@ -194,7 +275,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Update payment status
-router.put('/:id/status', authenticateToken, auditLog('UPDATE_PAYMENT_STATUS'), async (req, res) => {
+router.put('/:id/status', authenticateToken, requirePermission('payments.process'), auditLog('UPDATE_PAYMENT_STATUS'), requireOpenPeriod(TABLES.PAYMENTS_MADE, { param: 'id', label: 'Payment' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
@@ -205,6 +286,8 @@ router.put('/:id/status', authenticateToken, auditLog('UPDATE_PAYMENT_STATUS'),
       updated_at: new Date().toISOString(),
       updated_by: [req.user.id]
     });
+    // A voided or failed payment takes its posting back off the ledger
+    await syncPosting('payment_made', id, req.user);
     
     res.json(updatedPayment);
   } catch (error) {
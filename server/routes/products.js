@@ -0,0 +1,166 @@
+const express = require('express');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { requirePermission, auditLog } = require('../middleware/auth');
+const {
+  ProductError,
+  getProducts,
+  findProduct,
+  createProduct,
+  updateProduct,
+  backfillProductLinks
+} = require('../services/products');
+
+const router = express.Router();
+
+// Per-branch stock levels for a product
+const stockSummary = (product, allStock) => {
+  const rows = allStock.filter(stock => stock.product_id === product.id);
+  return {
+    total_quantity: rows.reduce((sum, stock) => sum + (Number(stock.quantity_available) || 0), 0),
+    branches: rows.map(stock => ({
+      stock_id: stock.id,
+      branch_id: stock.branch_id?.[0],
+      quantity_available: stock.quantity_available || 0,
+      unit_price: stock.unit_price,
+      reorder_level: stock.reorder_level
+    }))
+  };
+};
+
+// List catalogue products (active only unless include_inactive=true)
+router.get('/', async (req, res) => {
+  try {
+    const { search, category, include_inactive, with_stock } = req.query;
+
+    let products = await getProducts();
+
+    if (include_inactive !== 'true') {
+      products = products.filter(product => product.active !== false);
+    }
+    if (category) {
+      products = products.filter(product => (product.category || '').toLowerCase() === category.toLowerCase());
+    }
+    if (search) {
+      const term = search.toLowerCase();
+      products = products.filter(product =>
+        [product.product_name, product.sku, product.barcode]
+          .some(value => value && String(value).toLowerCase().includes(term))
+      );
+    }
+
+    if (with_stock === 'true') {
+      const allStock = await airtableHelpers.find(TABLES.STOCK);
+      products = products.map(product => ({ ...product, ...stockSummary(product, allStock) }));
+    }
+
+    products.sort((a, b) => (a.product_name || '').localeCompare(b.product_name || ''));
+    res.json(products);
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ message: 'Failed to fetch products' });
+  }
+});
+
+// Distinct categories in use
+router.get('/categories', async (req, res) => {
+  try {
+    const products = await getProducts();
+    const categories = [...new Set(products.map(product => product.category).filter(Boolean))].sort();
+    res.json(categories);
+  } catch (error) {
+    console.error('Get product categories error:', error);
+    res.status(500).json({ message: 'Failed to fetch product categories' });
+  }
+});
+
+// Look a product up by barcode or SKU (e.g. from a scanner)
+router.get('/lookup', async (req, res) => {
+  try {
+    const { barcode, sku } = req.query;
+
+    if (!barcode && !sku) {
+      return res.status(400).json({ message: 'Barcode or SKU is required' });
+    }
+
+    const products = await getProducts();
+    const product = findProduct(products, { barcode, sku });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    console.error('Product lookup error:', error);
+    res.status(500).json({ message: 'Failed to look up product' });
+  }
+});
+
+// Create catalogue products for names that only exist on Stock rows and link lines to them
+router.post('/backfill', requirePermission('products.backfill'), auditLog('BACKFILL_PRODUCTS'), async (req, res) => {
+  try {
+    const result = await backfillProductLinks({ userId: req.user.id });
+    res.json({ message: 'Product links backfilled', ...result });
+  } catch (error) {
+    console.error('Backfill products error:', error);
+    res.status(500).json({ message: 'Failed to backfill products' });
+  }
+});
+
+// Get a product with its stock in every branch
+router.get('/:id', async (req, res) => {
+  try {
+    const products = await getProducts();
+    const product = products.find(p => p.id === req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const allStock = await airtableHelpers.find(TABLES.STOCK);
+    res.json({ ...product, ...stockSummary(product, allStock) });
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({ message: 'Failed to fetch product' });
+  }
+});
+
+router.post('/', requirePermission('products.manage'), auditLog('CREATE_PRODUCT'), async (req, res) => {
+  try {
+    const product = await createProduct(req.body, { userId: req.user.id });
+    res.status(201).json(product);
+  } catch (error) {
+    console.error('Create product error:', error);
+    if (error instanceof ProductError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to create product' });
+  }
+});
+
+router.put('/:id', requirePermission('products.manage'), auditLog('UPDATE_PRODUCT'), async (req, res) => {
+  try {
+    const product = await updateProduct(req.params.id, req.body);
+    res.json(product);
+  } catch (error) {
+    console.error('Update product error:', error);
+    if (error instanceof ProductError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to update product' });
+  }
+});
+
+// Products are referenced by historical lines, so they are deactivated rather than deleted
+router.delete('/:id', requirePermission('products.delete'), auditLog('DEACTIVATE_PRODUCT'), async (req, res) => {
+  try {
+    const product = await updateProduct(req.params.id, { active: false });
+    res.json({ message: 'Product deactivated', product });
+  } catch (error) {
+    console.error('Deactivate product error:', error);
+    if (error instanceof ProductError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to deactivate product' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,27 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, authorizeRoles, auditLog } = require('../middleware/auth');
+const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { applyStockChanges, StockLedgerError } = require('../services/stock-ledger');
+const { createProductResolver, productLinkFields, ProductError } = require('../services/products');
+const { normalizeSerials, formatSerials } = require('../services/serials');
+const { DocumentError, renderDocument, sendPdf } = require('../services/documents');
+const { syncPosting } = require('../services/journal-postings');
 
 const router = express.Router();
 
+// A received line with a batch number or expiry date goes into its own stock batch
+const receiveBatches = (receiveItem) => {
+  if (!receiveItem.batch_number && !receiveItem.expiry_date) return undefined;
+  return [{
+    batch_number: receiveItem.batch_number,
+    expiry_date: receiveItem.expiry_date,
+    quantity: Number(receiveItem.quantity_received)
+  }];
+};
+
 // Get all purchase receives
-router.get('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('receiving.view'), async (req, res) => {
   try {
     const { status, startDate, endDate, branchId } = req.query;
     
@@ -59,7 +75,7 @@ router.get('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']),
 });
 
 // Create new purchase receive
-router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('CREATE_PURCHASE_RECEIVE'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('receiving.create'), auditLog('CREATE_PURCHASE_RECEIVE'), async (req, res) => {
   try {
     const {
       purchase_order_id,
@@ -82,6 +98,23 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
       return res.status(404).json({ message: 'Purchase order not found' });
     }
 
+    // Expiry dates must be plain YYYY-MM-DD dates so they sort and compare
+    const badExpiry = items.find(item => item.expiry_date && !/^\d{4}-\d{2}-\d{2}$/.test(item.expiry_date));
+    if (badExpiry) {
+      return res.status(400).json({ message: `Invalid expiry date ${badExpiry.expiry_date}, use YYYY-MM-DD` });
+    }
+
+    // Link lines to the catalogue before anything is written
+    const resolveProduct = createProductResolver({ userId: req.user.id });
+    const itemProducts = [];
+    for (const item of items) {
+      itemProducts.push(await resolveProduct(item, {
+        createIfMissing: true,
+        allowInactive: true,
+        defaults: { default_cost: item.unit_cost }
+      }));
+    }
+
     // Create receive record
     const receiveData = {
       purchase_order_id: [purchase_order_id],
@@ -98,22 +131,27 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
 
     // Create receive items
     const receiveItems = [];
+    const stockLines = [];
     let totalReceived = 0;
     let totalOrdered = 0;
 
-    for (const item of items) {
-      if (!item.product_name || !item.quantity_received) {
+    for (const [index, item] of items.entries()) {
+      const product = itemProducts[index];
+      if (!product || !item.quantity_received) {
         continue;
       }
 
       const receiveItem = await airtableHelpers.create(TABLES.RECEIVE_ITEMS, {
         receive_id: [receive.id],
-        product_name: item.product_name,
+        ...productLinkFields(product),
         quantity_ordered: Number(item.quantity_ordered) || 0,
         quantity_received: Number(item.quantity_received),
         unit_cost: Number(item.unit_cost) || 0,
         total_cost: Number(item.quantity_received) * Number(item.unit_cost || 0),
         condition: item.condition || 'good',
+        batch_number: item.batch_number || undefined,
+        expiry_date: item.expiry_date || undefined,
+        serial_numbers: formatSerials(normalizeSerials(item.serial_numbers)),
         notes: item.notes || ''
       });
 
@@ -121,51 +159,40 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
       totalReceived += Number(item.quantity_received);
       totalOrdered += Number(item.quantity_ordered) || 0;
 
-      // Update stock if item is in good condition
+      // Stock is added for items in good condition
       if (item.condition === 'good' && item.quantity_received > 0) {
-        // Check if product exists in receiving branch
-        const existingStock = await airtableHelpers.find(
-          TABLES.STOCK,
-          `AND({branch_id} = "${receiving_branch_id}", {product_name} = "${item.product_name}")`
-        );
-
-        if (existingStock.length > 0) {
-          // Update existing stock
-          const newQuantity = existingStock[0].quantity_available + Number(item.quantity_received);
-          await airtableHelpers.update(TABLES.STOCK, existingStock[0].id, {
-            quantity_available: newQuantity,
-            unit_price: Number(item.unit_cost) || existingStock[0].unit_price,
-            last_updated: new Date().toISOString()
-          });
-        } else {
-          // Create new stock entry
-          await airtableHelpers.create(TABLES.STOCK, {
-            branch_id: [receiving_branch_id],
-            product_id: `PRD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            product_name: item.product_name,
-            quantity_available: Number(item.quantity_received),
-            unit_price: Number(item.unit_cost) || 0,
-            reorder_level: 10,
-            last_updated: new Date().toISOString()
-          });
-        }
-
-        // Create stock movement record
-        await airtableHelpers.create(TABLES.STOCK_MOVEMENTS, {
-          to_branch_id: [receiving_branch_id],
-          product_name: item.product_name,
+        stockLines.push({
+          type: 'receive',
+          branchId: receiving_branch_id,
+          productId: product.id,
+          productName: product.product_name,
           quantity: Number(item.quantity_received),
-          movement_type: 'purchase_receive',
-          reason: `Goods received from PO #${order.id}`,
-          status: 'completed',
-          transfer_date: receive_date,
-          created_by: [req.user.id],
-          unit_cost: Number(item.unit_cost) || 0,
-          total_cost: Number(item.quantity_received) * Number(item.unit_cost || 0)
+          // The unit cost feeds the cost layers; the selling price is left alone
+          unitCost: Number(item.unit_cost) || 0,
+          fields: { last_purchase_cost: Number(item.unit_cost) || undefined },
+          template: { unit_price: product.default_price || 0 },
+          batches: receiveBatches(receiveItem),
+          serials: normalizeSerials(receiveItem.serial_numbers),
+          reference: {
+            receive_id: [receive.id],
+            transfer_date: receive_date
+          }
         });
       }
     }
 
+    // Add received stock in one go; the receive is removed if any line fails
+    await applyStockChanges(stockLines, {
+      userId: req.user.id,
+      reason: `Goods received from PO #${order.id}`,
+      rollback: async () => {
+        for (const receiveItem of receiveItems) {
+          await airtableHelpers.delete(TABLES.RECEIVE_ITEMS, receiveItem.id);
+        }
+        await airtableHelpers.delete(TABLES.PURCHASE_RECEIVES, receive.id);
+      }
+    });
+
     // Update receive with totals
     await airtableHelpers.update(TABLES.PURCHASE_RECEIVES, receive.id, {
       total_items: receiveItems.length,
@@ -173,6 +200,7 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
       total_quantity_ordered: totalOrdered,
       receive_status: totalReceived >= totalOrdered ? 'complete' : 'partial'
     });
+    await syncPosting('receive', receive.id, req.user);
 
     // Update purchase order status if fully received
     if (totalReceived >= totalOrdered) {
@@ -193,6 +221,9 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
     });
   } catch (error) {
     console.error('Create purchase receive error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ 
       message: 'Failed to create purchase receive',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
@@ -201,7 +232,7 @@ router.post('/', authenticateToken, authorizeRoles(['admin', 'manager', 'boss'])
 });
 
 // Get receive by ID
-router.get('/:receiveId', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), async (req, res) => {
+router.get('/:receiveId', authenticateToken, requirePermission('receiving.view'), async (req, res) => {
   try {
     const { receiveId } = req.params;
     
@@ -231,8 +262,21 @@ router.get('/:receiveId', authenticateToken, authorizeRoles(['admin', 'manager',
   }
 });
 
+// Goods received note PDF
+router.get('/:receiveId/grn.pdf', authenticateToken, requirePermission('receiving.view'), rateLimiter('exports'), async (req, res) => {
+  try {
+    sendPdf(req, res, await renderDocument('grn', req.params.receiveId));
+  } catch (error) {
+    console.error('Goods received note PDF error:', error);
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to render goods received note' });
+  }
+});
+
 // Update receive status
-router.put('/:receiveId/status', authenticateToken, authorizeRoles(['admin', 'manager', 'boss']), auditLog('UPDATE_RECEIVE_STATUS'), async (req, res) => {
+router.put('/:receiveId/status', authenticateToken, requirePermission('receiving.update'), auditLog('UPDATE_RECEIVE_STATUS'), async (req, res) => {
   try {
     const { receiveId } = req.params;
     const { status, notes } = req.body;
@@ -265,7 +309,7 @@ router.put('/:receiveId/status', authenticateToken, authorizeRoles(['admin', 'ma
 });
 
 // Delete receive
-router.delete('/:receiveId', authenticateToken, authorizeRoles(['admin', 'boss']), auditLog('DELETE_PURCHASE_RECEIVE'), async (req, res) => {
+router.delete('/:receiveId', authenticateToken, requirePermission('receiving.delete'), auditLog('DELETE_PURCHASE_RECEIVE'), async (req, res) => {
   try {
     const { receiveId } = req.params;
 
@@ -309,7 +353,7 @@ router.get('/pending', authenticateToken, async (req, res) => {
 });
 
 // Approve receive
-router.post('/:id/approve', authenticateToken, authorizeRoles(['manager', 'admin', 'boss']), async (req, res) => {
+router.post('/:id/approve', authenticateToken, requirePermission('receiving.approve'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -331,52 +375,29 @@ router.post('/:id/approve', authenticateToken, authorizeRoles(['manager', 'admin
       `FIND("${id}", ARRAYJOIN({receive_id}))`
     );
     
-    for (const item of receiveItems) {
-      if (item.condition === 'good' && item.quantity_received > 0) {
-        // Check if product exists in receiving branch
-        const allStock = await airtableHelpers.find(TABLES.STOCK);
-        const existingStock = allStock.find(stock => 
-          stock.branch_id && stock.branch_id.includes(receive.receiving_branch_id[0]) && 
-          stock.product_name === item.product_name
-        );
-        
-        if (existingStock) {
-          // Update existing stock
-          const newQuantity = existingStock.quantity_available + item.quantity_received;
-          await airtableHelpers.update(TABLES.STOCK, existingStock.id, {
-            quantity_available: newQuantity,
-            unit_price: item.unit_cost || existingStock.unit_price,
-            last_updated: new Date().toISOString()
-          });
-        } else {
-          // Create new stock entry
-          await airtableHelpers.create(TABLES.STOCK, {
-            branch_id: receive.receiving_branch_id,
-            product_name: item.product_name,
-            quantity_available: item.quantity_received,
-            unit_price: item.unit_cost || 0,
-            reorder_level: 10,
-            last_updated: new Date().toISOString()
-          });
-        }
-        
-        // Create stock movement record
-        await airtableHelpers.create(TABLES.STOCK_MOVEMENTS, {
-          movement_type: 'receive',
-          to_branch_id: receive.receiving_branch_id,
-          product_name: item.product_name,
-          quantity: item.quantity_received,
-          unit_cost: item.unit_cost || 0,
-          total_cost: item.total_cost || 0,
-          reason: `Purchase receive approved`,
-          status: 'completed',
-          receive_id: [id],
-          approved_by: [req.user.id],
-          created_at: new Date().toISOString(),
-          approved_at: new Date().toISOString()
-        });
-      }
-    }
+    const goodItems = receiveItems.filter(item => item.condition === 'good' && item.quantity_received > 0);
+    
+    await applyStockChanges(goodItems.map(item => ({
+      type: 'receive',
+      branchId: receive.receiving_branch_id[0],
+      productId: item.product_id,
+      productName: item.product_name,
+      quantity: item.quantity_received,
+      unitCost: item.unit_cost || 0,
+      fields: { last_purchase_cost: item.unit_cost || undefined },
+      batches: receiveBatches(item),
+      serials: normalizeSerials(item.serial_numbers),
+      reference: { receive_id: [id] }
+    })), {
+      userId: req.user.id,
+      reason: 'Purchase receive approved',
+      rollback: () => airtableHelpers.update(TABLES.PURCHASE_RECEIVES, id, {
+        status: receive.status || null,
+        approved_by: null,
+        approved_at: null
+      })
+    });
+    await syncPosting('receive', id, req.user);
     
     res.json({
       success: true,
@@ -385,6 +406,9 @@ router.post('/:id/approve', authenticateToken, authorizeRoles(['manager', 'admin
     });
   } catch (error) {
     console.error('Approve receive error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to approve purchase receive' });
   }
 });
@@ -0,0 +1,122 @@
+const express = require('express');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { requirePermission, auditLog } = require('../middleware/auth');
+const { SupplierError } = require('../services/suppliers');
+const scheduler = require('../services/scheduler');
+const {
+  RecurringBillError,
+  getTemplate,
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  generateDueBills,
+  projectOccurrences
+} = require('../services/recurring-bills');
+
+const router = express.Router();
+
+const sendRecurringBillError = (res, error, fallbackMessage) => {
+  if (error instanceof RecurringBillError || error instanceof SupplierError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// List templates, e.g. ?status=active,paused
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listTemplates({ status: req.query.status }));
+  } catch (error) {
+    console.error('Get recurring bills error:', error);
+    res.status(500).json({ message: 'Failed to fetch recurring bills' });
+  }
+});
+
+/**
+ * Create a template. Body: name, vendor_id | vendor_name, amount,
+ * tax_amount?, frequency (weekly, fortnightly, monthly, quarterly, yearly),
+ * start_date, end_date?, payment_terms_days?, generate_days_before?,
+ * description?, account_code?, auto_schedule_payment?, payment_method?
+ */
+router.post('/', requirePermission('bills.recurring.manage'), auditLog('CREATE_RECURRING_BILL'), async (req, res) => {
+  try {
+    const template = await createTemplate(req.body, req.user);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Create recurring bill error:', error);
+    sendRecurringBillError(res, error, 'Failed to create recurring bill');
+  }
+});
+
+// Generate bills that are due now (what the scheduler does every run)
+router.post('/run', requirePermission('bills.recurring.manage'), auditLog('RUN_RECURRING_BILLS'), async (req, res) => {
+  try {
+    const result = await generateDueBills();
+    res.json({ message: `${result.created.length} bill(s) generated`, ...result });
+  } catch (error) {
+    console.error('Run recurring bills error:', error);
+    sendRecurringBillError(res, error, 'Failed to generate recurring bills');
+  }
+});
+
+router.get('/scheduler', requirePermission('bills.recurring.scheduler.view'), (req, res) => {
+  res.json(scheduler.status());
+});
+
+// Template with the bills generated from it and the next ones due
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id);
+    const bills = await airtableHelpers.find(TABLES.BILLS);
+    res.json({
+      ...template,
+      bills: bills
+        .filter(bill => bill.recurring_bill_id && bill.recurring_bill_id.includes(template.id))
+        .sort((a, b) => String(b.bill_date).localeCompare(String(a.bill_date))),
+      upcoming: projectOccurrences(template, addDays(new Date(), 90))
+    });
+  } catch (error) {
+    console.error('Get recurring bill error:', error);
+    sendRecurringBillError(res, error, 'Failed to fetch recurring bill');
+  }
+});
+
+// Update a template; status 'paused' stops it, 'active' resumes it
+router.put('/:id', requirePermission('bills.recurring.manage'), auditLog('UPDATE_RECURRING_BILL'), async (req, res) => {
+  try {
+    res.json(await updateTemplate(req.params.id, req.body));
+  } catch (error) {
+    console.error('Update recurring bill error:', error);
+    sendRecurringBillError(res, error, 'Failed to update recurring bill');
+  }
+});
+
+// Generate this template's due bills now
+router.post('/:id/run', requirePermission('bills.recurring.manage'), auditLog('RUN_RECURRING_BILL'), async (req, res) => {
+  try {
+    const result = await generateDueBills({ templateId: req.params.id });
+    res.json({ message: `${result.created.length} bill(s) generated`, ...result });
+  } catch (error) {
+    console.error('Run recurring bill error:', error);
+    sendRecurringBillError(res, error, 'Failed to generate recurring bill');
+  }
+});
+
+// Templates are ended rather than deleted so their bills keep their source
+router.delete('/:id', requirePermission('bills.recurring.manage'), auditLog('END_RECURRING_BILL'), async (req, res) => {
+  try {
+    await getTemplate(req.params.id);
+    const template = await airtableHelpers.update(TABLES.RECURRING_BILLS, req.params.id, {
+      status: 'ended',
+      ended_at: new Date().toISOString()
+    });
+    res.json({ message: 'Recurring bill ended', template });
+  } catch (error) {
+    console.error('End recurring bill error:', error);
+    sendRecurringBillError(res, error, 'Failed to end recurring bill');
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,88 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { requirePermission } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rate-limit');
+const { applyStockChanges, reverseStockChanges, reverseLedgerEntries, firstId, StockLedgerError } = require('../services/stock-ledger');
+const { createProductResolver, productLinkFields, ProductError } = require('../services/products');
+const { splitAllocations, parseAllocations } = require('../services/batches');
+const { normalizeSerials, formatSerials } = require('../services/serials');
+const {
+  CheckoutError,
+  priceBasket,
+  settleTenders,
+  nextReceiptNumber,
+  getReceipt
+} = require('../services/checkout');
+const { DocumentError, renderDocument, sendPdf } = require('../services/documents');
+const { hasPermission } = require('../services/permissions');
+const {
+  ReceivablesError,
+  getCustomer,
+  chargeAccount,
+  releaseCharge: releaseAccountCharge,
+  creditInvoice
+} = require('../services/receivables');
+const { syncPosting } = require('../services/journal-postings');
 
 const router = express.Router();
 
+const lineKey = (productId, productName) => productId || (productName || '').toLowerCase().trim();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// The batches `quantity` returned units of a sale line go back to: the ones
+// after those already returned, in the order the line took them
+const returnedBatches = (item, returnedBefore, quantity) => {
+  const batches = splitAllocations(parseAllocations(item.batches), [returnedBefore, quantity])[1];
+  return batches.length > 0 ? batches : undefined;
+};
+
+// Copy the unit cost the ledger charged for each product, and the batches it
+// took the goods from, onto the sale items
+const recordSaleCosts = async (saleItems, changes) => {
+  // Lines with serial numbers are booked one by one; other sale lines for the
+  // same product share one ledger change and its batches
+  const hasSerials = (change) => change.line.serials && change.line.serials.length > 0;
+  const changeFor = (item) => changes.find(change => hasSerials(change) && change.line.reference?.sale_item_id?.[0] === item.id) ||
+    changes.find(change => !hasSerials(change) && lineKey(change.line.productId, change.line.productName) === lineKey(item.product_id, item.product_name));
+
+  const itemsByChange = new Map();
+  for (const item of saleItems) {
+    const change = changeFor(item);
+    if (change) itemsByChange.set(change, [...(itemsByChange.get(change) || []), item]);
+  }
+
+  const batchShares = new Map();
+  for (const [change, items] of itemsByChange) {
+    const shares = splitAllocations(change.batches, items.map(item => item.quantity_sold));
+    items.forEach((item, index) => batchShares.set(item.id, shares[index]));
+  }
+
+  return Promise.all(saleItems.map(item => {
+    const change = changeFor(item);
+    if (!change) return item;
+
+    const batches = batchShares.get(item.id) || [];
+    return airtableHelpers.update(TABLES.SALE_ITEMS, item.id, {
+      unit_cost: change.unitCost,
+      cost_of_goods_sold: change.unitCost !== undefined ? Math.round(change.unitCost * item.quantity_sold * 100) / 100 : undefined,
+      costing_method: change.costingMethod,
+      cost_estimated: change.costEstimated,
+      batches: batches.length > 0 ? JSON.stringify(batches) : undefined
+    });
+  }));
+};
+
+// Remove a sale and its items (to roll back a sale whose stock update failed,
+// or to delete one)
+const deleteSale = async (saleId, saleItems) => {
+  for (const item of saleItems) {
+    await airtableHelpers.delete(TABLES.SALE_ITEMS, item.id);
+  }
+  await airtableHelpers.delete(TABLES.SALES, saleId);
+};
+
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({ 
@@ -13,37 +93,6 @@ router.get('/test', (req, res) => {
   });
 });
 
-// Test sale creation and show table schemas
-router.post('/test-sale', async (req, res) => {
-  try {
-    console.log('Test sale request:', req.body);
-    
-    // Get sample data
-    const sales = await airtableHelpers.find(TABLES.SALES);
-    const saleItems = await airtableHelpers.find(TABLES.SALE_ITEMS);
-    const stock = await airtableHelpers.find(TABLES.STOCK);
-    
-    res.json({
-      message: 'Test successful',
-      sampleData: {
-        salesCount: sales.length,
-        saleItemsCount: saleItems.length,
-        stockCount: stock.length,
-        sampleSale: sales[0] || null,
-        sampleSaleItem: saleItems[0] || null,
-        sampleStock: stock[0] || null
-      },
-      schemas: {
-        salesFields: sales[0] ? Object.keys(sales[0]) : [],
-        saleItemsFields: saleItems[0] ? Object.keys(saleItems[0]) : [],
-        stockFields: stock[0] ? Object.keys(stock[0]) : []
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 router.get('/', async (req, res) => {
   try {
     const allSales = await airtableHelpers.find(TABLES.SALES);
@@ -82,86 +131,241 @@ router.get('/branch/:branchId', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+/**
+ * Point-of-sale checkout. Body:
+ *   branchId, items: [{ product_id | sku | barcode | product_name, quantity,
+ *     unit_price?, discount_percent?, discount_amount?, serial_numbers? }],
+ *   discount_percent? | discount_amount? (basket), payments: [{ type, amount, reference? }],
+ *   customer_id?, customer_name?, notes?
+ * Prices always come from the branch selling price (or the product's default
+ * price); a lower `unit_price` is taken as a line discount and capped like one.
+ * The cashier is the signed-in user.
+ * A `credit` tender goes on the account of `customer_id` and the sale becomes
+ * that customer's invoice, due after their payment terms.
+ */
+router.post('/checkout', requireOpenPeriod(TABLES.SALES, { label: 'Sale' }), async (req, res) => {
   try {
-    const { items, branchId, sale_date } = req.body;
+    const { branchId, items, payments, customer_id, customer_name, notes } = req.body;
 
-    if (!items || items.length === 0 || !branchId) {
+    if (!branchId || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ message: 'Items and branch ID are required' });
     }
+    if (firstId(req.user.branch_id) !== branchId && !(await hasPermission(req.user, 'branches.all'))) {
+      return res.status(403).json({ message: 'You can only sell from your own branch' });
+    }
 
-    // Calculate total
-    const saleTotal = items.reduce((sum, item) => {
-      return sum + (Number(item.quantity) * Number(item.unit_price));
-    }, 0);
-    
-    // Create sale with minimal fields
-    const salesData = {
-      branch_id: [branchId],
-      total_amount: saleTotal,
-      sale_date: sale_date || new Date().toISOString().split('T')[0]
-    };
-    
-    const newSale = await airtableHelpers.create(TABLES.SALES, salesData);
-    
-    // Get stock for reduction
+    // Resolve products and price them at the branch selling price
+    const resolveProduct = createProductResolver();
     const allStock = await airtableHelpers.find(TABLES.STOCK);
-    
-    // Aggregate quantities by product name
-    const productTotals = {};
-    
-    // Create sale items and calculate totals
-    const saleItems = [];
+    const branchStock = allStock.filter(stock => stock.branch_id && stock.branch_id.includes(branchId));
+    const basketLines = [];
     for (const item of items) {
-      if (!item.quantity || !item.unit_price || !item.product_name) continue;
-      
-      // Create sale item
-      const saleItem = await airtableHelpers.create(TABLES.SALE_ITEMS, {
-        sale_id: [newSale.id],
-        product_name: item.product_name,
-        quantity_sold: Number(item.quantity),
-        unit_price: Number(item.unit_price)
+      const product = await resolveProduct(item);
+      const productName = product ? product.product_name : item.product_name;
+      if (!productName) {
+        return res.status(404).json({ message: 'Product not found', item });
+      }
+      const stock = branchStock.find(row => (product && row.product_id === product.id) ||
+        (row.product_name || '').toLowerCase() === productName.toLowerCase());
+      basketLines.push({
+        ...item,
+        product_id: product?.id,
+        product_name: productName,
+        unit_price: stock?.unit_price ?? product?.default_price,
+        requested_price: item.unit_price
       });
-      saleItems.push(saleItem);
-      
-      // Aggregate quantities for same product
-      const productKey = item.product_name.toLowerCase().trim();
-      productTotals[productKey] = (productTotals[productKey] || 0) + Number(item.quantity);
     }
-    
-    console.log('Product totals for stock reduction:', productTotals);
-    
-    // Reduce stock once per product with total quantity
-    for (const [productKey, totalQuantity] of Object.entries(productTotals)) {
-      const stockItem = allStock.find(s => {
-        const matchesBranch = s.branch_id && s.branch_id.includes(branchId);
-        const matchesProduct = s.product_name && s.product_name.toLowerCase().trim() === productKey;
-        return matchesBranch && matchesProduct;
+
+    const basket = await priceBasket(basketLines, req.body, req.user);
+    const settlement = settleTenders(basket.total, payments);
+    if (settlement.creditAmount > 0 && !customer_id) {
+      return res.status(400).json({ message: 'A customer account is required for a credit sale' });
+    }
+    const customer = customer_id ? await getCustomer(customer_id) : null;
+
+    const now = new Date().toISOString();
+
+    // The on-account part goes on the customer's account first, so the credit
+    // limit holds even when two tills sell to the same customer at once
+    const charge = settlement.creditAmount > 0
+      ? await chargeAccount(customer_id, settlement.creditAmount, now.split('T')[0])
+      : null;
+    const releaseCharge = () => (charge ? releaseAccountCharge(customer_id, settlement.creditAmount) : Promise.resolve());
+
+    let newSale;
+    try {
+      newSale = await airtableHelpers.create(TABLES.SALES, {
+        branch_id: [branchId],
+        employee_id: req.user.id ? [req.user.id] : undefined,
+        cashier_name: req.user.fullName || req.user.email,
+        sale_date: now.split('T')[0],
+        sale_time: now,
+        subtotal: basket.subtotal,
+        line_discount_total: basket.lineDiscountTotal,
+        basket_discount: basket.basketDiscount,
+        discount_total: basket.discountTotal,
+        total_amount: basket.total,
+        amount_tendered: settlement.tendered,
+        change_given: settlement.change,
+        credit_amount: settlement.creditAmount || undefined,
+        payment_method: settlement.paymentMethod,
+        customer_id: customer ? [customer.id] : undefined,
+        customer_name: customer ? customer.name : customer_name || undefined,
+        ...(charge ? charge.invoiceFields : {}),
+        notes: notes || undefined,
+        status: 'completed'
       });
-      
-      if (stockItem) {
-        console.log(`Reducing stock for ${productKey}: ${stockItem.quantity_available} - ${totalQuantity} = ${stockItem.quantity_available - totalQuantity}`);
-        await airtableHelpers.update(TABLES.STOCK, stockItem.id, {
-          quantity_available: Math.max(0, stockItem.quantity_available - totalQuantity)
+    } catch (saleError) {
+      await releaseCharge();
+      throw saleError;
+    }
+
+    const saleItems = [];
+    const stockLines = [];
+    try {
+      for (const line of basket.lines) {
+        const saleItem = await airtableHelpers.create(TABLES.SALE_ITEMS, {
+          sale_id: [newSale.id],
+          product_id: line.product_id,
+          product_name: line.product_name,
+          quantity_sold: line.quantity,
+          unit_price: line.unit_price,
+          line_subtotal: line.subtotal,
+          discount_percent: line.discount_percent ? Number(line.discount_percent) : undefined,
+          line_discount: line.line_discount,
+          basket_discount_share: line.basket_discount,
+          line_total: line.line_total,
+          serial_numbers: formatSerials(normalizeSerials(line.serial_numbers))
+        });
+        saleItems.push(saleItem);
+
+        stockLines.push({
+          type: 'sale',
+          branchId,
+          productId: line.product_id,
+          productName: line.product_name,
+          quantity: -line.quantity,
+          serials: normalizeSerials(line.serial_numbers),
+          reference: { sale_id: [newSale.id], sale_item_id: [saleItem.id] }
         });
-      } else {
-        console.log(`No stock found for product: ${productKey}`);
       }
+    } catch (itemError) {
+      await deleteSale(newSale.id, saleItems);
+      await releaseCharge();
+      throw itemError;
     }
-    
-    res.status(201).json({ 
+
+    const changes = await applyStockChanges(stockLines, {
+      userId: req.user.id,
+      reason: `Sale ${newSale.id}`,
+      rollback: async () => {
+        await deleteSale(newSale.id, saleItems);
+        await releaseCharge();
+      }
+    });
+
+    // Stock has moved: if anything below fails, the stock goes back and the
+    // sale is removed, so a failed checkout never leaves stock short
+    let costedItems;
+    let receiptNumber;
+    let sale;
+    const salePayments = [];
+    try {
+      costedItems = await recordSaleCosts(saleItems, changes);
+      const costOfGoodsSold = Math.round(costedItems.reduce((sum, item) => sum + (item.cost_of_goods_sold || 0), 0) * 100) / 100;
+
+      // Numbered once stock has moved, so only a failed write below leaves a gap
+      const receipt = await nextReceiptNumber(branchId);
+      receiptNumber = receipt.receiptNumber;
+      for (const tender of settlement.tenders) {
+        salePayments.push(await airtableHelpers.create(TABLES.SALE_PAYMENTS, {
+          sale_id: [newSale.id],
+          branch_id: [branchId],
+          receipt_number: receiptNumber,
+          tender_type: tender.type,
+          amount: tender.amount,
+          amount_tendered: tender.tendered,
+          reference: tender.reference,
+          received_by: req.user.id ? [req.user.id] : undefined,
+          paid_at: now
+        }));
+      }
+
+      sale = await airtableHelpers.update(TABLES.SALES, newSale.id, {
+        receipt_number: receiptNumber,
+        receipt_sequence: receipt.sequence,
+        cost_of_goods_sold: costOfGoodsSold
+      });
+    } catch (finishError) {
+      console.error(`Checkout failed after stock moved, rolling back sale ${newSale.id}:`, finishError.message);
+      await reverseStockChanges(changes, finishError.message, { userId: req.user.id, reason: `Sale ${newSale.id}` });
+      for (const payment of salePayments) {
+        await airtableHelpers.delete(TABLES.SALE_PAYMENTS, payment.id).catch(error => console.error(`Failed to remove payment ${payment.id}:`, error.message));
+      }
+      await deleteSale(newSale.id, saleItems).catch(error => console.error(`Failed to remove sale ${newSale.id}:`, error.message));
+      await releaseCharge().catch(error => console.error(`Failed to release account charge for sale ${newSale.id}:`, error.message));
+      throw finishError;
+    }
+    await syncPosting('sale', sale.id, req.user);
+
+    res.status(201).json({
       success: true,
-      sale: newSale, 
-      items: saleItems,
-      message: 'Sale created successfully'
+      message: 'Sale completed',
+      sale,
+      items: costedItems,
+      payments: salePayments,
+      receiptNumber,
+      change: settlement.change
     });
   } catch (error) {
-    console.error('Sale error:', error.message);
-    res.status(500).json({ message: 'Failed to add sale', error: error.message });
+    console.error('Checkout error:', error.message);
+    if (error instanceof CheckoutError || error instanceof StockLedgerError || error instanceof ReceivablesError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
+    if (error instanceof ProductError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to complete checkout' });
+  }
+});
+
+// Receipt data (sale, lines, tenders and branch) for printing or reprinting
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    res.json(await getReceipt(req.params.id));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(404).json({ message: 'Sale not found' });
+  }
+});
+
+// Printable till receipt (80mm)
+router.get('/:id/receipt.pdf', rateLimiter('exports'), async (req, res) => {
+  try {
+    sendPdf(req, res, await renderDocument('receipt', req.params.id));
+  } catch (error) {
+    console.error('Receipt PDF error:', error);
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to render receipt' });
+  }
+});
+
+// A4 invoice for the same sale, with the customer and any balance on account
+router.get('/:id/invoice.pdf', rateLimiter('exports'), async (req, res) => {
+  try {
+    sendPdf(req, res, await renderDocument('invoice', req.params.id));
+  } catch (error) {
+    console.error('Invoice PDF error:', error);
+    if (error instanceof DocumentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to render invoice' });
   }
 });
 
-router.put('/:saleId', async (req, res) => {
+router.put('/:saleId', requirePermission('sales.update'), requireOpenPeriod(TABLES.SALES, { param: 'saleId', label: 'Sale' }), async (req, res) => {
   try {
     const { saleId } = req.params;
     const updateData = {
@@ -170,6 +374,8 @@ router.put('/:saleId', async (req, res) => {
     };
 
     const updatedSale = await airtableHelpers.update(TABLES.SALES, saleId, updateData);
+    await syncPosting('sale', saleId, req.user);
+    await syncPosting('refund', saleId, req.user);
     res.json(updatedSale);
   } catch (error) {
     console.error('Update sale error:', error);
@@ -177,10 +383,23 @@ router.put('/:saleId', async (req, res) => {
   }
 });
 
-router.delete('/:saleId', async (req, res) => {
+router.delete('/:saleId', requirePermission('sales.delete'), requireOpenPeriod(TABLES.SALES, { param: 'saleId', label: 'Sale' }), async (req, res) => {
   try {
     const { saleId } = req.params;
-    await airtableHelpers.delete(TABLES.SALES, saleId);
+    const sale = await airtableHelpers.findById(TABLES.SALES, saleId).catch(() => null);
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    // Put back what the sale took out of stock, less what its refunds returned
+    const movements = await airtableHelpers.find(TABLES.STOCK_MOVEMENTS, `FIND("${saleId}", ARRAYJOIN({sale_id}))`);
+    await reverseLedgerEntries(movements, `Sale ${saleId} deleted`, { userId: req.user.id, reference: { sale_id: [saleId] } });
+
+    const saleItems = await airtableHelpers.find(TABLES.SALE_ITEMS, `FIND("${saleId}", ARRAYJOIN({sale_id}))`);
+    await deleteSale(saleId, saleItems);
+    // Deleting a sale reverses what it posted
+    await syncPosting('sale', saleId, req.user);
+    await syncPosting('refund', saleId, req.user);
     res.json({ message: 'Sale deleted successfully' });
   } catch (error) {
     console.error('Delete sale error:', error);
@@ -292,68 +511,156 @@ router.get('/by-date/:date', async (req, res) => {
   }
 });
 
-// Process refund
-router.post('/:id/refund', async (req, res) => {
+// Process refund. A sale can be refunded in parts until its total has been
+// paid back; each sale line keeps how many of its units have come back, so no
+// more can be returned than were sold.
+router.post('/:id/refund', requireOpenPeriod(TABLES.SALES, { dates: () => [new Date().toISOString()], label: 'Refund' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { refund_amount, refund_reason, items_to_refund } = req.body;
+    const amount = round2(parseFloat(refund_amount));
     
-    if (!refund_amount || refund_amount <= 0) {
+    if (!(amount > 0)) {
       return res.status(400).json({ message: 'Valid refund amount is required' });
     }
+    if (items_to_refund !== undefined && !Array.isArray(items_to_refund)) {
+      return res.status(400).json({ message: 'items_to_refund must be a list' });
+    }
     
-    const sale = await airtableHelpers.findById(TABLES.SALES, id);
+    const sale = await airtableHelpers.findById(TABLES.SALES, id).catch(() => null);
     if (!sale) {
       return res.status(404).json({ message: 'Sale not found' });
     }
-    
-    // Update sale with refund information
-    await airtableHelpers.update(TABLES.SALES, id, {
-      refund_amount: parseFloat(refund_amount),
+
+    const refundedBefore = Number(sale.refund_amount) || 0;
+    const refundable = round2((Number(sale.total_amount) || 0) - refundedBefore);
+    if (sale.status === 'refunded' || refundable <= 0) {
+      return res.status(409).json({ message: 'This sale has already been refunded in full' });
+    }
+    if (amount > refundable) {
+      return res.status(400).json({ message: `Refund cannot be more than the ${refundable} left to refund on this sale`, refundable });
+    }
+
+    // Share each returned quantity over the sale's lines for that product, up
+    // to what each line still has out
+    const soldItems = await airtableHelpers.find(TABLES.SALE_ITEMS, `FIND("${id}", ARRAYJOIN({sale_id}))`);
+    const unitsOut = (item) => (Number(item.quantity_sold) || 0) - (Number(item.quantity_refunded) || 0);
+    const returnedNow = new Map();
+    const returns = [];
+    for (const requested of items_to_refund || []) {
+      const quantity = Number(requested.quantity);
+      const label = requested.product_name || requested.product_id;
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ message: `Quantity to refund for ${label} must be a positive whole number` });
+      }
+      const key = lineKey(requested.product_id, requested.product_name);
+      const lines = soldItems.filter(item => lineKey(item.product_id, item.product_name) === key);
+      const returnable = lines.reduce((sum, item) => sum + unitsOut(item) - (returnedNow.get(item.id) || 0), 0);
+      if (quantity > returnable) {
+        return res.status(400).json({
+          message: `Only ${returnable} of ${label} can still be returned on this sale`,
+          product: label,
+          returnable
+        });
+      }
+
+      const soldSerials = lines.flatMap(item => normalizeSerials(item.serial_numbers));
+      const given = normalizeSerials(requested.serial_numbers);
+      const strangers = given.filter(serial => !soldSerials.includes(serial));
+      if (strangers.length > 0) {
+        return res.status(400).json({ message: `Serial numbers ${strangers.join(', ')} were not sold on this sale`, serials: strangers });
+      }
+
+      // Returned units name their serials; returning every unit of a product
+      // takes all the serials it was sold with
+      const serials = given.length > 0 ? given : (soldSerials.length === quantity ? soldSerials : []);
+      let remaining = quantity;
+      for (const item of lines) {
+        const taken = Math.min(unitsOut(item) - (returnedNow.get(item.id) || 0), remaining);
+        if (taken <= 0) continue;
+        const done = quantity - remaining;
+        returns.push({
+          item,
+          quantity: taken,
+          returnedBefore: (Number(item.quantity_refunded) || 0) + (returnedNow.get(item.id) || 0),
+          serials: serials.slice(done, done + taken)
+        });
+        returnedNow.set(item.id, (returnedNow.get(item.id) || 0) + taken);
+        remaining -= taken;
+      }
+    }
+
+    // Claim the refund on the sale first: of two refunds at once, only the
+    // one that finds the sale as it read it goes through
+    const refundedTotal = round2(refundedBefore + amount);
+    const previous = {
+      refund_amount: sale.refund_amount ?? null,
+      refund_reason: sale.refund_reason ?? null,
+      refund_date: sale.refund_date ?? null,
+      status: sale.status ?? null
+    };
+    const claimed = await airtableHelpers.updateIfMatch(TABLES.SALES, id, { refund_amount: previous.refund_amount, status: previous.status }, {
+      refund_amount: refundedTotal,
       refund_reason: refund_reason || '',
       refund_date: new Date().toISOString().split('T')[0],
-      status: 'refunded',
+      status: refundedTotal >= round2(Number(sale.total_amount) || 0) ? 'refunded' : 'partially_refunded',
       updated_at: new Date().toISOString()
     });
-    
-    // If specific items are being refunded, restore stock
-    if (items_to_refund && Array.isArray(items_to_refund)) {
-      for (const item of items_to_refund) {
-        // Create stock movement for refund
-        await airtableHelpers.create(TABLES.STOCK_MOVEMENTS, {
-          movement_type: 'refund',
-          to_branch_id: sale.branch_id,
-          product_name: item.product_name,
-          quantity: parseInt(item.quantity),
-          reason: `Refund for sale ${id}: ${refund_reason}`,
-          status: 'approved',
-          created_at: new Date().toISOString(),
-          approved_at: new Date().toISOString()
-        });
-        
-        // Restore stock
-        const allStock = await airtableHelpers.find(TABLES.STOCK);
-        const stockItem = allStock.find(s => 
-          s.branch_id && s.branch_id.includes(sale.branch_id[0]) && 
-          s.product_name === item.product_name
-        );
-        
-        if (stockItem) {
-          await airtableHelpers.update(TABLES.STOCK, stockItem.id, {
-            quantity_available: stockItem.quantity_available + parseInt(item.quantity),
-            last_updated: new Date().toISOString()
-          });
-        }
+    if (!claimed) {
+      return res.status(409).json({ message: 'This sale changed while the refund was being made; reload it and try again' });
+    }
+
+    const refundedItems = [...returnedNow.keys()].map(itemId => soldItems.find(item => item.id === itemId));
+    const undoRefund = async () => {
+      await airtableHelpers.update(TABLES.SALES, id, { ...previous, updated_at: new Date().toISOString() });
+      for (const item of refundedItems) {
+        await airtableHelpers.update(TABLES.SALE_ITEMS, item.id, { quantity_refunded: item.quantity_refunded ?? null });
       }
+    };
+
+    for (const item of refundedItems) {
+      await airtableHelpers.update(TABLES.SALE_ITEMS, item.id, {
+        quantity_refunded: (Number(item.quantity_refunded) || 0) + returnedNow.get(item.id)
+      });
     }
+
+    // Returned goods go back into stock at the cost they were sold at, and
+    // into the batches they were sold from, after any returned before
+    if (returns.length > 0) {
+      await applyStockChanges(returns.map(({ item, quantity, returnedBefore, serials }) => ({
+        type: 'refund',
+        branchId: sale.branch_id[0],
+        productId: item.product_id,
+        productName: item.product_name,
+        quantity,
+        unitCost: item.unit_cost,
+        batches: returnedBatches(item, returnedBefore, quantity),
+        serials,
+        reference: { sale_id: [id], sale_item_id: [item.id] }
+      })), {
+        userId: req.user?.id,
+        reason: `Refund for sale ${id}: ${refund_reason || ''}`,
+        rollback: undoRefund
+      });
+    }
+
+    // Refunding a credit sale first cancels what the customer still owes on it
+    const creditedToAccount = await creditInvoice(id, amount);
+    await syncPosting('refund', id, req.user);
     
     res.json({
       success: true,
       message: 'Refund processed successfully',
-      refund_amount: parseFloat(refund_amount)
+      refund_amount: amount,
+      total_refunded: refundedTotal,
+      status: claimed.status,
+      credited_to_account: creditedToAccount
     });
   } catch (error) {
     console.error('Process refund error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to process refund' });
   }
 });
@@ -411,19 +718,21 @@ router.get('/items/by-sale/:saleId', async (req, res) => {
 });
 
 // Add sale item
-router.post('/items', async (req, res) => {
+router.post('/items', requirePermission('sales.update'), requireOpenPeriod(TABLES.SALES, { ids: req => [req.body.sale_id], label: 'Sale' }), async (req, res) => {
   try {
-    const { sale_id, product_name, quantity, unit_price } = req.body;
+    const { sale_id, product_id, product_name, quantity, unit_price } = req.body;
     
-    if (!sale_id || !product_name || !quantity || !unit_price) {
+    if (!sale_id || (!product_name && !product_id) || !quantity || !unit_price) {
       return res.status(400).json({ 
-        message: 'Sale ID, product name, quantity, and unit price are required' 
+        message: 'Sale ID, product, quantity, and unit price are required' 
       });
     }
     
+    const product = await createProductResolver()(req.body, { allowInactive: true });
     const saleItemData = {
       sale_id: [sale_id],
       product_name,
+      ...productLinkFields(product),
       quantity_sold: parseInt(quantity),
       unit_price: parseFloat(unit_price)
     };
@@ -1,6 +1,34 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
+const {
+  applyStockChanges,
+  computeLedgerBalances,
+  reconcileStock,
+  rebuildStockFromLedger,
+  firstId,
+  StockLedgerError
+} = require('../services/stock-ledger');
+const { createProductResolver, productLinkFields, ProductError } = require('../services/products');
+const { valueInventory } = require('../services/costing');
+const { listBatches, getExpiringBatches } = require('../services/batches');
+const { listSerials, getSerialHistory } = require('../services/serials');
+const { getReorderSuggestions, createDraftOrders } = require('../services/replenishment');
+const {
+  OPEN_STATUSES,
+  TransferError,
+  getTransfer,
+  requestTransfer,
+  approveTransfer,
+  endTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  closeTransfer,
+  listTransfers,
+  getInTransit,
+  getVarianceReport
+} = require('../services/transfers');
+const { syncPosting } = require('../services/journal-postings');
 
 const router = express.Router();
 
@@ -49,6 +77,218 @@ router.get('/check-movements', async (req, res) => {
   }
 });
 
+// Stock ledger entries, newest first
+router.get('/ledger', async (req, res) => {
+  try {
+    const { branchId, productName, type } = req.query;
+    let entries = await airtableHelpers.find(
+      TABLES.STOCK_MOVEMENTS,
+      '{is_ledger_entry}',
+      [{ field: 'created_at', direction: 'desc' }]
+    );
+
+    if (branchId) {
+      entries = entries.filter(entry => entry.branch_id && entry.branch_id.includes(branchId));
+    }
+    if (productName) {
+      entries = entries.filter(entry => entry.product_name && entry.product_name.toLowerCase() === productName.toLowerCase());
+    }
+    if (type) {
+      entries = entries.filter(entry => entry.movement_type === type);
+    }
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Get stock ledger error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock ledger' });
+  }
+});
+
+// On-hand quantities per branch/product derived from the ledger
+router.get('/ledger/on-hand', async (req, res) => {
+  try {
+    const balances = await computeLedgerBalances({ branchId: req.query.branchId });
+    res.json(balances);
+  } catch (error) {
+    console.error('Compute on-hand error:', error);
+    res.status(500).json({ message: 'Failed to compute on-hand stock' });
+  }
+});
+
+// Inventory valued at cost (weighted average or FIFO layers) and at selling price
+router.get('/valuation', async (req, res) => {
+  try {
+    const valuation = await valueInventory({ branchId: req.query.branchId });
+    res.json(valuation);
+  } catch (error) {
+    console.error('Inventory valuation error:', error);
+    res.status(500).json({ message: 'Failed to value inventory' });
+  }
+});
+
+// What to reorder per branch/product from reorder levels, recent sales, lead times and safety stock
+router.get('/reorder-suggestions', requirePermission('stock.reorder'), async (req, res) => {
+  try {
+    const { branchId, supplier, salesWindowDays, safetyDays, coverDays, leadTimeDays, all } = req.query;
+    const result = await getReorderSuggestions({
+      branchId,
+      supplier,
+      salesWindowDays,
+      safetyDays,
+      coverDays,
+      leadTimeDays,
+      includeAll: all === 'true'
+    });
+
+    res.json({
+      ...result,
+      summary: {
+        products: result.suggestions.filter(s => s.suggested_quantity > 0).length,
+        withoutSupplier: result.suggestions.filter(s => s.suggested_quantity > 0 && !s.supplier_name).length,
+        estimatedCost: Math.round(result.suggestions.reduce((sum, s) => sum + s.estimated_cost, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Get reorder suggestions error:', error);
+    res.status(500).json({ message: 'Failed to build reorder suggestions' });
+  }
+});
+
+// Turn selected suggestions into draft purchase orders, one per supplier.
+// body.suggestions = [{ stock_id, quantity?, supplier_name?, unit_cost? }]
+router.post('/reorder-suggestions/orders', requirePermission('stock.reorder'), auditLog('CREATE_REORDER_DRAFTS'), async (req, res) => {
+  try {
+    const { suggestions } = req.body;
+    if (!Array.isArray(suggestions) || suggestions.length === 0) {
+      return res.status(400).json({ message: 'Select at least one suggestion' });
+    }
+
+    const result = await createDraftOrders(suggestions, req.user);
+    if (result.orders.length === 0) {
+      return res.status(400).json({ message: 'None of the selected suggestions could be ordered', skipped: result.skipped });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${result.orders.length} draft purchase orders created`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Create reorder drafts error:', error);
+    res.status(500).json({ message: 'Failed to create draft purchase orders' });
+  }
+});
+
+// Serial-numbered units, e.g. ?branchId=...&status=in_stock
+router.get('/serials', async (req, res) => {
+  try {
+    const { branchId, productId, status } = req.query;
+    res.json(await listSerials({ branchId, productId, status }));
+  } catch (error) {
+    console.error('Get serial numbers error:', error);
+    res.status(500).json({ message: 'Failed to fetch serial numbers' });
+  }
+});
+
+// Where a unit came from, every move it made and the sale or refund it ended up in
+router.get('/serials/:serial', async (req, res) => {
+  try {
+    const history = await getSerialHistory(req.params.serial);
+    if (!history) {
+      return res.status(404).json({ message: 'Serial number not found' });
+    }
+    res.json(history);
+  } catch (error) {
+    console.error('Get serial history error:', error);
+    res.status(500).json({ message: 'Failed to fetch serial number history' });
+  }
+});
+
+// Stock batches with quantity left, earliest expiry first
+router.get('/batches', async (req, res) => {
+  try {
+    const { branchId, productId } = req.query;
+    res.json(await listBatches({ branchId, productId }));
+  } catch (error) {
+    console.error('Get stock batches error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock batches' });
+  }
+});
+
+// Batches expiring within ?days (default 30), including ones already expired
+router.get('/batches/expiring', async (req, res) => {
+  try {
+    const { branchId } = req.query;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+    if (!Number.isFinite(days) || days < 0) {
+      return res.status(400).json({ message: 'Days must be a positive number' });
+    }
+
+    const batches = await getExpiringBatches({ branchId, days });
+    const byBranch = batches.reduce((acc, batch) => {
+      const key = firstId(batch.branch_id);
+      acc[key] = acc[key] || [];
+      acc[key].push(batch);
+      return acc;
+    }, {});
+
+    res.json({
+      days,
+      byBranch,
+      summary: {
+        batches: batches.length,
+        expired: batches.filter(batch => batch.expired).length,
+        quantity: batches.reduce((sum, batch) => sum + Number(batch.quantity_remaining), 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get expiring batches error:', error);
+    res.status(500).json({ message: 'Failed to fetch expiring batches' });
+  }
+});
+
+// Drift between Stock.quantity_available and the ledger
+router.get('/ledger/reconciliation', async (req, res) => {
+  try {
+    const rows = await reconcileStock({ branchId: req.query.branchId });
+    const drifted = rows.filter(row => row.drift !== 0);
+
+    res.json({
+      summary: {
+        rowsChecked: rows.length,
+        rowsWithDrift: drifted.length,
+        rowsWithoutHistory: rows.filter(row => !row.has_history).length,
+        totalDrift: drifted.reduce((sum, row) => sum + row.drift, 0)
+      },
+      drift: req.query.all === 'true' ? rows : drifted
+    });
+  } catch (error) {
+    console.error('Stock reconciliation error:', error);
+    res.status(500).json({ message: 'Failed to reconcile stock' });
+  }
+});
+
+// Rewrite Stock.quantity_available from the ledger for rows that drifted
+router.post('/ledger/rebuild', requirePermission('stock.ledger.rebuild'), async (req, res) => {
+  try {
+    const { branchId } = req.body;
+    const result = await rebuildStockFromLedger({ branchId });
+
+    res.json({
+      success: true,
+      message: `Rebuilt ${result.rebuilt.length} stock rows from the ledger`,
+      checked: result.checked,
+      rebuilt: result.rebuilt
+    });
+  } catch (error) {
+    console.error('Rebuild stock from ledger error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
+    res.status(500).json({ message: 'Failed to rebuild stock from ledger' });
+  }
+});
+
 router.get('/', async (req, res) => {
   try {
     const allStock = await airtableHelpers.find(TABLES.STOCK);
@@ -73,59 +313,65 @@ router.get('/branch/:branchId', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('stock.adjust'), async (req, res) => {
   try {
-    const { branchId, product_name, product_id, quantity_available, unit_price, reorder_level, branch_id } = req.body;
+    const { branchId, product_name, product_id, sku, barcode, quantity_available, unit_price, unit_cost, reorder_level, branch_id } = req.body;
     const targetBranchId = branchId || (Array.isArray(branch_id) ? branch_id[0] : branch_id);
 
-    if (!product_name || !quantity_available || !unit_price) {
-      return res.status(400).json({ message: 'Product name, quantity, and unit price are required' });
+    if ((!product_name && !product_id && !sku && !barcode) || !quantity_available || !unit_price) {
+      return res.status(400).json({ message: 'Product, quantity, and unit price are required' });
     }
 
     if (!targetBranchId) {
       return res.status(400).json({ message: 'Branch ID is required' });
     }
 
-    const finalProductId = product_id || `PRD_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
-    
-    // Check if product already exists in this branch
-    const allStock = await airtableHelpers.find(TABLES.STOCK);
-    const existingStock = allStock.find(item => 
-      item.branch_id && item.branch_id.includes(targetBranchId) && 
-      (item.product_id === finalProductId || item.product_name === product_name.trim())
-    );
+    // New product names are added to the catalogue on the fly
+    const resolveProduct = createProductResolver({ userId: req.user?.id });
+    const product = await resolveProduct({ product_id, sku, barcode, product_name: product_name?.trim() }, {
+      createIfMissing: true,
+      defaults: { default_price: unit_price, reorder_level }
+    });
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found in catalogue' });
+    }
 
-    if (existingStock) {
-      // Update existing stock quantity
-      const newQuantity = existingStock.quantity_available + parseInt(quantity_available);
-      const updatedStock = await airtableHelpers.update(TABLES.STOCK, existingStock.id, {
-        quantity_available: newQuantity,
+    // Add to the existing row for this product in the branch, or create one
+    const [change] = await applyStockChanges([{
+      type: 'adjustment',
+      reason: 'Stock added manually',
+      branchId: targetBranchId,
+      productId: product.id,
+      productName: product.product_name,
+      quantity: parseInt(quantity_available),
+      unitCost: unit_cost !== undefined ? parseFloat(unit_cost) : product.default_cost,
+      fields: { unit_price: parseFloat(unit_price) },
+      template: {
         unit_price: parseFloat(unit_price),
-        last_updated: new Date().toISOString()
-      });
-      res.json({ ...updatedStock, message: 'Stock quantity updated' });
+        reorder_level: parseInt(reorder_level) || product.reorder_level || 10
+      }
+    }], { userId: req.user?.id });
+    if (change.entry) await syncPosting('stock_movement', change.entry.id, req.user);
+    
+    const stock = await airtableHelpers.findById(TABLES.STOCK, change.stockId);
+    if (change.created) {
+      res.status(201).json({ ...stock, message: 'New stock created' });
     } else {
-      // Create new stock record
-      const stockData = {
-        branch_id: [targetBranchId],
-        product_id: finalProductId,
-        product_name: product_name.trim(),
-        quantity_available: parseInt(quantity_available),
-        unit_price: parseFloat(unit_price),
-        reorder_level: parseInt(reorder_level) || 10,
-        last_updated: new Date().toISOString()
-      };
-
-      const newStock = await airtableHelpers.create(TABLES.STOCK, stockData);
-      res.status(201).json({ ...newStock, message: 'New stock created' });
+      res.json({ ...stock, message: 'Stock quantity updated' });
     }
   } catch (error) {
     console.error('Add stock error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
+    if (error instanceof ProductError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to add stock', error: error.message });
   }
 });
 
-router.put('/:stockId', async (req, res) => {
+router.put('/:stockId', requirePermission('stock.adjust'), async (req, res) => {
   try {
     const { stockId } = req.params;
     const { product_name, product_id, quantity_available, unit_price, reorder_level } = req.body;
@@ -134,27 +380,86 @@ router.put('/:stockId', async (req, res) => {
       last_updated: new Date().toISOString()
     };
 
-    if (product_name) updateData.product_name = product_name;
-    if (product_id) updateData.product_id = product_id;
-    if (quantity_available !== undefined) updateData.quantity_available = parseInt(quantity_available);
     if (unit_price !== undefined) updateData.unit_price = parseFloat(unit_price);
     if (reorder_level !== undefined) updateData.reorder_level = parseInt(reorder_level);
 
-    const updatedStock = await airtableHelpers.update(TABLES.STOCK, stockId, updateData);
+    const current = await airtableHelpers.findById(TABLES.STOCK, stockId);
+
+    // The product name lives in the catalogue; a row can only be re-pointed at another product
+    if (product_id) {
+      const product = await createProductResolver()({ product_id }, { allowInactive: true });
+      if (!product || product.id !== product_id) {
+        return res.status(404).json({ message: 'Product not found in catalogue' });
+      }
+      Object.assign(updateData, productLinkFields(product));
+    } else if (product_name) {
+      const linked = await createProductResolver()({ product_id: current.product_id }, { allowInactive: true });
+      if (linked && linked.id === current.product_id) {
+        return res.status(400).json({ message: 'Rename the product in the product catalogue instead' });
+      }
+      updateData.product_name = product_name;
+    }
+
+    // A new count goes through the ledger as a correction entry
+    if (quantity_available !== undefined) {
+      const [change] = await applyStockChanges([{
+        type: 'correction',
+        reason: req.body.reason || 'Manual stock correction',
+        stockId,
+        branchId: firstId(current.branch_id),
+        setQuantity: parseInt(quantity_available),
+        fields: updateData
+      }], { userId: req.user?.id });
+      if (change && change.entry) await syncPosting('stock_movement', change.entry.id, req.user);
+      return res.json(await airtableHelpers.findById(TABLES.STOCK, stockId));
+    }
+
+    // Bump the row version so in-flight stock changes re-read the row
+    updateData.version = (Number(current.version) || 0) + 1;
+
+    const updatedStock = await airtableHelpers.updateIfMatch(TABLES.STOCK, stockId, { version: current.version }, updateData);
+    if (!updatedStock) {
+      return res.status(409).json({ message: 'Stock was changed by someone else, please reload and try again' });
+    }
     res.json(updatedStock);
   } catch (error) {
     console.error('Update stock error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to update stock' });
   }
 });
 
-router.delete('/:stockId', async (req, res) => {
+// Whatever is left on the row is written off through the ledger first, so
+// the ledger still sums to what is on hand once the row is gone
+router.delete('/:stockId', requirePermission('stock.adjust'), async (req, res) => {
   try {
     const { stockId } = req.params;
+    const current = await airtableHelpers.findById(TABLES.STOCK, stockId).catch(() => null);
+    if (!current) {
+      return res.status(404).json({ message: 'Stock item not found' });
+    }
+
+    if ((Number(current.quantity_available) || 0) !== 0) {
+      const [change] = await applyStockChanges([{
+        type: 'correction',
+        reason: req.body?.reason || 'Stock item deleted',
+        stockId,
+        branchId: firstId(current.branch_id),
+        setQuantity: 0,
+        allowNegative: true
+      }], { userId: req.user?.id });
+      if (change && change.entry) await syncPosting('stock_movement', change.entry.id, req.user);
+    }
+
     await airtableHelpers.delete(TABLES.STOCK, stockId);
     res.json({ message: 'Stock item deleted successfully' });
   } catch (error) {
     console.error('Delete stock error:', error);
+    if (error instanceof StockLedgerError) {
+      return res.status(error.status).json({ message: error.message, details: error.details });
+    }
     res.status(500).json({ message: 'Failed to delete stock' });
   }
 });
@@ -183,233 +488,221 @@ router.get('/movements/:branchId', async (req, res) => {
   }
 });
 
-// Transfer endpoint (backward compatibility)
-router.post('/transfer', authenticateToken, async (req, res) => {
-  console.log('Transfer endpoint called with:', req.body);
-  
+// Transfer errors carry their own status; ledger errors mean not enough stock
+const sendTransferError = (res, error, fallbackMessage) => {
+  if (error instanceof TransferError || error instanceof StockLedgerError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  if (error instanceof ProductError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Attach branch and user names for display
+const withTransferNames = async (transfers, branchId) => {
+  const [branches, users] = await Promise.all([
+    airtableHelpers.find(TABLES.BRANCHES),
+    airtableHelpers.find(TABLES.EMPLOYEES)
+  ]);
+  const branchMap = branches.reduce((acc, branch) => {
+    acc[branch.id] = branch.branch_name || branch.name;
+    return acc;
+  }, {});
+  const userMap = users.reduce((acc, user) => {
+    acc[user.id] = user.full_name || user.name;
+    return acc;
+  }, {});
+
+  return transfers.map(transfer => ({
+    ...transfer,
+    canApprove: transfer.status === 'requested' && !!branchId && !!transfer.to_branch_id?.includes(branchId),
+    from_branch_name: branchMap[firstId(transfer.from_branch_id)] || 'Unknown',
+    to_branch_name: branchMap[firstId(transfer.to_branch_id)] || 'Unknown',
+    requested_by_name: userMap[firstId(transfer.requested_by)] || 'Unknown',
+    approved_by_name: transfer.approved_by ? userMap[firstId(transfer.approved_by)] || 'Unknown' : undefined
+  }));
+};
+
+// Single product transfer request (backward compatibility)
+router.post('/transfer', authenticateToken, requirePermission('stock.transfer'), async (req, res) => {
   try {
-    const { product_id, to_branch_id, from_branch_id, quantity, reason } = req.body;
-    
-    // Use only fields that work without permission issues
-    const movementData = {
-      from_branch_id: [from_branch_id],
-      to_branch_id: [to_branch_id],
-      product_id: product_id,
-      quantity: parseInt(quantity)
-    };
-    
-    if (req.user?.id) movementData.requested_by = [req.user.id];
-    
-    console.log('Creating movement with data:', movementData);
-    const movement = await airtableHelpers.create(TABLES.STOCK_MOVEMENTS, movementData);
-    console.log('Movement created:', movement);
-    
-    res.json({ 
-      success: true, 
-      message: 'Transfer created successfully',
-      movement: movement
+    const { product_id, product_name, to_branch_id, from_branch_id, quantity, reason } = req.body;
+
+    const transfer = await requestTransfer({
+      fromBranchId: from_branch_id,
+      toBranchId: to_branch_id,
+      items: [{ product_id, product_name, quantity }],
+      reason
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer requested successfully',
+      transfer
     });
   } catch (error) {
     console.error('Transfer error:', error);
-    res.status(500).json({ message: 'Transfer failed', error: error.message });
+    sendTransferError(res, error, 'Transfer failed');
+  }
+});
+
+// Request a multi-line transfer
+router.post('/transfers', requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const { from_branch_id, to_branch_id, items, reason, notes } = req.body;
+    const transfer = await requestTransfer({
+      fromBranchId: from_branch_id,
+      toBranchId: to_branch_id,
+      items,
+      reason,
+      notes
+    }, req.user);
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    sendTransferError(res, error, 'Failed to create transfer');
+  }
+});
+
+// List transfers, optionally for one branch and/or statuses (comma separated)
+router.get('/transfers', async (req, res) => {
+  try {
+    const { branchId, status, direction } = req.query;
+    const transfers = await listTransfers({ branchId, status, direction });
+    res.json(await withTransferNames(transfers, branchId));
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ message: 'Failed to fetch transfers' });
+  }
+});
+
+// Stock dispatched but not yet received
+router.get('/transfers/in-transit', async (req, res) => {
+  try {
+    const lines = await getInTransit({ branchId: req.query.branchId });
+    res.json({
+      lines,
+      summary: {
+        totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+        totalValue: lines.reduce((sum, line) => sum + line.value, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get in-transit stock error:', error);
+    res.status(500).json({ message: 'Failed to fetch in-transit stock' });
+  }
+});
+
+// Damaged and missing quantities on received transfers
+router.get('/transfers/variance-report', async (req, res) => {
+  try {
+    const { branchId, startDate, endDate } = req.query;
+    res.json(await getVarianceReport({ branchId, startDate, endDate }));
+  } catch (error) {
+    console.error('Get transfer variance report error:', error);
+    res.status(500).json({ message: 'Failed to fetch transfer variance report' });
   }
 });
 
-// Get pending transfers for a branch (both incoming and outgoing)
+// Get open transfers for a branch (both incoming and outgoing)
 router.get('/transfers/pending/:branchId', async (req, res) => {
   try {
     const { branchId } = req.params;
-    
-    // Get all movements and filter in JavaScript (simpler approach)
-    const allMovements = await airtableHelpers.find(TABLES.STOCK_MOVEMENTS);
-    const branches = await airtableHelpers.find(TABLES.BRANCHES);
-    const users = await airtableHelpers.find(TABLES.EMPLOYEES);
-    const products = await airtableHelpers.find(TABLES.STOCK);
-    
-    const branchMap = branches.reduce((acc, branch) => {
-      acc[branch.id] = branch.branch_name || branch.name;
-      return acc;
-    }, {});
-    
-    const userMap = users.reduce((acc, user) => {
-      acc[user.id] = user.name;
-      return acc;
-    }, {});
-    
-    const productMap = products.reduce((acc, product) => {
-      acc[product.product_id] = product.product_name;
-      return acc;
-    }, {});
-    
-    // Filter for this branch (either sender or receiver) and not approved
-    const relevantTransfers = allMovements.filter(transfer => {
-      const isRelevant = (transfer.to_branch_id && transfer.to_branch_id.includes(branchId)) ||
-                        (transfer.from_branch_id && transfer.from_branch_id.includes(branchId));
-      const isPending = !transfer.approved_by;
-      return isRelevant && isPending;
-    });
-    
-    // Add direction info and names
-    const transfersWithDirection = relevantTransfers.map(transfer => ({
-      ...transfer,
-      direction: (transfer.to_branch_id && transfer.to_branch_id.includes(branchId)) ? 'incoming' : 'outgoing',
-      canApprove: (transfer.to_branch_id && transfer.to_branch_id.includes(branchId)),
-      from_branch_name: branchMap[Array.isArray(transfer.from_branch_id) ? transfer.from_branch_id[0] : transfer.from_branch_id] || 'Unknown',
-      to_branch_name: branchMap[Array.isArray(transfer.to_branch_id) ? transfer.to_branch_id[0] : transfer.to_branch_id] || 'Unknown',
-      requested_by_name: userMap[Array.isArray(transfer.requested_by) ? transfer.requested_by[0] : transfer.requested_by] || 'Unknown',
-      product_name: productMap[transfer.product_id] || transfer.product_id
-    }));
-    
-    res.json(transfersWithDirection);
+    const transfers = await listTransfers({ branchId, status: OPEN_STATUSES.join(',') });
+    res.json(await withTransferNames(transfers, branchId));
   } catch (error) {
     console.error('Get pending transfers error:', error);
     res.status(500).json({ message: 'Failed to fetch pending transfers' });
   }
 });
 
-// Get completed transfers for a branch
+// Get received and closed transfers for a branch
 router.get('/transfers/completed/:branchId', async (req, res) => {
   try {
     const { branchId } = req.params;
-    
-    const allMovements = await airtableHelpers.find(TABLES.STOCK_MOVEMENTS);
-    const branches = await airtableHelpers.find(TABLES.BRANCHES);
-    const users = await airtableHelpers.find(TABLES.EMPLOYEES);
-    const products = await airtableHelpers.find(TABLES.STOCK);
-    
-    const branchMap = branches.reduce((acc, branch) => {
-      acc[branch.id] = branch.branch_name || branch.name;
-      return acc;
-    }, {});
-    
-    const userMap = users.reduce((acc, user) => {
-      acc[user.id] = user.name;
-      return acc;
-    }, {});
-    
-    const productMap = products.reduce((acc, product) => {
-      acc[product.product_id] = product.product_name;
-      return acc;
-    }, {});
-    
-    // Filter for this branch and approved transfers
-    const relevantTransfers = allMovements.filter(transfer => {
-      const isRelevant = (transfer.to_branch_id && transfer.to_branch_id.includes(branchId)) ||
-                        (transfer.from_branch_id && transfer.from_branch_id.includes(branchId));
-      const isCompleted = transfer.approved_by;
-      return isRelevant && isCompleted;
-    });
-    
-    // Add direction info and names
-    const transfersWithDirection = relevantTransfers.map(transfer => ({
-      ...transfer,
-      direction: (transfer.to_branch_id && transfer.to_branch_id.includes(branchId)) ? 'incoming' : 'outgoing',
-      from_branch_name: branchMap[Array.isArray(transfer.from_branch_id) ? transfer.from_branch_id[0] : transfer.from_branch_id] || 'Unknown',
-      to_branch_name: branchMap[Array.isArray(transfer.to_branch_id) ? transfer.to_branch_id[0] : transfer.to_branch_id] || 'Unknown',
-      requested_by_name: userMap[Array.isArray(transfer.requested_by) ? transfer.requested_by[0] : transfer.requested_by] || 'Unknown',
-      approved_by_name: userMap[Array.isArray(transfer.approved_by) ? transfer.approved_by[0] : transfer.approved_by] || 'Unknown',
-      product_name: productMap[transfer.product_id] || transfer.product_id
-    }));
-    
-    res.json(transfersWithDirection);
+    const transfers = await listTransfers({ branchId, status: 'received,closed' });
+    res.json(await withTransferNames(transfers, branchId));
   } catch (error) {
     console.error('Get completed transfers error:', error);
     res.status(500).json({ message: 'Failed to fetch completed transfers' });
   }
 });
 
-router.put('/transfers/:transferId/approve', authenticateToken, async (req, res) => {
+router.get('/transfers/:transferId', async (req, res) => {
   try {
-    const { transferId } = req.params;
-    
-    // Get the transfer record
-    const transfer = await airtableHelpers.findById(TABLES.STOCK_MOVEMENTS, transferId);
-    if (!transfer) {
-      return res.status(404).json({ message: 'Transfer not found' });
-    }
-    
-    // Update transfer with approval info
-    await airtableHelpers.update(TABLES.STOCK_MOVEMENTS, transferId, {
-      approved_by: [req.user.id],
-      approved_at: new Date().toISOString()
-    });
-    
-    // Update stock quantities
-    const { from_branch_id, to_branch_id, product_id, quantity } = transfer;
-    
-    // Get all stock to filter in JavaScript
-    const allStock = await airtableHelpers.find(TABLES.STOCK);
-    
-    // Reduce stock from source branch
-    if (from_branch_id && from_branch_id[0]) {
-      const sourceStock = allStock.find(stock => 
-        stock.branch_id && stock.branch_id.includes(from_branch_id[0]) && stock.product_id === product_id
-      );
-      
-      if (sourceStock) {
-        const newQuantity = Math.max(0, sourceStock.quantity_available - quantity);
-        await airtableHelpers.update(TABLES.STOCK, sourceStock.id, {
-          quantity_available: newQuantity,
-          last_updated: new Date().toISOString()
-        });
-      }
-    }
-    
-    // Add stock to destination branch
-    if (to_branch_id && to_branch_id[0]) {
-      const destStock = allStock.find(stock => 
-        stock.branch_id && stock.branch_id.includes(to_branch_id[0]) && stock.product_id === product_id
-      );
-      
-      if (destStock) {
-        // Update existing stock
-        const newQuantity = destStock.quantity_available + quantity;
-        await airtableHelpers.update(TABLES.STOCK, destStock.id, {
-          quantity_available: newQuantity,
-          last_updated: new Date().toISOString()
-        });
-      } else {
-        // Get source stock info for creating new record
-        const sourceStock = allStock.find(stock => 
-          stock.branch_id && stock.branch_id.includes(from_branch_id[0]) && stock.product_id === product_id
-        );
-        
-        if (sourceStock) {
-          await airtableHelpers.create(TABLES.STOCK, {
-            branch_id: [to_branch_id[0]],
-            product_id: product_id,
-            product_name: sourceStock.product_name,
-            quantity_available: quantity,
-            unit_price: sourceStock.unit_price || 0,
-            reorder_level: sourceStock.reorder_level || 10,
-            last_updated: new Date().toISOString()
-          });
-        }
-      }
-    }
-    
-    res.json({ success: true, message: 'Transfer approved and stock updated' });
+    const transfer = await getTransfer(req.params.transferId);
+    const [named] = await withTransferNames([transfer]);
+    res.json(named);
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    sendTransferError(res, error, 'Failed to fetch transfer');
+  }
+});
 
+router.put('/transfers/:transferId/approve', requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const transfer = await approveTransfer(req.params.transferId, req.user);
+    res.json({ success: true, message: 'Transfer approved', transfer });
   } catch (error) {
     console.error('Approve transfer error:', error);
-    res.status(500).json({ message: 'Failed to approve transfer' });
+    sendTransferError(res, error, 'Failed to approve transfer');
   }
 });
 
-router.put('/transfers/:transferId/reject', async (req, res) => {
+router.put('/transfers/:transferId/reject', requirePermission('stock.transfer'), async (req, res) => {
   try {
-    const { transferId } = req.params;
-    const { reason } = req.body;
-    
-    await airtableHelpers.update(TABLES.STOCK_MOVEMENTS, transferId, {
-      approved_by: ['REJECTED'],
-      approved_at: new Date().toISOString()
-    });
-    
-    res.json({ success: true, message: 'Transfer rejected successfully' });
+    const transfer = await endTransfer(req.params.transferId, 'reject', req.body.reason, req.user);
+    res.json({ success: true, message: 'Transfer rejected successfully', transfer });
   } catch (error) {
     console.error('Reject transfer error:', error);
-    res.status(500).json({ message: 'Failed to reject transfer' });
+    sendTransferError(res, error, 'Failed to reject transfer');
+  }
+});
+
+router.put('/transfers/:transferId/cancel', requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const transfer = await endTransfer(req.params.transferId, 'cancel', req.body.reason, req.user);
+    res.json({ success: true, message: 'Transfer cancelled', transfer });
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    sendTransferError(res, error, 'Failed to cancel transfer');
+  }
+});
+
+// Take the goods out of the source branch; body.quantities maps item id -> quantity
+// sent and body.serials item id -> serial numbers sent
+router.put('/transfers/:transferId/dispatch', requirePermission('stock.transfer.handle'), async (req, res) => {
+  try {
+    const transfer = await dispatchTransfer(req.params.transferId, req.body, req.user);
+    await syncPosting('transfer_dispatch', transfer.id, req.user);
+    res.json({ success: true, message: 'Transfer dispatched, stock is in transit', transfer });
+  } catch (error) {
+    console.error('Dispatch transfer error:', error);
+    sendTransferError(res, error, 'Failed to dispatch transfer');
+  }
+});
+
+// Confirm what arrived; body.lines = [{ item_id, quantity_received, quantity_damaged, serial_numbers, notes }]
+router.put('/transfers/:transferId/receive', requirePermission('stock.transfer.handle'), async (req, res) => {
+  try {
+    const transfer = await receiveTransfer(req.params.transferId, req.body, req.user);
+    await syncPosting('transfer_receipt', transfer.id, req.user);
+    res.json({ success: true, message: 'Transfer received and stock updated', transfer });
+  } catch (error) {
+    console.error('Receive transfer error:', error);
+    sendTransferError(res, error, 'Failed to receive transfer');
+  }
+});
+
+router.put('/transfers/:transferId/close', requirePermission('stock.transfer'), async (req, res) => {
+  try {
+    const transfer = await closeTransfer(req.params.transferId, req.body, req.user);
+    res.json({ success: true, message: 'Transfer closed', transfer });
+  } catch (error) {
+    console.error('Close transfer error:', error);
+    sendTransferError(res, error, 'Failed to close transfer');
   }
 });
 
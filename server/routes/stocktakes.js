@@ -0,0 +1,147 @@
+const express = require('express');
+const { TABLES } = require('../config/airtable');
+const { requirePermission, auditLog } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { StockLedgerError } = require('../services/stock-ledger');
+const { ProductError } = require('../services/products');
+const {
+  StocktakeError,
+  getStocktake,
+  createStocktake,
+  recordCounts,
+  getVariance,
+  submitStocktake,
+  reopenStocktake,
+  cancelStocktake,
+  approveStocktake,
+  listStocktakes,
+  hideExpected
+} = require('../services/stocktakes');
+const { syncPosting } = require('../services/journal-postings');
+
+const router = express.Router();
+
+const sendStocktakeError = (res, error, fallbackMessage) => {
+  if (error instanceof StocktakeError || error instanceof StockLedgerError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  if (error instanceof ProductError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// List sessions, e.g. ?branchId=...&status=counting,review
+router.get('/', async (req, res) => {
+  try {
+    const { branchId, status } = req.query;
+    res.json(await listStocktakes({ branchId, status }));
+  } catch (error) {
+    console.error('Get stocktakes error:', error);
+    res.status(500).json({ message: 'Failed to fetch stocktakes' });
+  }
+});
+
+// Open a session and snapshot expected quantities
+router.post('/', requirePermission('stocktakes.manage'), auditLog('CREATE_STOCKTAKE'), async (req, res) => {
+  try {
+    const stocktake = await createStocktake(req.body, req.user);
+    res.status(201).json(stocktake);
+  } catch (error) {
+    console.error('Create stocktake error:', error);
+    sendStocktakeError(res, error, 'Failed to create stocktake');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const stocktake = await getStocktake(req.params.id);
+    res.json(await hideExpected(stocktake, req.user));
+  } catch (error) {
+    console.error('Get stocktake error:', error);
+    sendStocktakeError(res, error, 'Failed to fetch stocktake');
+  }
+});
+
+// Submit a batch of counts; body = { counts: [{ product_id | sku | barcode | line_id, quantity }], mode, batch_ref, device_id }
+router.post('/:id/counts', requirePermission('stocktakes.count'), async (req, res) => {
+  try {
+    const result = await recordCounts(req.params.id, req.body, req.user);
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      message: result.duplicate ? 'Count batch already recorded' : `${result.linesUpdated} lines counted`,
+      duplicate: result.duplicate,
+      stocktake: await hideExpected(result.stocktake, req.user)
+    });
+  } catch (error) {
+    console.error('Record stocktake counts error:', error);
+    sendStocktakeError(res, error, 'Failed to record counts');
+  }
+});
+
+// Expected vs counted per line, in units and value
+router.get('/:id/variance', requirePermission('stocktakes.manage'), async (req, res) => {
+  try {
+    const { stocktake, lines, summary } = await getVariance(req.params.id);
+    res.json({
+      stocktake: { ...stocktake, lines: undefined },
+      summary,
+      lines: req.query.all === 'true' ? lines : lines.filter(line => line.variance_units !== 0 || !line.counted)
+    });
+  } catch (error) {
+    console.error('Get stocktake variance error:', error);
+    sendStocktakeError(res, error, 'Failed to build variance report');
+  }
+});
+
+// Close counting and hand the session over for review
+router.put('/:id/submit', requirePermission('stocktakes.count'), async (req, res) => {
+  try {
+    const stocktake = await submitStocktake(req.params.id, req.user);
+    res.json({ success: true, message: 'Stocktake submitted for review', stocktake });
+  } catch (error) {
+    console.error('Submit stocktake error:', error);
+    sendStocktakeError(res, error, 'Failed to submit stocktake');
+  }
+});
+
+// Send a session back for recounts
+router.put('/:id/reopen', requirePermission('stocktakes.manage'), async (req, res) => {
+  try {
+    const stocktake = await reopenStocktake(req.params.id, req.user);
+    res.json({ success: true, message: 'Stocktake reopened for counting', stocktake });
+  } catch (error) {
+    console.error('Reopen stocktake error:', error);
+    sendStocktakeError(res, error, 'Failed to reopen stocktake');
+  }
+});
+
+// Post the variances to stock as one multi-line adjustment
+router.put('/:id/approve', requirePermission('stocktakes.approve'), auditLog('APPROVE_STOCKTAKE'), requireOpenPeriod(TABLES.INVENTORY_ADJUSTMENTS, { label: 'Stock adjustment' }), async (req, res) => {
+  try {
+    const result = await approveStocktake(req.params.id, req.body, req.user);
+    if (result.adjustment) await syncPosting('adjustment', result.adjustment.id, req.user);
+    res.json({
+      success: true,
+      message: result.adjustment
+        ? `Stocktake approved, ${result.items.length} stock lines adjusted`
+        : 'Stocktake approved with no variances',
+      ...result
+    });
+  } catch (error) {
+    console.error('Approve stocktake error:', error);
+    sendStocktakeError(res, error, 'Failed to approve stocktake');
+  }
+});
+
+router.put('/:id/cancel', requirePermission('stocktakes.manage'), auditLog('CANCEL_STOCKTAKE'), async (req, res) => {
+  try {
+    const stocktake = await cancelStocktake(req.params.id, req.body.reason, req.user);
+    res.json({ success: true, message: 'Stocktake cancelled', stocktake });
+  } catch (error) {
+    console.error('Cancel stocktake error:', error);
+    sendStocktakeError(res, error, 'Failed to cancel stocktake');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { requirePermission, auditLog } = require('../middleware/auth');
+const {
+  SupplierError,
+  supplierView,
+  getSupplier,
+  listSuppliers,
+  createSupplier,
+  updateSupplier,
+  getScorecard,
+  getScorecards
+} = require('../services/suppliers');
+
+const router = express.Router();
+
+const sendSupplierError = (res, error, fallbackMessage) => {
+  if (error instanceof SupplierError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// List suppliers, e.g. ?search=acme&active=true
+router.get('/', async (req, res) => {
+  try {
+    const { search, active } = req.query;
+    const suppliers = await listSuppliers({ search, active });
+    res.json(await Promise.all(suppliers.map(supplier => supplierView(supplier, req.user))));
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ message: 'Failed to fetch suppliers' });
+  }
+});
+
+router.post('/', requirePermission('suppliers.manage'), auditLog('CREATE_SUPPLIER'), async (req, res) => {
+  try {
+    const supplier = await createSupplier(req.body, req.user);
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    sendSupplierError(res, error, 'Failed to create supplier');
+  }
+});
+
+// Scorecards for all active suppliers, e.g. ?from=2026-01-01&to=2026-06-30
+router.get('/scorecards', requirePermission('suppliers.scorecards.view'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD' });
+    }
+    res.json(await getScorecards({ from, to }));
+  } catch (error) {
+    console.error('Get supplier scorecards error:', error);
+    res.status(500).json({ message: 'Failed to build supplier scorecards' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await supplierView(await getSupplier(req.params.id), req.user));
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    sendSupplierError(res, error, 'Failed to fetch supplier');
+  }
+});
+
+router.put('/:id', requirePermission('suppliers.manage'), auditLog('UPDATE_SUPPLIER'), async (req, res) => {
+  try {
+    const supplier = await updateSupplier(req.params.id, req.body);
+    res.json(supplier);
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    sendSupplierError(res, error, 'Failed to update supplier');
+  }
+});
+
+router.get('/:id/scorecard', requirePermission('suppliers.scorecards.view'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD' });
+    }
+    res.json(await getScorecard(req.params.id, { from, to }));
+  } catch (error) {
+    console.error('Get supplier scorecard error:', error);
+    sendSupplierError(res, error, 'Failed to build supplier scorecard');
+  }
+});
+
+module.exports = router;
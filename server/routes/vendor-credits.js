@@ -1,11 +1,14 @@
 const express = require('express');
 const { airtableHelpers, TABLES } = require('../config/airtable');
-const { authenticateToken, auditLog } = require('../middleware/auth');
+const { requireOpenPeriod } = require('../middleware/period-lock');
+const { authenticateToken, requirePermission, auditLog } = require('../middleware/auth');
+const { SupplierError, resolveSupplier } = require('../services/suppliers');
+const { syncPosting } = require('../services/journal-postings');
 
 const router = express.Router();
 
 // Get all vendor credits
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('bills.view'), async (req, res) => {
   try {
     const { vendor, status, startDate, endDate } = req.query;
     let credits = await airtableHelpers.find(TABLES.VENDOR_CREDITS);
@@ -27,16 +30,19 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Create vendor credit
-router.post('/', authenticateToken, auditLog('CREATE_VENDOR_CREDIT'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('bills.create'), auditLog('CREATE_VENDOR_CREDIT'), requireOpenPeriod(TABLES.VENDOR_CREDITS, { label: 'Vendor credit' }), async (req, res) => {
   try {
-    const { vendor_name, credit_number, amount, reason, description, bill_id } = req.body;
+    const { vendor_id, vendor_name, credit_number, amount, reason, description, bill_id } = req.body;
     
-    if (!vendor_name || !amount || amount <= 0) {
-      return res.status(400).json({ message: 'Vendor name and valid amount are required' });
+    if ((!vendor_id && !vendor_name) || !amount || amount <= 0) {
+      return res.status(400).json({ message: 'Vendor and valid amount are required' });
     }
+
+    const { supplier, name } = await resolveSupplier({ id: vendor_id, name: vendor_name });
     
     const creditData = {
-      vendor_name,
+      vendor_id: supplier ? [supplier.id] : undefined,
+      vendor_name: name,
       credit_number: credit_number || `CR_${Date.now()}`,
       amount: parseFloat(amount),
       reason: reason || 'other',
@@ -52,12 +58,15 @@ router.post('/', authenticateToken, auditLog('CREATE_VENDOR_CREDIT'), async (req
     res.status(201).json(credit);
   } catch (error) {
     console.error('Create vendor credit error:', error);
+    if (error instanceof SupplierError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Failed to create vendor credit' });
   }
 });
 
 // Apply credit to bill
-router.post('/:id/apply', authenticateToken, auditLog('APPLY_VENDOR_CREDIT'), async (req, res) => {
+router.post('/:id/apply', authenticateToken, requirePermission('bills.pay'), auditLog('APPLY_VENDOR_CREDIT'), requireOpenPeriod(TABLES.VENDOR_CREDITS, { param: 'id', label: 'Vendor credit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { bill_id } = req.body;
@@ -94,6 +103,7 @@ router.post('/:id/apply', authenticateToken, auditLog('APPLY_VENDOR_CREDIT'), as
       applied_date: new Date().toISOString().split('T')[0],
       applied_by: [req.user.id]
     });
+    await syncPosting('vendor_credit', id, req.user);
     
     res.json({ message: 'Credit applied successfully' });
   } catch (error) {
@@ -103,7 +113,7 @@ router.post('/:id/apply', authenticateToken, auditLog('APPLY_VENDOR_CREDIT'), as
 });
 
 // Approve credit
-router.post('/:id/approve', authenticateToken, auditLog('APPROVE_VENDOR_CREDIT'), async (req, res) => {
+router.post('/:id/approve', authenticateToken, requirePermission('bills.approve'), auditLog('APPROVE_VENDOR_CREDIT'), requireOpenPeriod(TABLES.VENDOR_CREDITS, { param: 'id', label: 'Vendor credit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { notes } = req.body;
@@ -114,6 +124,7 @@ router.post('/:id/approve', authenticateToken, auditLog('APPROVE_VENDOR_CREDIT')
       approved_by: [req.user.id],
       approval_notes: notes || ''
     });
+    await syncPosting('vendor_credit', id, req.user);
     
     res.json(updatedCredit);
   } catch (error) {
@@ -123,7 +134,7 @@ router.post('/:id/approve', authenticateToken, auditLog('APPROVE_VENDOR_CREDIT')
 });
 
 // Update vendor credit
-router.put('/:id', authenticateToken, auditLog('UPDATE_VENDOR_CREDIT'), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('bills.create'), auditLog('UPDATE_VENDOR_CREDIT'), requireOpenPeriod(TABLES.VENDOR_CREDITS, { param: 'id', label: 'Vendor credit' }), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = {
@@ -133,6 +144,7 @@ router.put('/:id', authenticateToken, auditLog('UPDATE_VENDOR_CREDIT'), async (r
     };
     
     const updatedCredit = await airtableHelpers.update(TABLES.VENDOR_CREDITS, id, updateData);
+    await syncPosting('vendor_credit', id, req.user);
     res.json(updatedCredit);
   } catch (error) {
     console.error('Update vendor credit error:', error);
@@ -141,10 +153,11 @@ router.put('/:id', authenticateToken, auditLog('UPDATE_VENDOR_CREDIT'), async (r
 });
 
 // Delete vendor credit
-router.delete('/:id', authenticateToken, auditLog('DELETE_VENDOR_CREDIT'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('bills.delete'), auditLog('DELETE_VENDOR_CREDIT'), requireOpenPeriod(TABLES.VENDOR_CREDITS, { param: 'id', label: 'Vendor credit' }), async (req, res) => {
   try {
     const { id } = req.params;
     await airtableHelpers.delete(TABLES.VENDOR_CREDITS, id);
+    await syncPosting('vendor_credit', id, req.user);
     res.json({ message: 'Vendor credit deleted successfully' });
   } catch (error) {
     console.error('Delete vendor credit error:', error);
@@ -0,0 +1,113 @@
+const express = require('express');
+const { requirePermission, auditLog } = require('../middleware/auth');
+const {
+  ENTITY_TYPES,
+  XeroSyncError,
+  syncAll,
+  retryDocument,
+  pullAccounts,
+  pullContacts,
+  mapAccount,
+  listMappings,
+  listSyncLog,
+  getSyncStatus
+} = require('../services/xero');
+
+const router = express.Router();
+
+const sendXeroError = (res, error, fallbackMessage) => {
+  if (error instanceof XeroSyncError) {
+    return res.status(error.status).json({ message: error.message, details: error.details });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Whether Xero is connected, sync counts by status and what is failing
+router.get('/status', requirePermission('xero.view'), async (req, res) => {
+  try {
+    res.json(await getSyncStatus());
+  } catch (error) {
+    console.error('Get Xero status error:', error);
+    sendXeroError(res, error, 'Failed to fetch Xero sync status');
+  }
+});
+
+// Push now rather than waiting for the scheduler;
+// body = { entity_types?: ['bill', 'payment_made', 'sale', 'expense'], force?: true }
+router.post('/sync', requirePermission('xero.sync'), auditLog('XERO_SYNC'), async (req, res) => {
+  try {
+    const entityTypes = req.body.entity_types || ENTITY_TYPES;
+    const unknown = entityTypes.filter(type => !ENTITY_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown entity types: ${unknown.join(', ')}`, entity_types: ENTITY_TYPES });
+    }
+    res.json(await syncAll({ entityTypes, force: req.body.force === true, user: req.user }));
+  } catch (error) {
+    console.error('Xero sync error:', error);
+    sendXeroError(res, error, 'Failed to sync with Xero');
+  }
+});
+
+router.post('/pull/accounts', requirePermission('xero.sync'), auditLog('XERO_PULL_ACCOUNTS'), async (req, res) => {
+  try {
+    res.json(await pullAccounts(req.user));
+  } catch (error) {
+    console.error('Xero pull accounts error:', error);
+    sendXeroError(res, error, 'Failed to pull accounts from Xero');
+  }
+});
+
+router.post('/pull/contacts', requirePermission('xero.sync'), auditLog('XERO_PULL_CONTACTS'), async (req, res) => {
+  try {
+    res.json(await pullContacts(req.user));
+  } catch (error) {
+    console.error('Xero pull contacts error:', error);
+    sendXeroError(res, error, 'Failed to pull contacts from Xero');
+  }
+});
+
+// Local ids and their Xero ids, e.g. ?entity_type=bill&status=failed
+router.get('/mappings', requirePermission('xero.view'), async (req, res) => {
+  try {
+    res.json(await listMappings({ entityType: req.query.entity_type, status: req.query.status }));
+  } catch (error) {
+    console.error('Get Xero mappings error:', error);
+    sendXeroError(res, error, 'Failed to fetch Xero mappings');
+  }
+});
+
+// Map a local account to a Xero account code; body = { xero_code }
+router.put('/accounts/:code', requirePermission('xero.sync'), auditLog('XERO_MAP_ACCOUNT'), async (req, res) => {
+  try {
+    if (!req.body.xero_code) {
+      return res.status(400).json({ message: 'xero_code is required' });
+    }
+    res.json(await mapAccount(req.params.code, String(req.body.xero_code), req.user));
+  } catch (error) {
+    console.error('Map Xero account error:', error);
+    sendXeroError(res, error, 'Failed to map account');
+  }
+});
+
+// Retry one document now, ignoring its backoff
+router.post('/mappings/:entityType/:localId/retry', requirePermission('xero.sync'), auditLog('XERO_RETRY'), async (req, res) => {
+  try {
+    res.json(await retryDocument(req.params.entityType, req.params.localId, req.user));
+  } catch (error) {
+    console.error('Xero retry error:', error);
+    sendXeroError(res, error, 'Failed to retry Xero sync');
+  }
+});
+
+// Sync log, newest first, e.g. ?entity_type=sale&local_id=rec...&status=failed&limit=50
+router.get('/log', requirePermission('xero.view'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json(await listSyncLog({ entityType: req.query.entity_type, localId: req.query.local_id, status: req.query.status, limit }));
+  } catch (error) {
+    console.error('Get Xero sync log error:', error);
+    sendXeroError(res, error, 'Failed to fetch Xero sync log');
+  }
+});
+
+module.exports = router;
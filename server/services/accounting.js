@@ -0,0 +1,556 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { closedPeriodOn, openDateFor } = require('./periods');
+
+/**
+ * Double-entry general ledger: the chart of accounts, the journal and the
+ * financial statements built from it.
+ *
+ * A journal entry is a header in Journal_Entries with its lines in
+ * Journal_Lines. Every line carries its own account code, branch and date so
+ * reports only need the lines, and every entry balances per branch, so each
+ * branch's books balance on their own.
+ *
+ * Entries posted from business documents (sales, bills, ...) are keyed by
+ * `source_key` (`<source_type>:<source_id>`). `syncSource` compares what a
+ * document should post with what is on the ledger: when the document changed
+ * the old entry is reversed and a new one posted, so the journal is an
+ * append-only history of every correction.
+ *
+ * Accounts the postings use are found by `system_key`, not by code, so codes
+ * and names can follow the business's own chart.
+ *
+ * Nothing is ever written into a closed accounting period: a reversal or
+ * automatic posting that belongs there is dated the first open day after it.
+ */
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+
+// Types whose balance is debits minus credits; the others are credits minus debits
+const DEBIT_TYPES = ['asset', 'expense'];
+
+const DEFAULT_ACCOUNTS = [
+  { code: '1000', name: 'Cash on hand', type: 'asset', system_key: 'cash' },
+  { code: '1010', name: 'Bank', type: 'asset', system_key: 'bank' },
+  { code: '1020', name: 'Card clearing', type: 'asset', system_key: 'card' },
+  { code: '1030', name: 'M-Pesa', type: 'asset', system_key: 'mpesa' },
+  { code: '1100', name: 'Accounts receivable', type: 'asset', system_key: 'receivables' },
+  { code: '1200', name: 'Inventory', type: 'asset', system_key: 'inventory' },
+  { code: '1300', name: 'VAT receivable', type: 'asset', system_key: 'input_tax' },
+  { code: '1400', name: 'Inter-branch transfers', type: 'asset', system_key: 'inter_branch' },
+  { code: '2000', name: 'Accounts payable', type: 'liability', system_key: 'payables' },
+  { code: '2100', name: 'Goods received not invoiced', type: 'liability', system_key: 'goods_received' },
+  { code: '2200', name: 'Payroll deductions payable', type: 'liability', system_key: 'payroll_deductions' },
+  { code: '2210', name: 'Salaries payable', type: 'liability', system_key: 'salaries_payable' },
+  { code: '3000', name: "Owner's equity", type: 'equity', system_key: 'owner_equity' },
+  { code: '3100', name: 'Retained earnings', type: 'equity', system_key: 'retained_earnings' },
+  { code: '3200', name: 'Opening balance equity', type: 'equity', system_key: 'opening_balance' },
+  { code: '4000', name: 'Sales', type: 'revenue', system_key: 'sales' },
+  { code: '4100', name: 'Sales returns', type: 'revenue', system_key: 'sales_returns' },
+  { code: '4200', name: 'Discounts allowed', type: 'revenue', system_key: 'sales_discounts' },
+  { code: '5000', name: 'Cost of goods sold', type: 'expense', subtype: 'cost_of_sales', system_key: 'cost_of_sales' },
+  { code: '5100', name: 'Purchase returns and allowances', type: 'expense', subtype: 'cost_of_sales', system_key: 'purchase_returns' },
+  { code: '5200', name: 'Inventory adjustments', type: 'expense', subtype: 'cost_of_sales', system_key: 'inventory_adjustments' },
+  { code: '6000', name: 'General expenses', type: 'expense', system_key: 'general_expenses' },
+  { code: '6100', name: 'Salaries and wages', type: 'expense', system_key: 'salaries' },
+  { code: '6200', name: 'Rent', type: 'expense', system_key: 'rent' },
+  { code: '6300', name: 'Utilities', type: 'expense', system_key: 'utilities' },
+  { code: '6400', name: 'Transport and fuel', type: 'expense', system_key: 'transport' },
+  { code: '6500', name: 'Repairs and maintenance', type: 'expense', system_key: 'maintenance' }
+];
+
+class AccountingError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'AccountingError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+const sourceKey = (sourceType, sourceId) => `${sourceType}:${sourceId}`;
+
+// One posting at a time per source document, so two requests touching the
+// same sale never both post it
+const sourceLocks = new Map();
+
+const withSourceLock = async (key, fn) => {
+  const previous = sourceLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  sourceLocks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (sourceLocks.get(key) === current) {
+      sourceLocks.delete(key);
+    }
+  }
+};
+
+// Chart of accounts
+
+let seeding = null;
+
+// The accounts postings rely on are created the first time the chart is used
+const ensureChart = async () => {
+  if (!seeding) {
+    seeding = (async () => {
+      const accounts = await airtableHelpers.find(TABLES.ACCOUNTS);
+      const keys = new Set(accounts.map(account => account.system_key).filter(Boolean));
+      const codes = new Set(accounts.map(account => account.code));
+      for (const account of DEFAULT_ACCOUNTS) {
+        if (keys.has(account.system_key)) continue;
+        // A code already taken by the business's own account gets a suffix
+        let code = account.code;
+        while (codes.has(code)) code = `${code}-1`;
+        codes.add(code);
+        await airtableHelpers.create(TABLES.ACCOUNTS, { ...account, code, is_active: true, created_at: new Date().toISOString() });
+      }
+    })().catch(error => {
+      seeding = null;
+      throw error;
+    });
+  }
+  await seeding;
+};
+
+const listAccounts = async ({ type, includeInactive } = {}) => {
+  await ensureChart();
+  const accounts = await airtableHelpers.find(TABLES.ACCOUNTS);
+  return accounts
+    .filter(account => (!type || account.type === type) && (includeInactive || account.is_active !== false))
+    .sort((a, b) => String(a.code).localeCompare(String(b.code)));
+};
+
+const getAccount = async (code) => {
+  const accounts = await listAccounts({ includeInactive: true });
+  const account = accounts.find(a => a.code === code);
+  if (!account) {
+    throw new AccountingError(`Account ${code} not found`, 404);
+  }
+  return account;
+};
+
+const accountFields = (body) => {
+  const fields = {};
+  for (const key of ['name', 'description', 'subtype']) {
+    if (body[key] !== undefined) fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  }
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+  return fields;
+};
+
+const createAccount = async (body) => {
+  const code = String(body.code || '').trim();
+  if (!code || !body.name) {
+    throw new AccountingError('Account code and name are required');
+  }
+  if (!ACCOUNT_TYPES.includes(body.type)) {
+    throw new AccountingError(`Account type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  }
+  const accounts = await listAccounts({ includeInactive: true });
+  if (accounts.some(account => account.code === code)) {
+    throw new AccountingError(`Account code ${code} is already in use`, 409);
+  }
+  return airtableHelpers.create(TABLES.ACCOUNTS, {
+    ...accountFields(body),
+    code,
+    type: body.type,
+    is_active: true,
+    created_at: new Date().toISOString()
+  });
+};
+
+// Codes and types are fixed once created, since posted lines refer to them
+const updateAccount = async (code, body) => {
+  const account = await getAccount(code);
+  if ((body.code !== undefined && body.code !== code) || (body.type !== undefined && body.type !== account.type)) {
+    throw new AccountingError('An account\'s code and type cannot be changed');
+  }
+  const fields = accountFields(body);
+  if (fields.is_active === false && account.system_key) {
+    throw new AccountingError('Accounts used by automatic postings cannot be deactivated');
+  }
+  return airtableHelpers.update(TABLES.ACCOUNTS, account.id, { ...fields, updated_at: new Date().toISOString() });
+};
+
+// Journal
+
+const entrySignature = (entry) => JSON.stringify([
+  entry.entry_date,
+  entry.lines.map(line => [line.account_code, line.branch_id || '', line.debit, line.credit])
+]);
+
+/**
+ * Check and normalise a draft entry. Lines name their account by `account`
+ * (a system key or a code) and give a `debit` or `credit`; lines on the same
+ * account and branch are netted, and zero lines dropped. Throws unless the
+ * entry balances for every branch.
+ */
+const prepareEntry = async (draft) => {
+  if (!isDate(draft.entry_date)) {
+    throw new AccountingError('Entry date must be YYYY-MM-DD');
+  }
+  const accounts = await listAccounts({ includeInactive: true });
+  const byKey = new Map(accounts.filter(a => a.system_key).map(a => [a.system_key, a]));
+  const byCode = new Map(accounts.map(a => [a.code, a]));
+
+  const netted = new Map();
+  for (const line of draft.lines || []) {
+    const account = byKey.get(line.account) || byCode.get(line.account);
+    if (!account) {
+      throw new AccountingError(`Unknown account ${line.account}`, 400, { line });
+    }
+    if (account.is_active === false && !draft.source_type) {
+      throw new AccountingError(`Account ${account.code} is inactive`, 400, { line });
+    }
+    const debit = Number(line.debit) || 0;
+    const credit = Number(line.credit) || 0;
+    if (debit < 0 || credit < 0 || !Number.isFinite(debit + credit)) {
+      throw new AccountingError('Debits and credits must be positive amounts', 400, { line });
+    }
+    const branchId = line.branch_id !== undefined ? line.branch_id : draft.branch_id;
+    const key = `${account.code}|${branchId || ''}`;
+    const existing = netted.get(key) || { account_code: account.code, branch_id: branchId || null, amount: 0, memo: line.memo };
+    existing.amount += debit - credit;
+    netted.set(key, existing);
+  }
+
+  const lines = [...netted.values()]
+    .map(({ amount, ...line }) => ({ ...line, debit: amount > 0 ? round2(amount) : 0, credit: amount < 0 ? round2(-amount) : 0 }))
+    .filter(line => line.debit > 0 || line.credit > 0)
+    .sort((a, b) => `${a.branch_id}|${a.account_code}`.localeCompare(`${b.branch_id}|${b.account_code}`));
+  if (lines.length === 0) {
+    throw new AccountingError('A journal entry needs at least one non-zero line');
+  }
+
+  const branchTotals = new Map();
+  for (const line of lines) {
+    branchTotals.set(line.branch_id, round2((branchTotals.get(line.branch_id) || 0) + line.debit - line.credit));
+  }
+  const unbalanced = [...branchTotals].filter(([, difference]) => Math.abs(difference) >= 0.01);
+  if (unbalanced.length > 0) {
+    throw new AccountingError('Journal entry does not balance', 400, {
+      differences: unbalanced.map(([branchId, difference]) => ({ branch_id: branchId, difference }))
+    });
+  }
+
+  const entry = { ...draft, lines, total: round2(lines.reduce((sum, line) => sum + line.debit, 0)) };
+  entry.signature = entrySignature(entry);
+  return entry;
+};
+
+// Write a prepared entry; it only counts once all of its lines are written
+const writeEntry = async (entry, user) => {
+  const header = await airtableHelpers.create(TABLES.JOURNAL_ENTRIES, {
+    entry_date: entry.entry_date,
+    branch_id: entry.branch_id ? [entry.branch_id] : undefined,
+    description: entry.description || '',
+    source_type: entry.source_type || 'manual',
+    source_id: entry.source_id || undefined,
+    source_key: entry.source_type ? sourceKey(entry.source_type, entry.source_id) : undefined,
+    reverses_entry_id: entry.reverses_entry_id ? [entry.reverses_entry_id] : undefined,
+    reference: entry.reference || undefined,
+    total: entry.total,
+    signature: entry.signature,
+    status: 'pending',
+    created_by: user && user.id ? [user.id] : undefined,
+    created_at: new Date().toISOString()
+  });
+
+  const written = [];
+  try {
+    for (const line of entry.lines) {
+      written.push(await airtableHelpers.create(TABLES.JOURNAL_LINES, {
+        entry_id: [header.id],
+        entry_date: entry.entry_date,
+        account_code: line.account_code,
+        branch_id: line.branch_id ? [line.branch_id] : undefined,
+        debit: line.debit,
+        credit: line.credit,
+        memo: line.memo || undefined,
+        source_type: entry.source_type || 'manual'
+      }));
+    }
+    const posted = await airtableHelpers.update(TABLES.JOURNAL_ENTRIES, header.id, { status: 'posted', posted_at: new Date().toISOString() });
+    return { ...posted, lines: written };
+  } catch (error) {
+    for (const line of written) {
+      await airtableHelpers.delete(TABLES.JOURNAL_LINES, line.id).catch(() => {});
+    }
+    await airtableHelpers.delete(TABLES.JOURNAL_ENTRIES, header.id).catch(() => {});
+    throw error;
+  }
+};
+
+const entryLines = async (entryId) => {
+  const lines = await airtableHelpers.find(TABLES.JOURNAL_LINES);
+  return lines.filter(line => line.entry_id && line.entry_id.includes(entryId));
+};
+
+// Post a balanced entry with the opposite lines and mark the original reversed
+const reverseEntry = async (entry, { description, user } = {}) => {
+  const claimed = await airtableHelpers.updateIfMatch(TABLES.JOURNAL_ENTRIES, entry.id, { status: 'posted' }, {
+    status: 'reversed',
+    reversed_at: new Date().toISOString()
+  });
+  if (!claimed) {
+    throw new AccountingError('Journal entry is not posted or was already reversed', 409);
+  }
+
+  try {
+    const lines = await entryLines(entry.id);
+    const reversal = await writeEntry(await prepareEntry({
+      entry_date: await openDateFor(entry.entry_date),
+      branch_id: firstId(entry.branch_id),
+      description: description || `Reversal of ${entry.description || entry.id}`,
+      source_type: entry.source_type,
+      source_id: entry.source_id,
+      reverses_entry_id: entry.id,
+      lines: lines.map(line => ({
+        account: line.account_code,
+        branch_id: firstId(line.branch_id) || null,
+        debit: Number(line.credit) || 0,
+        credit: Number(line.debit) || 0,
+        memo: line.memo
+      }))
+    }), user);
+    await airtableHelpers.update(TABLES.JOURNAL_ENTRIES, entry.id, { reversed_by_entry_id: [reversal.id] });
+    return reversal;
+  } catch (error) {
+    await airtableHelpers.updateIfMatch(TABLES.JOURNAL_ENTRIES, entry.id, { status: 'reversed' }, { status: 'posted', reversed_at: null });
+    throw error;
+  }
+};
+
+/**
+ * Make the ledger match what a source document should post. `draft` is the
+ * entry the document posts today, or null when it posts nothing (deleted,
+ * cancelled, still a draft). Returns `{ entry, changed }`.
+ */
+const syncSource = (sourceType, sourceId, draft, user) => {
+  const key = sourceKey(sourceType, sourceId);
+  return withSourceLock(key, async () => {
+    const entries = await airtableHelpers.find(TABLES.JOURNAL_ENTRIES);
+    const active = entries.filter(entry => entry.source_key === key && entry.status === 'posted' && !entry.reverses_entry_id);
+
+    const hasLines = draft && draft.lines.some(line => (Number(line.debit) || 0) !== 0 || (Number(line.credit) || 0) !== 0);
+    const prepared = hasLines ? await prepareEntry({ ...draft, source_type: sourceType, source_id: sourceId }) : null;
+    if (prepared && active.length === 1 && active[0].signature === prepared.signature) {
+      return { entry: active[0], changed: false };
+    }
+    if (!prepared && active.length === 0) {
+      return { entry: null, changed: false };
+    }
+
+    for (const entry of active) {
+      await reverseEntry(entry, { description: `Reversal of ${entry.description || key} (source changed)`, user });
+    }
+    if (!prepared) {
+      return { entry: null, changed: true };
+    }
+    // The signature keeps the document's own date, so the moved entry still
+    // matches the document next time
+    const entryDate = await openDateFor(prepared.entry_date);
+    if (entryDate !== prepared.entry_date) {
+      prepared.description = `${prepared.description} (dated ${prepared.entry_date}, a closed period)`;
+      prepared.entry_date = entryDate;
+    }
+    return { entry: await writeEntry(prepared, user), changed: true };
+  });
+};
+
+// A manual journal entry; body = { entry_date, branch_id?, description, reference?, lines: [{ account_code, debit?, credit?, memo?, branch_id? }] }
+const postManualEntry = async (body, user) => {
+  if (!body.description) {
+    throw new AccountingError('A description is required');
+  }
+  if (!Array.isArray(body.lines) || body.lines.length < 2) {
+    throw new AccountingError('A journal entry needs at least two lines');
+  }
+  const entry = await prepareEntry({
+    entry_date: body.entry_date || today(),
+    branch_id: body.branch_id || null,
+    description: body.description,
+    reference: body.reference,
+    lines: body.lines.map(line => ({ ...line, account: line.account_code }))
+  });
+  const period = await closedPeriodOn(entry.entry_date);
+  if (period) {
+    throw new AccountingError(`Entry date ${entry.entry_date} falls in the closed accounting period ${period.name}`, 409, { period });
+  }
+  return writeEntry(entry, user);
+};
+
+const getEntry = async (entryId) => {
+  const entry = await airtableHelpers.findById(TABLES.JOURNAL_ENTRIES, entryId).catch(() => null);
+  if (!entry || entry.status === 'pending') {
+    throw new AccountingError('Journal entry not found', 404);
+  }
+  return { ...entry, lines: await entryLines(entryId) };
+};
+
+// Entries with their lines, newest first; filters: from, to, branchId, sourceType, sourceId, accountCode
+const listEntries = async ({ from, to, branchId, sourceType, sourceId, accountCode } = {}) => {
+  const [entries, lines] = await Promise.all([
+    airtableHelpers.find(TABLES.JOURNAL_ENTRIES),
+    airtableHelpers.find(TABLES.JOURNAL_LINES)
+  ]);
+  const linesByEntry = new Map();
+  for (const line of lines) {
+    const entryId = firstId(line.entry_id);
+    linesByEntry.set(entryId, [...(linesByEntry.get(entryId) || []), line]);
+  }
+  return entries
+    .filter(entry => entry.status !== 'pending')
+    .filter(entry => (!from || entry.entry_date >= from) && (!to || entry.entry_date <= to))
+    .filter(entry => (!sourceType || entry.source_type === sourceType) && (!sourceId || entry.source_id === sourceId))
+    .map(entry => ({ ...entry, lines: linesByEntry.get(entry.id) || [] }))
+    .filter(entry => !branchId || entry.lines.some(line => firstId(line.branch_id) === branchId))
+    .filter(entry => !accountCode || entry.lines.some(line => line.account_code === accountCode))
+    .sort((a, b) => String(b.entry_date).localeCompare(String(a.entry_date)) || String(b.created_at).localeCompare(String(a.created_at)));
+};
+
+// Reports
+
+// Lines of posted (and since reversed) entries within the filters
+const ledgerLines = async ({ from, to, branchId }) => {
+  const [entries, lines] = await Promise.all([
+    airtableHelpers.find(TABLES.JOURNAL_ENTRIES),
+    airtableHelpers.find(TABLES.JOURNAL_LINES)
+  ]);
+  const counted = new Set(entries.filter(entry => entry.status === 'posted' || entry.status === 'reversed').map(entry => entry.id));
+  return lines.filter(line => counted.has(firstId(line.entry_id)) &&
+    (!from || line.entry_date >= from) &&
+    (!to || line.entry_date <= to) &&
+    (!branchId || firstId(line.branch_id) === branchId));
+};
+
+const accountBalances = async (filters) => {
+  const [accounts, lines] = await Promise.all([listAccounts({ includeInactive: true }), ledgerLines(filters)]);
+  const totals = new Map();
+  for (const line of lines) {
+    const total = totals.get(line.account_code) || { debit: 0, credit: 0 };
+    total.debit += Number(line.debit) || 0;
+    total.credit += Number(line.credit) || 0;
+    totals.set(line.account_code, total);
+  }
+  return accounts
+    .filter(account => totals.has(account.code))
+    .map(account => {
+      const { debit, credit } = totals.get(account.code);
+      const balance = DEBIT_TYPES.includes(account.type) ? debit - credit : credit - debit;
+      return { code: account.code, name: account.name, type: account.type, subtype: account.subtype || null, debit: round2(debit), credit: round2(credit), balance: round2(balance) };
+    });
+};
+
+const checkPeriod = ({ from, to }) => {
+  if ((from && !isDate(from)) || (to && !isDate(to))) {
+    throw new AccountingError('Dates must be YYYY-MM-DD');
+  }
+  if (from && to && from > to) {
+    throw new AccountingError('The period cannot end before it starts');
+  }
+};
+
+const section = (accounts) => ({
+  accounts: accounts.map(({ code, name, balance }) => ({ code, name, amount: balance })),
+  total: round2(accounts.reduce((sum, account) => sum + account.balance, 0))
+});
+
+/**
+ * Trial balance up to `to` (default today), or of the activity between
+ * `from` and `to`. Each account's net balance is shown on its debit or
+ * credit side.
+ */
+const getTrialBalance = async ({ from, to = today(), branchId } = {}) => {
+  checkPeriod({ from, to });
+  const balances = await accountBalances({ from, to, branchId });
+  const accounts = balances
+    .map(account => {
+      const net = round2(account.debit - account.credit);
+      return { code: account.code, name: account.name, type: account.type, debit: net > 0 ? net : 0, credit: net < 0 ? -net : 0 };
+    })
+    .filter(account => account.debit !== 0 || account.credit !== 0);
+  const totalDebit = round2(accounts.reduce((sum, account) => sum + account.debit, 0));
+  const totalCredit = round2(accounts.reduce((sum, account) => sum + account.credit, 0));
+  return {
+    from: from || null,
+    to,
+    branch_id: branchId || null,
+    accounts,
+    total_debit: totalDebit,
+    total_credit: totalCredit,
+    balanced: Math.abs(totalDebit - totalCredit) < 0.01
+  };
+};
+
+const getProfitAndLoss = async ({ from, to = today(), branchId } = {}) => {
+  checkPeriod({ from, to });
+  const balances = await accountBalances({ from, to, branchId });
+  const revenue = section(balances.filter(account => account.type === 'revenue'));
+  const costOfSales = section(balances.filter(account => account.type === 'expense' && account.subtype === 'cost_of_sales'));
+  const expenses = section(balances.filter(account => account.type === 'expense' && account.subtype !== 'cost_of_sales'));
+  const grossProfit = round2(revenue.total - costOfSales.total);
+  return {
+    from: from || null,
+    to,
+    branch_id: branchId || null,
+    revenue,
+    cost_of_sales: costOfSales,
+    gross_profit: grossProfit,
+    expenses,
+    net_profit: round2(grossProfit - expenses.total)
+  };
+};
+
+// Balance sheet at `asOf`; earnings not yet closed to retained earnings show
+// as one equity line
+const getBalanceSheet = async ({ asOf = today(), branchId } = {}) => {
+  checkPeriod({ to: asOf });
+  const balances = await accountBalances({ to: asOf, branchId });
+  const assets = section(balances.filter(account => account.type === 'asset'));
+  const liabilities = section(balances.filter(account => account.type === 'liability'));
+  const equityAccounts = balances.filter(account => account.type === 'equity');
+  const earnings = round2(balances
+    .filter(account => account.type === 'revenue' || account.type === 'expense')
+    .reduce((sum, account) => sum + (account.type === 'revenue' ? account.balance : -account.balance), 0));
+  const equity = section(equityAccounts);
+  equity.accounts.push({ code: null, name: 'Current earnings', amount: earnings });
+  equity.total = round2(equity.total + earnings);
+  const liabilitiesAndEquity = round2(liabilities.total + equity.total);
+  return {
+    as_of: asOf,
+    branch_id: branchId || null,
+    assets,
+    liabilities,
+    equity,
+    total_liabilities_and_equity: liabilitiesAndEquity,
+    balanced: Math.abs(assets.total - liabilitiesAndEquity) < 0.01
+  };
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  DEFAULT_ACCOUNTS,
+  AccountingError,
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  syncSource,
+  reverseEntry,
+  postManualEntry,
+  getEntry,
+  listEntries,
+  getTrialBalance,
+  getProfitAndLoss,
+  getBalanceSheet
+};
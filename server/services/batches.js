@@ -0,0 +1,211 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+
+/**
+ * Batch / lot tracking for perishable stock. Each Stock row can have any
+ * number of Stock_Batches (batch number + expiry date + remaining quantity).
+ * Quantity on the Stock row that is not in any batch is "untracked", e.g.
+ * stock that existed before batches were introduced.
+ *
+ * An allocation is `{ batch_id?, batch_number, expiry_date, quantity }` and
+ * describes which batches a stock change went into or came out of.
+ */
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const isExpired = (batch, onDate = today()) => !!batch.expiry_date && batch.expiry_date < onDate;
+
+// First expiry first out; batches without an expiry date go last
+const byExpiry = (a, b) => {
+  if (a.expiry_date && b.expiry_date) return a.expiry_date.localeCompare(b.expiry_date);
+  if (a.expiry_date) return -1;
+  if (b.expiry_date) return 1;
+  return (a.received_at || '').localeCompare(b.received_at || '');
+};
+
+const getStockBatches = async (stockId) => {
+  const batches = await airtableHelpers.find(TABLES.STOCK_BATCHES);
+  return batches.filter(batch => firstId(batch.stock_id) === stockId);
+};
+
+const toAllocation = (batch, quantity) => ({
+  batch_id: batch.id,
+  batch_number: batch.batch_number,
+  expiry_date: batch.expiry_date,
+  quantity
+});
+
+const adjustBatch = (batch, delta) => {
+  const remaining = Math.max((Number(batch.quantity_remaining) || 0) + delta, 0);
+  return airtableHelpers.update(TABLES.STOCK_BATCHES, batch.id, {
+    quantity_remaining: remaining,
+    depleted_at: remaining === 0 ? new Date().toISOString() : null
+  });
+};
+
+// Put quantities into the batches named by the allocations, creating batches
+// for batch number / expiry combinations the row has not seen before
+const addToBatches = async (stock, allocations, line) => {
+  const batches = await getStockBatches(stock.id);
+  const result = [];
+
+  for (const allocation of allocations) {
+    const quantity = Number(allocation.quantity) || 0;
+    if (quantity <= 0) continue;
+
+    const existing = batches.find(batch => batch.id === allocation.batch_id) || batches.find(batch =>
+      (batch.batch_number || '') === (allocation.batch_number || '') &&
+      (batch.expiry_date || '') === (allocation.expiry_date || '')
+    );
+
+    if (existing) {
+      const updated = await adjustBatch(existing, quantity);
+      Object.assign(existing, updated);
+      result.push(toAllocation(existing, quantity));
+      continue;
+    }
+
+    const created = await airtableHelpers.create(TABLES.STOCK_BATCHES, {
+      stock_id: [stock.id],
+      branch_id: stock.branch_id,
+      product_id: stock.product_id,
+      product_name: stock.product_name,
+      batch_number: allocation.batch_number || undefined,
+      expiry_date: allocation.expiry_date || undefined,
+      quantity_received: quantity,
+      quantity_remaining: quantity,
+      source_type: line.type,
+      receive_id: line.reference?.receive_id,
+      received_at: new Date().toISOString()
+    });
+    batches.push(created);
+    result.push(toAllocation(created, quantity));
+  }
+
+  return result;
+};
+
+// Take quantities out of the given batches only
+const takeFromBatches = async (stock, allocations) => {
+  const batches = await getStockBatches(stock.id);
+  const result = [];
+
+  for (const allocation of allocations) {
+    const batch = batches.find(b => b.id === allocation.batch_id);
+    const quantity = Number(allocation.quantity) || 0;
+    if (!batch || quantity <= 0) continue;
+    await adjustBatch(batch, -quantity);
+    result.push(toAllocation(batch, quantity));
+  }
+
+  return result;
+};
+
+// Pick batches first-expiry-first-out: unexpired batches, then untracked
+// stock, and expired batches only when nothing else is left
+const consumeFefo = async (stock, quantity) => {
+  const batches = (await getStockBatches(stock.id)).filter(batch => Number(batch.quantity_remaining) > 0);
+  const inBatches = batches.reduce((sum, batch) => sum + Number(batch.quantity_remaining), 0);
+  const untracked = Math.max((Number(stock.quantity_available) || 0) - inBatches, 0);
+
+  const fresh = batches.filter(batch => !isExpired(batch)).sort(byExpiry);
+  const expired = batches.filter(batch => isExpired(batch)).sort(byExpiry);
+
+  let remaining = quantity;
+  const result = [];
+
+  const take = async (batch) => {
+    if (remaining <= 0) return;
+    const taken = Math.min(Number(batch.quantity_remaining), remaining);
+    await adjustBatch(batch, -taken);
+    result.push({ ...toAllocation(batch, taken), expired: isExpired(batch) || undefined });
+    remaining -= taken;
+  };
+
+  for (const batch of fresh) await take(batch);
+  remaining -= Math.min(untracked, remaining);
+  for (const batch of expired) await take(batch);
+
+  return result;
+};
+
+/**
+ * Book the batch side of a stock change. `line.batches` gives explicit
+ * allocations (receipts with a lot number, refunds and transfers carrying the
+ * batches they came from, write-offs of one batch); decreases without them
+ * are taken first-expiry-first-out. Returns the allocations used.
+ */
+const recordBatches = async (line, stockBefore, change) => {
+  const stock = { ...stockBefore, id: change.stockId };
+
+  if (change.quantity > 0) {
+    return line.batches ? addToBatches(stock, line.batches, line) : [];
+  }
+  if (change.quantity < 0) {
+    return line.batches ? takeFromBatches(stock, line.batches) : consumeFefo(stock, -change.quantity);
+  }
+  return [];
+};
+
+// Share allocations out over several document lines in order, e.g. two sale
+// lines for the same product that the ledger booked as one change
+const splitAllocations = (allocations, quantities) => {
+  const pool = (allocations || []).map(allocation => ({ ...allocation }));
+  return quantities.map(quantity => {
+    const share = [];
+    let remaining = quantity;
+    for (const allocation of pool) {
+      if (remaining <= 0) break;
+      if (allocation.quantity <= 0) continue;
+      const taken = Math.min(allocation.quantity, remaining);
+      share.push({ ...allocation, quantity: taken });
+      allocation.quantity -= taken;
+      remaining -= taken;
+    }
+    return share;
+  });
+};
+
+// Allocations are stored on document lines as JSON text
+const parseAllocations = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const listBatches = async ({ branchId, productId, includeEmpty = false } = {}) => {
+  const batches = await airtableHelpers.find(TABLES.STOCK_BATCHES);
+  return batches
+    .filter(batch => includeEmpty || Number(batch.quantity_remaining) > 0)
+    .filter(batch => !branchId || (batch.branch_id && batch.branch_id.includes(branchId)))
+    .filter(batch => !productId || batch.product_id === productId)
+    .sort(byExpiry);
+};
+
+// Batches with stock left that expire on or before today + days
+const getExpiringBatches = async ({ branchId, days = 30 } = {}) => {
+  const limit = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const batches = await listBatches({ branchId });
+
+  return batches
+    .filter(batch => batch.expiry_date && batch.expiry_date <= limit)
+    .map(batch => ({
+      ...batch,
+      expired: isExpired(batch),
+      days_to_expiry: Math.ceil((new Date(batch.expiry_date) - new Date(today())) / (24 * 60 * 60 * 1000))
+    }));
+};
+
+module.exports = {
+  isExpired,
+  recordBatches,
+  splitAllocations,
+  parseAllocations,
+  listBatches,
+  getExpiringBatches
+};
@@ -0,0 +1,291 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Three-way match of a supplier bill against its purchase order and what
+ * was received on it.
+ *
+ * Bill lines are matched to Order_Items and Receive_Items by product. For
+ * each product the quantity billed (plus what earlier bills on the order
+ * already charged) must not exceed the quantity received in good condition,
+ * and the billed unit price must agree with the ordered one, both within
+ * the tolerances below. Bills without a purchase order are not matched.
+ *
+ * The result is kept on the bill as `match_status` ('matched', 'exception'
+ * or 'not_applicable') with the line detail in `match_details`, and only
+ * users with bills.match.override can approve a bill whose match failed.
+ */
+
+const TOLERANCES = {
+  // Billed units may exceed received units by this percentage
+  quantityPercent: envNumber('BILL_MATCH_QUANTITY_TOLERANCE_PERCENT', 0),
+  // Billed unit price may differ from the ordered price by this percentage...
+  pricePercent: envNumber('BILL_MATCH_PRICE_TOLERANCE_PERCENT', 2),
+  // ...or by this amount per unit, whichever is larger
+  priceAmount: envNumber('BILL_MATCH_PRICE_TOLERANCE_AMOUNT', 0),
+  // The bill total may differ from its lines plus tax by this amount
+  totalAmount: envNumber('BILL_MATCH_TOTAL_TOLERANCE_AMOUNT', 1)
+};
+
+// Bills in these states no longer count towards what has been billed
+const VOID_BILL_STATUSES = ['cancelled', 'void'];
+
+class BillMatchError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'BillMatchError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const linkedTo = (value, id) => (Array.isArray(value) ? value.includes(id) : value === id);
+
+const productKey = (line) => line.product_id || String(line.product_name || line.description || '').toLowerCase().trim();
+
+const sumBy = (rows, field) => rows.reduce((sum, row) => sum + (Number(row[field]) || 0), 0);
+
+// Group lines by product, keeping the first name seen
+const groupByProduct = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = productKey(row);
+    if (!key) continue;
+    const group = groups.get(key) || { name: row.product_name || row.description, rows: [] };
+    group.rows.push(row);
+    groups.set(key, group);
+  }
+  return groups;
+};
+
+const weightedPrice = (rows, quantityField, priceField) => {
+  const quantity = sumBy(rows, quantityField);
+  if (quantity <= 0) return rows.length > 0 ? Number(rows[0][priceField]) || 0 : null;
+  return round2(rows.reduce((sum, row) => sum + (Number(row[quantityField]) || 0) * (Number(row[priceField]) || 0), 0) / quantity);
+};
+
+const priceWithinTolerance = (billed, ordered) => {
+  const allowed = Math.max(Math.abs(ordered) * TOLERANCES.pricePercent / 100, TOLERANCES.priceAmount);
+  return Math.abs(billed - ordered) <= allowed + 0.005;
+};
+
+const quantityWithinTolerance = (billed, received) =>
+  billed <= received * (1 + TOLERANCES.quantityPercent / 100) + 1e-9;
+
+/**
+ * Compare a bill with its order and receipts. Returns `{ status, lines,
+ * issues, tolerances }`; `lines` has one row per product on the bill and
+ * `issues` the bill-level problems.
+ */
+const matchBill = async (billId) => {
+  const bill = await airtableHelpers.findById(TABLES.BILLS, billId).catch(() => null);
+  if (!bill) {
+    throw new BillMatchError('Bill not found', 404);
+  }
+
+  const orderId = firstId(bill.purchase_order_id);
+  if (!orderId) {
+    return { status: 'not_applicable', lines: [], issues: [], tolerances: TOLERANCES };
+  }
+
+  const [allBillItems, allBills, orderItems, receives, receiveItems] = await Promise.all([
+    airtableHelpers.find(TABLES.BILL_ITEMS),
+    airtableHelpers.find(TABLES.BILLS),
+    airtableHelpers.find(TABLES.ORDER_ITEMS),
+    airtableHelpers.find(TABLES.PURCHASE_RECEIVES),
+    airtableHelpers.find(TABLES.RECEIVE_ITEMS)
+  ]);
+
+  const billItems = allBillItems.filter(item => linkedTo(item.bill_id, billId));
+  const ordered = groupByProduct(orderItems.filter(item => linkedTo(item.order_id, orderId)));
+
+  // Only goods received in good condition are payable; a bill tied to one
+  // receive is matched against that receive alone
+  const receiveIds = new Set(receives
+    .filter(receive => linkedTo(receive.purchase_order_id, orderId))
+    .filter(receive => !bill.receive_id || linkedTo(bill.receive_id, receive.id))
+    .map(receive => receive.id));
+  const receivedLines = receiveItems.filter(item => receiveIds.has(firstId(item.receive_id)));
+  const received = groupByProduct(receivedLines.filter(item => (item.condition || 'good') === 'good'));
+  const rejected = groupByProduct(receivedLines.filter(item => (item.condition || 'good') !== 'good'));
+
+  // What live bills on the same order charged before this one; a later
+  // duplicate is the exception, not the bill it duplicates
+  const billedEarlier = (other) => ['approved', 'paid'].includes(other.status) ||
+    String(other.created_at || '') < String(bill.created_at || '');
+  const otherBillIds = new Set(allBills
+    .filter(other => other.id !== billId && linkedTo(other.purchase_order_id, orderId))
+    .filter(other => !VOID_BILL_STATUSES.includes(other.status) && billedEarlier(other))
+    .filter(other => !bill.receive_id || linkedTo(other.receive_id, firstId(bill.receive_id)))
+    .map(other => other.id));
+  const billedBefore = groupByProduct(allBillItems.filter(item => otherBillIds.has(firstId(item.bill_id))));
+
+  const billed = groupByProduct(billItems);
+  const issues = [];
+  const lines = [];
+
+  for (const [key, group] of billed) {
+    const orderGroup = ordered.get(key);
+    const billedQuantity = sumBy(group.rows, 'quantity');
+    const billedPrice = weightedPrice(group.rows, 'quantity', 'unit_price');
+    const receivedQuantity = received.has(key) ? sumBy(received.get(key).rows, 'quantity_received') : 0;
+    const previouslyBilled = billedBefore.has(key) ? sumBy(billedBefore.get(key).rows, 'quantity') : 0;
+    const orderedQuantity = orderGroup ? sumBy(orderGroup.rows, 'quantity_ordered') : 0;
+    const orderedPrice = orderGroup ? weightedPrice(orderGroup.rows, 'quantity_ordered', 'purchase_price_per_unit') : null;
+
+    const lineIssues = [];
+    if (!orderGroup) {
+      lineIssues.push({ type: 'not_ordered', message: `${group.name} is not on the purchase order` });
+    } else if (!priceWithinTolerance(billedPrice, orderedPrice)) {
+      lineIssues.push({
+        type: 'price',
+        message: `${group.name} billed at ${billedPrice} against ${orderedPrice} ordered`
+      });
+    }
+    if (orderGroup && !quantityWithinTolerance(previouslyBilled + billedQuantity, receivedQuantity)) {
+      lineIssues.push({
+        type: 'quantity',
+        message: `${group.name}: ${round2(previouslyBilled + billedQuantity)} billed in total but ${receivedQuantity} received in good condition`
+      });
+    }
+
+    lines.push({
+      product_key: key,
+      product_name: group.name,
+      ordered_quantity: orderedQuantity,
+      received_quantity: receivedQuantity,
+      rejected_quantity: rejected.has(key) ? sumBy(rejected.get(key).rows, 'quantity_received') : 0,
+      previously_billed_quantity: previouslyBilled,
+      billed_quantity: billedQuantity,
+      quantity_variance: round2(previouslyBilled + billedQuantity - receivedQuantity),
+      ordered_price: orderedPrice,
+      billed_price: billedPrice,
+      price_variance: orderedPrice === null ? null : round2(billedPrice - orderedPrice),
+      price_variance_percent: orderedPrice ? round2((billedPrice - orderedPrice) / orderedPrice * 100) : null,
+      billed_amount: round2(sumBy(group.rows, 'amount')),
+      matched: lineIssues.length === 0,
+      issues: lineIssues
+    });
+  }
+
+  if (billItems.length === 0) {
+    // Without lines the best we can do is compare the value received
+    const receivedValue = round2([...received].reduce((sum, [key, group]) => {
+      const orderGroup = ordered.get(key);
+      const price = orderGroup ? weightedPrice(orderGroup.rows, 'quantity_ordered', 'purchase_price_per_unit') : 0;
+      return sum + sumBy(group.rows, 'quantity_received') * price;
+    }, 0));
+    const billedValue = round2(Number(bill.subtotal) || (Number(bill.total_amount) - (Number(bill.tax_amount) || 0)));
+    if (billedValue > receivedValue + TOLERANCES.totalAmount) {
+      issues.push({
+        type: 'value',
+        message: `Bill of ${billedValue} before tax is more than the ${receivedValue} received`,
+        billed: billedValue,
+        received: receivedValue
+      });
+    }
+  } else {
+    const expectedTotal = round2(sumBy(billItems, 'amount') + (Number(bill.tax_amount) || 0));
+    if (Math.abs(expectedTotal - Number(bill.total_amount)) > TOLERANCES.totalAmount) {
+      issues.push({
+        type: 'total',
+        message: `Bill total ${bill.total_amount} does not agree with its lines plus tax (${expectedTotal})`,
+        billed: Number(bill.total_amount),
+        expected: expectedTotal
+      });
+    }
+  }
+
+  const matched = issues.length === 0 && lines.every(line => line.matched);
+  return { status: matched ? 'matched' : 'exception', lines, issues, tolerances: TOLERANCES };
+};
+
+// Run the match and keep the outcome on the bill
+const recordMatch = async (billId) => {
+  const result = await matchBill(billId);
+  const bill = await airtableHelpers.update(TABLES.BILLS, billId, {
+    match_status: result.status,
+    match_details: JSON.stringify({ lines: result.lines, issues: result.issues }),
+    matched_at: new Date().toISOString()
+  });
+  return { ...result, bill };
+};
+
+const parseMatchDetails = (bill) => {
+  try {
+    return bill.match_details ? JSON.parse(bill.match_details) : { lines: [], issues: [] };
+  } catch (error) {
+    return { lines: [], issues: [] };
+  }
+};
+
+/**
+ * Check a bill may be approved. The match is re-run first, as goods may
+ * have arrived since the bill was entered. A failed match needs `override`
+ * with a reason from a user with bills.match.override; returns the fields to
+ * record on the bill along with the approval.
+ */
+const approvalFields = async (billId, user, { override, reason } = {}) => {
+  const result = await recordMatch(billId);
+  if (result.status !== 'exception') {
+    return { result, fields: {} };
+  }
+  if (!override) {
+    throw new BillMatchError('Bill does not match its purchase order and receipts', 409, {
+      lines: result.lines.filter(line => !line.matched),
+      issues: result.issues
+    });
+  }
+  if (!(await hasPermission(user, 'bills.match.override'))) {
+    throw new BillMatchError('Approving a bill that does not match requires the bills.match.override permission', 403);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new BillMatchError('A reason is required to override the match');
+  }
+  return {
+    result,
+    fields: {
+      match_status: 'overridden',
+      match_override_by: user.id ? [user.id] : undefined,
+      match_override_reason: String(reason).trim(),
+      match_overridden_at: new Date().toISOString()
+    }
+  };
+};
+
+// Bills held for a failed match, oldest first, with their differences
+const getExceptions = async () => {
+  const bills = await airtableHelpers.find(TABLES.BILLS);
+  return bills
+    .filter(bill => bill.match_status === 'exception' && !['approved', 'paid', ...VOID_BILL_STATUSES].includes(bill.status))
+    .sort((a, b) => String(a.bill_date).localeCompare(String(b.bill_date)))
+    .map(bill => {
+      const details = parseMatchDetails(bill);
+      return {
+        bill_id: bill.id,
+        bill_number: bill.bill_number,
+        vendor_name: bill.vendor_name,
+        bill_date: bill.bill_date,
+        total_amount: bill.total_amount,
+        purchase_order_id: firstId(bill.purchase_order_id) || null,
+        matched_at: bill.matched_at,
+        issues: details.issues,
+        lines: details.lines.filter(line => !line.matched)
+      };
+    });
+};
+
+module.exports = {
+  TOLERANCES,
+  BillMatchError,
+  matchBill,
+  recordMatch,
+  parseMatchDetails,
+  approvalFields,
+  getExceptions
+};
@@ -0,0 +1,238 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Point-of-sale helpers: basket pricing with line and basket discounts,
+ * settling split tenders and per-branch receipt numbers.
+ */
+const TENDER_TYPES = ['cash', 'card', 'mpesa', 'credit'];
+
+// Cashiers may discount up to this percentage of a line or basket; managers and above without limit
+const MAX_CASHIER_DISCOUNT_PERCENT = envNumber('MAX_CASHIER_DISCOUNT_PERCENT', 10);
+
+const RECEIPT_RETRIES = 5;
+
+class CheckoutError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toAmount = (value) => (value === undefined || value === null || value === '' ? 0 : Number(value));
+
+// A discount is either a percentage or a fixed amount off the given subtotal
+const discountOn = (subtotal, { discount_percent, discount_amount }, label) => {
+  const percent = toAmount(discount_percent);
+  const amount = toAmount(discount_amount);
+  if (!Number.isFinite(percent) || !Number.isFinite(amount) || percent < 0 || amount < 0) {
+    throw new CheckoutError(`Invalid discount on ${label}`);
+  }
+  if (percent && amount) {
+    throw new CheckoutError(`Give either a discount percentage or amount on ${label}, not both`);
+  }
+  if (percent > 100) {
+    throw new CheckoutError(`Discount on ${label} cannot be more than 100%`);
+  }
+  const discount = round2(percent ? subtotal * percent / 100 : amount);
+  if (discount > subtotal) {
+    throw new CheckoutError(`Discount on ${label} is more than its value`);
+  }
+  return discount;
+};
+
+// `unlimited`: the cashier holds sales.discount.unlimited
+const assertDiscountAllowed = (unlimited, subtotal, discount, label) => {
+  if (unlimited || subtotal === 0) return;
+  if (discount / subtotal * 100 > MAX_CASHIER_DISCOUNT_PERCENT + 1e-9) {
+    throw new CheckoutError(`Discounts above ${MAX_CASHIER_DISCOUNT_PERCENT}% on ${label} need a manager`, 403);
+  }
+};
+
+// The part of a line's value taken off by a lower price keyed at the till
+const markdownOn = (line, quantity, unitPrice) => {
+  if (line.requested_price === undefined || line.requested_price === null || line.requested_price === '') return 0;
+  const requested = Number(line.requested_price);
+  if (!Number.isFinite(requested) || requested < 0) {
+    throw new CheckoutError(`Invalid price for ${line.product_name}`);
+  }
+  if (requested > unitPrice) {
+    throw new CheckoutError(`Price for ${line.product_name} cannot be above its selling price of ${unitPrice}`);
+  }
+  return round2(quantity * (unitPrice - requested));
+};
+
+/**
+ * Price a basket. `lines` are `{ product_name, quantity, unit_price,
+ * requested_price?, discount_percent?, discount_amount? }` where unit_price
+ * is the selling price from stock and requested_price a lower price asked
+ * for at the till, which counts as a line discount. `basket` carries the
+ * basket-wide `discount_percent` or `discount_amount`, which is shared over
+ * the lines in proportion to their value so every line knows its net revenue.
+ */
+const priceBasket = async (lines, basket = {}, user = {}) => {
+  const unlimited = await hasPermission(user, 'sales.discount.unlimited');
+  const priced = lines.map(line => {
+    const quantity = Number(line.quantity);
+    const unitPrice = line.unit_price === undefined || line.unit_price === null ? NaN : Number(line.unit_price);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new CheckoutError(`Quantity for ${line.product_name} must be positive`);
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw new CheckoutError(`Price for ${line.product_name} is missing`);
+    }
+    const subtotal = round2(quantity * unitPrice);
+    const markdown = markdownOn(line, quantity, unitPrice);
+    const lineDiscount = round2(markdown + discountOn(round2(subtotal - markdown), line, line.product_name));
+    assertDiscountAllowed(unlimited, subtotal, lineDiscount, line.product_name);
+    return { ...line, quantity, unit_price: unitPrice, subtotal, line_discount: lineDiscount, net: round2(subtotal - lineDiscount) };
+  });
+
+  const afterLineDiscounts = round2(priced.reduce((sum, line) => sum + line.net, 0));
+  const basketDiscount = discountOn(afterLineDiscounts, basket, 'the basket');
+  assertDiscountAllowed(unlimited, afterLineDiscounts, basketDiscount, 'the basket');
+
+  // Share the basket discount out; the last line takes the rounding difference
+  let shared = 0;
+  priced.forEach((line, index) => {
+    const share = index === priced.length - 1
+      ? round2(basketDiscount - shared)
+      : afterLineDiscounts > 0 ? round2(basketDiscount * line.net / afterLineDiscounts) : 0;
+    shared = round2(shared + share);
+    line.basket_discount = share;
+    line.line_total = round2(line.net - share);
+  });
+
+  const subtotal = round2(priced.reduce((sum, line) => sum + line.subtotal, 0));
+  const lineDiscountTotal = round2(priced.reduce((sum, line) => sum + line.line_discount, 0));
+  return {
+    lines: priced,
+    subtotal,
+    lineDiscountTotal,
+    basketDiscount,
+    discountTotal: round2(lineDiscountTotal + basketDiscount),
+    total: round2(subtotal - lineDiscountTotal - basketDiscount)
+  };
+};
+
+/**
+ * Check the tenders cover the total. `tenders` are `{ type, amount,
+ * reference? }`. Only cash can be over-tendered; the excess is the change.
+ * Returns the tenders with the amount applied to the sale, the change and
+ * the payment method to record ('split' when more than one tender type).
+ */
+const settleTenders = (total, tenders) => {
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    throw new CheckoutError('At least one payment is required');
+  }
+
+  const cleaned = tenders.map(tender => {
+    const type = String(tender.type || '').toLowerCase().replace(/[^a-z]/g, '');
+    const amount = round2(Number(tender.amount));
+    if (!TENDER_TYPES.includes(type)) {
+      throw new CheckoutError(`Payment type must be one of: ${TENDER_TYPES.join(', ')}`);
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new CheckoutError(`Payment amount for ${type} must be positive`);
+    }
+    return { type, amount, reference: tender.reference ? String(tender.reference).trim() : undefined };
+  });
+
+  const tendered = round2(cleaned.reduce((sum, tender) => sum + tender.amount, 0));
+  const nonCash = round2(cleaned.filter(tender => tender.type !== 'cash').reduce((sum, tender) => sum + tender.amount, 0));
+  if (tendered < total) {
+    throw new CheckoutError(`Payments of ${tendered} do not cover the total of ${total}`, 400, { total, tendered, due: round2(total - tendered) });
+  }
+  if (nonCash > total) {
+    throw new CheckoutError('Only cash can be paid over the total');
+  }
+
+  // Change comes out of the cash tenders, last one first
+  let change = round2(tendered - total);
+  const applied = cleaned.map(tender => ({ ...tender, tendered: tender.amount }));
+  for (const tender of [...applied].reverse()) {
+    if (change <= 0 || tender.type !== 'cash') continue;
+    const returned = Math.min(change, tender.amount);
+    tender.amount = round2(tender.amount - returned);
+    change = round2(change - returned);
+  }
+
+  const types = [...new Set(cleaned.map(tender => tender.type))];
+  return {
+    tenders: applied,
+    tendered,
+    change: round2(tendered - total),
+    creditAmount: round2(applied.filter(tender => tender.type === 'credit').reduce((sum, tender) => sum + tender.amount, 0)),
+    paymentMethod: types.length === 1 ? types[0] : 'split'
+  };
+};
+
+// Receipts for a branch are numbered one after another; the counter lives on
+// the Branches row and is bumped with a compare-and-set
+const branchLocks = new Map();
+
+const withBranchLock = async (branchId, fn) => {
+  const previous = branchLocks.get(branchId) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  branchLocks.set(branchId, current);
+  try {
+    return await current;
+  } finally {
+    if (branchLocks.get(branchId) === current) {
+      branchLocks.delete(branchId);
+    }
+  }
+};
+
+const receiptPrefix = (branch) => {
+  if (branch.receipt_prefix) return branch.receipt_prefix;
+  const letters = (branch.branch_code || branch.branch_name || 'BR').replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+  return letters.slice(0, 3) || 'BR';
+};
+
+// Returns `{ receiptNumber, sequence }`, e.g. `NAI-000042`
+const nextReceiptNumber = (branchId) => withBranchLock(branchId, async () => {
+  for (let attempt = 1; attempt <= RECEIPT_RETRIES; attempt++) {
+    const branch = await airtableHelpers.findById(TABLES.BRANCHES, branchId);
+    const last = Number(branch.last_receipt_sequence) || 0;
+    const updated = await airtableHelpers.updateIfMatch(TABLES.BRANCHES, branchId,
+      { last_receipt_sequence: branch.last_receipt_sequence },
+      { last_receipt_sequence: last + 1 });
+    if (updated) {
+      return { receiptNumber: `${receiptPrefix(branch)}-${String(last + 1).padStart(6, '0')}`, sequence: last + 1 };
+    }
+  }
+  throw new CheckoutError('Could not allocate a receipt number, please retry', 409);
+});
+
+// Everything needed to print or show a receipt
+const getReceipt = async (saleId) => {
+  const sale = await airtableHelpers.findById(TABLES.SALES, saleId);
+  const [allItems, allPayments, branches] = await Promise.all([
+    airtableHelpers.find(TABLES.SALE_ITEMS),
+    airtableHelpers.find(TABLES.SALE_PAYMENTS),
+    airtableHelpers.find(TABLES.BRANCHES)
+  ]);
+  const branch = branches.find(b => sale.branch_id && sale.branch_id.includes(b.id)) || null;
+
+  return {
+    sale,
+    branch,
+    items: allItems.filter(item => item.sale_id && item.sale_id.includes(saleId)),
+    payments: allPayments.filter(payment => payment.sale_id && payment.sale_id.includes(saleId))
+  };
+};
+
+module.exports = {
+  TENDER_TYPES,
+  CheckoutError,
+  priceBasket,
+  settleTenders,
+  nextReceiptNumber,
+  getReceipt
+};
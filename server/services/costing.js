@@ -0,0 +1,204 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+
+const COSTING_METHODS = ['weighted_average', 'fifo'];
+
+const DEFAULT_COSTING_METHOD = COSTING_METHODS.includes(process.env.COSTING_METHOD)
+  ? process.env.COSTING_METHOD
+  : 'weighted_average';
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+const hasCost = (value) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+
+// Products can override the company wide method with their own `costing_method`
+const getCostingMethod = (product) => (
+  product && COSTING_METHODS.includes(product.costing_method) ? product.costing_method : DEFAULT_COSTING_METHOD
+);
+
+const findProductSafe = async (productId) => {
+  if (!productId) return null;
+  try {
+    return await airtableHelpers.findById(TABLES.PRODUCTS, productId);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Moving average cost of a Stock row after a quantity change. Increases blend
+ * their unit cost into the average; plain decreases leave it unchanged, and a
+ * decrease with a known cost (undoing a receipt) takes that cost back out.
+ */
+const nextAverageCost = (stock, quantity, unitCost) => {
+  const available = Math.max(Number(stock.quantity_available) || 0, 0);
+  const average = hasCost(stock.average_cost) ? Number(stock.average_cost) : undefined;
+
+  if (!hasCost(unitCost)) return average;
+  const cost = Number(unitCost);
+
+  if (quantity > 0) {
+    if (average === undefined || available === 0) return roundCost(cost);
+    return roundCost((available * average + quantity * cost) / (available + quantity));
+  }
+
+  const remaining = available + quantity;
+  if (average === undefined || remaining <= 0) return average;
+  return roundCost(Math.max((available * average + quantity * cost) / remaining, 0));
+};
+
+// Open cost layers for a Stock row, oldest first
+const getOpenLayers = async (stockId) => {
+  const layers = await airtableHelpers.find(TABLES.COST_LAYERS, '{quantity_remaining} > 0');
+  return layers
+    .filter(layer => firstId(layer.stock_id) === stockId)
+    .sort((a, b) => (a.received_at || '').localeCompare(b.received_at || ''));
+};
+
+const addCostLayer = (stock, { quantity, unitCost, sourceType, estimated, reference }) => airtableHelpers.create(TABLES.COST_LAYERS, {
+  stock_id: [stock.id],
+  branch_id: stock.branch_id,
+  product_id: stock.product_id,
+  product_name: stock.product_name,
+  source_type: sourceType,
+  unit_cost: roundCost(Number(unitCost) || 0),
+  quantity_received: quantity,
+  quantity_remaining: quantity,
+  cost_estimated: estimated || undefined,
+  received_at: new Date().toISOString(),
+  ...reference
+});
+
+// Take quantity out of the oldest layers first. Anything the layers cannot
+// cover (stock that predates costing) is charged at the fallback cost.
+const consumeLayers = async (stockId, quantity, fallbackCost) => {
+  const layers = await getOpenLayers(stockId);
+  let remaining = quantity;
+  let totalCost = 0;
+
+  for (const layer of layers) {
+    if (remaining <= 0) break;
+    const available = Number(layer.quantity_remaining) || 0;
+    const taken = Math.min(available, remaining);
+    await airtableHelpers.update(TABLES.COST_LAYERS, layer.id, {
+      quantity_remaining: available - taken,
+      depleted_at: available - taken === 0 ? new Date().toISOString() : undefined
+    });
+    totalCost += taken * (Number(layer.unit_cost) || 0);
+    remaining -= taken;
+  }
+
+  return {
+    totalCost: totalCost + remaining * fallbackCost,
+    uncovered: remaining
+  };
+};
+
+/**
+ * Book the cost side of a stock change that has just been applied to `stock`
+ * (the row as it was read before the change). Increases open a cost layer,
+ * decreases consume layers oldest first and are charged by the product's
+ * costing method: FIFO uses the consumed layer costs, weighted average uses
+ * the row's moving average. Returns `{ unitCost, totalCost, method, layerId }`.
+ */
+const recordCost = async (line, stock, change) => {
+  const quantity = change.quantity;
+  if (!quantity) return null;
+
+  const product = await findProductSafe(line.productId || stock.product_id);
+  const method = getCostingMethod(product);
+  const average = hasCost(stock.average_cost) ? Number(stock.average_cost) : undefined;
+  const fallbackCost = average ?? (hasCost(product?.default_cost) ? Number(product.default_cost) : 0);
+  const row = { ...stock, id: change.stockId };
+
+  if (quantity > 0) {
+    const unitCost = hasCost(line.unitCost) ? Number(line.unitCost) : fallbackCost;
+    const layer = await addCostLayer(row, {
+      quantity,
+      unitCost,
+      sourceType: line.type || 'adjustment',
+      estimated: !hasCost(line.unitCost),
+      reference: line.reference && line.reference.receive_id ? { receive_id: line.reference.receive_id } : {}
+    });
+    return { unitCost: roundCost(unitCost), totalCost: roundCost(unitCost * quantity), method, layerId: layer.id };
+  }
+
+  const units = -quantity;
+
+  // Undoing an increase removes exactly the layer it created
+  if (line.reverseLayerId) {
+    const layer = await airtableHelpers.findById(TABLES.COST_LAYERS, line.reverseLayerId);
+    await airtableHelpers.update(TABLES.COST_LAYERS, layer.id, {
+      quantity_remaining: Math.max((Number(layer.quantity_remaining) || 0) - units, 0)
+    });
+    const unitCost = Number(layer.unit_cost) || 0;
+    return { unitCost, totalCost: roundCost(unitCost * units), method };
+  }
+
+  const consumed = await consumeLayers(change.stockId, units, fallbackCost);
+  const unitCost = method === 'fifo' ? consumed.totalCost / units : fallbackCost;
+  return {
+    unitCost: roundCost(unitCost),
+    totalCost: roundCost(unitCost * units),
+    method,
+    estimated: consumed.uncovered > 0 || undefined
+  };
+};
+
+// Stock that existed before costing gets one layer at its best known cost
+const openOpeningLayer = async (stock, quantity) => {
+  const product = await findProductSafe(stock.product_id);
+  const unitCost = hasCost(stock.average_cost) ? Number(stock.average_cost) : Number(product?.default_cost) || 0;
+  return addCostLayer(stock, { quantity, unitCost, sourceType: 'opening_balance', estimated: true });
+};
+
+// Value every Stock row at cost using the method that applies to it
+const valueInventory = async ({ branchId } = {}) => {
+  const [allStock, layers, products] = await Promise.all([
+    airtableHelpers.find(TABLES.STOCK),
+    airtableHelpers.find(TABLES.COST_LAYERS, '{quantity_remaining} > 0'),
+    airtableHelpers.find(TABLES.PRODUCTS)
+  ]);
+  const productMap = new Map(products.map(p => [p.id, p]));
+
+  const rows = allStock
+    .filter(stock => !branchId || (stock.branch_id && stock.branch_id.includes(branchId)))
+    .map(stock => {
+      const quantity = Number(stock.quantity_available) || 0;
+      const method = getCostingMethod(productMap.get(stock.product_id));
+      const rowLayers = layers.filter(layer => firstId(layer.stock_id) === stock.id);
+      const layerValue = rowLayers.reduce((sum, layer) => sum + layer.quantity_remaining * (Number(layer.unit_cost) || 0), 0);
+      const averageCost = Number(stock.average_cost) || 0;
+
+      return {
+        stock_id: stock.id,
+        branch_id: firstId(stock.branch_id),
+        product_id: stock.product_id,
+        product_name: stock.product_name,
+        quantity,
+        costing_method: method,
+        average_cost: averageCost,
+        open_layers: rowLayers.length,
+        inventory_value: roundCost(method === 'fifo' ? layerValue : quantity * averageCost),
+        retail_value: roundCost(quantity * (Number(stock.unit_price) || 0))
+      };
+    });
+
+  return {
+    rows,
+    totals: {
+      inventory_value: roundCost(rows.reduce((sum, row) => sum + row.inventory_value, 0)),
+      retail_value: roundCost(rows.reduce((sum, row) => sum + row.retail_value, 0))
+    }
+  };
+};
+
+module.exports = {
+  COSTING_METHODS,
+  getCostingMethod,
+  nextAverageCost,
+  recordCost,
+  openOpeningLayer,
+  valueInventory
+};
@@ -0,0 +1,682 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+
+/**
+ * Printable documents. Each document type has a builder that loads its
+ * records and returns a layout-neutral model; the model is then drawn either
+ * on A4 or, for till receipts, on an 80mm slip. Every PDF carries the company
+ * and branch details and a QR code linking to the public verification
+ * endpoint, signed so the link cannot be made up for another document.
+ *
+ * Branding comes from COMPANY_NAME, COMPANY_ADDRESS, COMPANY_PHONE,
+ * COMPANY_EMAIL, COMPANY_TAX_PIN and COMPANY_LOGO_PATH (a PNG or JPEG file).
+ */
+
+const CURRENCY = process.env.CURRENCY || 'KES';
+
+const FONT = 'Helvetica';
+const BOLD = 'Helvetica-Bold';
+const MUTED = '#555555';
+const RULE = '#cccccc';
+
+// Width of an 80mm till roll in points
+const SLIP_WIDTH = 227;
+
+class DocumentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const linkedTo = (field, id) => Array.isArray(field) ? field.includes(id) : field === id;
+
+const money = (value) => Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const quantity = (value) => String(Number(value || 0));
+
+const dateOnly = (value) => (value ? String(value).split('T')[0] : '');
+
+const dateTime = (value) => (value ? String(value).replace('T', ' ').slice(0, 16) : '');
+
+const company = () => ({
+  name: process.env.COMPANY_NAME || 'BSN Manager',
+  address: process.env.COMPANY_ADDRESS,
+  phone: process.env.COMPANY_PHONE,
+  email: process.env.COMPANY_EMAIL,
+  taxPin: process.env.COMPANY_TAX_PIN,
+  logoPath: process.env.COMPANY_LOGO_PATH
+});
+
+const findOr404 = async (table, id, label) => {
+  try {
+    return await airtableHelpers.findById(table, id);
+  } catch (error) {
+    throw new DocumentError(`${label} not found`, 404);
+  }
+};
+
+const findBranch = async (branchId) => {
+  if (!branchId) return null;
+  try {
+    return await airtableHelpers.findById(TABLES.BRANCHES, branchId);
+  } catch (error) {
+    return null;
+  }
+};
+
+const branchLines = (branch) => (branch
+  ? [branch.branch_name, branch.location_address, branch.phone, branch.email].filter(Boolean)
+  : []);
+
+// Verification codes are an HMAC of the document type and id
+const verificationCode = (type, id) => crypto
+  .createHmac('sha256', process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET || 'documents')
+  .update(`${type}:${id}`)
+  .digest('base64url')
+  .slice(0, 16);
+
+const verificationUrl = (type, id) => {
+  const base = process.env.DOCUMENT_VERIFY_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, '')}/api/documents/verify/${type}/${id}?code=${verificationCode(type, id)}`;
+};
+
+const isValidCode = (type, id, code) => {
+  const expected = Buffer.from(verificationCode(type, id));
+  const given = Buffer.from(String(code || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Builders: load the records behind a document and describe what to print
+
+const saleDocument = async (saleId) => {
+  const sale = await findOr404(TABLES.SALES, saleId, 'Sale');
+  const [allItems, allPayments, branch] = await Promise.all([
+    airtableHelpers.find(TABLES.SALE_ITEMS),
+    airtableHelpers.find(TABLES.SALE_PAYMENTS),
+    findBranch(firstId(sale.branch_id))
+  ]);
+  const items = allItems.filter(item => linkedTo(item.sale_id, saleId));
+  const payments = allPayments.filter(payment => linkedTo(payment.sale_id, saleId));
+  const customer = await findContact(firstId(sale.customer_id));
+  return { sale, items, payments, branch, customer };
+};
+
+// Name, address and contact lines for a customer or supplier
+const contactLines = (contact, fallbackName) => [
+  contact?.name || contact?.contact_name || fallbackName,
+  contact?.address,
+  contact?.phone,
+  contact?.email,
+  contact?.tax_pin && `PIN ${contact.tax_pin}`
+].filter(Boolean);
+
+const findContact = (contactId) => (contactId
+  ? airtableHelpers.findById(TABLES.CONTACTS, contactId).catch(() => null)
+  : Promise.resolve(null));
+
+const lineTotal = (item) => (item.line_total !== undefined
+  ? Number(item.line_total)
+  : (Number(item.quantity_sold) || 0) * (Number(item.unit_price) || 0));
+
+const tenderRows = (sale, payments) => (payments.length > 0
+  ? payments.map(payment => [`Paid (${payment.tender_type}${payment.reference ? ` ${payment.reference}` : ''})`, money(payment.amount_tendered ?? payment.amount)])
+  : [[`Paid (${sale.payment_method || 'cash'})`, money(sale.amount_tendered ?? sale.total_amount)]]);
+
+const buildReceipt = async (saleId) => {
+  const { sale, items, payments, branch } = await saleDocument(saleId);
+  const total = Number(sale.total_amount) || items.reduce((sum, item) => sum + lineTotal(item), 0);
+
+  return {
+    layout: 'slip',
+    title: sale.status === 'refunded' ? 'Receipt (refunded)' : 'Receipt',
+    number: sale.receipt_number || sale.id,
+    date: sale.sale_time || sale.sale_date,
+    total,
+    status: sale.status,
+    branch,
+    party: sale.customer_name ? { label: 'Customer', lines: [sale.customer_name] } : null,
+    meta: [['Served by', sale.cashier_name]],
+    columns: [
+      { header: 'Item', width: 0.55 },
+      { header: 'Qty', width: 0.15, align: 'right' },
+      { header: 'Amount', width: 0.3, align: 'right' }
+    ],
+    rows: items.map(item => [
+      `${item.product_name}\n@ ${money(item.unit_price)}${Number(item.line_discount) ? ` less ${money(item.line_discount)}` : ''}`,
+      quantity(item.quantity_sold),
+      money(lineTotal(item) + (Number(item.basket_discount_share) || 0))
+    ]),
+    totals: [
+      Number(sale.discount_total) ? ['Subtotal', money(sale.subtotal)] : null,
+      Number(sale.discount_total) ? ['Discounts', `-${money(sale.discount_total)}`] : null,
+      Number(sale.basket_discount) ? ['Incl. basket discount', `-${money(sale.basket_discount)}`] : null,
+      ['Total', money(total), true],
+      ...tenderRows(sale, payments),
+      Number(sale.change_given) ? ['Change', money(sale.change_given)] : null,
+      Number(sale.credit_amount) ? ['On account', money(sale.credit_amount)] : null
+    ].filter(Boolean),
+    notes: 'Thank you for shopping with us.'
+  };
+};
+
+const buildInvoice = async (saleId) => {
+  const { sale, items, branch, customer } = await saleDocument(saleId);
+  const total = Number(sale.total_amount) || items.reduce((sum, item) => sum + lineTotal(item), 0);
+  const balance = Number(sale.balance_due ?? sale.credit_amount) || 0;
+
+  return {
+    layout: 'a4',
+    title: 'Invoice',
+    number: `INV-${sale.receipt_number || sale.id}`,
+    date: sale.sale_date,
+    total,
+    status: balance > 0 ? 'unpaid' : 'paid',
+    branch,
+    party: {
+      label: 'Bill to',
+      lines: contactLines(customer, sale.customer_name || 'Cash customer')
+    },
+    meta: [
+      ['Invoice date', dateOnly(sale.sale_date)],
+      ['Due date', balance > 0 ? dateOnly(sale.due_date) || dateOnly(sale.sale_date) : 'Paid'],
+      ['Receipt', sale.receipt_number],
+      ['Served by', sale.cashier_name]
+    ],
+    columns: [
+      { header: 'Item', width: 0.4 },
+      { header: 'Qty', width: 0.1, align: 'right' },
+      { header: 'Unit price', width: 0.16, align: 'right' },
+      { header: 'Discount', width: 0.16, align: 'right' },
+      { header: 'Amount', width: 0.18, align: 'right' }
+    ],
+    rows: items.map(item => [
+      item.product_name,
+      quantity(item.quantity_sold),
+      money(item.unit_price),
+      money((Number(item.line_discount) || 0) + (Number(item.basket_discount_share) || 0)),
+      money(lineTotal(item))
+    ]),
+    totals: [
+      ['Subtotal', money(sale.subtotal ?? total)],
+      ['Discounts', `-${money(sale.discount_total)}`],
+      ['Total', money(total), true],
+      ['Paid', money(total - balance)],
+      ['Balance due', money(balance), true]
+    ],
+    notes: sale.notes
+  };
+};
+
+const buildPurchaseOrder = async (orderId) => {
+  const order = await findOr404(TABLES.ORDERS, orderId, 'Purchase order');
+  const [allItems, branches] = await Promise.all([
+    airtableHelpers.find(TABLES.ORDER_ITEMS),
+    airtableHelpers.find(TABLES.BRANCHES)
+  ]);
+  const items = allItems.filter(item => linkedTo(item.order_id, orderId));
+  const branchNames = new Map(branches.map(branch => [branch.id, branch.branch_name]));
+  const total = Number(order.total_amount) ||
+    items.reduce((sum, item) => sum + (Number(item.quantity_ordered) || 0) * (Number(item.purchase_price_per_unit) || 0), 0);
+
+  return {
+    layout: 'a4',
+    title: 'Purchase Order',
+    number: order.order_number || order.id,
+    date: order.order_date,
+    total,
+    status: order.status,
+    branch: null,
+    party: { label: 'Supplier', lines: contactLines(await findContact(firstId(order.supplier_id)), order.supplier_name) },
+    meta: [
+      ['Order date', dateOnly(order.order_date)],
+      ['Expected delivery', dateOnly(order.expected_delivery_date)],
+      ['Status', order.status]
+    ],
+    columns: [
+      { header: 'Item', width: 0.34 },
+      { header: 'Deliver to', width: 0.2 },
+      { header: 'Qty', width: 0.12, align: 'right' },
+      { header: 'Unit cost', width: 0.16, align: 'right' },
+      { header: 'Amount', width: 0.18, align: 'right' }
+    ],
+    rows: items.map(item => [
+      item.product_name,
+      branchNames.get(firstId(item.branch_destination_id)) || '',
+      quantity(item.quantity_ordered),
+      money(item.purchase_price_per_unit),
+      money((Number(item.quantity_ordered) || 0) * (Number(item.purchase_price_per_unit) || 0))
+    ]),
+    totals: [['Total', money(total), true]],
+    notes: order.notes
+  };
+};
+
+const buildBill = async (billId) => {
+  const bill = await findOr404(TABLES.BILLS, billId, 'Bill');
+  const [allItems, allPayments] = await Promise.all([
+    airtableHelpers.find(TABLES.BILL_ITEMS),
+    airtableHelpers.find(TABLES.PAYMENTS_MADE)
+  ]);
+  const items = allItems.filter(item => linkedTo(item.bill_id, billId));
+  const paid = allPayments
+    .filter(payment => linkedTo(payment.bill_id, billId))
+    .reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0);
+  const total = Number(bill.total_amount) || 0;
+
+  return {
+    layout: 'a4',
+    title: 'Bill',
+    number: bill.bill_number || bill.id,
+    date: bill.bill_date,
+    total,
+    status: bill.status,
+    branch: await findBranch(firstId(bill.branch_id)),
+    party: { label: 'Vendor', lines: contactLines(await findContact(firstId(bill.vendor_id)), bill.vendor_name) },
+    meta: [
+      ['Bill date', dateOnly(bill.bill_date)],
+      ['Due date', dateOnly(bill.due_date)],
+      ['Terms', bill.payment_terms],
+      ['Purchase order', firstId(bill.purchase_order_id)]
+    ],
+    columns: [
+      { header: 'Description', width: 0.46 },
+      { header: 'Qty', width: 0.12, align: 'right' },
+      { header: 'Unit price', width: 0.2, align: 'right' },
+      { header: 'Amount', width: 0.22, align: 'right' }
+    ],
+    rows: items.map(item => [item.description, quantity(item.quantity), money(item.unit_price), money(item.amount)]),
+    totals: [
+      ['Subtotal', money(bill.subtotal ?? total)],
+      ['Tax', money(bill.tax_amount)],
+      ['Total', money(total), true],
+      ['Paid', money(paid)],
+      ['Balance due', money(total - paid), true]
+    ],
+    notes: bill.notes
+  };
+};
+
+const buildGoodsReceivedNote = async (receiveId) => {
+  const receive = await findOr404(TABLES.PURCHASE_RECEIVES, receiveId, 'Purchase receive');
+  const orderId = firstId(receive.purchase_order_id);
+  const [allItems, order, branch] = await Promise.all([
+    airtableHelpers.find(TABLES.RECEIVE_ITEMS),
+    orderId ? airtableHelpers.findById(TABLES.ORDERS, orderId).catch(() => null) : null,
+    findBranch(firstId(receive.receiving_branch_id))
+  ]);
+  const items = allItems.filter(item => linkedTo(item.receive_id, receiveId));
+  const total = items.reduce((sum, item) => sum + (Number(item.total_cost) || 0), 0);
+
+  return {
+    layout: 'a4',
+    title: 'Goods Received Note',
+    number: receive.receive_number || receive.id,
+    date: receive.receive_date,
+    total,
+    status: receive.status,
+    branch,
+    party: { label: 'Supplier', lines: [order?.supplier_name].filter(Boolean) },
+    meta: [
+      ['Received on', dateOnly(receive.receive_date)],
+      ['Received by', receive.received_by],
+      ['Purchase order', order?.order_number || orderId]
+    ],
+    columns: [
+      { header: 'Item', width: 0.36 },
+      { header: 'Ordered', width: 0.11, align: 'right' },
+      { header: 'Received', width: 0.11, align: 'right' },
+      { header: 'Condition', width: 0.12 },
+      { header: 'Unit cost', width: 0.14, align: 'right' },
+      { header: 'Amount', width: 0.16, align: 'right' }
+    ],
+    rows: items.map(item => [
+      [
+        item.product_name,
+        [item.batch_number && `Batch ${item.batch_number}`, item.expiry_date && `exp ${item.expiry_date}`].filter(Boolean).join(', '),
+        item.serial_numbers && `S/N ${item.serial_numbers}`
+      ].filter(Boolean).join('\n'),
+      quantity(item.quantity_ordered),
+      quantity(item.quantity_received),
+      item.condition || '',
+      money(item.unit_cost),
+      money(item.total_cost)
+    ]),
+    totals: [['Total received value', money(total), true]],
+    notes: receive.notes
+  };
+};
+
+const buildPayslip = async (payrollId) => {
+  const payroll = await findOr404(TABLES.PAYROLL, payrollId, 'Payroll record');
+  const employeeId = firstId(payroll.employee_id);
+  const employee = employeeId ? await airtableHelpers.findById(TABLES.EMPLOYEES, employeeId).catch(() => null) : null;
+  const gross = Number(payroll.gross_salary) || 0;
+  const deductions = Number(payroll.deductions) || 0;
+  const net = payroll.net_salary !== undefined ? Number(payroll.net_salary) : gross - deductions;
+
+  return {
+    layout: 'a4',
+    title: 'Payslip',
+    number: `${dateOnly(payroll.period_start)} to ${dateOnly(payroll.period_end)}`,
+    date: payroll.period_end,
+    total: net,
+    status: payroll.payment_status,
+    branch: await findBranch(firstId(employee?.branch_id)),
+    party: {
+      label: 'Employee',
+      lines: [employee?.full_name || payroll.employee_name, employee?.role, employee?.email || payroll.employee_email].filter(Boolean)
+    },
+    meta: [
+      ['Pay period', `${dateOnly(payroll.period_start)} to ${dateOnly(payroll.period_end)}`],
+      ['Payment date', dateOnly(payroll.payment_date) || 'Pending'],
+      ['Status', payroll.payment_status]
+    ],
+    columns: [
+      { header: 'Description', width: 0.7 },
+      { header: 'Amount', width: 0.3, align: 'right' }
+    ],
+    rows: [
+      ['Basic salary', money(gross)],
+      ['Deductions (tax, insurance and other)', `-${money(deductions)}`]
+    ],
+    totals: [
+      ['Gross pay', money(gross)],
+      ['Total deductions', `-${money(deductions)}`],
+      ['Net pay', money(net), true]
+    ],
+    notes: 'This payslip is confidential.'
+  };
+};
+
+const BUILDERS = {
+  receipt: buildReceipt,
+  invoice: buildInvoice,
+  purchase_order: buildPurchaseOrder,
+  bill: buildBill,
+  grn: buildGoodsReceivedNote,
+  payslip: buildPayslip
+};
+
+const DOCUMENT_TYPES = Object.keys(BUILDERS);
+
+// Drawing
+
+const collect = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+const drawLogo = (doc, x, y, size) => {
+  const { logoPath } = company();
+  if (!logoPath || !fs.existsSync(logoPath)) return false;
+  try {
+    doc.image(logoPath, x, y, { fit: [size, size] });
+    return true;
+  } catch (error) {
+    console.warn('Company logo could not be drawn:', error.message);
+    return false;
+  }
+};
+
+const rule = (doc, y) => {
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5).strokeColor(RULE).stroke();
+};
+
+// Draws one table row at doc.y and returns its height
+const drawRow = (doc, columns, cells, { bold = false, fontSize = 9 } = {}) => {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const widths = columns.map(column => column.width * width);
+  doc.font(bold ? BOLD : FONT).fontSize(fontSize).fillColor('black');
+
+  const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - 4 }))) + 4;
+  const y = doc.y;
+  let x = left;
+  cells.forEach((cell, i) => {
+    doc.text(String(cell ?? ''), x + 2, y + 2, { width: widths[i] - 4, align: columns[i].align || 'left' });
+    x += widths[i];
+  });
+  doc.x = left;
+  doc.y = y + height;
+  return height;
+};
+
+const drawTable = (doc, columns, rows, fontSize) => {
+  const header = () => {
+    drawRow(doc, columns, columns.map(column => column.header), { bold: true, fontSize });
+    rule(doc, doc.y);
+    doc.y += 2;
+  };
+  header();
+  for (const row of rows) {
+    doc.font(FONT).fontSize(fontSize);
+    const widths = columns.map(column => column.width * contentWidth(doc));
+    const needed = Math.max(...row.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - 4 }))) + 4;
+    if (doc.y + needed > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      header();
+    }
+    drawRow(doc, columns, row, { fontSize });
+  }
+  rule(doc, doc.y + 2);
+  doc.y += 6;
+};
+
+const drawTotals = (doc, totals, { labelWidth, valueWidth, fontSize }) => {
+  const right = doc.page.width - doc.page.margins.right;
+  for (const [label, value, bold] of totals) {
+    doc.font(bold ? BOLD : FONT).fontSize(fontSize).fillColor('black');
+    const y = doc.y;
+    doc.text(label, right - labelWidth - valueWidth, y, { width: labelWidth, align: 'right' });
+    doc.text(value, right - valueWidth, y, { width: valueWidth, align: 'right' });
+    doc.x = doc.page.margins.left;
+    doc.y = Math.max(doc.y, y + fontSize + 3);
+  }
+};
+
+const drawA4 = async (doc, model, type, id) => {
+  const brand = company();
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const top = doc.page.margins.top;
+
+  // Company on the left, document title on the right
+  const textLeft = drawLogo(doc, left, top, 50) ? left + 60 : left;
+  doc.font(BOLD).fontSize(16).fillColor('black').text(brand.name, textLeft, top, { width: width / 2 });
+  doc.font(FONT).fontSize(8).fillColor(MUTED);
+  [brand.address, brand.phone, brand.email, brand.taxPin && `PIN ${brand.taxPin}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, textLeft, doc.y, { width: width / 2 }));
+  const leftBottom = doc.y;
+
+  doc.font(BOLD).fontSize(18).fillColor('black').text(model.title.toUpperCase(), left + width / 2, top, { width: width / 2, align: 'right' });
+  doc.font(FONT).fontSize(10).text(`No. ${model.number}`, left + width / 2, doc.y, { width: width / 2, align: 'right' });
+  if (model.branch) {
+    doc.fontSize(8).fillColor(MUTED);
+    branchLines(model.branch).forEach(line => doc.text(line, left + width / 2, doc.y, { width: width / 2, align: 'right' }));
+  }
+
+  doc.y = Math.max(leftBottom, doc.y, top + 50) + 12;
+  rule(doc, doc.y);
+  doc.y += 10;
+
+  // Party on the left, key facts on the right
+  const blockTop = doc.y;
+  if (model.party) {
+    doc.font(BOLD).fontSize(9).fillColor(MUTED).text(model.party.label.toUpperCase(), left, blockTop, { width: width / 2 });
+    doc.font(FONT).fontSize(10).fillColor('black');
+    model.party.lines.forEach((line, i) => doc.font(i === 0 ? BOLD : FONT).text(line, left, doc.y, { width: width / 2 }));
+  }
+  const partyBottom = doc.y;
+
+  doc.y = blockTop;
+  for (const [label, value] of model.meta.filter(([, value]) => value)) {
+    const y = doc.y;
+    doc.font(FONT).fontSize(9).fillColor(MUTED).text(label, left + width / 2, y, { width: width / 4, align: 'right' });
+    doc.font(BOLD).fillColor('black').text(String(value), left + width * 3 / 4, y, { width: width / 4, align: 'right' });
+    doc.y = Math.max(doc.y, y + 12);
+  }
+  doc.x = left;
+  doc.y = Math.max(partyBottom, doc.y) + 16;
+
+  drawTable(doc, model.columns, model.rows, 9);
+  drawTotals(doc, model.totals, { labelWidth: 140, valueWidth: 100, fontSize: 10 });
+  doc.font(FONT).fontSize(8).fillColor(MUTED).text(`Amounts in ${CURRENCY}`, left, doc.y + 2, { width, align: 'right' });
+
+  if (model.notes) {
+    doc.moveDown();
+    doc.font(BOLD).fontSize(9).fillColor('black').text('Notes', left, doc.y);
+    doc.font(FONT).fontSize(9).text(model.notes, left, doc.y, { width });
+  }
+
+  // Verification QR at the foot of the last page
+  const qrSize = 72;
+  if (doc.y + qrSize + 20 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  const qrTop = doc.page.height - doc.page.margins.bottom - qrSize;
+  doc.image(await QRCode.toBuffer(verificationUrl(type, id), { margin: 1, width: qrSize * 3 }), left, qrTop, { width: qrSize });
+  doc.font(FONT).fontSize(8).fillColor(MUTED)
+    .text('Scan to verify this document', left + qrSize + 10, qrTop + 20, { width: width - qrSize - 10 })
+    .text(`Verification code ${verificationCode(type, id)}`, left + qrSize + 10, doc.y, { width: width - qrSize - 10 })
+    .text(`Printed ${dateTime(new Date().toISOString())}`, left + qrSize + 10, doc.y, { width: width - qrSize - 10 });
+};
+
+const drawSlip = async (doc, model, type, id) => {
+  const brand = company();
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const centred = (text, font = FONT, size = 8) => {
+    doc.font(font).fontSize(size).fillColor('black').text(text, left, doc.y, { width, align: 'center' });
+  };
+
+  if (drawLogo(doc, left + width / 2 - 20, doc.y, 40)) {
+    doc.y += 44;
+  }
+  centred(brand.name, BOLD, 12);
+  [brand.address, brand.phone, brand.taxPin && `PIN ${brand.taxPin}`].filter(Boolean).forEach(line => centred(line));
+  branchLines(model.branch).forEach(line => centred(line));
+  doc.moveDown(0.5);
+  centred(model.title.toUpperCase(), BOLD, 10);
+  centred(`No. ${model.number}`);
+  centred(dateTime(model.date));
+  model.meta.filter(([, value]) => value).forEach(([label, value]) => centred(`${label}: ${value}`));
+  if (model.party) {
+    centred(`${model.party.label}: ${model.party.lines.join(', ')}`);
+  }
+  doc.moveDown(0.5);
+
+  drawTable(doc, model.columns, model.rows, 8);
+  drawTotals(doc, model.totals, { labelWidth: width * 0.6, valueWidth: width * 0.4, fontSize: 8 });
+
+  doc.moveDown(0.5);
+  if (model.notes) centred(model.notes);
+  const qrSize = 80;
+  doc.image(await QRCode.toBuffer(verificationUrl(type, id), { margin: 1, width: qrSize * 3 }), left + (width - qrSize) / 2, doc.y + 4, { width: qrSize });
+  doc.y += qrSize + 8;
+  centred(`Verify: ${verificationCode(type, id)}`, FONT, 7);
+};
+
+// Roll height grows with the number of lines so the slip has no blank tail
+const slipHeight = (model) => 300 +
+  model.rows.reduce((sum, row) => sum + 12 * String(row[0]).split('\n').length, 0) +
+  model.totals.length * 12 + model.meta.length * 10;
+
+const fileName = (type, model) => `${type}-${String(model.number).replace(/[^A-Za-z0-9-]+/g, '_')}.pdf`;
+
+/**
+ * Render a document to PDF. Returns `{ filename, buffer, model }`.
+ */
+const renderDocument = async (type, id) => {
+  const builder = BUILDERS[type];
+  if (!builder) {
+    throw new DocumentError(`Unknown document type ${type}`, 404);
+  }
+  const model = await builder(id);
+  const brand = company();
+
+  const doc = model.layout === 'slip'
+    ? new PDFDocument({ size: [SLIP_WIDTH, slipHeight(model)], margin: 10 })
+    : new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+  const done = collect(doc);
+  doc.info.Title = `${model.title} ${model.number}`;
+  doc.info.Author = brand.name;
+
+  if (model.layout === 'slip') {
+    await drawSlip(doc, model, type, id);
+  } else {
+    await drawA4(doc, model, type, id);
+    // Page numbers once the page count is known
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc.font(FONT).fontSize(7).fillColor(MUTED).text(
+        `${brand.name} · ${model.title} ${model.number} · Page ${i + 1} of ${range.count}`,
+        doc.page.margins.left, doc.page.height - 25,
+        { width: contentWidth(doc), align: 'center', lineBreak: false }
+      );
+      doc.page.margins.bottom = bottom;
+    }
+  }
+  doc.end();
+
+  return { filename: fileName(type, model), buffer: await done, model };
+};
+
+/**
+ * Check a verification code from a printed QR and return the facts a reader
+ * can compare against the paper copy.
+ */
+const verifyDocument = async (type, id, code) => {
+  if (!BUILDERS[type] || !isValidCode(type, id, code)) {
+    throw new DocumentError('Document could not be verified', 404);
+  }
+  const model = await BUILDERS[type](id);
+  return {
+    valid: true,
+    type,
+    title: model.title,
+    number: model.number,
+    date: dateOnly(model.date),
+    total: Math.round(model.total * 100) / 100,
+    currency: CURRENCY,
+    status: model.status || null,
+    issuer: company().name,
+    branch: model.branch?.branch_name || null,
+    party: model.party?.lines[0] || null
+  };
+};
+
+// Send a rendered document; ?download=true asks the browser to save it
+const sendPdf = (req, res, { filename, buffer }) => {
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DocumentError,
+  renderDocument,
+  verifyDocument,
+  verificationCode,
+  company,
+  sendPdf
+};
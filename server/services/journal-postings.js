@@ -0,0 +1,554 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { listAccounts, syncSource } = require('./accounting');
+
+/**
+ * What each business document posts to the general ledger.
+ *
+ * Every source type has a builder that reads the document as it is now and
+ * returns the journal entry it should have (or null), and `syncPosting`
+ * hands that to `syncSource`, which posts, leaves alone or reverses and
+ * reposts. Routes call `syncPosting` after they change a document; running it
+ * again is always safe, which is also how `repostAll` backfills the ledger.
+ *
+ * Stock postings (receipts, adjustments, transfers, refunded goods) are
+ * valued from the stock ledger's movements, so they carry the same costs as
+ * the stock. Goods received on a purchase order are credited to "goods
+ * received not invoiced" until the supplier's bill moves them to accounts
+ * payable. Goods in transit between branches sit in the inter-branch
+ * account; whatever never arrives is written off at the sending branch once
+ * the transfer is received.
+ */
+
+// Bills only hit the ledger once approved
+const POSTED_BILL_STATUSES = ['approved', 'paid', 'overdue'];
+const POSTED_VENDOR_CREDIT_STATUSES = ['approved', 'applied'];
+
+// Tender or payment method -> the account the money moves through
+const METHOD_ACCOUNTS = {
+  cash: 'cash',
+  card: 'card',
+  mpesa: 'mpesa',
+  bank_transfer: 'bank',
+  bank: 'bank',
+  cheque: 'bank',
+  credit: 'receivables'
+};
+
+// Expense categories with an account of their own; the rest go to general expenses
+const EXPENSE_CATEGORY_ACCOUNTS = {
+  rent: 'rent',
+  utilities: 'utilities',
+  electricity: 'utilities',
+  water: 'utilities',
+  fuel: 'transport',
+  transport: 'transport',
+  vehicle_related: 'transport',
+  maintenance: 'maintenance',
+  repairs: 'maintenance',
+  salaries: 'salaries',
+  wages: 'salaries'
+};
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const dateOf = (value) => (value ? String(value).split('T')[0] : new Date().toISOString().split('T')[0]);
+
+const methodAccount = (method, fallback) => METHOD_ACCOUNTS[method] || fallback;
+
+// Movement fields that tie a stock movement to the document that posts it
+const DOCUMENT_REFERENCES = ['sale_id', 'receive_id', 'order_id', 'adjustment_id', 'transfer_doc_id'];
+
+const isUnreferenced = (movement) => DOCUMENT_REFERENCES.every(field => !movement[field] || (Array.isArray(movement[field]) && movement[field].length === 0));
+
+const linked = (record, field, id) => Array.isArray(record[field]) ? record[field].includes(id) : record[field] === id;
+
+// A line for a signed amount: positive debits the account, negative credits it
+const signedLine = (account, amount, branchId, memo) => ({
+  account,
+  debit: amount > 0 ? round2(amount) : 0,
+  credit: amount < 0 ? round2(-amount) : 0,
+  branch_id: branchId,
+  memo
+});
+
+// Tables are read once per sync run, however many documents it posts
+const createContext = () => {
+  const cache = new Map();
+  return {
+    load: (table) => {
+      if (!cache.has(table)) cache.set(table, airtableHelpers.find(table));
+      return cache.get(table);
+    },
+    record: async function (table, id) {
+      return (await this.load(table)).find(record => record.id === id) || null;
+    }
+  };
+};
+
+// Net stock value moved per branch by the movements `matches` picks out. A
+// reversal counts as the type of the movement it reverses.
+const stockValueByBranch = async (context, matches) => {
+  const movements = (await context.load(TABLES.STOCK_MOVEMENTS)).filter(movement => movement.is_ledger_entry);
+  const byId = new Map(movements.map(movement => [movement.id, movement]));
+  const values = new Map();
+  let date = null;
+  for (const movement of movements) {
+    const type = movement.movement_type === 'reversal'
+      ? byId.get(firstId(movement.reverses_id))?.movement_type
+      : movement.movement_type;
+    if (!matches(movement, type)) continue;
+    const value = Math.sign(Number(movement.quantity_change) || 0) * Math.abs(Number(movement.total_cost) || 0);
+    const branchId = firstId(movement.branch_id);
+    values.set(branchId, (values.get(branchId) || 0) + value);
+    if (!date || movement.created_at < date) date = movement.created_at;
+  }
+  return { values, date: date ? dateOf(date) : null };
+};
+
+const salePayments = async (context, saleId) =>
+  (await context.load(TABLES.SALE_PAYMENTS)).filter(payment => linked(payment, 'sale_id', saleId));
+
+const BUILDERS = {
+  // Takings by tender, sales before discounts, and the cost of the goods sold
+  sale: async (saleId, context) => {
+    const sale = await context.record(TABLES.SALES, saleId);
+    if (!sale) return null;
+    const branchId = firstId(sale.branch_id);
+    const total = Number(sale.total_amount) || 0;
+    const subtotal = sale.subtotal !== undefined ? Number(sale.subtotal) || 0 : total;
+    const cost = Number(sale.cost_of_goods_sold) || 0;
+
+    const lines = [];
+    let tendered = 0;
+    for (const payment of await salePayments(context, saleId)) {
+      lines.push(signedLine(methodAccount(payment.tender_type, 'cash'), Number(payment.amount) || 0, branchId, payment.tender_type));
+      tendered += Number(payment.amount) || 0;
+    }
+    if (Math.abs(total - tendered) >= 0.01) {
+      lines.push(signedLine(methodAccount(sale.payment_method, 'cash'), total - tendered, branchId));
+    }
+    lines.push(signedLine('sales', -subtotal, branchId));
+    lines.push(signedLine('sales_discounts', subtotal - total, branchId));
+    lines.push(signedLine('cost_of_sales', cost, branchId));
+    lines.push(signedLine('inventory', -cost, branchId));
+
+    return {
+      entry_date: dateOf(sale.sale_date),
+      branch_id: branchId,
+      description: `Sale ${sale.receipt_number || sale.id}`,
+      lines
+    };
+  },
+
+  // Money back (or off the customer's account) and returned goods back into stock
+  refund: async (saleId, context) => {
+    const sale = await context.record(TABLES.SALES, saleId);
+    if (!sale || !(Number(sale.refund_amount) > 0)) return null;
+    const branchId = firstId(sale.branch_id);
+    const amount = Number(sale.refund_amount);
+    const toAccount = Math.min(amount, Number(sale.credit_note_amount) || 0);
+    const paidWith = (await salePayments(context, saleId)).find(payment => payment.tender_type !== 'credit');
+    const { values } = await stockValueByBranch(context, (movement, type) => type === 'refund' && linked(movement, 'sale_id', saleId));
+
+    const lines = [
+      signedLine('sales_returns', amount, branchId),
+      signedLine('receivables', -toAccount, branchId),
+      signedLine(methodAccount(paidWith ? paidWith.tender_type : sale.payment_method, 'cash'), -(amount - toAccount), branchId)
+    ];
+    for (const [stockBranchId, value] of values) {
+      lines.push(signedLine('inventory', value, stockBranchId));
+      lines.push(signedLine('cost_of_sales', -value, stockBranchId));
+    }
+
+    return {
+      entry_date: dateOf(sale.refund_date || sale.updated_at),
+      branch_id: branchId,
+      description: `Refund on sale ${sale.receipt_number || sale.id}`,
+      lines
+    };
+  },
+
+  customer_payment: async (paymentId, context) => {
+    const payment = await context.record(TABLES.CUSTOMER_PAYMENTS, paymentId);
+    if (!payment || (payment.status && payment.status !== 'completed')) return null;
+    const branchId = firstId(payment.branch_id);
+    const amount = Number(payment.amount) || 0;
+    return {
+      entry_date: dateOf(payment.payment_date),
+      branch_id: branchId,
+      description: `Payment from ${payment.customer_name || 'customer'}`,
+      lines: [
+        signedLine(methodAccount(payment.payment_method, 'cash'), amount, branchId),
+        signedLine('receivables', -amount, branchId)
+      ]
+    };
+  },
+
+  // Goods received against a purchase receive
+  receive: async (receiveId, context) => {
+    const receive = await context.record(TABLES.PURCHASE_RECEIVES, receiveId);
+    const { values, date } = await stockValueByBranch(context, (movement, type) => type === 'receive' && linked(movement, 'receive_id', receiveId));
+    if (values.size === 0) return null;
+    const lines = [];
+    for (const [branchId, value] of values) {
+      lines.push(signedLine('inventory', value, branchId));
+      lines.push(signedLine('goods_received', -value, branchId));
+    }
+    return {
+      entry_date: receive && receive.receive_date ? dateOf(receive.receive_date) : date,
+      branch_id: receive ? firstId(receive.receiving_branch_id) : null,
+      description: `Goods received${receive && receive.purchase_order_id ? ` on PO ${firstId(receive.purchase_order_id)}` : ''}`,
+      lines
+    };
+  },
+
+  // Goods added straight from an order's delivery or completion
+  order_receipt: async (orderId, context) => {
+    const { values, date } = await stockValueByBranch(context, (movement, type) =>
+      (type === 'receive' || type === 'order_completion') && linked(movement, 'order_id', orderId));
+    if (values.size === 0) return null;
+    const lines = [];
+    for (const [branchId, value] of values) {
+      lines.push(signedLine('inventory', value, branchId));
+      lines.push(signedLine('goods_received', -value, branchId));
+    }
+    return {
+      entry_date: date,
+      branch_id: values.size === 1 ? [...values.keys()][0] : null,
+      description: `Goods received on order ${orderId}`,
+      lines
+    };
+  },
+
+  // Approved inventory adjustments and stocktake variances, at cost
+  adjustment: async (adjustmentId, context) => {
+    const adjustment = await context.record(TABLES.INVENTORY_ADJUSTMENTS, adjustmentId);
+    const { values, date } = await stockValueByBranch(context, (movement, type) => type === 'adjustment' && linked(movement, 'adjustment_id', adjustmentId));
+    if (values.size === 0) return null;
+    const lines = [];
+    for (const [branchId, value] of values) {
+      lines.push(signedLine('inventory', value, branchId));
+      lines.push(signedLine('inventory_adjustments', -value, branchId));
+    }
+    return {
+      entry_date: adjustment && adjustment.approved_at ? dateOf(adjustment.approved_at) : date,
+      branch_id: adjustment ? firstId(adjustment.branch_id) : null,
+      description: `Inventory adjustment${adjustment && adjustment.reason ? `: ${adjustment.reason}` : ''}`,
+      lines
+    };
+  },
+
+  // Goods leaving the sending branch into transit
+  transfer_dispatch: async (transferId, context) => {
+    const transfer = await context.record(TABLES.TRANSFERS, transferId);
+    const { values, date } = await stockValueByBranch(context, (movement, type) => type === 'transfer_out' && linked(movement, 'transfer_doc_id', transferId));
+    if (values.size === 0) return null;
+    const lines = [];
+    for (const [branchId, value] of values) {
+      lines.push(signedLine('inventory', value, branchId));
+      lines.push(signedLine('inter_branch', -value, branchId));
+    }
+    return {
+      entry_date: date,
+      branch_id: transfer ? firstId(transfer.from_branch_id) : null,
+      description: `Transfer ${transfer ? transfer.transfer_number : transferId} dispatched`,
+      lines
+    };
+  },
+
+  // Goods arriving at the receiving branch, and the write-off of what did not
+  transfer_receipt: async (transferId, context) => {
+    const transfer = await context.record(TABLES.TRANSFERS, transferId);
+    const received = await stockValueByBranch(context, (movement, type) => type === 'transfer_in' && linked(movement, 'transfer_doc_id', transferId));
+    if (!transfer || !['received', 'closed'].includes(transfer.status)) return null;
+    const lines = [];
+    let receivedValue = 0;
+    for (const [branchId, value] of received.values) {
+      lines.push(signedLine('inventory', value, branchId));
+      lines.push(signedLine('inter_branch', -value, branchId));
+      receivedValue += round2(value);
+    }
+    const dispatched = await stockValueByBranch(context, (movement, type) => type === 'transfer_out' && linked(movement, 'transfer_doc_id', transferId));
+    const dispatchedValue = -[...dispatched.values.values()].reduce((sum, value) => sum + round2(value), 0);
+    const shortfall = round2(dispatchedValue - receivedValue);
+    const fromBranchId = firstId(transfer.from_branch_id);
+    lines.push(signedLine('inventory_adjustments', shortfall, fromBranchId, 'Transit variance'));
+    lines.push(signedLine('inter_branch', -shortfall, fromBranchId, 'Transit variance'));
+    return {
+      entry_date: received.date || dateOf(transfer.received_at),
+      branch_id: firstId(transfer.to_branch_id),
+      description: `Transfer ${transfer.transfer_number} received`,
+      lines
+    };
+  },
+
+  // Stock booked outside any document: opening balances and stock added by
+  // hand against opening balance equity, count corrections as adjustments
+  stock_movement: async (movementId, context) => {
+    const movements = await context.load(TABLES.STOCK_MOVEMENTS);
+    const movement = movements.find(m => m.id === movementId);
+    if (!movement || !movement.is_ledger_entry || !isUnreferenced(movement)) return null;
+    const reversed = movement.movement_type === 'reversal' ? movements.find(m => m.id === firstId(movement.reverses_id)) : null;
+    const type = reversed ? reversed.movement_type : movement.movement_type;
+    const correction = type === 'correction';
+    const branchId = firstId(movement.branch_id);
+    const value = Math.sign(Number(movement.quantity_change) || 0) * Math.abs(Number(movement.total_cost) || 0);
+    return {
+      entry_date: dateOf(movement.created_at),
+      branch_id: branchId,
+      description: `${movement.reason || 'Stock movement'}: ${movement.product_name || ''}`,
+      lines: [
+        signedLine('inventory', value, branchId),
+        signedLine(correction ? 'inventory_adjustments' : 'opening_balance', -value, branchId)
+      ]
+    };
+  },
+
+  // Lines to their account code, or to goods received not invoiced when the
+  // bill is for a purchase order; tax to VAT receivable; the total to payables
+  bill: async (billId, context) => {
+    const bill = await context.record(TABLES.BILLS, billId);
+    if (!bill || !POSTED_BILL_STATUSES.includes(bill.status)) return null;
+    const branchId = firstId(bill.branch_id) || null;
+    const codes = new Set((await listAccounts({ includeInactive: true })).map(account => account.code));
+    const defaultAccount = bill.purchase_order_id ? 'goods_received' : 'general_expenses';
+    const total = Number(bill.total_amount) || 0;
+    const tax = Number(bill.tax_amount) || 0;
+
+    const lines = [signedLine('input_tax', tax, branchId)];
+    let itemized = 0;
+    const items = (await context.load(TABLES.BILL_ITEMS)).filter(item => linked(item, 'bill_id', billId));
+    for (const item of items) {
+      const amount = Number(item.amount) || (Number(item.quantity) || 0) * (Number(item.unit_price) || 0);
+      lines.push(signedLine(codes.has(item.account_code) ? item.account_code : defaultAccount, amount, branchId, item.description));
+      itemized += amount;
+    }
+    lines.push(signedLine(defaultAccount, total - tax - itemized, branchId));
+    lines.push(signedLine('payables', -total, branchId));
+
+    return {
+      entry_date: dateOf(bill.bill_date),
+      branch_id: branchId,
+      description: `Bill ${bill.bill_number || bill.id} from ${bill.vendor_name || 'vendor'}`,
+      lines
+    };
+  },
+
+  payment_made: async (paymentId, context) => {
+    const payment = await context.record(TABLES.PAYMENTS_MADE, paymentId);
+    if (!payment || (payment.status && payment.status !== 'completed')) return null;
+    const bill = payment.bill_id ? await context.record(TABLES.BILLS, firstId(payment.bill_id)) : null;
+    const branchId = bill ? firstId(bill.branch_id) || null : null;
+    const amount = Number(payment.amount) || 0;
+    return {
+      entry_date: dateOf(payment.payment_date || payment.created_at),
+      branch_id: branchId,
+      description: `Payment to ${payment.vendor_name || 'vendor'}${payment.reference_number ? ` (${payment.reference_number})` : ''}`,
+      lines: [
+        signedLine('payables', amount, branchId),
+        signedLine(methodAccount(payment.payment_method, 'bank'), -amount, branchId)
+      ]
+    };
+  },
+
+  vendor_credit: async (creditId, context) => {
+    const credit = await context.record(TABLES.VENDOR_CREDITS, creditId);
+    if (!credit || !POSTED_VENDOR_CREDIT_STATUSES.includes(credit.status)) return null;
+    const bill = credit.bill_id ? await context.record(TABLES.BILLS, firstId(credit.bill_id)) : null;
+    const branchId = bill ? firstId(bill.branch_id) || null : null;
+    const amount = Number(credit.amount) || 0;
+    return {
+      entry_date: dateOf(credit.approved_date || credit.applied_date || credit.credit_date),
+      branch_id: branchId,
+      description: `Vendor credit ${credit.credit_number || credit.id} from ${credit.vendor_name || 'vendor'}`,
+      lines: [
+        signedLine('payables', amount, branchId),
+        signedLine('purchase_returns', -amount, branchId)
+      ]
+    };
+  },
+
+  expense: async (expenseId, context) => {
+    const expense = await context.record(TABLES.EXPENSES, expenseId);
+    if (!expense || expense.status === 'rejected') return null;
+    const branchId = firstId(expense.branch_id) || null;
+    const codes = new Set((await listAccounts({ includeInactive: true })).map(account => account.code));
+    const account = codes.has(expense.account_code)
+      ? expense.account_code
+      : EXPENSE_CATEGORY_ACCOUNTS[String(expense.category || '').toLowerCase()] || 'general_expenses';
+    const amount = Number(expense.amount) || 0;
+    return {
+      entry_date: dateOf(expense.expense_date),
+      branch_id: branchId,
+      description: `Expense: ${expense.description || expense.category || expense.id}`,
+      lines: [
+        signedLine(account, amount, branchId, expense.category),
+        signedLine(methodAccount(expense.payment_method, 'cash'), -amount, branchId)
+      ]
+    };
+  },
+
+  // The period's pay as an expense, owed to staff and to the tax authorities
+  payroll: async (payrollId, context) => {
+    const payroll = await context.record(TABLES.PAYROLL, payrollId);
+    if (!payroll) return null;
+    const employee = await context.record(TABLES.EMPLOYEES, firstId(payroll.employee_id));
+    const branchId = employee ? firstId(employee.branch_id) || null : null;
+    const gross = Number(payroll.gross_salary) || 0;
+    const deductions = Number(payroll.deductions) || 0;
+    return {
+      entry_date: dateOf(payroll.period_end || payroll.created_at),
+      branch_id: branchId,
+      description: `Payroll ${payroll.period_start || ''} to ${payroll.period_end || ''}${employee ? ` for ${employee.full_name || employee.email}` : ''}`,
+      lines: [
+        signedLine('salaries', gross, branchId),
+        signedLine('payroll_deductions', -deductions, branchId),
+        signedLine('salaries_payable', -(gross - deductions), branchId)
+      ]
+    };
+  },
+
+  // Net pay leaving the bank once the payroll is marked paid
+  payroll_payment: async (payrollId, context) => {
+    const payroll = await context.record(TABLES.PAYROLL, payrollId);
+    if (!payroll || payroll.payment_status !== 'paid') return null;
+    const employee = await context.record(TABLES.EMPLOYEES, firstId(payroll.employee_id));
+    const branchId = employee ? firstId(employee.branch_id) || null : null;
+    const net = (Number(payroll.gross_salary) || 0) - (Number(payroll.deductions) || 0);
+    return {
+      entry_date: dateOf(payroll.payment_date || payroll.period_end),
+      branch_id: branchId,
+      description: `Salary paid${employee ? ` to ${employee.full_name || employee.email}` : ''}`,
+      lines: [
+        signedLine('salaries_payable', net, branchId),
+        signedLine('bank', -net, branchId)
+      ]
+    };
+  }
+};
+
+const SOURCE_TYPES = Object.keys(BUILDERS);
+
+// Postings that failed, by source, until they succeed
+const failures = new Map();
+
+const postSource = async (sourceType, sourceId, user, context = createContext()) => {
+  const draft = await BUILDERS[sourceType](sourceId, context);
+  return syncSource(sourceType, sourceId, draft, user);
+};
+
+/**
+ * Bring the ledger up to date with one document. Posting never fails the
+ * business operation that triggered it: errors are logged and kept for
+ * `getPostingStatus`, and the next sync or `repostAll` catches up.
+ */
+const syncPosting = async (sourceType, sourceId, user) => {
+  const key = `${sourceType}:${sourceId}`;
+  try {
+    const result = await postSource(sourceType, sourceId, user);
+    failures.delete(key);
+    return result;
+  } catch (error) {
+    console.error(`Journal posting failed for ${key}:`, error.message);
+    failures.set(key, { source_type: sourceType, source_id: sourceId, error: error.message, failed_at: new Date().toISOString() });
+    return null;
+  }
+};
+
+// Every document id a source type may need posting (or reversing) for
+const sourceIds = async (sourceType, context) => {
+  const ids = new Set();
+  const movementIds = async (field) => {
+    for (const movement of await context.load(TABLES.STOCK_MOVEMENTS)) {
+      if (movement.is_ledger_entry && movement[field]) ids.add(firstId(movement[field]));
+    }
+  };
+  const tableIds = async (table) => {
+    for (const record of await context.load(table)) ids.add(record.id);
+  };
+
+  switch (sourceType) {
+    case 'sale':
+    case 'refund': await tableIds(TABLES.SALES); break;
+    case 'customer_payment': await tableIds(TABLES.CUSTOMER_PAYMENTS); break;
+    case 'receive': await movementIds('receive_id'); break;
+    case 'order_receipt': await movementIds('order_id'); break;
+    case 'adjustment': await movementIds('adjustment_id'); break;
+    case 'transfer_dispatch':
+    case 'transfer_receipt': await movementIds('transfer_doc_id'); break;
+    case 'stock_movement':
+      for (const movement of await context.load(TABLES.STOCK_MOVEMENTS)) {
+        if (movement.is_ledger_entry && isUnreferenced(movement)) ids.add(movement.id);
+      }
+      break;
+    case 'bill': await tableIds(TABLES.BILLS); break;
+    case 'payment_made': await tableIds(TABLES.PAYMENTS_MADE); break;
+    case 'vendor_credit': await tableIds(TABLES.VENDOR_CREDITS); break;
+    case 'expense': await tableIds(TABLES.EXPENSES); break;
+    case 'payroll':
+    case 'payroll_payment': await tableIds(TABLES.PAYROLL); break;
+  }
+  // ...and documents that were posted but have since been deleted
+  for (const entry of await context.load(TABLES.JOURNAL_ENTRIES)) {
+    if (entry.source_type === sourceType && entry.status === 'posted' && !entry.reverses_entry_id && entry.source_id) {
+      ids.add(entry.source_id);
+    }
+  }
+  return [...ids];
+};
+
+/**
+ * Sync every document of the given source types (default all) with the
+ * ledger. Used to backfill the ledger and to retry failed postings.
+ * `unpostedOnly` skips documents that already have an entry, for sources
+ * that never change once posted.
+ */
+const repostAll = async ({ sourceTypes = SOURCE_TYPES, unpostedOnly = false, user } = {}) => {
+  const context = createContext();
+  const summary = { posted: 0, unchanged: 0, failed: [] };
+  const posted = new Set((await context.load(TABLES.JOURNAL_ENTRIES))
+    .filter(entry => entry.status === 'posted' && !entry.reverses_entry_id)
+    .map(entry => entry.source_key));
+  for (const sourceType of sourceTypes) {
+    for (const sourceId of await sourceIds(sourceType, context)) {
+      const key = `${sourceType}:${sourceId}`;
+      if (unpostedOnly && posted.has(key)) continue;
+      try {
+        const { changed } = await postSource(sourceType, sourceId, user, context);
+        summary[changed ? 'posted' : 'unchanged']++;
+        failures.delete(key);
+      } catch (error) {
+        console.error(`Journal posting failed for ${key}:`, error.message);
+        failures.set(key, { source_type: sourceType, source_id: sourceId, error: error.message, failed_at: new Date().toISOString() });
+        summary.failed.push({ source_type: sourceType, source_id: sourceId, error: error.message });
+      }
+    }
+  }
+  return summary;
+};
+
+// Scheduler job: post stock booked outside any document (opening balances
+// written by the stock ledger itself) and retry postings that failed
+const syncPendingPostings = async () => {
+  const summary = await repostAll({ sourceTypes: ['stock_movement'], unpostedOnly: true });
+  let retried = 0;
+  for (const { source_type: sourceType, source_id: sourceId } of [...failures.values()]) {
+    if (await syncPosting(sourceType, sourceId)) retried++;
+  }
+  return { posted: summary.posted, retried, failing: failures.size };
+};
+
+const getPostingStatus = () => ({ failed: [...failures.values()] });
+
+module.exports = {
+  SOURCE_TYPES,
+  POSTED_BILL_STATUSES,
+  METHOD_ACCOUNTS,
+  EXPENSE_CATEGORY_ACCOUNTS,
+  syncPosting,
+  repostAll,
+  syncPendingPostings,
+  getPostingStatus
+};
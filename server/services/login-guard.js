@@ -0,0 +1,293 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+
+/**
+ * Brute-force protection for logins.
+ *
+ * Failed attempts (wrong password or wrong MFA code) are counted per account
+ * on the employee row and per IP address in the Login_Failures table, so
+ * every server instance sees them, within a sliding window of
+ * LOGIN_FAILURE_WINDOW_MINUTES. After LOGIN_DELAY_AFTER failures each
+ * further attempt must wait, twice as long each time; after
+ * LOGIN_MAX_FAILURES (LOGIN_IP_MAX_FAILURES for an address) the account or
+ * address is locked for LOGIN_LOCKOUT_MINUTES, or until an admin unlocks it.
+ */
+
+const MAX_ACCOUNT_FAILURES = envNumber('LOGIN_MAX_FAILURES', 5);
+const MAX_IP_FAILURES = envNumber('LOGIN_IP_MAX_FAILURES', 20);
+const FAILURE_WINDOW_MS = envNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000;
+const LOCKOUT_MS = envNumber('LOGIN_LOCKOUT_MINUTES', 15) * 60 * 1000;
+const DELAY_AFTER = envNumber('LOGIN_DELAY_AFTER', 2);
+const DELAY_BASE_MS = envNumber('LOGIN_DELAY_BASE_SECONDS', 1) * 1000;
+const DELAY_MAX_MS = envNumber('LOGIN_DELAY_MAX_SECONDS', 30) * 1000;
+
+// Employee fields holding the account's counters; only written here
+const LOCKOUT_FIELDS = ['failed_login_count', 'last_failed_login_at', 'failures_since_login', 'locked_until', 'lockout_count'];
+
+class LoginGuardError extends Error {
+  constructor(message, status = 429, details) {
+    super(message);
+    this.name = 'LoginGuardError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// One counter update at a time per account or address
+const guardLocks = new Map();
+
+const withGuardLock = async (key, fn) => {
+  const previous = guardLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  guardLocks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (guardLocks.get(key) === current) {
+      guardLocks.delete(key);
+    }
+  }
+};
+
+const time = (value) => (value ? new Date(value).getTime() : 0);
+
+// Failures still inside the window
+const liveCount = (count, lastFailureAt, now) => (now - time(lastFailureAt) > FAILURE_WINDOW_MS ? 0 : Number(count) || 0);
+
+// How long after the last failure the next attempt may come
+const delayFor = (failures) =>
+  (failures < DELAY_AFTER ? 0 : Math.min(DELAY_BASE_MS * 2 ** (failures - DELAY_AFTER), DELAY_MAX_MS));
+
+const findIpEntry = (ip) => airtableHelpers.findOne(TABLES.LOGIN_FAILURES, `{ip} = '${String(ip).replace(/'/g, "\\'")}'`);
+
+const ipCounter = (entry) => (entry ? {
+  count: entry.failure_count,
+  lastFailureAt: entry.last_failure_at,
+  lockedUntil: entry.locked_until
+} : {});
+
+// Forget addresses with nothing left to remember
+const pruneIpFailures = async (now) => {
+  try {
+    const stale = await airtableHelpers.find(TABLES.LOGIN_FAILURES, `AND(NOT(IS_AFTER({locked_until}, '${new Date(now).toISOString()}')), IS_BEFORE({last_failure_at}, '${new Date(now - FAILURE_WINDOW_MS).toISOString()}'))`);
+    for (const entry of stale) {
+      await airtableHelpers.delete(TABLES.LOGIN_FAILURES, entry.id);
+    }
+  } catch (error) {
+    console.warn('Could not prune old login failures:', error.message);
+  }
+};
+
+/**
+ * Count one failure from `ip`; returns { failures, locked_until } when it
+ * locked the address. The count is compare-and-set, so failures from
+ * several server instances at once are all counted.
+ */
+const countIpFailure = async (ip, now) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const entry = await findIpEntry(ip);
+    const { count: previous, lastFailureAt, lockedUntil } = ipCounter(entry);
+    const count = liveCount(previous, lastFailureAt, now) + 1;
+    const fields = { failure_count: count, last_failure_at: new Date(now).toISOString() };
+    let locked = null;
+    if (count >= MAX_IP_FAILURES && time(lockedUntil) <= now) {
+      fields.locked_until = new Date(now + LOCKOUT_MS).toISOString();
+      fields.failure_count = 0;
+      locked = { failures: count, locked_until: fields.locked_until };
+    }
+    if (!entry) {
+      await airtableHelpers.create(TABLES.LOGIN_FAILURES, { ip, ...fields });
+      return locked;
+    }
+    if (await airtableHelpers.updateIfMatch(TABLES.LOGIN_FAILURES, entry.id, { failure_count: entry.failure_count, last_failure_at: entry.last_failure_at }, fields)) {
+      return locked;
+    }
+  }
+  console.warn(`Could not count a failed sign-in from ${ip}: too many concurrent updates`);
+  return null;
+};
+
+const seconds = (ms) => Math.max(Math.ceil(ms / 1000), 1);
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const checkCounter = ({ count, lastFailureAt, lockedUntil }, subject, now) => {
+  if (time(lockedUntil) > now) {
+    const retryAfter = seconds(time(lockedUntil) - now);
+    throw new LoginGuardError(`${subject} is temporarily locked after too many failed sign-in attempts; try again in ${plural(Math.ceil(retryAfter / 60), 'minute')} or ask an admin to unlock it`, 423, {
+      locked_until: new Date(time(lockedUntil)).toISOString(),
+      retry_after_seconds: retryAfter
+    });
+  }
+  const failures = liveCount(count, lastFailureAt, now);
+  const wait = time(lastFailureAt) + delayFor(failures) - now;
+  if (failures > 0 && wait > 0) {
+    throw new LoginGuardError(`Too many failed sign-in attempts; try again in ${plural(seconds(wait), 'second')}`, 429, {
+      retry_after_seconds: seconds(wait)
+    });
+  }
+};
+
+const accountCounter = (user) => ({
+  count: user.failed_login_count,
+  lastFailureAt: user.last_failed_login_at,
+  lockedUntil: user.locked_until
+});
+
+/**
+ * Throws when this address, or this account when known, may not try to sign
+ * in yet: 423 while locked, 429 while a progressive delay runs.
+ */
+const checkLoginAllowed = async (ip, user) => {
+  const now = Date.now();
+  checkCounter(ipCounter(await findIpEntry(ip)), 'This address', now);
+  if (user) {
+    checkCounter(accountCounter(user), 'This account', now);
+  }
+};
+
+// The account fields a counter update must find unchanged to go through
+const accountVersion = (user) => ({
+  failed_login_count: user.failed_login_count,
+  last_failed_login_at: user.last_failed_login_at,
+  failures_since_login: user.failures_since_login
+});
+
+/**
+ * Count one failure against an account; returns { failures, locked_until }
+ * when it locked the account. Compare-and-set, like the address count.
+ */
+const countAccountFailure = async (userId, now) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const current = await airtableHelpers.findById(TABLES.EMPLOYEES, userId);
+    const count = liveCount(current.failed_login_count, current.last_failed_login_at, now) + 1;
+    const fields = {
+      failed_login_count: count,
+      last_failed_login_at: new Date(now).toISOString(),
+      // Failures since the last successful login, for the flag on that login
+      failures_since_login: (Number(current.failures_since_login) || 0) + 1
+    };
+    let locked = null;
+    if (count >= MAX_ACCOUNT_FAILURES && time(current.locked_until) <= now) {
+      fields.locked_until = new Date(now + LOCKOUT_MS).toISOString();
+      fields.failed_login_count = 0;
+      fields.lockout_count = (Number(current.lockout_count) || 0) + 1;
+      locked = { failures: count, locked_until: fields.locked_until };
+    }
+    if (await airtableHelpers.updateIfMatch(TABLES.EMPLOYEES, userId, accountVersion(current), fields)) {
+      return locked;
+    }
+  }
+  console.warn(`Could not count a failed sign-in for ${userId}: too many concurrent updates`);
+  return null;
+};
+
+/**
+ * Count a failed attempt. Returns what was locked by it, so the caller can
+ * raise an alert: { account: { failures, locked_until }?, ip: {...}? }.
+ */
+const recordFailure = async (ip, user) => {
+  const now = Date.now();
+  const locked = {};
+  await pruneIpFailures(now);
+
+  const ipLocked = await withGuardLock(`ip:${ip}`, () => countIpFailure(ip, now));
+  if (ipLocked) {
+    locked.ip = ipLocked;
+  }
+
+  if (user) {
+    const accountLocked = await withGuardLock(`user:${user.id}`, () => countAccountFailure(user.id, now));
+    if (accountLocked) {
+      locked.account = accountLocked;
+    }
+  }
+  return locked;
+};
+
+/**
+ * Clear the account's counters after a successful login. The address keeps
+ * its count until the window passes, or signing in to an account of one's
+ * own would wipe the failures against everyone else's. Returns how many
+ * attempts failed since the previous successful login (0 when none), for
+ * flagging.
+ */
+const recordSuccess = async (user) => withGuardLock(`user:${user.id}`, async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const current = await airtableHelpers.findById(TABLES.EMPLOYEES, user.id);
+    const failures = Number(current.failures_since_login) || 0;
+    if (!failures && !current.failed_login_count && !current.locked_until) {
+      return 0;
+    }
+    const cleared = await airtableHelpers.updateIfMatch(TABLES.EMPLOYEES, user.id, accountVersion(current), {
+      failed_login_count: null,
+      failures_since_login: null,
+      last_failed_login_at: null,
+      locked_until: null
+    });
+    if (cleared) {
+      return failures;
+    }
+  }
+  console.warn(`Could not clear the failed sign-ins for ${user.id}: too many concurrent updates`);
+  return 0;
+});
+
+const unlockAccount = async (userId) => {
+  const user = await airtableHelpers.findById(TABLES.EMPLOYEES, userId).catch(() => null);
+  if (!user) {
+    throw new LoginGuardError('User not found', 404);
+  }
+  await withGuardLock(`user:${user.id}`, () => airtableHelpers.update(TABLES.EMPLOYEES, user.id, {
+    failed_login_count: null,
+    last_failed_login_at: null,
+    locked_until: null
+  }));
+  return { id: user.id, email: user.email, was_locked: time(user.locked_until) > Date.now() };
+};
+
+const unlockIp = async (ip) => {
+  const entry = await findIpEntry(ip);
+  if (entry) {
+    await withGuardLock(`ip:${ip}`, () => airtableHelpers.delete(TABLES.LOGIN_FAILURES, entry.id));
+  }
+  return { ip, was_tracked: Boolean(entry) };
+};
+
+// Locked accounts and addresses, and addresses with recent failures
+const listLockouts = async () => {
+  const now = Date.now();
+  const employees = await airtableHelpers.find(TABLES.EMPLOYEES);
+  const addresses = await airtableHelpers.find(TABLES.LOGIN_FAILURES);
+  return {
+    accounts: employees
+      .filter(user => time(user.locked_until) > now || liveCount(user.failed_login_count, user.last_failed_login_at, now) > 0)
+      .map(user => ({
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        locked_until: time(user.locked_until) > now ? user.locked_until : null,
+        recent_failures: liveCount(user.failed_login_count, user.last_failed_login_at, now),
+        lockout_count: Number(user.lockout_count) || 0
+      })),
+    ips: addresses
+      .map(entry => ({ ip: entry.ip, ...ipCounter(entry) }))
+      .filter(entry => time(entry.lockedUntil) > now || liveCount(entry.count, entry.lastFailureAt, now) > 0)
+      .map(entry => ({
+        ip: entry.ip,
+        locked_until: time(entry.lockedUntil) > now ? entry.lockedUntil : null,
+        recent_failures: liveCount(entry.count, entry.lastFailureAt, now)
+      }))
+  };
+};
+
+module.exports = {
+  LOCKOUT_FIELDS,
+  LoginGuardError,
+  checkLoginAllowed,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  unlockIp,
+  listLockouts
+};
@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { getSetting, saveSetting } = require('./security-settings');
+
+/**
+ * TOTP multi-factor authentication.
+ *
+ * A password login by a user who has MFA on, or whose role requires it, gets
+ * a short-lived challenge token instead of session tokens. The challenge is
+ * answered with a code from the authenticator app or a single-use recovery
+ * code. A user whose role requires MFA but who has not enrolled uses the
+ * challenge to set it up, which completes the login.
+ *
+ * Which roles require MFA is a security setting admins can change; an admin
+ * can also reset a user who lost their device and their recovery codes.
+ */
+
+const ISSUER = process.env.MFA_ISSUER || 'BSN Manager';
+const CHALLENGE_EXPIRE = process.env.MFA_CHALLENGE_EXPIRE || '5m';
+// A challenge always allows at least one answer
+const MAX_CHALLENGE_ATTEMPTS = Math.max(envNumber('MFA_MAX_ATTEMPTS', 5), 1);
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+const REQUIRED_ROLES_KEY = 'mfa_required_roles';
+const DEFAULT_REQUIRED_ROLES = ['admin', 'boss', 'manager'];
+
+// Employee fields holding MFA secrets: never returned by or writable
+// through the generic employee and data endpoints
+const MFA_SECRET_FIELDS = ['mfa_secret', 'mfa_secret_temp', 'mfa_recovery_codes', 'mfa_last_step'];
+
+class MfaError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'MfaError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const withoutMfaSecrets = (employee) => {
+  if (!employee) return employee;
+  const copy = { ...employee };
+  MFA_SECRET_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+const getEmployee = async (userId) => {
+  const user = userId ? await airtableHelpers.findById(TABLES.EMPLOYEES, userId).catch(() => null) : null;
+  if (!user) {
+    throw new MfaError('User not found', 404);
+  }
+  return user;
+};
+
+const getRequiredRoles = () => getSetting(REQUIRED_ROLES_KEY, DEFAULT_REQUIRED_ROLES);
+
+const setRequiredRoles = async (roles, user) => {
+  if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string' || !role.trim())) {
+    throw new MfaError('required_roles must be a list of role names');
+  }
+  return saveSetting(REQUIRED_ROLES_KEY, [...new Set(roles.map(role => role.trim()))], user);
+};
+
+const isMfaRequired = async (user) => (await getRequiredRoles()).includes(user.role);
+
+// Challenge state lives in the Mfa_Challenges table, one row per token id
+// (jti), so a challenge is single-use and its attempts are counted across
+// every server instance, not just the one that issued it
+const CHALLENGE_PENDING = 'pending';
+
+const findChallengeState = (id) => airtableHelpers.findOne(TABLES.MFA_CHALLENGES, `{jti} = '${String(id).replace(/'/g, "\\'")}'`);
+
+// Expired challenges are deleted as new ones are issued
+const pruneChallenges = async () => {
+  try {
+    const expired = await airtableHelpers.find(TABLES.MFA_CHALLENGES, `IS_BEFORE({expires_at}, '${new Date().toISOString()}')`);
+    for (const row of expired) {
+      await airtableHelpers.delete(TABLES.MFA_CHALLENGES, row.id);
+    }
+  } catch (error) {
+    console.warn('Could not prune expired MFA challenges:', error.message);
+  }
+};
+
+const issueChallenge = async (user, setup) => {
+  await pruneChallenges();
+  const id = crypto.randomUUID();
+  const token = jwt.sign({ userId: user.id, purpose: 'mfa', setup }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRE, jwtid: id });
+  await airtableHelpers.create(TABLES.MFA_CHALLENGES, {
+    jti: id,
+    user_id: user.id,
+    setup: Boolean(setup),
+    attempts: 0,
+    status: CHALLENGE_PENDING,
+    created_at: new Date().toISOString(),
+    expires_at: new Date(jwt.decode(token).exp * 1000).toISOString()
+  });
+  return token;
+};
+
+/**
+ * Verify a challenge token and load its state. Throws 401 when it is
+ * invalid, expired, already answered or has used up its attempts. The
+ * returned payload carries `stateId`, the row its state is kept in.
+ */
+const readChallenge = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken || '', process.env.JWT_SECRET);
+  } catch (error) {
+    throw new MfaError('MFA challenge is invalid or has expired; sign in again', 401);
+  }
+  const state = decoded.purpose === 'mfa' && decoded.jti ? await findChallengeState(decoded.jti) : null;
+  if (!state || state.status !== CHALLENGE_PENDING || (Number(state.attempts) || 0) >= MAX_CHALLENGE_ATTEMPTS) {
+    throw new MfaError('MFA challenge is no longer valid; sign in again', 401);
+  }
+  return { ...decoded, stateId: state.id };
+};
+
+// Count a wrong answer; returns the error to throw, marked `wrongAnswer` so
+// callers can tell it from a challenge that is no longer valid
+const failChallenge = async (challenge, message) => {
+  let error = new MfaError(message, 401);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const state = await airtableHelpers.findById(TABLES.MFA_CHALLENGES, challenge.stateId);
+    const attempts = (Number(state.attempts) || 0) + 1;
+    const counted = await airtableHelpers.updateIfMatch(TABLES.MFA_CHALLENGES, state.id, { attempts: state.attempts, status: state.status }, {
+      attempts,
+      status: attempts >= MAX_CHALLENGE_ATTEMPTS ? 'exhausted' : state.status
+    });
+    if (counted) {
+      error = new MfaError(message, 401, { attempts_left: Math.max(MAX_CHALLENGE_ATTEMPTS - attempts, 0) });
+      break;
+    }
+  }
+  error.wrongAnswer = true;
+  return error;
+};
+
+// Mark a challenge answered; only one answer to it can get through
+const spendChallenge = async (challenge) => {
+  const spent = await airtableHelpers.updateIfMatch(TABLES.MFA_CHALLENGES, challenge.stateId, { status: CHALLENGE_PENDING }, {
+    status: 'used',
+    used_at: new Date().toISOString()
+  });
+  if (!spent) {
+    throw new MfaError('MFA challenge is no longer valid; sign in again', 401);
+  }
+};
+
+// What a password login must do next: null when MFA does not apply
+const startLoginChallenge = async (user) => {
+  if (user.mfa_enabled && user.mfa_secret) {
+    return { requiresMfa: true, challengeToken: await issueChallenge(user, false) };
+  }
+  if (await isMfaRequired(user)) {
+    return { requiresMfaSetup: true, challengeToken: await issueChallenge(user, true) };
+  }
+  return null;
+};
+
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+const parseRecoveryCodes = (user) => {
+  try {
+    return JSON.parse(user.mfa_recovery_codes || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+// Plain codes for the user, hashes for the store
+const newRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, stored: JSON.stringify(codes.map(hashRecoveryCode)) };
+};
+
+// The TOTP time step `code` matches for `secret`, or null
+const matchTotp = (secret, code) => {
+  const delta = speakeasy.totp.verifyDelta({ secret, encoding: 'base32', token: normalizeCode(code), window: 1 });
+  return delta ? Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta.delta : null;
+};
+
+/**
+ * Check a code from the user's authenticator app. A code is accepted once:
+ * its time step must be later than the last one used, so a code seen over
+ * someone's shoulder can't be replayed.
+ */
+const useTotp = async (user, code) => {
+  const step = user.mfa_secret ? matchTotp(user.mfa_secret, code) : null;
+  const lastStep = user.mfa_last_step === undefined ? null : Number(user.mfa_last_step);
+  if (step === null || (lastStep !== null && step <= lastStep)) {
+    return false;
+  }
+  return Boolean(await airtableHelpers.updateIfMatch(TABLES.EMPLOYEES, user.id, { mfa_last_step: user.mfa_last_step }, { mfa_last_step: step }));
+};
+
+// Spend one recovery code; the number left, or null when it doesn't match
+const useRecoveryCode = async (user, code) => {
+  const hashes = parseRecoveryCodes(user);
+  const index = hashes.indexOf(hashRecoveryCode(code));
+  if (!normalizeCode(code) || index === -1) {
+    return null;
+  }
+  const remaining = hashes.filter((_, i) => i !== index);
+  const updated = await airtableHelpers.updateIfMatch(TABLES.EMPLOYEES, user.id, { mfa_recovery_codes: user.mfa_recovery_codes }, {
+    mfa_recovery_codes: JSON.stringify(remaining)
+  });
+  return updated ? remaining.length : null;
+};
+
+/**
+ * Answer a login challenge, as returned by readChallenge, with `code`
+ * (authenticator) or `recoveryCode`. Returns the user and how they proved it.
+ */
+const completeLoginChallenge = async (challenge, { code, recoveryCode } = {}) => {
+  if (challenge.setup) {
+    throw new MfaError('MFA is not set up yet; set it up to finish signing in', 409);
+  }
+  const user = await getEmployee(challenge.userId);
+  if (!user.mfa_enabled || !user.mfa_secret) {
+    throw new MfaError('MFA is no longer enabled for this account; sign in again', 401);
+  }
+  if (user.is_active === false) {
+    throw new MfaError('Account is deactivated', 401);
+  }
+
+  if (recoveryCode) {
+    const left = await useRecoveryCode(user, recoveryCode);
+    if (left === null) {
+      throw await failChallenge(challenge, 'Invalid recovery code');
+    }
+    await spendChallenge(challenge);
+    return { user, method: 'recovery_code', recoveryCodesLeft: left };
+  }
+  if (!(await useTotp(user, code))) {
+    throw await failChallenge(challenge, 'Invalid MFA code');
+  }
+  await spendChallenge(challenge);
+  return { user, method: 'totp' };
+};
+
+// Start enrolment: a new secret, kept aside until a code from it is confirmed
+const beginSetup = async (userId) => {
+  const user = await getEmployee(userId);
+  if (user.mfa_enabled && user.mfa_secret) {
+    throw new MfaError('MFA is already enabled; disable or reset it before setting it up again', 409);
+  }
+  const secret = speakeasy.generateSecret({
+    name: `${ISSUER} (${user.email})`,
+    issuer: ISSUER
+  });
+  await airtableHelpers.update(TABLES.EMPLOYEES, user.id, { mfa_secret_temp: secret.base32 });
+  return {
+    secret: secret.base32,
+    otpauthUrl: secret.otpauth_url,
+    qrCode: await QRCode.toDataURL(secret.otpauth_url)
+  };
+};
+
+// Finish enrolment with a code from the new secret; returns the recovery codes, shown once
+const confirmSetup = async (userId, code) => {
+  const user = await getEmployee(userId);
+  if (!user.mfa_secret_temp) {
+    throw new MfaError('MFA setup not initiated');
+  }
+  const step = matchTotp(user.mfa_secret_temp, code);
+  if (step === null) {
+    throw new MfaError('Invalid MFA code');
+  }
+  const { codes, stored } = newRecoveryCodes();
+  const updated = await airtableHelpers.updateIfMatch(TABLES.EMPLOYEES, user.id, { mfa_secret_temp: user.mfa_secret_temp }, {
+    mfa_secret: user.mfa_secret_temp,
+    mfa_secret_temp: null,
+    mfa_enabled: true,
+    mfa_recovery_codes: stored,
+    mfa_last_step: step,
+    mfa_enabled_at: new Date().toISOString()
+  });
+  if (!updated) {
+    throw new MfaError('MFA setup was restarted meanwhile; scan the new code and try again', 409);
+  }
+  return { user: updated, recoveryCodes: codes };
+};
+
+// Checks a code from an enrolled user before a sensitive MFA change
+const requireCode = async (user, code) => {
+  if (!user.mfa_enabled || !user.mfa_secret) {
+    throw new MfaError('MFA is not enabled', 409);
+  }
+  if (!(await useTotp(user, code))) {
+    throw new MfaError('Invalid MFA code', 401);
+  }
+};
+
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await getEmployee(userId);
+  await requireCode(user, code);
+  const { codes, stored } = newRecoveryCodes();
+  await airtableHelpers.update(TABLES.EMPLOYEES, user.id, { mfa_recovery_codes: stored });
+  return codes;
+};
+
+const CLEARED_MFA = {
+  mfa_enabled: false,
+  mfa_secret: null,
+  mfa_secret_temp: null,
+  mfa_recovery_codes: null,
+  mfa_last_step: null,
+  mfa_enabled_at: null
+};
+
+// Users may turn MFA off only when their role doesn't require it
+const disableMfa = async (userId, code) => {
+  const user = await getEmployee(userId);
+  if (await isMfaRequired(user)) {
+    throw new MfaError(`MFA is required for the ${user.role} role and can't be turned off`, 403);
+  }
+  await requireCode(user, code);
+  await airtableHelpers.update(TABLES.EMPLOYEES, user.id, CLEARED_MFA);
+};
+
+// Admin reset for a user who lost their device: they enrol again at next login
+const resetMfa = async (userId, admin) => {
+  const user = await getEmployee(userId);
+  await airtableHelpers.update(TABLES.EMPLOYEES, user.id, {
+    ...CLEARED_MFA,
+    mfa_reset_at: new Date().toISOString(),
+    mfa_reset_by: admin && admin.id ? [admin.id] : undefined
+  });
+  return { id: user.id, email: user.email, required: await isMfaRequired(user) };
+};
+
+const getMfaStatus = async (userId) => {
+  const user = await getEmployee(userId);
+  return {
+    enabled: Boolean(user.mfa_enabled && user.mfa_secret),
+    required: await isMfaRequired(user),
+    setup_pending: Boolean(user.mfa_secret_temp),
+    recovery_codes_left: parseRecoveryCodes(user).length,
+    enabled_at: user.mfa_enabled_at || null
+  };
+};
+
+module.exports = {
+  MFA_SECRET_FIELDS,
+  MfaError,
+  withoutMfaSecrets,
+  getRequiredRoles,
+  setRequiredRoles,
+  readChallenge,
+  spendChallenge,
+  startLoginChallenge,
+  completeLoginChallenge,
+  beginSetup,
+  confirmSetup,
+  regenerateRecoveryCodes,
+  disableMfa,
+  resetMfa,
+  getMfaStatus
+};
@@ -0,0 +1,102 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+
+/**
+ * Outgoing notifications (password reset links and the like).
+ *
+ * NOTIFIER picks the transport: `outbox` (the default) only records each
+ * message in the Notification_Outbox table, for development or for another
+ * process to deliver; `webhook` POSTs it as JSON to NOTIFIER_WEBHOOK_URL;
+ * `console` logs it. Other transports, e.g. SMTP, plug in with
+ * `registerTransport`. Every message lands in the outbox either way, with
+ * whether it was sent, but with the message's `secrets` (e.g. a reset token)
+ * blanked out. As that leaves the outbox nothing deliverable, production
+ * needs NOTIFIER set to a transport that sends.
+ */
+
+// 0 lets the webhook take as long as it needs
+const WEBHOOK_TIMEOUT_MS = envNumber('NOTIFIER_WEBHOOK_TIMEOUT_MS', 10000);
+
+const transports = new Map();
+
+const registerTransport = (name, send) => {
+  transports.set(name, send);
+};
+
+registerTransport('outbox', async () => ({ status: 'pending' }));
+
+const transportName = () => process.env.NOTIFIER || 'outbox';
+
+// Throws unless NOTIFIER names a registered transport, and one that delivers
+// in production. Checked at startup and again on every send.
+const assertTransportConfigured = () => {
+  const name = transportName();
+  if (!transports.has(name)) {
+    throw new Error(`Unknown notifier transport ${name}`);
+  }
+  if (process.env.NODE_ENV === 'production' && name === 'outbox') {
+    throw new Error('NOTIFIER must name a delivery transport in production; the outbox only keeps redacted copies');
+  }
+  return name;
+};
+
+const redact = (text, secrets = []) => secrets.filter(Boolean)
+  .reduce((redacted, secret) => redacted.split(secret).join('[redacted]'), text || '');
+
+registerTransport('console', async (message) => {
+  console.log(`[NOTIFY] To ${message.to}: ${message.subject}\n${message.body}`);
+  return { status: 'sent' };
+});
+
+registerTransport('webhook', async (message) => {
+  if (!process.env.NOTIFIER_WEBHOOK_URL) {
+    throw new Error('NOTIFIER_WEBHOOK_URL is not set');
+  }
+  const response = await fetch(process.env.NOTIFIER_WEBHOOK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+    signal: WEBHOOK_TIMEOUT_MS > 0 ? AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) : undefined
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status}`);
+  }
+  return { status: 'sent' };
+});
+
+/**
+ * Send `{ to, subject, body, template, secrets }` through the configured
+ * transport; `secrets` are strings in the body kept out of the outbox. A
+ * delivery failure is recorded and logged, not thrown: callers such as
+ * forgot-password must answer the same way whatever happens.
+ */
+const notify = async ({ secrets, ...message }) => {
+  const name = transportName();
+  let result;
+  try {
+    assertTransportConfigured();
+    result = await transports.get(name)(message);
+  } catch (error) {
+    console.error(`Notification to ${message.to} failed:`, error.message);
+    result = { status: 'failed', error: error.message };
+  }
+  await airtableHelpers.create(TABLES.NOTIFICATION_OUTBOX, {
+    channel: 'email',
+    transport: name,
+    to: message.to,
+    subject: message.subject,
+    body: redact(message.body, secrets),
+    template: message.template,
+    status: result.status,
+    error: result.error,
+    created_at: new Date().toISOString(),
+    sent_at: result.status === 'sent' ? new Date().toISOString() : undefined
+  }).catch(error => console.error('Notification outbox error:', error));
+  return result;
+};
+
+module.exports = {
+  registerTransport,
+  assertTransportConfigured,
+  notify
+};
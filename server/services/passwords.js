@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { notify } = require('./notifier');
+
+/**
+ * Password policy, applied everywhere a password hash is written.
+ *
+ * - strength: PASSWORD_MIN_LENGTH characters with upper and lower case, a
+ *   digit and a symbol, and not containing the user's name or email
+ * - history: none of the last PASSWORD_HISTORY passwords may be reused
+ * - expiry: a password older than PASSWORD_MAX_AGE_DAYS must be changed at
+ *   the next login (0 turns expiry off)
+ *
+ * Passwords set by someone else (HR creating or resetting an account) must
+ * be changed at first login. Forgotten passwords are reset with a signed,
+ * expiring link that works once: it names the password it replaces and is
+ * the only link issued since.
+ */
+
+const MIN_LENGTH = envNumber('PASSWORD_MIN_LENGTH', 12);
+const HISTORY_SIZE = envNumber('PASSWORD_HISTORY', 5);
+const MAX_AGE_DAYS = envNumber('PASSWORD_MAX_AGE_DAYS', 90);
+const HASH_ROUNDS = envNumber('PASSWORD_HASH_ROUNDS', 12);
+const RESET_EXPIRE = process.env.PASSWORD_RESET_EXPIRE || '30m';
+const CHANGE_TOKEN_EXPIRE = process.env.PASSWORD_CHANGE_TOKEN_EXPIRE || '10m';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Never sent to clients
+const PASSWORD_SECRET_FIELDS = ['password_hash', 'password_history', 'password_reset_jti'];
+// Only written through this module
+const PASSWORD_FIELDS = [...PASSWORD_SECRET_FIELDS, 'password_changed_at', 'must_change_password'];
+
+class PasswordError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'PasswordError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// What is wrong with `password` for this user, or null
+const checkStrength = (password, user = {}) => {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters long`;
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password) || !/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain uppercase, lowercase, number and special character';
+  }
+  const lower = password.toLowerCase();
+  const personal = [String(user.email || '').split('@')[0], ...String(user.full_name || '').split(/\s+/)]
+    .map(part => part.toLowerCase())
+    .filter(part => part.length >= 3);
+  if (personal.some(part => lower.includes(part))) {
+    return 'Password must not contain your name or email';
+  }
+  return null;
+};
+
+const withoutPasswordSecrets = (employee) => {
+  if (!employee) return employee;
+  const copy = { ...employee };
+  PASSWORD_SECRET_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+const parseHistory = (user) => {
+  try {
+    return JSON.parse(user.password_history || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+const wasUsedBefore = async (user, password) => {
+  const hashes = [user.password_hash, ...parseHistory(user)].filter(Boolean).slice(0, HISTORY_SIZE + 1);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Hash for a brand-new account; throws when the password breaks the rules
+const hashNewPassword = async (password, user) => {
+  const problem = checkStrength(password, user);
+  if (problem) {
+    throw new PasswordError(problem);
+  }
+  return bcrypt.hash(password, HASH_ROUNDS);
+};
+
+/**
+ * Fields that set a new password on an existing account: the hash, the
+ * history and, when someone else chose it, `must_change_password`.
+ */
+const passwordFields = async (user, password, { mustChange = false } = {}) => {
+  const problem = checkStrength(password, user);
+  if (problem) {
+    throw new PasswordError(problem);
+  }
+  if (HISTORY_SIZE > 0 && await wasUsedBefore(user, password)) {
+    throw new PasswordError(`Password must differ from your last ${HISTORY_SIZE} passwords`);
+  }
+  return {
+    password_hash: await bcrypt.hash(password, HASH_ROUNDS),
+    password_history: JSON.stringify([user.password_hash, ...parseHistory(user)].filter(Boolean).slice(0, HISTORY_SIZE)),
+    password_changed_at: new Date().toISOString(),
+    must_change_password: mustChange,
+    password_reset_jti: null
+  };
+};
+
+const getEmployee = async (userId) => {
+  const user = userId ? await airtableHelpers.findById(TABLES.EMPLOYEES, userId).catch(() => null) : null;
+  if (!user) {
+    throw new PasswordError('User not found', 404);
+  }
+  return user;
+};
+
+const setPassword = async (userId, password, options) => {
+  const user = await getEmployee(userId);
+  return airtableHelpers.update(TABLES.EMPLOYEES, user.id, await passwordFields(user, password, options));
+};
+
+// Why this user must change their password before getting a session, or null
+const passwordChangeReason = (user) => {
+  if (user.must_change_password) {
+    return 'set_by_someone_else';
+  }
+  const changedAt = user.password_changed_at || user.created_at;
+  if (MAX_AGE_DAYS > 0 && changedAt && Date.now() - new Date(changedAt).getTime() > MAX_AGE_DAYS * DAY_MS) {
+    return 'expired';
+  }
+  return null;
+};
+
+// Ties a token to the password it was issued against, so it stops working
+// once that password changes
+const fingerprint = (user) => crypto.createHash('sha256').update(String(user.password_hash || '')).digest('hex').slice(0, 16);
+
+const issuePasswordChangeToken = (user, reason) =>
+  jwt.sign({ userId: user.id, purpose: 'password_change', reason, pwd: fingerprint(user) }, process.env.JWT_SECRET, { expiresIn: CHANGE_TOKEN_EXPIRE });
+
+const readToken = (token, purpose, secret) => {
+  try {
+    const decoded = jwt.verify(token || '', secret);
+    if (decoded.purpose === purpose) return decoded;
+  } catch (error) {
+    // fall through
+  }
+  throw new PasswordError('This link or token is invalid or has expired', 401);
+};
+
+// The password change a login was held back for; returns the updated user
+const completeRequiredChange = async (changeToken, newPassword) => {
+  const decoded = readToken(changeToken, 'password_change', process.env.JWT_SECRET);
+  const user = await getEmployee(decoded.userId);
+  if (decoded.pwd !== fingerprint(user)) {
+    throw new PasswordError('This link or token is invalid or has expired', 401);
+  }
+  const updated = await airtableHelpers.updateIfMatch(TABLES.EMPLOYEES, user.id, { password_hash: user.password_hash }, await passwordFields(user, newPassword));
+  if (!updated) {
+    throw new PasswordError('The password was changed meanwhile; sign in again', 409);
+  }
+  return updated;
+};
+
+// Reset links are signed with their own secret, so no other token passes as one
+const resetSecret = () => `${process.env.JWT_SECRET}:password-reset`;
+
+/**
+ * Email a reset link when `email` belongs to an active account. Says nothing
+ * about whether it did: returns the user for the audit trail, or null.
+ */
+const requestReset = async (email) => {
+  const normalized = String(email || '').toLowerCase().trim();
+  if (!normalized) {
+    throw new PasswordError('Email is required');
+  }
+  const user = (await airtableHelpers.find(TABLES.EMPLOYEES)).find(employee => String(employee.email || '').toLowerCase() === normalized);
+  if (!user || user.is_active === false) {
+    return null;
+  }
+  await sendResetLink(user);
+  return user;
+};
+
+const sendResetLink = async (user) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ userId: user.id, purpose: 'password_reset', pwd: fingerprint(user) }, resetSecret(), { expiresIn: RESET_EXPIRE, jwtid: jti });
+  // Only the newest link works
+  await airtableHelpers.update(TABLES.EMPLOYEES, user.id, { password_reset_jti: jti, password_reset_requested_at: new Date().toISOString() });
+  await notify({
+    to: user.email,
+    template: 'password_reset',
+    subject: 'Reset your password',
+    body: `Hello ${user.full_name || ''},\n\nUse this link to choose a new password. It works once and expires in ${RESET_EXPIRE}:\n\n${APP_URL}/reset-password?token=${token}\n\nIf you did not ask for this, ignore this email.`,
+    secrets: [token]
+  });
+};
+
+// Set a new password from a reset link; returns the updated user
+const resetPassword = async (token, newPassword) => {
+  const decoded = readToken(token, 'password_reset', resetSecret());
+  const user = await getEmployee(decoded.userId);
+  if (decoded.pwd !== fingerprint(user) || decoded.jti !== user.password_reset_jti || user.is_active === false) {
+    throw new PasswordError('This link or token is invalid or has expired', 401);
+  }
+  const updated = await airtableHelpers.updateIfMatch(TABLES.EMPLOYEES, user.id, { password_reset_jti: decoded.jti }, await passwordFields(user, newPassword));
+  if (!updated) {
+    throw new PasswordError('This link or token is invalid or has expired', 401);
+  }
+  return updated;
+};
+
+module.exports = {
+  PASSWORD_FIELDS,
+  PasswordError,
+  withoutPasswordSecrets,
+  checkStrength,
+  hashNewPassword,
+  passwordFields,
+  setPassword,
+  passwordChangeReason,
+  issuePasswordChangeToken,
+  completeRequiredChange,
+  requestReset,
+  sendResetLink,
+  resetPassword
+};
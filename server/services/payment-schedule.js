@@ -0,0 +1,354 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { listSuppliers } = require('./suppliers');
+const { listTemplates, projectOccurrences } = require('./recurring-bills');
+
+/**
+ * Scheduled vendor payments and the cash outflow preview.
+ *
+ * Approved, unpaid bills make up the payment queue. Scheduling a bill puts
+ * a Scheduled_Payments row on its due date (or today when already overdue);
+ * bills raised from a recurring template with `auto_schedule_payment` are
+ * scheduled by the scheduler once approved. Paying a scheduled payment
+ * records it in Payments_Made like any other bill payment.
+ */
+
+const DEFAULT_PAYMENT_METHOD = 'bank_transfer';
+
+const OUTFLOW_WINDOWS = [30, 60, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PaymentScheduleError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'PaymentScheduleError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const balanceOf = (bill) => round2(Number(bill.balance_due ?? bill.total_amount) || 0);
+
+const isOpen = (bill) => bill.payment_status !== 'paid' && bill.status !== 'cancelled' && balanceOf(bill) > 0;
+
+// Approved bills still to pay
+const isQueued = (bill) => isOpen(bill) && bill.status === 'approved';
+
+const liveSchedules = (schedules) => schedules.filter(schedule => schedule.status === 'scheduled');
+
+/**
+ * The payment queue: approved, unpaid bills, soonest due first, each with
+ * its live scheduled payment if it has one.
+ */
+const getPaymentQueue = async () => {
+  const [bills, schedules] = await Promise.all([
+    airtableHelpers.find(TABLES.BILLS),
+    airtableHelpers.find(TABLES.SCHEDULED_PAYMENTS)
+  ]);
+  const scheduleByBill = new Map(liveSchedules(schedules).map(schedule => [firstId(schedule.bill_id), schedule]));
+  const now = today();
+
+  return bills
+    .filter(isQueued)
+    .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)))
+    .map(bill => {
+      const schedule = scheduleByBill.get(bill.id);
+      return {
+        id: bill.id,
+        vendor_name: bill.vendor_name,
+        bill_number: bill.bill_number,
+        amount_due: balanceOf(bill),
+        due_date: bill.due_date,
+        priority: bill.due_date && bill.due_date <= now ? 'high' : 'normal',
+        auto_schedule_payment: Boolean(bill.auto_schedule_payment),
+        scheduled_payment_id: schedule ? schedule.id : null,
+        scheduled_date: schedule ? schedule.scheduled_date : null
+      };
+    });
+};
+
+/**
+ * Schedule payments for queued bills that have none yet. `billIds` limits
+ * it to those bills; `autoOnly` to bills flagged `auto_schedule_payment`.
+ * Returns the payments scheduled and the bills skipped, with a reason.
+ */
+const schedulePayments = async ({ billIds, autoOnly = false, user } = {}) => {
+  const queue = await getPaymentQueue();
+  const queued = new Map(queue.map(item => [item.id, item]));
+  const explicit = Array.isArray(billIds) && billIds.length > 0;
+  const wanted = explicit ? billIds : queue.map(item => item.id);
+  const now = today();
+
+  const scheduled = [];
+  const skipped = [];
+  for (const billId of wanted) {
+    const item = queued.get(billId);
+    if (!item) {
+      skipped.push({ bill_id: billId, reason: 'Bill is not approved and unpaid' });
+      continue;
+    }
+    if (item.scheduled_payment_id) {
+      if (explicit) skipped.push({ bill_id: billId, reason: `Already scheduled for ${item.scheduled_date}` });
+      continue;
+    }
+    if (autoOnly && !item.auto_schedule_payment) continue;
+
+    const bill = await airtableHelpers.findById(TABLES.BILLS, billId);
+    scheduled.push(await airtableHelpers.create(TABLES.SCHEDULED_PAYMENTS, {
+      bill_id: [billId],
+      vendor_id: bill.vendor_id,
+      vendor_name: bill.vendor_name,
+      bill_number: bill.bill_number,
+      amount: item.amount_due,
+      scheduled_date: item.due_date && item.due_date > now ? item.due_date : now,
+      payment_method: bill.payment_method || DEFAULT_PAYMENT_METHOD,
+      status: 'scheduled',
+      source: autoOnly ? 'auto' : 'manual',
+      created_by: user?.id ? [user.id] : undefined,
+      created_at: new Date().toISOString()
+    }));
+  }
+  return { scheduled, skipped };
+};
+
+const getScheduledPayment = async (scheduleId) => {
+  const schedule = await airtableHelpers.findById(TABLES.SCHEDULED_PAYMENTS, scheduleId).catch(() => null);
+  if (!schedule) {
+    throw new PaymentScheduleError('Scheduled payment not found', 404);
+  }
+  return schedule;
+};
+
+const listScheduledPayments = async ({ status, from, to } = {}) => {
+  const schedules = await airtableHelpers.find(TABLES.SCHEDULED_PAYMENTS);
+  const statuses = status ? String(status).split(',') : null;
+  return schedules
+    .filter(schedule => !statuses || statuses.includes(schedule.status))
+    .filter(schedule => (!from || schedule.scheduled_date >= from) && (!to || schedule.scheduled_date <= to))
+    .sort((a, b) => String(a.scheduled_date).localeCompare(String(b.scheduled_date)));
+};
+
+// Move a scheduled payment to another date or amount
+const updateScheduledPayment = async (scheduleId, { scheduled_date, amount, payment_method }) => {
+  const schedule = await getScheduledPayment(scheduleId);
+  if (schedule.status !== 'scheduled') {
+    throw new PaymentScheduleError(`Payment is already ${schedule.status}`, 409);
+  }
+  const fields = { updated_at: new Date().toISOString() };
+  if (scheduled_date !== undefined) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(scheduled_date)) {
+      throw new PaymentScheduleError('Scheduled date must be YYYY-MM-DD');
+    }
+    fields.scheduled_date = scheduled_date;
+  }
+  if (amount !== undefined) {
+    const value = round2(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new PaymentScheduleError('Amount must be positive');
+    }
+    fields.amount = value;
+  }
+  if (payment_method !== undefined) fields.payment_method = payment_method;
+  return airtableHelpers.update(TABLES.SCHEDULED_PAYMENTS, scheduleId, fields);
+};
+
+const cancelScheduledPayment = async (scheduleId, user) => {
+  const schedule = await getScheduledPayment(scheduleId);
+  const cancelled = await airtableHelpers.updateIfMatch(TABLES.SCHEDULED_PAYMENTS, scheduleId,
+    { status: 'scheduled' },
+    { status: 'cancelled', cancelled_by: user?.id ? [user.id] : undefined, cancelled_at: new Date().toISOString() });
+  if (!cancelled) {
+    throw new PaymentScheduleError(`Payment is already ${schedule.status}`, 409);
+  }
+  return cancelled;
+};
+
+/**
+ * Pay a scheduled payment now: record it in Payments_Made and against the
+ * bill. The schedule is claimed first so it is only ever paid once.
+ */
+const payScheduledPayment = async (scheduleId, { reference_number, notes } = {}, user) => {
+  await getScheduledPayment(scheduleId);
+  const claimed = await airtableHelpers.updateIfMatch(TABLES.SCHEDULED_PAYMENTS, scheduleId,
+    { status: 'scheduled' },
+    { status: 'processing' });
+  if (!claimed) {
+    const schedule = await getScheduledPayment(scheduleId);
+    throw new PaymentScheduleError(`Payment is already ${schedule.status}`, 409);
+  }
+
+  let payment = null;
+  try {
+    const billId = firstId(claimed.bill_id);
+    const bill = await airtableHelpers.findById(TABLES.BILLS, billId);
+    const amount = Math.min(Number(claimed.amount) || 0, balanceOf(bill));
+    if (amount <= 0) {
+      throw new PaymentScheduleError('Bill has already been paid', 409);
+    }
+
+    const paymentDate = today();
+    payment = await airtableHelpers.create(TABLES.PAYMENTS_MADE, {
+      bill_id: [billId],
+      vendor_id: bill.vendor_id,
+      vendor_name: bill.vendor_name,
+      amount,
+      payment_date: paymentDate,
+      payment_method: claimed.payment_method || DEFAULT_PAYMENT_METHOD,
+      reference_number: reference_number || `SCH_${scheduleId}`,
+      notes: notes || '',
+      status: 'completed',
+      scheduled_payment_id: [scheduleId],
+      created_by: user?.id ? [user.id] : undefined,
+      created_at: new Date().toISOString()
+    });
+
+    const amountPaid = round2((Number(bill.amount_paid) || 0) + amount);
+    const balanceDue = round2((Number(bill.total_amount) || 0) - amountPaid);
+    await airtableHelpers.update(TABLES.BILLS, billId, {
+      amount_paid: amountPaid,
+      balance_due: Math.max(0, balanceDue),
+      payment_status: balanceDue <= 0 ? 'paid' : 'partial',
+      last_payment_date: paymentDate
+    });
+
+    const schedule = await airtableHelpers.update(TABLES.SCHEDULED_PAYMENTS, scheduleId, {
+      status: 'paid',
+      payment_id: [payment.id],
+      paid_at: new Date().toISOString(),
+      paid_by: user?.id ? [user.id] : undefined
+    });
+    return { schedule, payment };
+  } catch (error) {
+    // Hand the schedule back unless the money has already been recorded
+    if (!payment) {
+      await airtableHelpers.update(TABLES.SCHEDULED_PAYMENTS, scheduleId, { status: 'scheduled' });
+    }
+    throw error;
+  }
+};
+
+// Close schedules whose bill was paid or cancelled some other way
+const settleStaleSchedules = async () => {
+  const [bills, schedules] = await Promise.all([
+    airtableHelpers.find(TABLES.BILLS),
+    airtableHelpers.find(TABLES.SCHEDULED_PAYMENTS)
+  ]);
+  const billById = new Map(bills.map(bill => [bill.id, bill]));
+  let settled = 0;
+  for (const schedule of liveSchedules(schedules)) {
+    const bill = billById.get(firstId(schedule.bill_id));
+    if (bill && isOpen(bill)) continue;
+    const updated = await airtableHelpers.updateIfMatch(TABLES.SCHEDULED_PAYMENTS, schedule.id,
+      { status: 'scheduled' },
+      { status: bill && bill.payment_status === 'paid' ? 'settled' : 'cancelled', updated_at: new Date().toISOString() });
+    if (updated) settled++;
+  }
+  return settled;
+};
+
+/**
+ * Cash going out over the next 30, 60 and 90 days (or the given `windows`):
+ * scheduled payments on their date, other approved bills and bills awaiting
+ * approval on their due date, and bills recurring templates will raise.
+ * Anything already overdue is counted as due today.
+ */
+const getOutflowPreview = async ({ asOf = today(), windows = OUTFLOW_WINDOWS } = {}) => {
+  const horizon = addDays(asOf, Math.max(...windows));
+  const [bills, schedules, templates, suppliers] = await Promise.all([
+    airtableHelpers.find(TABLES.BILLS),
+    airtableHelpers.find(TABLES.SCHEDULED_PAYMENTS),
+    listTemplates({ status: 'active' }),
+    listSuppliers()
+  ]);
+  const billById = new Map(bills.map(bill => [bill.id, bill]));
+  const scheduledBills = new Set();
+  const items = [];
+
+  for (const schedule of liveSchedules(schedules)) {
+    const bill = billById.get(firstId(schedule.bill_id));
+    if (!bill || !isOpen(bill)) continue;
+    scheduledBills.add(bill.id);
+    items.push({
+      source: 'scheduled',
+      date: schedule.scheduled_date,
+      amount: Math.min(Number(schedule.amount) || 0, balanceOf(bill)),
+      vendor_name: schedule.vendor_name,
+      bill_id: bill.id,
+      bill_number: bill.bill_number,
+      scheduled_payment_id: schedule.id
+    });
+  }
+
+  for (const bill of bills) {
+    if (!isOpen(bill) || scheduledBills.has(bill.id)) continue;
+    items.push({
+      source: bill.status === 'approved' ? 'approved' : 'pending_approval',
+      date: bill.due_date || bill.bill_date,
+      amount: balanceOf(bill),
+      vendor_name: bill.vendor_name,
+      bill_id: bill.id,
+      bill_number: bill.bill_number
+    });
+  }
+
+  const supplierTerms = new Map(suppliers.map(supplier => [supplier.id, Number(supplier.payment_terms_days) || 0]));
+  for (const template of templates) {
+    for (const occurrence of projectOccurrences(template, horizon, supplierTerms.get(firstId(template.vendor_id)) || 0)) {
+      items.push({
+        source: 'recurring',
+        date: occurrence.due_date,
+        amount: occurrence.amount,
+        vendor_name: template.vendor_name,
+        recurring_bill_id: template.id,
+        name: template.name,
+        bill_date: occurrence.bill_date
+      });
+    }
+  }
+
+  const upcoming = items
+    .map(item => ({ ...item, overdue: item.date < asOf }))
+    .filter(item => item.date <= horizon)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+  const sum = (rows) => round2(rows.reduce((total, item) => total + item.amount, 0));
+  const sources = ['scheduled', 'approved', 'pending_approval', 'recurring'];
+
+  return {
+    as_of: asOf,
+    overdue: sum(upcoming.filter(item => item.overdue)),
+    windows: windows.map(days => {
+      const until = addDays(asOf, days);
+      const inWindow = upcoming.filter(item => item.date <= until);
+      return {
+        days,
+        until,
+        total: sum(inWindow),
+        by_source: Object.fromEntries(sources.map(source => [source, sum(inWindow.filter(item => item.source === source))]))
+      };
+    }),
+    items: upcoming
+  };
+};
+
+module.exports = {
+  OUTFLOW_WINDOWS,
+  PaymentScheduleError,
+  getPaymentQueue,
+  schedulePayments,
+  getScheduledPayment,
+  listScheduledPayments,
+  updateScheduledPayment,
+  cancelScheduledPayment,
+  payScheduledPayment,
+  settleStaleSchedules,
+  getOutflowPreview
+};
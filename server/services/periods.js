@@ -0,0 +1,200 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+
+/**
+ * Accounting periods. Closing a period locks its dates: dated financial
+ * records falling in it can no longer be created, changed or deleted, and
+ * ledger postings that would land in it (reversing an old entry, a late
+ * posting) go in on the first open date after it instead. Corrections to a
+ * closed period are therefore always new entries in an open one.
+ *
+ * A boss closes periods; only an admin can reopen one, and must give a
+ * reason. Every close and reopen is kept in the period's history.
+ */
+
+// Dated financial records and the field that dates them
+const DATED_TABLES = {
+  [TABLES.SALES]: 'sale_date',
+  [TABLES.EXPENSES]: 'expense_date',
+  [TABLES.BILLS]: 'bill_date',
+  [TABLES.PAYMENTS_MADE]: 'payment_date',
+  [TABLES.CUSTOMER_PAYMENTS]: 'payment_date',
+  [TABLES.VENDOR_CREDITS]: 'credit_date',
+  [TABLES.PAYROLL]: 'period_end',
+  [TABLES.INVENTORY_ADJUSTMENTS]: 'adjustment_date',
+  [TABLES.JOURNAL_ENTRIES]: 'entry_date'
+};
+
+class PeriodError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'PeriodError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+const dateOf = (value) => (value ? String(value).split('T')[0] : new Date().toISOString().split('T')[0]);
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+};
+
+const parseHistory = (period) => {
+  try {
+    return JSON.parse(period.history || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+const present = (period) => ({ ...period, history: parseHistory(period) });
+
+const summary = (period) => ({ id: period.id, name: period.name, start_date: period.start_date, end_date: period.end_date });
+
+const contains = (period, date) => period.start_date <= date && date <= period.end_date;
+
+const closedPeriods = async () => (await airtableHelpers.find(TABLES.ACCOUNTING_PERIODS)).filter(period => period.status === 'closed');
+
+const listPeriods = async ({ status } = {}) => {
+  const periods = await airtableHelpers.find(TABLES.ACCOUNTING_PERIODS);
+  return periods
+    .filter(period => !status || period.status === status)
+    .sort((a, b) => String(b.start_date).localeCompare(String(a.start_date)))
+    .map(present);
+};
+
+const getPeriod = async (periodId) => {
+  const period = await airtableHelpers.findById(TABLES.ACCOUNTING_PERIODS, periodId).catch(() => null);
+  if (!period) {
+    throw new PeriodError('Accounting period not found', 404);
+  }
+  return period;
+};
+
+// The first of `dates` that falls in a closed period, with that period
+const findClosedDate = async (dates) => {
+  const periods = await closedPeriods();
+  for (const date of dates.filter(Boolean).map(dateOf)) {
+    const period = periods.find(p => contains(p, date));
+    if (period) return { date, period: summary(period) };
+  }
+  return null;
+};
+
+const closedPeriodOn = async (date) => {
+  const closed = await findClosedDate([date]);
+  return closed ? closed.period : null;
+};
+
+// `date` itself when open, otherwise the first open date after it
+const openDateFor = async (date) => {
+  const periods = await closedPeriods();
+  let day = dateOf(date);
+  for (let period = periods.find(p => contains(p, day)); period; period = periods.find(p => contains(p, day))) {
+    day = addDays(period.end_date, 1);
+  }
+  return day;
+};
+
+const recordDate = (table, record) => record[DATED_TABLES[table]] || record.created_at;
+
+const closedMessage = (label, date, period) =>
+  `${label} dated ${date} falls in the closed accounting period ${period.name}; record corrections in an open period`;
+
+// Body: name?, start_date, end_date, notes?
+const createPeriod = async (body, user) => {
+  const { start_date: startDate, end_date: endDate } = body;
+  if (!isDate(startDate) || !isDate(endDate)) {
+    throw new PeriodError('start_date and end_date must be YYYY-MM-DD');
+  }
+  if (startDate > endDate) {
+    throw new PeriodError('start_date must not be after end_date');
+  }
+  const periods = await airtableHelpers.find(TABLES.ACCOUNTING_PERIODS);
+  const overlapping = periods.find(period => period.start_date <= endDate && startDate <= period.end_date);
+  if (overlapping) {
+    throw new PeriodError(`Overlaps the accounting period ${overlapping.name}`, 409, { period: summary(overlapping) });
+  }
+  return present(await airtableHelpers.create(TABLES.ACCOUNTING_PERIODS, {
+    name: body.name ? String(body.name).trim() : `${startDate} to ${endDate}`,
+    start_date: startDate,
+    end_date: endDate,
+    notes: body.notes || undefined,
+    status: 'open',
+    history: '[]',
+    created_by: user && user.id ? [user.id] : undefined,
+    created_at: new Date().toISOString()
+  }));
+};
+
+// Status change plus a history entry, only if nobody changed the period meanwhile
+const transition = async (period, from, to, event, fields = {}) => {
+  const updated = await airtableHelpers.updateIfMatch(TABLES.ACCOUNTING_PERIODS, period.id, { status: from, history: period.history }, {
+    ...fields,
+    status: to,
+    history: JSON.stringify([...parseHistory(period), event])
+  });
+  if (!updated) {
+    throw new PeriodError(`Accounting period ${period.name} was changed by someone else; try again`, 409);
+  }
+  return present(updated);
+};
+
+const closePeriod = async (periodId, { notes } = {}, user) => {
+  const period = await getPeriod(periodId);
+  if (period.status !== 'open') {
+    throw new PeriodError(`Accounting period ${period.name} is already closed`, 409);
+  }
+  const now = new Date().toISOString();
+  return transition(period, 'open', 'closed', { action: 'close', at: now, by: user ? user.id : null, notes: notes || undefined }, {
+    closed_at: now,
+    closed_by: user && user.id ? [user.id] : undefined
+  });
+};
+
+const reopenPeriod = async (periodId, { reason } = {}, user) => {
+  if (!reason || !String(reason).trim()) {
+    throw new PeriodError('A reason is required to reopen an accounting period');
+  }
+  const period = await getPeriod(periodId);
+  if (period.status !== 'closed') {
+    throw new PeriodError(`Accounting period ${period.name} is not closed`, 409);
+  }
+  const now = new Date().toISOString();
+  console.warn(`[PERIODS] ${period.name} reopened by ${user ? user.id : 'unknown'}: ${reason}`);
+  return transition(period, 'closed', 'open', { action: 'reopen', at: now, by: user ? user.id : null, reason: String(reason).trim() }, {
+    reopened_at: now,
+    reopened_by: user && user.id ? [user.id] : undefined,
+    reopen_reason: String(reason).trim(),
+    reopen_count: (Number(period.reopen_count) || 0) + 1
+  });
+};
+
+// Only periods that were never closed can be deleted
+const deletePeriod = async (periodId) => {
+  const period = await getPeriod(periodId);
+  if (period.status !== 'open' || parseHistory(period).length > 0) {
+    throw new PeriodError('Only accounting periods that were never closed can be deleted', 409);
+  }
+  await airtableHelpers.delete(TABLES.ACCOUNTING_PERIODS, period.id);
+  return present(period);
+};
+
+module.exports = {
+  DATED_TABLES,
+  PeriodError,
+  listPeriods,
+  createPeriod,
+  closePeriod,
+  reopenPeriod,
+  deletePeriod,
+  findClosedDate,
+  closedPeriodOn,
+  openDateFor,
+  recordDate,
+  closedMessage
+};
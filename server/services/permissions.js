@@ -0,0 +1,310 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+
+/**
+ * Named permissions, granted to roles.
+ *
+ * Routes ask for a permission (`requirePermission('bills.pay')`), never for
+ * a role. Each role's permissions start as DEFAULT_ROLES and can be edited
+ * by admins; edited and custom roles are rows in the Roles table, one per
+ * role with its permissions as a JSON array. Admin holds every permission
+ * and can't be edited.
+ */
+
+const PERMISSIONS = {
+  'accounting.view': 'Read the chart of accounts, journal, financial statements and periods',
+  'accounting.all_branches': 'See every branch\'s books, not only your own',
+  'accounting.accounts.manage': 'Create and edit ledger accounts',
+  'accounting.journal.post': 'Post manual journal entries',
+  'accounting.periods.manage': 'Create, close and delete accounting periods',
+  'accounting.periods.reopen': 'Reopen a closed accounting period',
+  'accounting.postings.manage': 'See and repost automatic journal postings',
+  'audit.view': 'Read the audit log',
+  'bills.view': 'Read supplier bills',
+  'bills.create': 'Enter supplier bills',
+  'bills.match': 'Match bills to purchase orders and receipts',
+  'bills.match.override': 'Approve a bill whose match failed, with a reason',
+  'bills.approve': 'Change a bill\'s status, including approval',
+  'bills.pay': 'Record payments against bills',
+  'bills.delete': 'Delete supplier bills',
+  'bills.recurring.manage': 'Set up and run recurring bills',
+  'bills.recurring.scheduler.view': 'See the recurring bills scheduler',
+  'branches.all': 'Work at every branch, not only your own: see it, sell, count and transfer stock there',
+  'branches.create': 'Open branches',
+  'branches.update': 'Edit your own branch',
+  'branches.update.any': 'Edit any branch',
+  'branches.delete': 'Close branches',
+  'customers.manage': 'Add and edit customers',
+  'customers.credit.manage': 'Set customers\' credit limits and terms',
+  'dashboards.view': 'See the manager and admin dashboards',
+  'data.bulk': 'Bulk create, update and delete through the data API',
+  'data.protected_tables.write': 'Write stock, sales and expenses directly through the data API',
+  'employees.view': 'Read employee records and their sales, expenses and payroll',
+  'employees.create': 'Add employees',
+  'employees.update': 'Edit, activate and deactivate employees',
+  'employees.delete': 'Delete employees',
+  'employees.reset_password': 'Reset an employee\'s password',
+  'expenses.update': 'Edit recorded expenses',
+  'expenses.delete': 'Delete recorded expenses',
+  'fleet.manage': 'Add and transfer vehicles and log maintenance',
+  'hr.view': 'See the HR dashboards, reports, documents and attendance',
+  'logistics.view': 'See logistics data across branches',
+  'payments.schedule': 'Schedule, change and cancel supplier payments',
+  'payments.process': 'Process supplier payments and change their status',
+  'payments.outflow.view': 'See the cash outflow forecast',
+  'payroll.view': 'Read payroll and payslips',
+  'payroll.generate': 'Generate payroll for a period',
+  'payroll.update': 'Edit payroll entries',
+  'payroll.process': 'Process payroll in bulk',
+  'payroll.payslips.send': 'Send payslips to employees',
+  'products.manage': 'Create and edit products',
+  'products.delete': 'Deactivate products',
+  'products.backfill': 'Backfill the product catalogue from stock',
+  'purchase_orders.view': 'Read purchase orders and their receipts',
+  'purchase_orders.create': 'Raise purchase orders',
+  'purchase_orders.update': 'Edit purchase orders',
+  'purchase_orders.approve': 'Approve and reject purchase orders',
+  'purchase_orders.receive': 'Receive, deliver and complete purchase orders',
+  'purchase_orders.pay': 'Record payments against purchase orders',
+  'purchase_orders.delete': 'Delete purchase orders',
+  'receivables.view': 'See customer ageing',
+  'receivables.all_branches': 'See customer ageing for every branch, not only your own',
+  'receivables.allocate': 'Allocate customer payments to invoices',
+  'receiving.view': 'Read goods received notes',
+  'receiving.create': 'Record goods received',
+  'receiving.update': 'Change a goods received note\'s status',
+  'receiving.approve': 'Approve goods received',
+  'receiving.delete': 'Delete goods received notes',
+  'reports.view': 'See the boss reports and exports',
+  'roles.manage': 'Edit roles and their permissions, create accounts and assign roles',
+  'sales.update': 'Edit recorded sales',
+  'sales.delete': 'Delete recorded sales',
+  'sales.discount.unlimited': 'Give discounts above the cashier limit',
+  'security.lockouts.manage': 'See and clear sign-in lockouts',
+  'security.mfa.manage': 'Set the MFA policy and reset users\' MFA',
+  'security.sessions.revoke': 'Sign other users out of every device',
+  'stock.adjust': 'Raise stock adjustments and write-offs',
+  'stock.adjust.approve': 'Approve and reject stock adjustments',
+  'stock.ledger.rebuild': 'Rebuild the stock ledger',
+  'stock.reorder': 'See reorder suggestions and draft orders from them',
+  'stock.transfer': 'Request, approve, cancel and close stock transfers between branches',
+  'stock.transfer.handle': 'Dispatch and receive stock transfers',
+  'stocktakes.count': 'Count stock and submit the count',
+  'stocktakes.manage': 'Run stocktakes and see their variance and expected quantities',
+  'stocktakes.approve': 'Approve stocktakes, posting their adjustments',
+  'suppliers.manage': 'Create and edit suppliers',
+  'suppliers.bank.view': 'See suppliers\' bank details',
+  'suppliers.scorecards.view': 'See supplier scorecards',
+  'xero.view': 'See the Xero connection, mappings and sync log',
+  'xero.sync': 'Sync with Xero and map accounts'
+};
+
+const MANAGER_PERMISSIONS = [
+  'accounting.view',
+  'bills.view', 'bills.create', 'bills.match', 'bills.approve', 'bills.pay', 'bills.recurring.manage',
+  'branches.all', 'branches.update',
+  'customers.manage', 'customers.credit.manage',
+  'dashboards.view',
+  'employees.view',
+  'expenses.update', 'expenses.delete',
+  'fleet.manage',
+  'logistics.view',
+  'payments.schedule', 'payments.process', 'payments.outflow.view',
+  'products.manage',
+  'purchase_orders.view', 'purchase_orders.create', 'purchase_orders.update', 'purchase_orders.approve',
+  'purchase_orders.receive', 'purchase_orders.pay', 'purchase_orders.delete',
+  'receivables.view', 'receivables.allocate',
+  'receiving.view', 'receiving.create', 'receiving.update', 'receiving.approve',
+  'reports.view',
+  'sales.update', 'sales.delete', 'sales.discount.unlimited',
+  'stock.adjust', 'stock.adjust.approve', 'stock.ledger.rebuild', 'stock.reorder', 'stock.transfer', 'stock.transfer.handle',
+  'stocktakes.count', 'stocktakes.manage', 'stocktakes.approve',
+  'suppliers.manage', 'suppliers.bank.view', 'suppliers.scorecards.view'
+];
+
+// What counter staff do at their own branch
+const STAFF_PERMISSIONS = ['customers.manage', 'stocktakes.count'];
+
+const HR_PERMISSIONS = [
+  'audit.view',
+  'branches.all',
+  'employees.view', 'employees.create', 'employees.update', 'employees.delete', 'employees.reset_password',
+  'hr.view',
+  'payroll.view', 'payroll.generate', 'payroll.update', 'payroll.process', 'payroll.payslips.send'
+];
+
+const DEFAULT_ROLES = {
+  boss: {
+    description: 'Business owner',
+    permissions: [
+      ...MANAGER_PERMISSIONS,
+      ...HR_PERMISSIONS.filter(permission => !MANAGER_PERMISSIONS.includes(permission)),
+      'accounting.all_branches', 'accounting.accounts.manage', 'accounting.journal.post', 'accounting.periods.manage', 'accounting.postings.manage',
+      'bills.delete', 'bills.match.override', 'bills.recurring.scheduler.view',
+      'branches.create', 'branches.update.any', 'branches.delete',
+      'data.bulk',
+      'products.delete', 'products.backfill',
+      'receivables.all_branches',
+      'receiving.delete',
+      'xero.view', 'xero.sync'
+    ]
+  },
+  manager: { description: 'Branch manager', permissions: MANAGER_PERMISSIONS },
+  hr: { description: 'Human resources', permissions: HR_PERMISSIONS },
+  sales: { description: 'Sales staff', permissions: STAFF_PERMISSIONS },
+  logistics: { description: 'Drivers and logistics staff', permissions: [...STAFF_PERMISSIONS, 'stock.transfer.handle'] },
+  employee: { description: 'Other staff', permissions: ['stocktakes.count'] }
+};
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,39}$/;
+// Custom roles are re-read after this long; 0 reads them on every check
+const CACHE_MS = envNumber('ROLE_CACHE_SECONDS', 60) * 1000;
+
+class PermissionError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'PermissionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Saved roles by name, read at most every ROLE_CACHE_SECONDS; every
+// authorised request needs them
+let cache = null;
+
+const loadSavedRoles = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) {
+    return cache.roles;
+  }
+  const rows = await airtableHelpers.find(TABLES.ROLES);
+  const roles = new Map();
+  for (const row of rows) {
+    try {
+      roles.set(row.name, { ...row, permissions: JSON.parse(row.permissions || '[]') });
+    } catch (error) {
+      console.warn(`Ignoring unreadable permissions of role ${row.name}:`, error.message);
+    }
+  }
+  cache = { roles, loadedAt: Date.now() };
+  return roles;
+};
+
+const present = (name, saved) => {
+  const defaults = DEFAULT_ROLES[name];
+  const source = saved || defaults;
+  return {
+    name,
+    description: source.description || (defaults && defaults.description) || '',
+    permissions: [...source.permissions].sort(),
+    built_in: Boolean(defaults),
+    customized: Boolean(defaults && saved),
+    updated_at: saved ? saved.updated_at : null
+  };
+};
+
+const getRole = async (name) => {
+  if (name === 'admin') {
+    return { name, description: 'Administrator', permissions: Object.keys(PERMISSIONS).sort(), built_in: true, customized: false, updated_at: null };
+  }
+  const saved = (await loadSavedRoles()).get(name);
+  return saved || DEFAULT_ROLES[name] ? present(name, saved) : null;
+};
+
+const listRoles = async () => {
+  const saved = await loadSavedRoles();
+  const names = new Set(['admin', ...Object.keys(DEFAULT_ROLES), ...saved.keys()]);
+  return Promise.all([...names].map(getRole));
+};
+
+// The permissions a user's role holds; none for an unknown role
+const permissionsFor = async (user) => {
+  const role = user && user.role ? await getRole(user.role) : null;
+  return role ? role.permissions : [];
+};
+
+const hasPermission = async (user, permission) =>
+  Boolean(user) && (user.role === 'admin' || (await permissionsFor(user)).includes(permission));
+
+// Giving someone a role decides what they can do, so it takes roles.manage
+// (an HR permission to edit employees is not enough); throws when `user`
+// may not give `role`, or it doesn't exist
+const assertCanAssignRole = async (user, role) => {
+  if (!(await hasPermission(user, 'roles.manage'))) {
+    throw new PermissionError('Assigning roles requires the roles.manage permission', 403, { required: 'roles.manage' });
+  }
+  if (!(await getRole(role))) {
+    throw new PermissionError(`Unknown role ${role}`);
+  }
+};
+
+/**
+ * Create or replace a role's permissions; body fields `permissions` (names
+ * from PERMISSIONS) and an optional `description`.
+ */
+const saveRole = async (name, { permissions, description } = {}, user) => {
+  if (name === 'admin') {
+    throw new PermissionError('The admin role holds every permission and can\'t be edited');
+  }
+  if (!ROLE_NAME.test(name || '')) {
+    throw new PermissionError('Role names are 2-40 lowercase letters, digits, - or _, starting with a letter');
+  }
+  if (!Array.isArray(permissions)) {
+    throw new PermissionError('permissions must be an array of permission names');
+  }
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length) {
+    throw new PermissionError('Unknown permissions', 400, { unknown });
+  }
+
+  const fields = {
+    name,
+    description: description !== undefined ? String(description) : (await getRole(name) || {}).description,
+    permissions: JSON.stringify([...new Set(permissions)].sort()),
+    updated_at: new Date().toISOString(),
+    updated_by: user && user.id ? [user.id] : undefined
+  };
+  const existing = (await loadSavedRoles()).get(name);
+  if (existing) {
+    await airtableHelpers.update(TABLES.ROLES, existing.id, fields);
+  } else {
+    await airtableHelpers.create(TABLES.ROLES, fields);
+  }
+  cache = null;
+  return getRole(name);
+};
+
+/**
+ * Delete a custom role, or put a built-in one back to its defaults. A custom
+ * role still held by an employee can't be deleted.
+ */
+const deleteRole = async (name) => {
+  const saved = (await loadSavedRoles()).get(name);
+  if (name === 'admin' || (!saved && !DEFAULT_ROLES[name])) {
+    throw new PermissionError(name === 'admin' ? 'The admin role can\'t be deleted' : 'Role not found', name === 'admin' ? 400 : 404);
+  }
+  if (!DEFAULT_ROLES[name]) {
+    const holders = (await airtableHelpers.find(TABLES.EMPLOYEES)).filter(employee => employee.role === name);
+    if (holders.length) {
+      throw new PermissionError(`${holders.length} employee(s) still have this role; give them another role first`, 409, { employees: holders.map(employee => employee.id) });
+    }
+  }
+  if (saved) {
+    await airtableHelpers.delete(TABLES.ROLES, saved.id);
+    cache = null;
+  }
+  return DEFAULT_ROLES[name] ? getRole(name) : null;
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  PermissionError,
+  listRoles,
+  getRole,
+  permissionsFor,
+  hasPermission,
+  assertCanAssignRole,
+  saveRole,
+  deleteRole
+};
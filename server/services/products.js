@@ -0,0 +1,269 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { COSTING_METHODS } = require('./costing');
+
+// Tables whose lines point at a catalogue product through `product_id`
+const PRODUCT_LINKED_TABLES = [
+  TABLES.STOCK,
+  TABLES.SALE_ITEMS,
+  TABLES.ORDER_ITEMS,
+  TABLES.RECEIVE_ITEMS,
+  TABLES.INVENTORY_ADJUSTMENTS,
+  TABLES.ADJUSTMENT_ITEMS
+];
+
+class ProductError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProductError';
+    this.status = status;
+  }
+}
+
+const normalizeName = (name) => (name || '').toLowerCase().trim();
+
+const normalizeCode = (code) => (code === undefined || code === null ? '' : String(code).trim().toUpperCase());
+
+// Next sequential SKU such as "SKU-00042"
+const nextSku = (products) => {
+  const highest = products.reduce((max, product) => {
+    const match = /^SKU-(\d+)$/.exec(product.sku || '');
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return `SKU-${String(highest + 1).padStart(5, '0')}`;
+};
+
+const findProduct = (products, { productId, sku, barcode, productName }) => {
+  if (productId) {
+    const byId = products.find(p => p.id === productId);
+    if (byId) return byId;
+  }
+  if (sku) {
+    const bySku = products.find(p => normalizeCode(p.sku) === normalizeCode(sku));
+    if (bySku) return bySku;
+  }
+  if (barcode) {
+    const byBarcode = products.find(p => p.barcode && String(p.barcode).trim() === String(barcode).trim());
+    if (byBarcode) return byBarcode;
+  }
+  if (productName) {
+    return products.find(p => normalizeName(p.product_name) === normalizeName(productName)) || null;
+  }
+  return null;
+};
+
+// Reject a SKU or barcode that already belongs to another product
+const assertUniqueCodes = (products, { sku, barcode }, exceptId) => {
+  const others = products.filter(p => p.id !== exceptId);
+  if (sku && others.some(p => normalizeCode(p.sku) === normalizeCode(sku))) {
+    throw new ProductError(`SKU ${sku} is already used by another product`, 409);
+  }
+  if (barcode && others.some(p => p.barcode && String(p.barcode).trim() === String(barcode).trim())) {
+    throw new ProductError(`Barcode ${barcode} is already used by another product`, 409);
+  }
+};
+
+// An empty costing method falls back to the company default
+const assertCostingMethod = ({ costing_method }) => {
+  if (costing_method && !COSTING_METHODS.includes(costing_method)) {
+    throw new ProductError(`Costing method must be one of: ${COSTING_METHODS.join(', ')}`);
+  }
+};
+
+const toNumberOrUndefined = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Pick the catalogue fields out of a request body
+const productFieldsFrom = (body) => {
+  const fields = {};
+  if (body.product_name !== undefined) fields.product_name = String(body.product_name).trim();
+  if (body.sku !== undefined) fields.sku = normalizeCode(body.sku);
+  if (body.barcode !== undefined) fields.barcode = body.barcode ? String(body.barcode).trim() : '';
+  if (body.category !== undefined) fields.category = body.category;
+  if (body.unit_of_measure !== undefined) fields.unit_of_measure = body.unit_of_measure;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.default_cost !== undefined) fields.default_cost = toNumberOrUndefined(body.default_cost);
+  if (body.default_price !== undefined) fields.default_price = toNumberOrUndefined(body.default_price);
+  if (body.reorder_level !== undefined) fields.reorder_level = toNumberOrUndefined(body.reorder_level);
+  if (body.costing_method !== undefined) fields.costing_method = body.costing_method;
+  if (body.preferred_supplier !== undefined) fields.preferred_supplier = body.preferred_supplier;
+  if (body.lead_time_days !== undefined) fields.lead_time_days = toNumberOrUndefined(body.lead_time_days);
+  if (body.safety_stock !== undefined) fields.safety_stock = toNumberOrUndefined(body.safety_stock);
+  if (body.serial_tracked !== undefined) fields.serial_tracked = body.serial_tracked === true || body.serial_tracked === 'true';
+  if (body.active !== undefined) fields.active = body.active === true || body.active === 'true';
+  return fields;
+};
+
+const getProducts = () => airtableHelpers.find(TABLES.PRODUCTS);
+
+const createProduct = async (body, { userId, products } = {}) => {
+  const fields = productFieldsFrom(body);
+  if (!fields.product_name) {
+    throw new ProductError('Product name is required');
+  }
+  assertCostingMethod(fields);
+
+  const catalogue = products || await getProducts();
+  if (findProduct(catalogue, { productName: fields.product_name })) {
+    throw new ProductError(`A product named ${fields.product_name} already exists`, 409);
+  }
+  if (!fields.sku) fields.sku = nextSku(catalogue);
+  assertUniqueCodes(catalogue, fields);
+
+  const product = await airtableHelpers.create(TABLES.PRODUCTS, {
+    unit_of_measure: 'each',
+    active: true,
+    ...fields,
+    created_by: userId ? [userId] : undefined,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+  catalogue.push(product);
+  return product;
+};
+
+const updateProduct = async (productId, body) => {
+  const products = await getProducts();
+  const product = products.find(p => p.id === productId);
+  if (!product) {
+    throw new ProductError('Product not found', 404);
+  }
+
+  const fields = productFieldsFrom(body);
+  if (fields.product_name === '') {
+    throw new ProductError('Product name cannot be empty');
+  }
+  if (fields.sku === '') {
+    throw new ProductError('SKU cannot be empty');
+  }
+  assertCostingMethod(fields);
+  if (fields.product_name) {
+    const sameName = findProduct(products.filter(p => p.id !== productId), { productName: fields.product_name });
+    if (sameName) {
+      throw new ProductError(`A product named ${fields.product_name} already exists`, 409);
+    }
+  }
+  assertUniqueCodes(products, fields, productId);
+
+  const updated = await airtableHelpers.update(TABLES.PRODUCTS, productId, {
+    ...fields,
+    updated_at: new Date().toISOString()
+  });
+
+  // Stock rows carry the name for display, keep them in step with the catalogue
+  if (fields.product_name && fields.product_name !== product.product_name) {
+    const stockRows = await airtableHelpers.find(TABLES.STOCK);
+    await Promise.all(stockRows
+      .filter(stock => stock.product_id === productId)
+      .map(stock => airtableHelpers.update(TABLES.STOCK, stock.id, { product_name: fields.product_name })));
+  }
+
+  return updated;
+};
+
+/**
+ * Returns a resolver that maps a line reference (`product_id`, `sku`,
+ * `barcode` or, for older clients, `product_name`) to a catalogue product.
+ * The catalogue is loaded once per resolver so a whole document can be
+ * resolved with a single read.
+ *
+ * With `createIfMissing` an unknown product name is added to the catalogue
+ * using `defaults` (e.g. the unit cost on a goods receipt); otherwise unknown
+ * references resolve to null. Inactive products are rejected unless
+ * `allowInactive` is set.
+ */
+const createProductResolver = ({ userId } = {}) => {
+  let products;
+
+  return async (ref, { createIfMissing = false, allowInactive = false, defaults = {} } = {}) => {
+    if (!products) products = await getProducts();
+
+    const product = findProduct(products, {
+      productId: ref.product_id || ref.productId,
+      sku: ref.sku,
+      barcode: ref.barcode,
+      productName: ref.product_name || ref.productName
+    });
+
+    if (product) {
+      if (product.active === false && !allowInactive) {
+        throw new ProductError(`Product ${product.product_name} is inactive`, 409);
+      }
+      return product;
+    }
+
+    const productName = ref.product_name || ref.productName;
+    if (!createIfMissing || !productName) return null;
+
+    return createProduct({ ...defaults, product_name: productName }, { userId, products });
+  };
+};
+
+// Fields copied onto every line that references a product
+const productLinkFields = (product) => (product ? {
+  product_id: product.id,
+  product_name: product.product_name
+} : {});
+
+/**
+ * Create catalogue products for every product name that only exists on Stock
+ * rows and point lines in PRODUCT_LINKED_TABLES at them. Lines already linked
+ * to a catalogue product are left alone, so this can be re-run safely.
+ */
+const backfillProductLinks = async ({ userId } = {}) => {
+  const products = await getProducts();
+  const productIds = new Set(products.map(p => p.id));
+  const resolve = createProductResolver({ userId });
+  const createdBefore = products.length;
+  const linked = {};
+
+  // Stock first so new products pick up the price and reorder level from it
+  for (const table of PRODUCT_LINKED_TABLES) {
+    let rows;
+    try {
+      rows = await airtableHelpers.find(table);
+    } catch (error) {
+      console.error(`Product backfill skipped ${table}:`, error.message);
+      continue;
+    }
+
+    linked[table] = 0;
+    for (const row of rows) {
+      if (!row.product_name || productIds.has(row.product_id)) continue;
+
+      const product = await resolve({ product_name: row.product_name }, {
+        createIfMissing: table === TABLES.STOCK,
+        allowInactive: true,
+        defaults: {
+          default_price: row.unit_price,
+          reorder_level: row.reorder_level
+        }
+      });
+      if (!product) continue;
+
+      productIds.add(product.id);
+      await airtableHelpers.update(table, row.id, { product_id: product.id });
+      linked[table]++;
+    }
+  }
+
+  const catalogue = await getProducts();
+  return {
+    productsCreated: catalogue.length - createdBefore,
+    linesLinked: linked
+  };
+};
+
+module.exports = {
+  PRODUCT_LINKED_TABLES,
+  ProductError,
+  getProducts,
+  findProduct,
+  createProduct,
+  updateProduct,
+  createProductResolver,
+  productLinkFields,
+  backfillProductLinks
+};
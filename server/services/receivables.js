@@ -0,0 +1,618 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Customer accounts and receivables, the counterpart of bills and payments
+ * on the vendor side.
+ *
+ * Customers are Contacts with `contact_type: 'customer'`. A sale paid
+ * (partly) on account is the customer's invoice: the on-account part is its
+ * `credit_amount`, and `balance_due`, `due_date` and `invoice_status` track
+ * what is still owed. `account_balance` on the customer is the sum of their
+ * open invoice balances and is what the credit limit is checked against.
+ *
+ * Customer payments land in Customer_Payments and are allocated to invoices
+ * through Payment_Allocations; whatever is not allocated stays on the
+ * payment as `unallocated_amount` (credit to use later).
+ */
+
+const DEFAULT_PAYMENT_TERMS_DAYS = envNumber('DEFAULT_PAYMENT_TERMS_DAYS', 30);
+
+const PAYMENT_METHODS = ['cash', 'card', 'mpesa', 'bank_transfer', 'cheque'];
+
+// Fields anyone can set, and those that change what a customer may owe
+// (customers.credit.manage)
+const PROFILE_FIELDS = ['name', 'phone', 'email', 'address', 'tax_pin', 'notes'];
+const CREDIT_FIELDS = ['credit_limit', 'payment_terms_days', 'credit_hold', 'is_active'];
+
+const AGEING_BUCKETS = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'days_over_90'];
+
+const BALANCE_RETRIES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReceivablesError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'ReceivablesError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const daysBetween = (from, to) => Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+
+const isCustomer = (contact) => contact && contact.contact_type === 'customer';
+
+// One account change at a time per customer, so limit checks and
+// allocations never interleave
+const customerLocks = new Map();
+
+const withCustomerLock = async (customerId, fn) => {
+  const previous = customerLocks.get(customerId) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  customerLocks.set(customerId, current);
+  try {
+    return await current;
+  } finally {
+    if (customerLocks.get(customerId) === current) {
+      customerLocks.delete(customerId);
+    }
+  }
+};
+
+// Customers
+
+const getCustomer = async (customerId) => {
+  const contact = await airtableHelpers.findById(TABLES.CONTACTS, customerId).catch(() => null);
+  if (!isCustomer(contact)) {
+    throw new ReceivablesError('Customer not found', 404);
+  }
+  return contact;
+};
+
+const customerFields = async (body, user, { creating }) => {
+  const fields = {};
+  for (const key of PROFILE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  }
+  if (body.branch_id !== undefined) {
+    fields.branch_id = body.branch_id ? [body.branch_id] : null;
+  }
+
+  const creditChanges = CREDIT_FIELDS.filter(key => body[key] !== undefined);
+  if (creditChanges.length > 0 && !(await hasPermission(user, 'customers.credit.manage'))) {
+    throw new ReceivablesError(`Setting ${creditChanges.join(', ')} requires the customers.credit.manage permission`, 403);
+  }
+  if (body.credit_limit !== undefined) {
+    const limit = Number(body.credit_limit);
+    if (!Number.isFinite(limit) || limit < 0) {
+      throw new ReceivablesError('Credit limit must be zero or more');
+    }
+    fields.credit_limit = round2(limit);
+  }
+  if (body.payment_terms_days !== undefined) {
+    const terms = parseInt(body.payment_terms_days);
+    if (!Number.isInteger(terms) || terms < 0) {
+      throw new ReceivablesError('Payment terms must be a whole number of days');
+    }
+    fields.payment_terms_days = terms;
+  }
+  if (body.credit_hold !== undefined) fields.credit_hold = Boolean(body.credit_hold);
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+
+  if (creating && !fields.name) {
+    throw new ReceivablesError('Customer name is required');
+  }
+  if (fields.name === '') {
+    throw new ReceivablesError('Customer name cannot be empty');
+  }
+  return fields;
+};
+
+const assertUnique = async (fields, exceptId) => {
+  const contacts = await airtableHelpers.find(TABLES.CONTACTS);
+  const same = (a, b) => a && b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  const duplicate = contacts.find(contact => isCustomer(contact) && contact.id !== exceptId &&
+    (same(contact.phone, fields.phone) || same(contact.email, fields.email)));
+  if (duplicate) {
+    throw new ReceivablesError(`A customer with this phone or email already exists: ${duplicate.name}`, 409, { customer_id: duplicate.id });
+  }
+};
+
+const createCustomer = async (body, user) => {
+  const fields = await customerFields(body, user, { creating: true });
+  await assertUnique(fields);
+  return airtableHelpers.create(TABLES.CONTACTS, {
+    credit_limit: 0,
+    payment_terms_days: DEFAULT_PAYMENT_TERMS_DAYS,
+    is_active: true,
+    ...fields,
+    contact_type: 'customer',
+    account_balance: 0,
+    created_by: user.id ? [user.id] : undefined,
+    created_at: new Date().toISOString()
+  });
+};
+
+const updateCustomer = async (customerId, body, user) => {
+  await getCustomer(customerId);
+  const fields = await customerFields(body, user, { creating: false });
+  if (fields.phone || fields.email) {
+    await assertUnique(fields, customerId);
+  }
+  return airtableHelpers.update(TABLES.CONTACTS, customerId, { ...fields, updated_at: new Date().toISOString() });
+};
+
+const listCustomers = async ({ search, branchId, active } = {}) => {
+  let customers = (await airtableHelpers.find(TABLES.CONTACTS)).filter(isCustomer);
+  if (search) {
+    const term = search.toLowerCase();
+    customers = customers.filter(customer =>
+      [customer.name, customer.phone, customer.email].some(value => value && String(value).toLowerCase().includes(term)));
+  }
+  if (branchId) {
+    customers = customers.filter(customer => customer.branch_id && customer.branch_id.includes(branchId));
+  }
+  if (active !== undefined) {
+    customers = customers.filter(customer => (customer.is_active !== false) === (active === true || active === 'true'));
+  }
+  return customers
+    .map(customer => ({ ...customer, available_credit: availableCredit(customer) }))
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+};
+
+const availableCredit = (customer) => round2(Math.max(0, (Number(customer.credit_limit) || 0) - (Number(customer.account_balance) || 0)));
+
+// Move the account balance with a compare-and-set; with `checkLimit` the
+// move is refused when it would take the customer over their credit limit
+const moveBalance = async (customerId, delta, { checkLimit = false } = {}) => {
+  for (let attempt = 1; attempt <= BALANCE_RETRIES; attempt++) {
+    const customer = await getCustomer(customerId);
+    const balance = Number(customer.account_balance) || 0;
+    const next = round2(balance + delta);
+
+    if (checkLimit) {
+      if (customer.is_active === false) {
+        throw new ReceivablesError(`${customer.name}'s account is inactive`, 409);
+      }
+      if (customer.credit_hold) {
+        throw new ReceivablesError(`${customer.name}'s account is on credit hold`, 409);
+      }
+      const limit = Number(customer.credit_limit) || 0;
+      if (next > limit + 0.005) {
+        throw new ReceivablesError(`Credit limit exceeded for ${customer.name}: ${availableCredit(customer)} available`, 409, {
+          credit_limit: limit,
+          account_balance: balance,
+          requested: delta,
+          available: availableCredit(customer)
+        });
+      }
+    }
+
+    const updated = await airtableHelpers.updateIfMatch(TABLES.CONTACTS, customerId,
+      { account_balance: customer.account_balance },
+      { account_balance: next });
+    if (updated) return updated;
+  }
+  throw new ReceivablesError('Customer account is busy, please retry', 409);
+};
+
+/**
+ * Put an on-account amount on the customer's account ahead of a credit sale.
+ * Returns the customer and the invoice fields to store on the sale; call
+ * `releaseCharge` if the sale does not go through.
+ */
+const chargeAccount = (customerId, amount, saleDate = today()) => withCustomerLock(customerId, async () => {
+  const customer = await moveBalance(customerId, round2(amount), { checkLimit: true });
+  const terms = customer.payment_terms_days !== undefined ? Number(customer.payment_terms_days) : DEFAULT_PAYMENT_TERMS_DAYS;
+  return {
+    customer,
+    invoiceFields: {
+      customer_id: [customerId],
+      customer_name: customer.name,
+      balance_due: round2(amount),
+      due_date: addDays(saleDate, terms),
+      invoice_status: 'unpaid'
+    }
+  };
+});
+
+const releaseCharge = (customerId, amount) => withCustomerLock(customerId, () => moveBalance(customerId, -round2(amount)));
+
+// Invoices
+
+const isInvoice = (sale) => Number(sale.credit_amount) > 0 && sale.customer_id;
+
+const invoiceStatus = (balance, amount) => (balance <= 0.005 ? 'paid' : balance < amount ? 'partial' : 'unpaid');
+
+const invoiceView = (sale, asOf = today()) => {
+  const balance = round2(Number(sale.balance_due) || 0);
+  const overdue = balance > 0 && sale.due_date ? daysBetween(sale.due_date, asOf) : 0;
+  return {
+    sale_id: sale.id,
+    receipt_number: sale.receipt_number || null,
+    branch_id: firstId(sale.branch_id) || null,
+    customer_id: firstId(sale.customer_id),
+    invoice_date: sale.sale_date,
+    due_date: sale.due_date || sale.sale_date,
+    amount: round2(Number(sale.credit_amount) || 0),
+    credited: round2(Number(sale.credit_note_amount) || 0),
+    paid: round2(Number(sale.amount_allocated) || 0),
+    balance_due: balance,
+    status: sale.invoice_status || invoiceStatus(balance, Number(sale.credit_amount)),
+    days_overdue: Math.max(overdue, 0)
+  };
+};
+
+const customerInvoices = async (customerId, { openOnly = false } = {}) => {
+  const sales = await airtableHelpers.find(TABLES.SALES);
+  return sales
+    .filter(sale => isInvoice(sale) && sale.customer_id.includes(customerId))
+    .filter(sale => !openOnly || (Number(sale.balance_due) || 0) > 0.005)
+    .sort((a, b) => String(a.due_date || a.sale_date).localeCompare(String(b.due_date || b.sale_date)) ||
+      String(a.sale_date).localeCompare(String(b.sale_date)));
+};
+
+// Reduce an invoice's balance; returns how much of `amount` it took
+const reduceInvoice = async (sale, amount, fields) => {
+  const balance = Number(sale.balance_due) || 0;
+  const applied = round2(Math.min(balance, amount));
+  if (applied <= 0) return 0;
+  const nextBalance = round2(balance - applied);
+  await airtableHelpers.update(TABLES.SALES, sale.id, {
+    ...fields(applied),
+    balance_due: nextBalance,
+    invoice_status: invoiceStatus(nextBalance, Number(sale.credit_amount))
+  });
+  return applied;
+};
+
+/**
+ * Reduce what is owed on a credit sale after a refund. Only the part of the
+ * refund that is still unpaid on the invoice comes off the account; returns
+ * that amount.
+ */
+const creditInvoice = async (saleId, amount) => {
+  const sale = await airtableHelpers.findById(TABLES.SALES, saleId);
+  if (!isInvoice(sale)) return 0;
+  const customerId = firstId(sale.customer_id);
+  return withCustomerLock(customerId, async () => {
+    const credited = await reduceInvoice(sale, Number(amount) || 0, applied => ({
+      credit_note_amount: round2((Number(sale.credit_note_amount) || 0) + applied)
+    }));
+    if (credited > 0) {
+      await moveBalance(customerId, -credited);
+    }
+    return credited;
+  });
+};
+
+// Payments and allocations
+
+// Oldest due first, or the given `[{ sale_id, amount }]` in the order given
+const planAllocations = (invoices, amount, requested) => {
+  const byId = new Map(invoices.map(invoice => [invoice.id, invoice]));
+  const plan = [];
+  let remaining = round2(amount);
+
+  if (requested && requested.length > 0) {
+    for (const allocation of requested) {
+      const invoice = byId.get(allocation.sale_id);
+      if (!invoice) {
+        throw new ReceivablesError(`Sale ${allocation.sale_id} is not an open invoice for this customer`, 400);
+      }
+      const value = round2(Number(allocation.amount));
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new ReceivablesError(`Allocation to ${allocation.sale_id} must be positive`);
+      }
+      if (value > (Number(invoice.balance_due) || 0) + 0.005) {
+        throw new ReceivablesError(`Allocation of ${value} is more than the ${invoice.balance_due} due on ${invoice.receipt_number || invoice.id}`);
+      }
+      plan.push({ invoice, amount: value });
+      remaining = round2(remaining - value);
+    }
+    if (remaining < -0.005) {
+      throw new ReceivablesError(`Allocations add up to more than the ${amount} available`);
+    }
+    return plan;
+  }
+
+  for (const invoice of invoices) {
+    if (remaining <= 0) break;
+    const value = round2(Math.min(remaining, Number(invoice.balance_due) || 0));
+    if (value <= 0) continue;
+    plan.push({ invoice, amount: value });
+    remaining = round2(remaining - value);
+  }
+  return plan;
+};
+
+const allocate = async (payment, customerId, requested, user) => {
+  const invoices = await customerInvoices(customerId, { openOnly: true });
+  const plan = planAllocations(invoices, Number(payment.unallocated_amount) || 0, requested);
+
+  const allocations = [];
+  let total = 0;
+  for (const { invoice, amount } of plan) {
+    const applied = await reduceInvoice(invoice, amount, value => ({
+      amount_allocated: round2((Number(invoice.amount_allocated) || 0) + value),
+      last_payment_date: payment.payment_date
+    }));
+    if (applied <= 0) continue;
+    allocations.push(await airtableHelpers.create(TABLES.PAYMENT_ALLOCATIONS, {
+      payment_id: [payment.id],
+      sale_id: [invoice.id],
+      customer_id: [customerId],
+      amount: applied,
+      allocated_by: user.id ? [user.id] : undefined,
+      allocated_at: new Date().toISOString()
+    }));
+    total = round2(total + applied);
+  }
+
+  if (total > 0) {
+    await moveBalance(customerId, -total);
+  }
+  const updated = await airtableHelpers.update(TABLES.CUSTOMER_PAYMENTS, payment.id, {
+    unallocated_amount: round2((Number(payment.unallocated_amount) || 0) - total)
+  });
+  return { payment: updated, allocations, allocated: total };
+};
+
+/**
+ * Record money received from a customer and allocate it. `allocations`
+ * (`[{ sale_id, amount }]`) are optional; without them the payment settles
+ * the oldest invoices first. Any excess stays unallocated on the payment.
+ */
+const recordPayment = async (customerId, body, user) => {
+  const amount = round2(Number(body.amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new ReceivablesError('A positive payment amount is required');
+  }
+  const method = body.payment_method || 'cash';
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new ReceivablesError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  const paymentDate = body.payment_date || today();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(paymentDate)) {
+    throw new ReceivablesError('Payment date must be YYYY-MM-DD');
+  }
+
+  return withCustomerLock(customerId, async () => {
+    const customer = await getCustomer(customerId);
+    const branchId = body.branch_id || user.branch_id;
+    const payment = await airtableHelpers.create(TABLES.CUSTOMER_PAYMENTS, {
+      customer_id: [customerId],
+      customer_name: customer.name,
+      branch_id: branchId ? [branchId] : undefined,
+      amount,
+      unallocated_amount: amount,
+      payment_method: method,
+      reference: body.reference || undefined,
+      payment_date: paymentDate,
+      notes: body.notes || undefined,
+      status: 'completed',
+      received_by: user.id ? [user.id] : undefined,
+      created_at: new Date().toISOString()
+    });
+
+    try {
+      return await allocate(payment, customerId, body.allocations, user);
+    } catch (error) {
+      // A bad allocation request leaves no payment behind
+      if (error instanceof ReceivablesError) {
+        await airtableHelpers.delete(TABLES.CUSTOMER_PAYMENTS, payment.id);
+      }
+      throw error;
+    }
+  });
+};
+
+// Allocate what is left on an earlier payment
+const allocatePayment = async (paymentId, allocations, user) => {
+  const existing = await airtableHelpers.findById(TABLES.CUSTOMER_PAYMENTS, paymentId).catch(() => null);
+  if (!existing) {
+    throw new ReceivablesError('Payment not found', 404);
+  }
+  const customerId = firstId(existing.customer_id);
+  return withCustomerLock(customerId, async () => {
+    const payment = await airtableHelpers.findById(TABLES.CUSTOMER_PAYMENTS, paymentId);
+    if ((Number(payment.unallocated_amount) || 0) <= 0) {
+      throw new ReceivablesError('Nothing left to allocate on this payment', 409);
+    }
+    return allocate(payment, customerId, allocations, user);
+  });
+};
+
+const customerPayments = async (customerId) => {
+  const payments = await airtableHelpers.find(TABLES.CUSTOMER_PAYMENTS);
+  return payments
+    .filter(payment => payment.customer_id && payment.customer_id.includes(customerId))
+    .sort((a, b) => String(a.payment_date).localeCompare(String(b.payment_date)));
+};
+
+// Statements and ageing
+
+const bucketFor = (daysOverdue) => {
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return 'days_1_30';
+  if (daysOverdue <= 60) return 'days_31_60';
+  if (daysOverdue <= 90) return 'days_61_90';
+  return 'days_over_90';
+};
+
+const emptyBuckets = () => Object.fromEntries([...AGEING_BUCKETS, 'total'].map(bucket => [bucket, 0]));
+
+const addToBuckets = (buckets, bucket, amount) => {
+  buckets[bucket] = round2(buckets[bucket] + amount);
+  buckets.total = round2(buckets.total + amount);
+};
+
+/**
+ * Customer statement between `from` and `to` (inclusive): invoices as
+ * debits, payments and refund credit notes as credits, with the opening
+ * balance brought forward and a running balance.
+ */
+const getStatement = async (customerId, { from, to } = {}) => {
+  const customer = await getCustomer(customerId);
+  const end = to || today();
+  const [invoices, payments] = await Promise.all([customerInvoices(customerId), customerPayments(customerId)]);
+
+  const entries = [
+    ...invoices.map(sale => ({
+      date: sale.sale_date,
+      type: 'invoice',
+      reference: sale.receipt_number || sale.id,
+      sale_id: sale.id,
+      due_date: sale.due_date,
+      debit: round2(Number(sale.credit_amount) || 0),
+      credit: 0
+    })),
+    ...invoices.filter(sale => Number(sale.credit_note_amount) > 0).map(sale => ({
+      date: sale.refund_date || sale.sale_date,
+      type: 'credit_note',
+      reference: `Refund ${sale.receipt_number || sale.id}`,
+      sale_id: sale.id,
+      debit: 0,
+      credit: round2(Number(sale.credit_note_amount))
+    })),
+    ...payments.map(payment => ({
+      date: payment.payment_date,
+      type: 'payment',
+      reference: payment.reference || payment.id,
+      payment_id: payment.id,
+      payment_method: payment.payment_method,
+      debit: 0,
+      credit: round2(Number(payment.amount) || 0)
+    }))
+  ].sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.type === 'invoice' ? -1 : 1) - (b.type === 'invoice' ? -1 : 1));
+
+  let openingBalance = 0;
+  const lines = [];
+  for (const entry of entries) {
+    if (from && entry.date < from) {
+      openingBalance = round2(openingBalance + entry.debit - entry.credit);
+    } else if (entry.date <= end) {
+      lines.push(entry);
+    }
+  }
+  let running = openingBalance;
+  for (const line of lines) {
+    running = round2(running + line.debit - line.credit);
+    line.balance = running;
+  }
+
+  const ageing = emptyBuckets();
+  for (const sale of invoices) {
+    const view = invoiceView(sale, end);
+    if (view.balance_due > 0) addToBuckets(ageing, bucketFor(view.days_overdue), view.balance_due);
+  }
+
+  return {
+    customer: { ...customer, available_credit: availableCredit(customer) },
+    period: { from: from || null, to: end },
+    opening_balance: openingBalance,
+    lines,
+    total_debits: round2(lines.reduce((sum, line) => sum + line.debit, 0)),
+    total_credits: round2(lines.reduce((sum, line) => sum + line.credit, 0)),
+    closing_balance: running,
+    unallocated_credit: round2(payments.reduce((sum, payment) => sum + (Number(payment.unallocated_amount) || 0), 0)),
+    ageing
+  };
+};
+
+/**
+ * Accounts receivable ageing per branch as of `asOf` (default today), using
+ * current open balances. Buckets count days past each invoice's due date.
+ */
+const getAgeing = async ({ asOf = today(), branchId } = {}) => {
+  const [sales, contacts, branches, payments] = await Promise.all([
+    airtableHelpers.find(TABLES.SALES),
+    airtableHelpers.find(TABLES.CONTACTS),
+    airtableHelpers.find(TABLES.BRANCHES),
+    airtableHelpers.find(TABLES.CUSTOMER_PAYMENTS)
+  ]);
+  const customerNames = new Map(contacts.filter(isCustomer).map(contact => [contact.id, contact.name]));
+  const branchNames = new Map(branches.map(branch => [branch.id, branch.branch_name]));
+
+  const byBranch = new Map();
+  const totals = emptyBuckets();
+  for (const sale of sales) {
+    if (!isInvoice(sale) || (Number(sale.balance_due) || 0) <= 0.005) continue;
+    const view = invoiceView(sale, asOf);
+    if (branchId && view.branch_id !== branchId) continue;
+
+    if (!byBranch.has(view.branch_id)) {
+      byBranch.set(view.branch_id, {
+        branch_id: view.branch_id,
+        branch_name: branchNames.get(view.branch_id) || null,
+        totals: emptyBuckets(),
+        customers: new Map()
+      });
+    }
+    const branch = byBranch.get(view.branch_id);
+    if (!branch.customers.has(view.customer_id)) {
+      branch.customers.set(view.customer_id, {
+        customer_id: view.customer_id,
+        customer_name: customerNames.get(view.customer_id) || sale.customer_name || null,
+        ...emptyBuckets(),
+        invoices: []
+      });
+    }
+    const bucket = bucketFor(view.days_overdue);
+    const customer = branch.customers.get(view.customer_id);
+    addToBuckets(customer, bucket, view.balance_due);
+    customer.invoices.push({ ...view, bucket });
+    addToBuckets(branch.totals, bucket, view.balance_due);
+    addToBuckets(totals, bucket, view.balance_due);
+  }
+
+  const unallocated = new Map();
+  for (const payment of payments) {
+    const amount = Number(payment.unallocated_amount) || 0;
+    if (amount <= 0) continue;
+    const customerId = firstId(payment.customer_id);
+    unallocated.set(customerId, round2((unallocated.get(customerId) || 0) + amount));
+  }
+
+  return {
+    as_of: asOf,
+    buckets: AGEING_BUCKETS,
+    branches: [...byBranch.values()].map(branch => ({
+      ...branch,
+      customers: [...branch.customers.values()]
+        .map(customer => ({ ...customer, unallocated_credit: unallocated.get(customer.customer_id) || 0 }))
+        .sort((a, b) => b.total - a.total)
+    })),
+    totals
+  };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  ReceivablesError,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  listCustomers,
+  availableCredit,
+  chargeAccount,
+  releaseCharge,
+  creditInvoice,
+  invoiceView,
+  customerInvoices,
+  recordPayment,
+  allocatePayment,
+  customerPayments,
+  getStatement,
+  getAgeing
+};
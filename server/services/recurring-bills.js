@@ -0,0 +1,310 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { getSupplier, resolveSupplier, billTerms } = require('./suppliers');
+
+/**
+ * Recurring bill templates (rent, utilities, service contracts) and the
+ * draft bills generated from them.
+ *
+ * A template repeats from `start_date` at its `frequency` until `end_date`
+ * (if any). `next_run_date` is the next occurrence still to be billed and
+ * `occurrences_generated` how many came before it; monthly and longer
+ * frequencies keep the start date's day of month, falling back to the last
+ * day of shorter months. Each occurrence is claimed on the template with a
+ * compare-and-set before its bill is written, so a run never bills the same
+ * period twice.
+ */
+
+const FREQUENCIES = {
+  weekly: { days: 7 },
+  fortnightly: { days: 14 },
+  monthly: { months: 1 },
+  quarterly: { months: 3 },
+  yearly: { months: 12 }
+};
+
+// Occurrences generated per template in one run, so a template with a start
+// date far in the past cannot flood the bills table
+const MAX_CATCH_UP = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurringBillError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'RecurringBillError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+// The nth occurrence (0 = start date) of a schedule
+const occurrenceDate = (startDate, frequency, n) => {
+  const rule = FREQUENCIES[frequency];
+  if (rule.days) return addDays(startDate, rule.days * n);
+
+  const [year, month, day] = startDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + rule.months * n, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().split('T')[0];
+};
+
+const withinEnd = (template, date) => !template.end_date || date <= template.end_date;
+
+const getTemplate = async (templateId) => {
+  const template = await airtableHelpers.findById(TABLES.RECURRING_BILLS, templateId).catch(() => null);
+  if (!template) {
+    throw new RecurringBillError('Recurring bill not found', 404);
+  }
+  return template;
+};
+
+const listTemplates = async ({ status } = {}) => {
+  const templates = await airtableHelpers.find(TABLES.RECURRING_BILLS);
+  const statuses = status ? String(status).split(',') : null;
+  return templates
+    .filter(template => !statuses || statuses.includes(template.status))
+    .sort((a, b) => String(a.next_run_date || '9999').localeCompare(String(b.next_run_date || '9999')));
+};
+
+const templateFields = async (body, existing) => {
+  const fields = {};
+  for (const key of ['name', 'description', 'account_code', 'bill_number_prefix', 'payment_method', 'notes']) {
+    if (body[key] !== undefined) fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  }
+  if (body.vendor_id !== undefined || body.vendor_name !== undefined) {
+    const { supplier, name } = await resolveSupplier({ id: body.vendor_id, name: body.vendor_name });
+    if (!name) {
+      throw new RecurringBillError('A vendor is required');
+    }
+    fields.vendor_id = supplier ? [supplier.id] : null;
+    fields.vendor_name = name;
+  }
+  for (const key of ['amount', 'tax_amount']) {
+    if (body[key] === undefined) continue;
+    const value = Number(body[key]);
+    if (!Number.isFinite(value) || value < 0 || (key === 'amount' && value === 0)) {
+      throw new RecurringBillError(`${key} must be a positive amount`);
+    }
+    fields[key] = round2(value);
+  }
+  if (body.frequency !== undefined) {
+    if (!FREQUENCIES[body.frequency]) {
+      throw new RecurringBillError(`Frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+    }
+    fields.frequency = body.frequency;
+  }
+  for (const key of ['start_date', 'end_date']) {
+    if (body[key] === undefined) continue;
+    if (body[key] && !isDate(body[key])) {
+      throw new RecurringBillError(`${key} must be YYYY-MM-DD`);
+    }
+    fields[key] = body[key] || null;
+  }
+  for (const key of ['payment_terms_days', 'generate_days_before']) {
+    if (body[key] === undefined) continue;
+    const days = parseInt(body[key]);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new RecurringBillError(`${key} must be a whole number of days`);
+    }
+    fields[key] = days;
+  }
+  if (body.auto_schedule_payment !== undefined) fields.auto_schedule_payment = Boolean(body.auto_schedule_payment);
+  if (body.branch_id !== undefined) fields.branch_id = body.branch_id ? [body.branch_id] : null;
+
+  const merged = { ...existing, ...fields };
+  if (!merged.name || !merged.vendor_name || !merged.amount || !merged.frequency || !merged.start_date) {
+    throw new RecurringBillError('Name, vendor, amount, frequency and start date are required');
+  }
+  if (merged.end_date && merged.end_date < merged.start_date) {
+    throw new RecurringBillError('End date cannot be before the start date');
+  }
+  return fields;
+};
+
+const createTemplate = async (body, user) => {
+  const fields = await templateFields(body, {});
+  return airtableHelpers.create(TABLES.RECURRING_BILLS, {
+    ...fields,
+    status: 'active',
+    next_run_date: fields.start_date,
+    occurrences_generated: 0,
+    created_by: user.id ? [user.id] : undefined,
+    created_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Update a template. Changing the start date or frequency restarts the
+ * schedule from the first occurrence after the last bill generated.
+ * `status` can be set to 'active' or 'paused'.
+ */
+const updateTemplate = async (templateId, body) => {
+  const template = await getTemplate(templateId);
+  const fields = await templateFields(body, template);
+
+  if (body.status !== undefined) {
+    if (!['active', 'paused'].includes(body.status)) {
+      throw new RecurringBillError('Status must be active or paused');
+    }
+    fields.status = body.status;
+  }
+
+  const merged = { ...template, ...fields };
+  if (fields.start_date !== undefined || fields.frequency !== undefined) {
+    let n = 0;
+    while (template.last_bill_date && occurrenceDate(merged.start_date, merged.frequency, n) <= template.last_bill_date) n++;
+    fields.next_run_date = occurrenceDate(merged.start_date, merged.frequency, n);
+    fields.occurrences_generated = n;
+  }
+  if (merged.status === 'ended' && withinEnd(merged, fields.next_run_date || template.next_run_date)) {
+    // A later end date brings an ended template back
+    fields.status = 'active';
+  }
+  return airtableHelpers.update(TABLES.RECURRING_BILLS, templateId, { ...fields, updated_at: new Date().toISOString() });
+};
+
+const billNumberFor = (template, date) => {
+  const prefix = template.bill_number_prefix || `REC-${template.id.slice(-5).toUpperCase()}`;
+  return `${prefix}-${date.replace(/-/g, '')}`;
+};
+
+const createBillFor = async (template, billDate) => {
+  const existing = await airtableHelpers.find(TABLES.BILLS);
+  const billNumber = billNumberFor(template, billDate);
+  if (existing.some(bill => bill.bill_number === billNumber)) {
+    return null;
+  }
+
+  // The template's own terms, else the supplier's
+  const supplier = template.vendor_id ? await getSupplier(template.vendor_id[0]).catch(() => null) : null;
+  const terms = billTerms(template.payment_terms_days !== undefined ? template : supplier, billDate);
+  const amount = Number(template.amount) || 0;
+  const tax = Number(template.tax_amount) || 0;
+
+  const bill = await airtableHelpers.create(TABLES.BILLS, {
+    vendor_id: template.vendor_id,
+    vendor_name: template.vendor_name,
+    bill_number: billNumber,
+    bill_date: billDate,
+    due_date: terms.due_date,
+    branch_id: template.branch_id,
+    subtotal: amount,
+    tax_amount: tax,
+    total_amount: round2(amount + tax),
+    amount_paid: 0,
+    balance_due: round2(amount + tax),
+    status: 'draft',
+    payment_status: 'unpaid',
+    payment_terms: terms.payment_terms,
+    notes: template.notes || `${template.name} (recurring)`,
+    recurring_bill_id: [template.id],
+    auto_schedule_payment: template.auto_schedule_payment || undefined,
+    payment_method: template.payment_method || undefined,
+    created_at: new Date().toISOString()
+  });
+  await airtableHelpers.create(TABLES.BILL_ITEMS, {
+    bill_id: [bill.id],
+    description: template.description || template.name,
+    quantity: 1,
+    unit_price: amount,
+    amount,
+    account_code: template.account_code || ''
+  });
+  return bill;
+};
+
+// Generate every occurrence of one template that is due by `asOf`
+const runTemplate = async (templateId, asOf) => {
+  const bills = [];
+  for (let i = 0; i < MAX_CATCH_UP; i++) {
+    const template = await getTemplate(templateId);
+    if (template.status !== 'active' || !template.next_run_date) break;
+
+    const runDate = template.next_run_date;
+    if (!withinEnd(template, runDate)) {
+      await airtableHelpers.updateIfMatch(TABLES.RECURRING_BILLS, templateId, { next_run_date: runDate }, { status: 'ended' });
+      break;
+    }
+    if (addDays(runDate, -(Number(template.generate_days_before) || 0)) > asOf) break;
+
+    // Claim the occurrence; if another run got there first, pick up from the new state
+    const n = Number(template.occurrences_generated) || 0;
+    const claimed = await airtableHelpers.updateIfMatch(TABLES.RECURRING_BILLS, templateId,
+      { next_run_date: runDate },
+      { next_run_date: occurrenceDate(template.start_date, template.frequency, n + 1), occurrences_generated: n + 1 });
+    if (!claimed) continue;
+
+    try {
+      const bill = await createBillFor(template, runDate);
+      await airtableHelpers.update(TABLES.RECURRING_BILLS, templateId, { last_bill_date: runDate, last_bill_id: bill ? [bill.id] : undefined });
+      if (bill) bills.push(bill);
+    } catch (error) {
+      // Give the occurrence back so the next run retries it
+      await airtableHelpers.updateIfMatch(TABLES.RECURRING_BILLS, templateId,
+        { next_run_date: claimed.next_run_date },
+        { next_run_date: runDate, occurrences_generated: n });
+      throw error;
+    }
+  }
+  return bills;
+};
+
+/**
+ * Generate draft bills for all active templates due by `asOf` (default
+ * today). Returns the bills created and any templates that failed.
+ */
+const generateDueBills = async ({ asOf = today(), templateId } = {}) => {
+  const templates = templateId ? [await getTemplate(templateId)] : await listTemplates({ status: 'active' });
+  const created = [];
+  const failed = [];
+  for (const template of templates) {
+    try {
+      created.push(...await runTemplate(template.id, asOf));
+    } catch (error) {
+      console.error(`Recurring bill ${template.id} failed:`, error);
+      failed.push({ template_id: template.id, name: template.name, error: error.message });
+    }
+  }
+  return { as_of: asOf, created, failed };
+};
+
+// Bills a template will raise up to `until` that don't exist yet, falling
+// back to `defaultTermsDays` when the template has no terms of its own
+const projectOccurrences = (template, until, defaultTermsDays = 0) => {
+  if (template.status !== 'active' || !template.next_run_date) return [];
+  const occurrences = [];
+  let n = Number(template.occurrences_generated) || 0;
+  let date = template.next_run_date;
+  const terms = template.payment_terms_days !== undefined ? Number(template.payment_terms_days) : defaultTermsDays;
+  while (withinEnd(template, date) && date <= until && occurrences.length < 400) {
+    occurrences.push({
+      bill_date: date,
+      due_date: addDays(date, terms),
+      amount: round2((Number(template.amount) || 0) + (Number(template.tax_amount) || 0))
+    });
+    n++;
+    date = occurrenceDate(template.start_date, template.frequency, n);
+  }
+  return occurrences;
+};
+
+module.exports = {
+  FREQUENCIES,
+  RecurringBillError,
+  occurrenceDate,
+  getTemplate,
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  generateDueBills,
+  projectOccurrences
+};
@@ -0,0 +1,281 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { listSuppliers, resolveSupplier } = require('./suppliers');
+
+/**
+ * Reorder suggestions from Stock.reorder_level and recent sales.
+ *
+ * For every Stock row the reorder point is the larger of its reorder_level
+ * and the demand expected during the supplier lead time plus safety stock.
+ * Rows whose on-hand plus on-order quantity is at or below that point get a
+ * suggestion that tops them up to cover the lead time and the review period.
+ *
+ * Products can set `preferred_supplier`, `lead_time_days` and
+ * `safety_stock` (units); otherwise the lead time measured on past orders
+ * from the supplier, then the lead time on the supplier record, then the
+ * defaults below, are used.
+ */
+
+const DEFAULTS = {
+  salesWindowDays: envNumber('REORDER_SALES_WINDOW_DAYS', 30),
+  leadTimeDays: envNumber('REORDER_LEAD_TIME_DAYS', 7),
+  safetyDays: envNumber('REORDER_SAFETY_DAYS', 3),
+  coverDays: envNumber('REORDER_COVER_DAYS', 14)
+};
+
+// Orders in these states no longer bring stock in
+const CLOSED_ORDER_STATUSES = ['received', 'completed', 'cancelled', 'rejected'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const rowKey = (branchId, productId, productName) => `${branchId}|${productId || (productName || '').toLowerCase().trim()}`;
+
+const hasNumber = (value) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value));
+
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// Units sold per branch/product since `since` (YYYY-MM-DD), refunded sales left out
+const unitsSoldSince = async (since) => {
+  const [sales, saleItems] = await Promise.all([
+    airtableHelpers.find(TABLES.SALES),
+    airtableHelpers.find(TABLES.SALE_ITEMS)
+  ]);
+  const recentSales = new Map(sales
+    .filter(sale => sale.sale_date && sale.sale_date >= since && sale.status !== 'refunded')
+    .map(sale => [sale.id, firstId(sale.branch_id)]));
+
+  const sold = new Map();
+  for (const item of saleItems) {
+    const branchId = recentSales.get(firstId(item.sale_id));
+    if (!branchId) continue;
+    const key = rowKey(branchId, item.product_id, item.product_name);
+    sold.set(key, (sold.get(key) || 0) + (Number(item.quantity_sold) || 0));
+  }
+  return sold;
+};
+
+// Quantities ordered but not yet received, per destination branch/product
+const quantitiesOnOrder = async () => {
+  const [orders, orderItems] = await Promise.all([
+    airtableHelpers.find(TABLES.ORDERS),
+    airtableHelpers.find(TABLES.ORDER_ITEMS)
+  ]);
+  const openOrders = new Set(orders
+    .filter(order => !CLOSED_ORDER_STATUSES.includes(order.status) && order.approval_status !== 'rejected')
+    .map(order => order.id));
+
+  const onOrder = new Map();
+  for (const item of orderItems) {
+    if (!openOrders.has(firstId(item.order_id)) || !item.branch_destination_id) continue;
+    const outstanding = (Number(item.quantity_ordered) || 0) - (Number(item.quantity_received) || 0);
+    if (outstanding <= 0) continue;
+    const key = rowKey(firstId(item.branch_destination_id), item.product_id, item.product_name);
+    onOrder.set(key, (onOrder.get(key) || 0) + outstanding);
+  }
+  return onOrder;
+};
+
+// Average days from order to first goods receipt, per supplier
+const measuredLeadTimes = async () => {
+  const [orders, receives] = await Promise.all([
+    airtableHelpers.find(TABLES.ORDERS),
+    airtableHelpers.find(TABLES.PURCHASE_RECEIVES)
+  ]);
+  const firstReceipt = new Map();
+  for (const receive of receives) {
+    const orderId = firstId(receive.purchase_order_id);
+    if (!orderId || !receive.receive_date) continue;
+    if (!firstReceipt.has(orderId) || receive.receive_date < firstReceipt.get(orderId)) {
+      firstReceipt.set(orderId, receive.receive_date);
+    }
+  }
+
+  const samples = new Map();
+  for (const order of orders) {
+    const received = firstReceipt.get(order.id);
+    if (!order.supplier_name || !order.order_date || !received) continue;
+    const days = (new Date(received) - new Date(order.order_date)) / DAY_MS;
+    if (days < 0) continue;
+    samples.set(order.supplier_name, [...(samples.get(order.supplier_name) || []), days]);
+  }
+
+  return new Map([...samples].map(([supplier, days]) => [
+    supplier,
+    Math.ceil(days.reduce((sum, d) => sum + d, 0) / days.length)
+  ]));
+};
+
+/**
+ * Build reorder suggestions. Options (all optional): `branchId`,
+ * `supplier`, `salesWindowDays`, `safetyDays`, `coverDays`, `leadTimeDays`
+ * (default lead time) and `includeAll` to return rows that do not need
+ * ordering as well.
+ */
+const getReorderSuggestions = async (options = {}) => {
+  const salesWindowDays = Math.max(toPositiveInt(options.salesWindowDays, DEFAULTS.salesWindowDays), 1);
+  const safetyDays = toPositiveInt(options.safetyDays, DEFAULTS.safetyDays);
+  const coverDays = toPositiveInt(options.coverDays, DEFAULTS.coverDays);
+  const defaultLeadTime = toPositiveInt(options.leadTimeDays, DEFAULTS.leadTimeDays);
+  const since = new Date(Date.now() - salesWindowDays * DAY_MS).toISOString().split('T')[0];
+
+  const [allStock, products, branches, sold, onOrder, leadTimes, suppliers] = await Promise.all([
+    airtableHelpers.find(TABLES.STOCK),
+    airtableHelpers.find(TABLES.PRODUCTS),
+    airtableHelpers.find(TABLES.BRANCHES),
+    unitsSoldSince(since),
+    quantitiesOnOrder(),
+    measuredLeadTimes(),
+    listSuppliers()
+  ]);
+  const agreedLeadTimes = new Map(suppliers
+    .filter(supplier => hasNumber(supplier.lead_time_days))
+    .map(supplier => [supplier.name, Number(supplier.lead_time_days)]));
+  const productMap = new Map(products.map(product => [product.id, product]));
+  const branchNames = new Map(branches.map(branch => [branch.id, branch.branch_name]));
+
+  const suggestions = [];
+  for (const stock of allStock) {
+    const branchId = firstId(stock.branch_id);
+    if (!branchId || (options.branchId && branchId !== options.branchId)) continue;
+
+    const product = productMap.get(stock.product_id) || {};
+    if (product.active === false) continue;
+
+    const supplierName = product.preferred_supplier || null;
+    if (options.supplier && supplierName !== options.supplier) continue;
+
+    const key = rowKey(branchId, stock.product_id, stock.product_name);
+    const available = Number(stock.quantity_available) || 0;
+    const pending = onOrder.get(key) || 0;
+    const averageDailySales = (sold.get(key) || 0) / salesWindowDays;
+
+    const leadTimeDays = hasNumber(product.lead_time_days)
+      ? Number(product.lead_time_days)
+      : leadTimes.get(supplierName) ?? agreedLeadTimes.get(supplierName) ?? defaultLeadTime;
+    const safetyStock = hasNumber(product.safety_stock)
+      ? Number(product.safety_stock)
+      : Math.ceil(averageDailySales * safetyDays);
+
+    const reorderLevel = Number(stock.reorder_level) || 0;
+    const reorderPoint = Math.max(reorderLevel, Math.ceil(averageDailySales * leadTimeDays + safetyStock));
+    const targetLevel = Math.max(reorderPoint, Math.ceil(averageDailySales * (leadTimeDays + coverDays) + safetyStock));
+    const needsOrder = available + pending <= reorderPoint;
+    const suggestedQuantity = needsOrder ? Math.max(targetLevel - available - pending, 0) : 0;
+
+    if (!options.includeAll && suggestedQuantity <= 0) continue;
+
+    const unitCost = Number(stock.last_purchase_cost) || Number(stock.average_cost) || Number(product.default_cost) || 0;
+    suggestions.push({
+      stock_id: stock.id,
+      branch_id: branchId,
+      branch_name: branchNames.get(branchId) || null,
+      product_id: stock.product_id || null,
+      product_name: stock.product_name,
+      supplier_name: supplierName,
+      quantity_available: available,
+      quantity_on_order: pending,
+      reorder_level: reorderLevel,
+      average_daily_sales: round2(averageDailySales),
+      lead_time_days: leadTimeDays,
+      safety_stock: safetyStock,
+      reorder_point: reorderPoint,
+      days_of_cover: averageDailySales > 0 ? round2((available + pending) / averageDailySales) : null,
+      suggested_quantity: suggestedQuantity,
+      unit_cost: unitCost,
+      estimated_cost: round2(suggestedQuantity * unitCost)
+    });
+  }
+
+  suggestions.sort((a, b) => (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity) ||
+    (a.product_name || '').localeCompare(b.product_name || ''));
+
+  return {
+    settings: { salesWindowDays, safetyDays, coverDays, defaultLeadTimeDays: defaultLeadTime },
+    suggestions
+  };
+};
+
+/**
+ * Turn selected suggestions into draft purchase orders, one per supplier.
+ * `selections` are `{ stock_id, quantity?, supplier_name?, unit_cost? }`;
+ * the quantity defaults to the suggested one. Returns the orders created
+ * and the selections that could not be ordered, with a reason.
+ */
+const createDraftOrders = async (selections, user) => {
+  const { suggestions } = await getReorderSuggestions({ includeAll: true });
+  const byStock = new Map(suggestions.map(suggestion => [suggestion.stock_id, suggestion]));
+
+  const groups = new Map();
+  const skipped = [];
+  for (const selection of selections) {
+    const suggestion = byStock.get(selection.stock_id);
+    if (!suggestion) {
+      skipped.push({ stock_id: selection.stock_id, reason: 'Stock row not found' });
+      continue;
+    }
+
+    const quantity = selection.quantity !== undefined ? parseInt(selection.quantity) : suggestion.suggested_quantity;
+    const supplierName = selection.supplier_name || suggestion.supplier_name;
+    if (!quantity || quantity <= 0) {
+      skipped.push({ stock_id: selection.stock_id, product_name: suggestion.product_name, reason: 'Nothing to order' });
+      continue;
+    }
+    if (!supplierName) {
+      skipped.push({ stock_id: selection.stock_id, product_name: suggestion.product_name, reason: 'No supplier set for this product' });
+      continue;
+    }
+
+    const unitCost = selection.unit_cost !== undefined ? Number(selection.unit_cost) || 0 : suggestion.unit_cost;
+    groups.set(supplierName, [...(groups.get(supplierName) || []), { suggestion, quantity, unitCost }]);
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  const orders = [];
+  for (const [supplierName, lines] of groups) {
+    const totalAmount = round2(lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0));
+    const leadTime = Math.max(...lines.map(line => line.suggestion.lead_time_days));
+
+    const { supplier } = await resolveSupplier({ name: supplierName });
+    const order = await airtableHelpers.create(TABLES.ORDERS, {
+      supplier_id: supplier ? [supplier.id] : undefined,
+      supplier_name: supplierName,
+      order_date: today,
+      expected_delivery_date: new Date(Date.now() + leadTime * DAY_MS).toISOString().split('T')[0],
+      total_amount: totalAmount,
+      amount_paid: 0,
+      balance_remaining: totalAmount,
+      status: 'draft',
+      approval_status: 'pending',
+      source: 'reorder_suggestion',
+      created_by: user?.id ? [user.id] : undefined
+    });
+
+    const items = [];
+    for (const { suggestion, quantity, unitCost } of lines) {
+      items.push(await airtableHelpers.create(TABLES.ORDER_ITEMS, {
+        order_id: [order.id],
+        product_id: suggestion.product_id || undefined,
+        product_name: suggestion.product_name,
+        quantity_ordered: quantity,
+        purchase_price_per_unit: unitCost,
+        quantity_received: 0,
+        branch_destination_id: [suggestion.branch_id]
+      }));
+    }
+    orders.push({ ...order, items });
+  }
+
+  return { orders, skipped };
+};
+
+module.exports = {
+  getReorderSuggestions,
+  createDraftOrders
+};
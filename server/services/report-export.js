@@ -0,0 +1,560 @@
+const { once } = require('events');
+const zlib = require('zlib');
+const PDFDocument = require('pdfkit');
+const { company } = require('./documents');
+
+/**
+ * Report exports. A report is turned into a table description
+ * (`{ title, columns, rows, totals }`) and written straight to the response
+ * as CSV, XLSX or PDF, a row at a time, so large reports are never held in
+ * memory as a finished file.
+ *
+ * Column types: text, date (YYYY-MM-DD), number, money and percent (given
+ * as a percentage, e.g. 12.5 for 12.5%).
+ */
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const toNumber = (value) => Number(value) || 0;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sum = (records, pick) => round2(records.reduce((total, record) => total + toNumber(pick(record)), 0));
+
+// Report tables, one per report type built by GET /api/boss/reports
+
+const salesTable = (report, branchName) => {
+  const sales = [...(report.sales || [])].sort((a, b) => String(a.sale_date || '').localeCompare(String(b.sale_date || '')));
+  return {
+    title: 'Sales report',
+    columns: [
+      { key: 'sale_date', header: 'Date', type: 'date', width: 1.1 },
+      { key: 'receipt_number', header: 'Receipt', width: 1.2 },
+      { key: 'branch', header: 'Branch', width: 1.4 },
+      { key: 'cashier', header: 'Cashier', width: 1.4 },
+      { key: 'customer', header: 'Customer', width: 1.4 },
+      { key: 'payment_method', header: 'Payment', width: 0.9 },
+      { key: 'subtotal', header: 'Subtotal', type: 'money', width: 1 },
+      { key: 'discount', header: 'Discount', type: 'money', width: 0.9 },
+      { key: 'total', header: 'Total', type: 'money', width: 1 },
+      { key: 'status', header: 'Status', width: 0.9 }
+    ],
+    rows: (function* () {
+      for (const sale of sales) {
+        yield {
+          sale_date: sale.sale_date,
+          receipt_number: sale.receipt_number || sale.id,
+          branch: branchName(firstId(sale.branch_id)),
+          cashier: sale.cashier_name,
+          customer: sale.customer_name,
+          payment_method: sale.payment_method,
+          subtotal: sale.subtotal ?? sale.total_amount,
+          discount: sale.discount_total || 0,
+          total: sale.total_amount,
+          status: sale.status
+        };
+      }
+    })(),
+    totals: {
+      sale_date: 'Total',
+      receipt_number: `${sales.length} sales`,
+      subtotal: sum(sales, sale => sale.subtotal ?? sale.total_amount),
+      discount: sum(sales, sale => sale.discount_total),
+      total: sum(sales, sale => sale.total_amount)
+    }
+  };
+};
+
+const inventoryTable = (report, branchName) => {
+  const valuation = new Map((report.valuation || []).map(row => [row.stock_id, row]));
+  const stock = [...(report.stock || [])].sort((a, b) =>
+    branchName(firstId(a.branch_id)).localeCompare(branchName(firstId(b.branch_id))) ||
+    String(a.product_name || '').localeCompare(String(b.product_name || '')));
+  const valueOf = (item) => valuation.get(item.id) || {};
+
+  return {
+    title: 'Inventory report',
+    columns: [
+      { key: 'branch', header: 'Branch', width: 1.4 },
+      { key: 'product_name', header: 'Product', width: 2 },
+      { key: 'quantity', header: 'Quantity', type: 'number', width: 0.9 },
+      { key: 'reorder_level', header: 'Reorder level', type: 'number', width: 0.9 },
+      { key: 'average_cost', header: 'Unit cost', type: 'money', width: 1 },
+      { key: 'unit_price', header: 'Unit price', type: 'money', width: 1 },
+      { key: 'inventory_value', header: 'Stock value', type: 'money', width: 1.1 },
+      { key: 'retail_value', header: 'Retail value', type: 'money', width: 1.1 },
+      { key: 'stock_status', header: 'Status', width: 1 }
+    ],
+    rows: (function* () {
+      for (const item of stock) {
+        const quantity = toNumber(item.quantity_available);
+        yield {
+          branch: branchName(firstId(item.branch_id)),
+          product_name: item.product_name,
+          quantity,
+          reorder_level: toNumber(item.reorder_level),
+          average_cost: valueOf(item).average_cost ?? item.average_cost,
+          unit_price: item.unit_price,
+          inventory_value: valueOf(item).inventory_value,
+          retail_value: valueOf(item).retail_value,
+          stock_status: quantity === 0 ? 'Out of stock' : quantity <= toNumber(item.reorder_level) ? 'Low stock' : ''
+        };
+      }
+    })(),
+    totals: {
+      branch: 'Total',
+      product_name: `${stock.length} stock lines`,
+      quantity: sum(stock, item => item.quantity_available),
+      inventory_value: report.totalValue,
+      retail_value: report.totalRetailValue
+    }
+  };
+};
+
+const financialTable = (report) => {
+  const revenue = toNumber(report.totalRevenue);
+  const line = (label, amount) => ({
+    line: label,
+    amount: round2(toNumber(amount)),
+    share: revenue > 0 ? round2(toNumber(amount) / revenue * 100) : null
+  });
+  const categories = Object.entries(report.expensesByCategory || {}).sort(([a], [b]) => String(a).localeCompare(String(b)));
+
+  return {
+    title: 'Financial report',
+    columns: [
+      { key: 'line', header: 'Line', width: 3 },
+      { key: 'amount', header: 'Amount', type: 'money', width: 1.2 },
+      { key: 'share', header: '% of revenue', type: 'percent', width: 1 }
+    ],
+    rows: [
+      line('Revenue', report.totalRevenue),
+      line('Cost of goods sold', -toNumber(report.costOfGoodsSold)),
+      line('Gross profit', report.grossProfit),
+      ...categories.map(([category, amount]) => line(`Expenses: ${category === 'undefined' ? 'Uncategorised' : category}`, -toNumber(amount))),
+      line('Total expenses', -toNumber(report.totalExpenses))
+    ],
+    totals: line('Net profit', report.netProfit)
+  };
+};
+
+const TABLE_BUILDERS = {
+  sales: salesTable,
+  inventory: inventoryTable,
+  financial: financialTable
+};
+
+/**
+ * Describe a report from `/api/boss/reports` as an exportable table.
+ * `branches` are Branches records, used to print names instead of ids.
+ */
+const reportTable = (type, report, branches = []) => {
+  const names = new Map(branches.map(branch => [branch.id, branch.branch_name]));
+  const branchName = (id) => names.get(id) || id || '';
+  return TABLE_BUILDERS[type](report, branchName);
+};
+
+// Cell formatting shared by the CSV and PDF writers
+
+const formatCell = (value, type, { thousands = false } = {}) => {
+  if (value === undefined || value === null || value === '') return '';
+  switch (type) {
+    case 'money':
+      return thousands
+        ? toNumber(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+        : toNumber(value).toFixed(2);
+    case 'percent':
+      return `${toNumber(value).toFixed(2)}%`;
+    case 'number':
+      return String(toNumber(value));
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}/.test(String(value)) ? String(value).slice(0, 10) : String(value);
+    default:
+      return String(value);
+  }
+};
+
+// Keep the response's buffer bounded: wait whenever the client is behind,
+// and stop once it has gone away
+const writeTo = (res) => async (chunk) => {
+  if (res.destroyed) {
+    throw new Error('Export cancelled, the client closed the connection');
+  }
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+// CSV
+
+const csvField = (value, type = 'text') => {
+  let text = String(value);
+  // Stop spreadsheet apps treating text cells as formulas
+  if (type === 'text' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (cells, columns = []) => `${cells.map((cell, i) => csvField(cell, columns[i]?.type)).join(',')}\r\n`;
+
+const writeCsv = async (res, table, filters) => {
+  const write = writeTo(res);
+  // Byte order mark so Excel opens the file as UTF-8
+  await write(`\ufeff${csvLine([table.title])}`);
+  for (const [label, value] of filters) {
+    await write(csvLine([label, value]));
+  }
+  await write('\r\n');
+  await write(csvLine(table.columns.map(column => column.header)));
+  for (const row of table.rows) {
+    await write(csvLine(table.columns.map(column => formatCell(row[column.key], column.type)), table.columns));
+  }
+  if (table.totals) {
+    await write(csvLine(table.columns.map(column => formatCell(table.totals[column.key], column.type)), table.columns));
+  }
+};
+
+// XLSX: a minimal SpreadsheetML workbook written through a streaming zip
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Entries are deflated as they are written; sizes and CRCs follow each entry
+// in a data descriptor, so nothing has to be known up front
+const createZipWriter = (res) => {
+  const write = writeTo(res);
+  const entries = [];
+  const stamp = dosDateTime(new Date());
+  let offset = 0;
+
+  const emit = (buffer) => {
+    offset += buffer.length;
+    return write(buffer);
+  };
+
+  const addEntry = async (name, parts) => {
+    const fileName = Buffer.from(name);
+    const entry = { fileName, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6); // data descriptor follows, UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    header.writeUInt16LE(fileName.length, 26);
+    await emit(Buffer.concat([header, fileName]));
+
+    const deflate = zlib.createDeflateRaw();
+    const drained = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await emit(chunk);
+      }
+    })();
+    for await (const part of parts) {
+      const buffer = Buffer.from(part);
+      entry.crc = crc32(buffer, entry.crc);
+      entry.size += buffer.length;
+      if (!deflate.write(buffer)) {
+        await once(deflate, 'drain');
+      }
+    }
+    deflate.end();
+    await drained;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await emit(descriptor);
+    entries.push(entry);
+  };
+
+  const finish = async () => {
+    const start = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(stamp.time, 12);
+      record.writeUInt16LE(stamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.fileName.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await emit(Buffer.concat([record, entry.fileName]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(end);
+  };
+
+  return { addEntry, finish };
+};
+
+const xmlEscape = (value) => String(value)
+  // Control characters are not allowed in XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+// Style ids in styles.xml below; bold variants are the next id up
+const XLSX_STYLES = { text: 0, money: 2, number: 4, percent: 6, date: 8, title: 10 };
+
+const XLSX_STYLESHEET = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="14"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="11">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="4" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="10" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="14" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '</cellXfs></styleSheet>';
+
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+const xlsxCell = (ref, value, type = 'text', bold = false) => {
+  if (value === undefined || value === null || value === '') return '';
+  const styled = (base) => {
+    const style = base + (bold && type !== 'title' ? 1 : 0);
+    return style ? ` s="${style}"` : '';
+  };
+  if (type === 'date' && /^\d{4}-\d{2}-\d{2}/.test(String(value))) {
+    const serial = (Date.parse(String(value).slice(0, 10)) - EXCEL_EPOCH) / 86400000;
+    return `<c r="${ref}"${styled(XLSX_STYLES.date)}><v>${serial}</v></c>`;
+  }
+  if (['money', 'number', 'percent'].includes(type) && Number.isFinite(Number(value))) {
+    const number = type === 'percent' ? Number(value) / 100 : Number(value);
+    return `<c r="${ref}"${styled(XLSX_STYLES[type])}><v>${number}</v></c>`;
+  }
+  const textStyle = type === 'title' ? XLSX_STYLES.title : XLSX_STYLES.text;
+  return `<c r="${ref}" t="inlineStr"${styled(textStyle)}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+};
+
+async function* worksheetXml(table, filters) {
+  let rowNumber = 0;
+  const row = (cells) => {
+    rowNumber++;
+    return `<row r="${rowNumber}">${cells.map(([value, type, bold], i) => xlsxCell(`${columnLetter(i)}${rowNumber}`, value, type, bold)).join('')}</row>`;
+  };
+
+  const headerRow = filters.length + 3;
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${headerRow}" topLeftCell="A${headerRow + 1}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<cols>${table.columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${Math.round((column.width || 1) * 12)}" customWidth="1"/>`).join('')}</cols>` +
+    '<sheetData>';
+
+  yield row([[table.title, 'title']]);
+  for (const [label, value] of filters) {
+    yield row([[label, 'text', true], [value]]);
+  }
+  rowNumber++;
+  yield row(table.columns.map(column => [column.header, 'text', true]));
+
+  // Rows are compressed in batches rather than one tiny write each
+  let batch = '';
+  let batched = 0;
+  for (const record of table.rows) {
+    batch += row(table.columns.map(column => [record[column.key], column.type]));
+    if (++batched === 500) {
+      yield batch;
+      batch = '';
+      batched = 0;
+    }
+  }
+  if (table.totals) {
+    batch += row(table.columns.map(column => [table.totals[column.key], column.type || 'text', true]));
+  }
+  yield `${batch}</sheetData></worksheet>`;
+}
+
+const writeXlsx = async (res, table, filters) => {
+  const sheetName = xmlEscape(table.title.slice(0, 31));
+  const zip = createZipWriter(res);
+
+  await zip.addEntry('[Content_Types].xml', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>']);
+  await zip.addEntry('_rels/.rels', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>']);
+  await zip.addEntry('xl/workbook.xml', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`]);
+  await zip.addEntry('xl/_rels/workbook.xml.rels', ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>']);
+  await zip.addEntry('xl/styles.xml', [XLSX_STYLESHEET]);
+  await zip.addEntry('xl/worksheets/sheet1.xml', worksheetXml(table, filters));
+  await zip.finish();
+};
+
+// PDF: landscape pages, the column header repeated on every page
+
+const writePdf = async (res, table, filters) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const weights = table.columns.reduce((total, column) => total + (column.width || 1), 0);
+  const widths = table.columns.map(column => (column.width || 1) / weights * width);
+  const ended = Promise.race([once(res, 'finish'), once(res, 'close')]);
+  let pageNumber = 1;
+
+  const footer = () => {
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(7).fillColor('#555555').text(
+      `${company().name} · ${table.title} · Page ${pageNumber}`,
+      left, doc.page.height - 22, { width, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  };
+
+  const drawRow = (cells, { bold = false, formatted = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('black');
+    const texts = formatted ? cells : table.columns.map((column, i) => formatCell(cells[i], column.type, { thousands: true }));
+    const height = Math.max(...texts.map((text, i) => doc.heightOfString(text || ' ', { width: widths[i] - 4 }))) + 4;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      footer();
+      doc.addPage();
+      pageNumber++;
+      drawHeader();
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('black');
+    }
+    const y = doc.y;
+    let x = left;
+    texts.forEach((text, i) => {
+      const numeric = ['money', 'number', 'percent'].includes(table.columns[i].type);
+      doc.text(text, x + 2, y + 2, { width: widths[i] - 4, align: numeric ? 'right' : 'left' });
+      x += widths[i];
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const rule = () => {
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.y += 2;
+  };
+
+  function drawHeader() {
+    drawRow(table.columns.map(column => column.header), { bold: true, formatted: true });
+    rule();
+  }
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('black').text(company().name, left, doc.y, { width });
+  doc.fontSize(12).text(table.title, { width });
+  doc.font('Helvetica').fontSize(8).fillColor('#555555');
+  for (const [label, value] of filters) {
+    doc.text(`${label}: ${value}`, { width });
+  }
+  doc.moveDown();
+  drawHeader();
+
+  // Yield to the event loop now and then so a long report does not block other requests
+  let count = 0;
+  for (const row of table.rows) {
+    drawRow(table.columns.map(column => row[column.key]));
+    if (++count % 500 === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  if (table.totals) {
+    rule();
+    drawRow(table.columns.map(column => table.totals[column.key]), { bold: true });
+  }
+  footer();
+  doc.end();
+  await ended;
+};
+
+const WRITERS = { csv: writeCsv, xlsx: writeXlsx, pdf: writePdf };
+
+/**
+ * Stream a report table to the response. `filters` are `[label, value]`
+ * pairs printed above the table.
+ */
+const streamReport = async (res, format, table, { filters = [], fileName }) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+  await WRITERS[format](res, table, filters);
+  if (!res.writableEnded) {
+    res.end();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  reportTable,
+  streamReport
+};
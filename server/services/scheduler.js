@@ -0,0 +1,80 @@
+/**
+ * A small in-process job scheduler. Jobs run every `intervalMs` from when the
+ * scheduler starts, or only once at start-up when it is 0; a job still
+ * running when its next turn comes is skipped rather than run twice. Set
+ * SCHEDULER_ENABLED=false to keep it off, e.g. when several server instances
+ * share one data store and only one should run jobs.
+ */
+
+const jobs = new Map();
+let started = false;
+
+const registerJob = (name, intervalMs, fn) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, fn, timer: null, running: false, lastRunAt: null, lastResult: null, lastError: null, runs: 0 });
+};
+
+// Run a job now; resolves with its result, or null when it is already running
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+  if (job.running) return null;
+
+  job.running = true;
+  job.lastRunAt = new Date().toISOString();
+  try {
+    job.lastResult = await job.fn();
+    job.lastError = null;
+    return job.lastResult;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`[SCHEDULER] ${name} failed:`, error);
+    throw error;
+  } finally {
+    job.running = false;
+    job.runs++;
+  }
+};
+
+const start = () => {
+  if (started || process.env.SCHEDULER_ENABLED === 'false') return false;
+  started = true;
+  for (const job of jobs.values()) {
+    if (job.intervalMs > 0) {
+      job.timer = setInterval(() => runJob(job.name).catch(() => {}), job.intervalMs);
+      // Don't keep the process alive just for the scheduler
+      job.timer.unref();
+    }
+    // First run shortly after start-up, once the server is listening
+    setTimeout(() => runJob(job.name).catch(() => {}), 5000).unref();
+  }
+  console.log(`[SCHEDULER] Started ${jobs.size} job(s): ${[...jobs.keys()].join(', ')}`);
+  return true;
+};
+
+const stop = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+  started = false;
+};
+
+const status = () => ({
+  enabled: started,
+  jobs: [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult, lastError, runs }) => ({
+    name, intervalMs, running, lastRunAt, lastResult, lastError, runs
+  }))
+});
+
+module.exports = {
+  registerJob,
+  runJob,
+  start,
+  stop,
+  status
+};
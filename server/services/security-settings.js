@@ -0,0 +1,41 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+
+/**
+ * Security settings admins can change at runtime, one row per key with a
+ * JSON value. Callers pass the default used while a key was never saved.
+ */
+
+const findSetting = async (key) =>
+  (await airtableHelpers.find(TABLES.SECURITY_SETTINGS)).find(setting => setting.key === key) || null;
+
+const getSetting = async (key, fallback) => {
+  const setting = await findSetting(key);
+  if (!setting) return fallback;
+  try {
+    return JSON.parse(setting.value);
+  } catch (error) {
+    console.warn(`Ignoring unreadable security setting ${key}:`, error.message);
+    return fallback;
+  }
+};
+
+const saveSetting = async (key, value, user) => {
+  const fields = {
+    key,
+    value: JSON.stringify(value),
+    updated_at: new Date().toISOString(),
+    updated_by: user && user.id ? [user.id] : undefined
+  };
+  const existing = await findSetting(key);
+  if (existing) {
+    await airtableHelpers.update(TABLES.SECURITY_SETTINGS, existing.id, fields);
+  } else {
+    await airtableHelpers.create(TABLES.SECURITY_SETTINGS, fields);
+  }
+  return value;
+};
+
+module.exports = {
+  getSetting,
+  saveSetting
+};
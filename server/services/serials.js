@@ -0,0 +1,293 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+
+/**
+ * Per-unit tracking for high-value items. Every serial number has one row in
+ * Serial_Numbers holding where the unit is now; every stock ledger entry that
+ * moved it lists it in `serial_numbers`, which gives the unit's history.
+ *
+ * Products flagged `serial_tracked` must name their serials on receipts,
+ * transfers, sales and refunds.
+ */
+
+// Where a unit ends up after leaving a branch, by movement type
+const STATUS_AFTER_DECREASE = {
+  sale: 'sold',
+  transfer_out: 'in_transit'
+};
+
+// Undoing a movement that brought a unit in puts it back where it was
+const STATUS_AFTER_REVERSAL = {
+  refund: 'sold',
+  transfer_in: 'in_transit'
+};
+
+// Movements of serial-tracked products that must say which units moved
+const SERIAL_REQUIRED_TYPES = ['receive', 'sale', 'refund', 'transfer_out', 'transfer_in'];
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const normalizeSerial = (serial) => String(serial).trim().toUpperCase();
+
+// Accept an array or a comma / newline separated string
+const normalizeSerials = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return list.map(normalizeSerial).filter(Boolean);
+};
+
+// Serials are stored on document lines and ledger entries as comma separated text
+const formatSerials = (serials) => (serials && serials.length > 0 ? serials.join(', ') : undefined);
+
+const getSerialRecords = async () => {
+  const records = await airtableHelpers.find(TABLES.SERIAL_NUMBERS);
+  return new Map(records.map(record => [normalizeSerial(record.serial_number), record]));
+};
+
+const lineLabel = (line) => line.productName || line.productId;
+
+/**
+ * Check the serial numbers on a set of stock lines before any of them is
+ * applied. Units taken out must be in stock at the line's branch, units put
+ * back must not already be on hand anywhere, and a refund can only return a
+ * unit that was sold. Returns a list of problems, empty when all is well.
+ */
+const checkSerials = async (lines) => {
+  const checked = lines.filter(line => line.type !== 'reversal' && line.setQuantity === undefined);
+  const products = await airtableHelpers.find(TABLES.PRODUCTS);
+  const tracked = new Set(products.filter(product => product.serial_tracked).map(product => product.id));
+  const needsSerials = checked.some(line => line.serials && line.serials.length > 0);
+  const records = needsSerials ? await getSerialRecords() : new Map();
+  const problems = [];
+  const seen = new Set();
+
+  for (const line of checked) {
+    const serials = line.serials || [];
+    const units = Math.abs(Number(line.quantity) || 0);
+
+    if (serials.length === 0) {
+      if (tracked.has(line.productId) && SERIAL_REQUIRED_TYPES.includes(line.type)) {
+        problems.push({ product: lineLabel(line), message: `Serial numbers are required for ${lineLabel(line)}` });
+      }
+      continue;
+    }
+    if (serials.length !== units) {
+      problems.push({
+        product: lineLabel(line),
+        message: `${units} units of ${lineLabel(line)} need ${units} serial numbers, ${serials.length} given`
+      });
+      continue;
+    }
+
+    for (const serial of serials) {
+      if (seen.has(serial)) {
+        problems.push({ serial, message: `Serial ${serial} is listed more than once` });
+        continue;
+      }
+      seen.add(serial);
+
+      const record = records.get(serial);
+      if (record && line.productId && record.product_id && record.product_id !== line.productId) {
+        problems.push({ serial, message: `Serial ${serial} belongs to ${record.product_name}, not ${lineLabel(line)}` });
+        continue;
+      }
+
+      if (line.quantity < 0) {
+        if (!record || record.status !== 'in_stock') {
+          problems.push({ serial, message: `Serial ${serial} is not in stock` });
+        } else if (firstId(record.branch_id) !== line.branchId) {
+          problems.push({ serial, message: `Serial ${serial} is not in stock at this branch` });
+        }
+        continue;
+      }
+
+      if (line.type === 'refund') {
+        if (!record || record.status !== 'sold') {
+          problems.push({ serial, message: `Serial ${serial} was not sold, so it cannot be refunded` });
+        } else if (line.reference?.sale_id && firstId(record.sale_id) !== firstId(line.reference.sale_id)) {
+          problems.push({ serial, message: `Serial ${serial} was not sold on this sale` });
+        }
+      } else if (line.type === 'transfer_in') {
+        if (!record || record.status !== 'in_transit') {
+          problems.push({ serial, message: `Serial ${serial} is not in transit` });
+        }
+      } else if (record && ['in_stock', 'in_transit'].includes(record.status)) {
+        problems.push({ serial, message: `Serial ${serial} is already in stock` });
+      }
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Move the serials of a stock change that has just been applied. Units put
+ * in are in stock at the row's branch; units taken out are sold, in transit
+ * or removed depending on the movement. Returns the serials moved.
+ */
+const recordSerials = async (line, stockBefore, change) => {
+  const serials = line.serials || [];
+  if (serials.length === 0 || !change.quantity) return [];
+
+  const records = await getSerialRecords();
+  const reference = line.reference || {};
+  const timestamp = new Date().toISOString();
+
+  for (const serial of serials) {
+    const record = records.get(serial);
+    let fields;
+
+    if (change.quantity > 0) {
+      fields = {
+        status: 'in_stock',
+        branch_id: stockBefore.branch_id || [line.branchId],
+        stock_id: [change.stockId],
+        refunded_at: line.type === 'refund' ? timestamp : undefined
+      };
+    } else {
+      const status = (line.type === 'reversal'
+        ? STATUS_AFTER_REVERSAL[line.reversesType]
+        : STATUS_AFTER_DECREASE[line.type]) || 'removed';
+      fields = {
+        status,
+        sale_id: line.type === 'sale' ? reference.sale_id : undefined,
+        sold_at: line.type === 'sale' ? timestamp : undefined,
+        transfer_id: line.type === 'transfer_out' ? reference.transfer_doc_id : undefined
+      };
+    }
+    fields.last_movement_type = line.type || 'adjustment';
+    fields.updated_at = timestamp;
+
+    if (record) {
+      await airtableHelpers.update(TABLES.SERIAL_NUMBERS, record.id, fields);
+    } else {
+      await airtableHelpers.create(TABLES.SERIAL_NUMBERS, {
+        serial_number: serial,
+        product_id: line.productId || stockBefore.product_id,
+        product_name: stockBefore.product_name || line.productName,
+        receive_id: reference.receive_id,
+        first_received_at: timestamp,
+        ...fields
+      });
+    }
+  }
+
+  return serials;
+};
+
+// Set fields on the records of the given serials, e.g. units that never
+// arrived at the end of a transfer
+const markSerials = async (serials, fields) => {
+  if (!serials || serials.length === 0) return;
+  const records = await getSerialRecords();
+  for (const serial of serials) {
+    const record = records.get(serial);
+    if (record) {
+      await airtableHelpers.update(TABLES.SERIAL_NUMBERS, record.id, { ...fields, updated_at: new Date().toISOString() });
+    }
+  }
+};
+
+// Serial records, optionally filtered by branch, product and status
+const listSerials = async ({ branchId, productId, status } = {}) => {
+  const records = await airtableHelpers.find(TABLES.SERIAL_NUMBERS);
+  return records
+    .filter(record => !branchId || (record.branch_id && record.branch_id.includes(branchId)))
+    .filter(record => !productId || record.product_id === productId)
+    .filter(record => !status || record.status === status)
+    .sort((a, b) => (a.serial_number || '').localeCompare(b.serial_number || ''));
+};
+
+const findByIdSafe = async (table, id) => {
+  if (!id) return null;
+  try {
+    return await airtableHelpers.findById(table, id);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Full history of one unit: where it came from, every ledger movement that
+ * included it and the sale (and refund) it ended up in. Returns null for an
+ * unknown serial.
+ */
+const getSerialHistory = async (serialNumber) => {
+  const serial = normalizeSerial(serialNumber);
+  const records = await getSerialRecords();
+  const record = records.get(serial);
+  if (!record) return null;
+
+  const [entries, branches] = await Promise.all([
+    airtableHelpers.find(TABLES.STOCK_MOVEMENTS, '{is_ledger_entry}'),
+    airtableHelpers.find(TABLES.BRANCHES)
+  ]);
+  const branchNames = new Map(branches.map(branch => [branch.id, branch.branch_name]));
+
+  const movements = entries
+    .filter(entry => normalizeSerials(entry.serial_numbers).includes(serial))
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+    .map(entry => ({
+      entry_id: entry.id,
+      date: entry.created_at,
+      movement_type: entry.movement_type,
+      direction: entry.quantity_change > 0 ? 'in' : 'out',
+      branch_id: firstId(entry.branch_id),
+      branch_name: branchNames.get(firstId(entry.branch_id)) || null,
+      receive_id: firstId(entry.receive_id) || null,
+      sale_id: firstId(entry.sale_id) || null,
+      transfer_id: entry.transfer_id || null,
+      reason: entry.reason || ''
+    }));
+
+  // The unit came in on the first movement that put it into stock
+  const first = movements.find(movement => movement.direction === 'in');
+  const receive = await findByIdSafe(TABLES.PURCHASE_RECEIVES, first?.receive_id || firstId(record.receive_id));
+  const order = receive ? await findByIdSafe(TABLES.ORDERS, firstId(receive.purchase_order_id)) : null;
+
+  const lastSale = [...movements].reverse().find(movement => movement.movement_type === 'sale');
+  const sale = await findByIdSafe(TABLES.SALES, lastSale?.sale_id || firstId(record.sale_id));
+  const refund = lastSale && movements.find(movement => movement.movement_type === 'refund' && movement.date > lastSale.date);
+
+  return {
+    serial_number: record.serial_number,
+    product_id: record.product_id,
+    product_name: record.product_name,
+    status: record.status,
+    current_branch_id: record.status === 'in_stock' ? firstId(record.branch_id) : null,
+    current_branch_name: record.status === 'in_stock' ? branchNames.get(firstId(record.branch_id)) || null : null,
+    origin: first ? {
+      movement_type: first.movement_type,
+      date: first.date,
+      branch_id: first.branch_id,
+      branch_name: first.branch_name,
+      receive_id: receive?.id || null,
+      receive_date: receive?.receive_date || null,
+      purchase_order_id: order?.id || null,
+      supplier_name: order?.supplier_name || null
+    } : null,
+    movements,
+    sale: sale ? {
+      sale_id: sale.id,
+      sale_date: sale.sale_date,
+      branch_id: firstId(sale.branch_id),
+      total_amount: sale.total_amount,
+      status: sale.status || 'completed'
+    } : null,
+    refund: refund ? {
+      date: refund.date,
+      branch_id: refund.branch_id,
+      sale_id: refund.sale_id,
+      reason: refund.reason
+    } : null
+  };
+};
+
+module.exports = {
+  normalizeSerials,
+  formatSerials,
+  checkSerials,
+  recordSerials,
+  markSerials,
+  listSerials,
+  getSerialHistory
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+
+/**
+ * Server-side login sessions.
+ *
+ * Every device login is a Sessions row. Its access tokens carry the session
+ * id (`sid`) and are only accepted while the session is active and has not
+ * been idle longer than SESSION_TIMEOUT_MINUTES (0 turns the idle timeout
+ * off; sessions still end when the refresh token expires). Its refresh
+ * token rotates on every use: the session keeps the id of the one refresh
+ * token that is still valid, so presenting an older one means it was copied,
+ * and the whole session (every token descended from that login) is revoked.
+ * Ended sessions are kept SESSION_RETENTION_DAYS for the audit trail, then
+ * deleted.
+ */
+
+const IDLE_TIMEOUT_MINUTES = envNumber('SESSION_TIMEOUT_MINUTES', 30);
+const ACCESS_EXPIRE = process.env.JWT_EXPIRE || '1h';
+const REFRESH_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '7d';
+const RETENTION_DAYS = envNumber('SESSION_RETENTION_DAYS', 30);
+
+const IDLE_TIMEOUT_MS = IDLE_TIMEOUT_MINUTES * 60 * 1000;
+// Record activity at most this often, so every request isn't a write
+const TOUCH_INTERVAL_MS = IDLE_TIMEOUT_MS > 0 ? Math.min(60 * 1000, IDLE_TIMEOUT_MS / 4) : 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message, status = 401, details) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const lastActivity = (session) => new Date(session.last_activity_at || session.created_at).getTime();
+
+const isIdle = (session, now = Date.now()) => IDLE_TIMEOUT_MS > 0 && now - lastActivity(session) > IDLE_TIMEOUT_MS;
+
+const isExpired = (session, now = Date.now()) => Boolean(session.expires_at) && new Date(session.expires_at).getTime() < now;
+
+const signTokens = (user, session, refreshId) => ({
+  accessToken: jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      branchId: user.branch_id,
+      sid: session.id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_EXPIRE }
+  ),
+  refreshToken: jwt.sign(
+    { userId: user.id, sid: session.id },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: REFRESH_EXPIRE, jwtid: refreshId }
+  )
+});
+
+// Open a session for a user who passed every login check; returns its tokens
+const createSession = async (user, req, { method = 'password' } = {}) => {
+  const now = new Date();
+  const refreshId = crypto.randomUUID();
+  const session = await airtableHelpers.create(TABLES.SESSIONS, {
+    user_id: [user.id],
+    status: 'active',
+    refresh_jti: refreshId,
+    login_method: method,
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent'),
+    created_at: now.toISOString(),
+    last_activity_at: now.toISOString(),
+    rotation_count: 0
+  });
+  const tokens = signTokens(user, session, refreshId);
+  // The first refresh token's lifetime bounds the session's
+  const expiresAt = new Date(jwt.decode(tokens.refreshToken).exp * 1000).toISOString();
+  return { session: await airtableHelpers.update(TABLES.SESSIONS, session.id, { expires_at: expiresAt }), ...tokens };
+};
+
+const revokeSession = async (sessionId, reason, by) => {
+  const session = await airtableHelpers.findById(TABLES.SESSIONS, sessionId).catch(() => null);
+  if (!session || session.status !== 'active') {
+    return session;
+  }
+  return airtableHelpers.update(TABLES.SESSIONS, session.id, {
+    status: 'revoked',
+    revoked_at: new Date().toISOString(),
+    revoked_reason: reason,
+    revoked_by: by && by.id ? [by.id] : undefined
+  });
+};
+
+const listActiveSessions = async (userId) => {
+  const sessions = await airtableHelpers.find(TABLES.SESSIONS, `AND({status} = 'active', FIND("${userId}", ARRAYJOIN({user_id})))`);
+  return sessions.filter(session => firstId(session.user_id) === userId);
+};
+
+// Delete sessions that expired or were revoked more than
+// SESSION_RETENTION_DAYS ago; returns how many went
+const pruneSessions = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const ended = await airtableHelpers.find(TABLES.SESSIONS, `OR(IS_BEFORE({expires_at}, '${cutoff}'), IS_BEFORE({revoked_at}, '${cutoff}'))`);
+  for (const session of ended) {
+    await airtableHelpers.delete(TABLES.SESSIONS, session.id);
+  }
+  return { sessions_deleted: ended.length };
+};
+
+// Sign a user out everywhere, optionally keeping one session (the caller's)
+const revokeUserSessions = async (userId, { reason, except, by } = {}) => {
+  const revoked = [];
+  for (const session of await listActiveSessions(userId)) {
+    if (session.id === except) continue;
+    await revokeSession(session.id, reason, by);
+    revoked.push(session.id);
+  }
+  return revoked;
+};
+
+/**
+ * The active session behind an access token. Refuses revoked, expired and
+ * idle sessions (revoking the latter two) and records activity.
+ */
+const checkSession = async (sessionId, userId) => {
+  const session = sessionId ? await airtableHelpers.findById(TABLES.SESSIONS, sessionId).catch(() => null) : null;
+  if (!session || firstId(session.user_id) !== userId || session.status !== 'active') {
+    throw new SessionError('Session has ended; sign in again');
+  }
+  const now = Date.now();
+  if (isExpired(session, now)) {
+    await revokeSession(session.id, 'expired');
+    throw new SessionError('Session has expired; sign in again');
+  }
+  if (isIdle(session, now)) {
+    await revokeSession(session.id, 'idle_timeout');
+    throw new SessionError('Session expired due to inactivity', 401, { timeout: IDLE_TIMEOUT_MINUTES });
+  }
+  if (now - lastActivity(session) > TOUCH_INTERVAL_MS) {
+    return airtableHelpers.update(TABLES.SESSIONS, session.id, { last_activity_at: new Date(now).toISOString() });
+  }
+  return session;
+};
+
+/**
+ * Trade a refresh token for a new access and refresh token. A refresh token
+ * that is no longer the session's current one is a reuse: the session is
+ * revoked and the error says so (`details.reuse`), for the audit trail.
+ */
+const rotateSession = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken || '', process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new SessionError('Invalid refresh token');
+  }
+  if (!decoded.sid) {
+    throw new SessionError('Invalid refresh token');
+  }
+  const session = await airtableHelpers.findById(TABLES.SESSIONS, decoded.sid).catch(() => null);
+  if (!session || firstId(session.user_id) !== decoded.userId || session.status !== 'active') {
+    throw new SessionError('Session has ended; sign in again');
+  }
+  if (decoded.jti !== session.refresh_jti) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn(`[SESSIONS] Refresh token reuse on session ${session.id} of user ${decoded.userId}; session revoked`);
+    throw new SessionError('Refresh token was already used; the session has been revoked', 401, { reuse: true, userId: decoded.userId, sessionId: session.id });
+  }
+  const now = Date.now();
+  if (isExpired(session, now) || isIdle(session, now)) {
+    await revokeSession(session.id, isIdle(session, now) ? 'idle_timeout' : 'expired');
+    throw new SessionError('Session has expired; sign in again');
+  }
+  const user = await airtableHelpers.findById(TABLES.EMPLOYEES, decoded.userId).catch(() => null);
+  if (!user || user.is_active === false) {
+    await revokeSession(session.id, 'user_inactive');
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const refreshId = crypto.randomUUID();
+  // Only one of two concurrent refreshes with the same token wins
+  const updated = await airtableHelpers.updateIfMatch(TABLES.SESSIONS, session.id, { refresh_jti: decoded.jti, status: 'active' }, {
+    refresh_jti: refreshId,
+    last_activity_at: new Date(now).toISOString(),
+    rotation_count: (Number(session.rotation_count) || 0) + 1
+  });
+  if (!updated) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    throw new SessionError('Refresh token was already used; the session has been revoked', 401, { reuse: true, userId: decoded.userId, sessionId: session.id });
+  }
+  return { session: updated, user, ...signTokens(user, updated, refreshId) };
+};
+
+// The session id a token names, if its signature is good; expiry is ignored
+// so logging out with a stale token still ends the session
+const sessionIdFrom = (token, secret) => {
+  try {
+    const decoded = jwt.verify(token || '', secret, { ignoreExpiration: true });
+    return decoded.sid ? { sessionId: decoded.sid, userId: decoded.userId } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const present = (session, currentId) => ({
+  id: session.id,
+  current: session.id === currentId,
+  ip_address: session.ip_address || null,
+  user_agent: session.user_agent || null,
+  login_method: session.login_method || null,
+  created_at: session.created_at,
+  last_activity_at: session.last_activity_at || session.created_at,
+  expires_at: session.expires_at || null
+});
+
+const listSessions = async (userId, currentId) =>
+  (await listActiveSessions(userId))
+    .filter(session => !isExpired(session) && !isIdle(session))
+    .sort((a, b) => lastActivity(b) - lastActivity(a))
+    .map(session => present(session, currentId));
+
+module.exports = {
+  IDLE_TIMEOUT_MINUTES,
+  SessionError,
+  createSession,
+  checkSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  pruneSessions,
+  sessionIdFrom,
+  listSessions
+};
@@ -0,0 +1,534 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { nextAverageCost, recordCost, openOpeningLayer } = require('./costing');
+const { recordBatches, parseAllocations } = require('./batches');
+const { checkSerials, recordSerials, formatSerials, normalizeSerials } = require('./serials');
+
+// Attempts at a compare-and-set stock update; always at least one
+const MAX_RETRIES = Math.max(envNumber('STOCK_LEDGER_MAX_RETRIES', 5), 1);
+const RETRY_DELAY_MS = 50;
+
+class StockLedgerError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'StockLedgerError';
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+class InsufficientStockError extends StockLedgerError {
+  constructor(details) {
+    super(`Insufficient stock for ${details.product}: ${details.available} available, ${details.requested} requested`, details);
+    this.name = 'InsufficientStockError';
+  }
+}
+
+class StockConflictError extends StockLedgerError {
+  constructor(details) {
+    super(`Stock for ${details.product} kept changing while updating, please retry`, details);
+    this.name = 'StockConflictError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const normalizeName = (name) => (name || '').toLowerCase().trim();
+
+// Serialise writers to the same Stock row inside this process. The version
+// check below catches writers in other processes.
+const rowLocks = new Map();
+
+const withRowLock = async (key, fn) => {
+  const previous = rowLocks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const chained = previous.then(() => current);
+  rowLocks.set(key, chained);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (rowLocks.get(key) === chained) {
+      rowLocks.delete(key);
+    }
+  }
+};
+
+const findStockRow = (allStock, { stockId, branchId, productId, productName }) => {
+  if (stockId) {
+    return allStock.find(s => s.id === stockId);
+  }
+  const inBranch = allStock.filter(s => s.branch_id && s.branch_id.includes(branchId));
+  if (productId) {
+    const linked = inBranch.find(s => s.product_id === productId);
+    if (linked) return linked;
+  }
+  // Rows created before the product catalogue are only known by name; a row
+  // already linked to a different catalogue product never matches by name
+  return inBranch.find(s => !!productName && normalizeName(s.product_name) === normalizeName(productName) &&
+    (!productId || !s.product_id || !s.product_id.startsWith('rec')));
+};
+
+const MOVEMENT_TYPES = [
+  'opening_balance',
+  'sale',
+  'refund',
+  'receive',
+  'transfer_out',
+  'transfer_in',
+  'adjustment',
+  'order_completion',
+  'correction',
+  'reversal'
+];
+
+const productKey = (line) => line.productId || normalizeName(line.productName);
+
+// Merge lines that hit the same branch/product with the same movement type so
+// each row is written once
+const aggregateLines = (lines) => {
+  const merged = new Map();
+  for (const line of lines) {
+    const quantity = Number(line.quantity);
+    if (!line.branchId && !line.stockId) {
+      throw new StockLedgerError('Stock line is missing a branch', { line });
+    }
+    if (!line.productId && !line.productName && !line.stockId) {
+      throw new StockLedgerError('Stock line is missing a product', { line });
+    }
+    if (line.type && !MOVEMENT_TYPES.includes(line.type)) {
+      throw new StockLedgerError(`Unknown stock movement type "${line.type}"`, { line });
+    }
+    if (line.setQuantity !== undefined) {
+      merged.set(`set|${line.stockId || `${line.branchId}|${productKey(line)}`}`, { ...line });
+      continue;
+    }
+    if (!Number.isFinite(quantity) || quantity === 0) continue;
+
+    // Lines bought in at different costs or with their own batches or serial
+    // numbers stay separate so each opens its own cost layer and batch
+    const key = line.batches || line.serials
+      ? `own|${merged.size}`
+      : `${line.type}|${line.stockId || `${line.branchId}|${productKey(line)}`}|${line.unitCost ?? ''}`;
+    if (merged.has(key)) {
+      merged.get(key).quantity += quantity;
+    } else {
+      merged.set(key, { ...line, quantity });
+    }
+  }
+  return [...merged.values()].filter(line => line.setQuantity !== undefined || line.quantity !== 0);
+};
+
+// Append one typed entry to the stock ledger (Stock_Movements)
+const writeLedgerEntry = (line, stock, change, options) => {
+  const branchId = line.branchId || firstId(stock.branch_id);
+  return airtableHelpers.create(TABLES.STOCK_MOVEMENTS, {
+    is_ledger_entry: true,
+    movement_type: line.type || 'adjustment',
+    branch_id: [branchId],
+    from_branch_id: change.quantity < 0 ? [branchId] : undefined,
+    to_branch_id: change.quantity > 0 ? [branchId] : undefined,
+    stock_id: [change.stockId],
+    product_id: line.productId || stock.product_id,
+    product_name: stock.product_name || line.productName,
+    quantity: Math.abs(change.quantity),
+    quantity_change: change.quantity,
+    balance_after: change.newQuantity,
+    reason: line.reason || options.reason || '',
+    status: 'completed',
+    created_by: options.userId ? [options.userId] : undefined,
+    created_at: new Date().toISOString(),
+    ...line.reference,
+    unit_cost: change.unitCost,
+    total_cost: change.totalCost,
+    costing_method: change.costingMethod,
+    batches: change.batches && change.batches.length > 0 ? JSON.stringify(change.batches) : undefined,
+    serial_numbers: formatSerials(change.serials)
+  });
+};
+
+// Cost bookkeeping must not undo a stock change that already happened, so a
+// failure here is logged and the change is left without a cost
+const attachCost = async (line, stockBefore, change) => {
+  try {
+    const cost = await recordCost(line, stockBefore, change);
+    if (cost) {
+      Object.assign(change, {
+        unitCost: cost.unitCost,
+        totalCost: cost.totalCost,
+        costingMethod: cost.method,
+        costEstimated: cost.estimated,
+        layerId: cost.layerId
+      });
+    }
+  } catch (error) {
+    console.error(`Cost booking failed for stock row ${change.stockId}:`, error.message);
+  }
+
+  try {
+    change.batches = await recordBatches(line, stockBefore, change);
+  } catch (error) {
+    console.error(`Batch booking failed for stock row ${change.stockId}:`, error.message);
+  }
+
+  // Serials were checked before anything was applied
+  try {
+    change.serials = await recordSerials(line, stockBefore, change);
+  } catch (error) {
+    console.error(`Serial booking failed for stock row ${change.stockId}:`, error.message);
+  }
+  return change;
+};
+
+// Apply one signed quantity change (or absolute `setQuantity`) to a Stock row
+// using its version number, then record it in the ledger
+const applyDelta = async (line, allStock, options = {}) => {
+  const label = line.productName || line.productId || line.stockId;
+  const stockRow = findStockRow(allStock, line);
+
+  if (!stockRow) {
+    if (line.quantity < 0 || line.setQuantity !== undefined) {
+      throw new InsufficientStockError({ product: label, branchId: line.branchId, available: 0, requested: -(line.quantity || 0) });
+    }
+    return withRowLock(`new|${line.branchId}|${productKey(line)}`, async () => {
+      // Another request may have created the row while we waited for the lock
+      const freshStock = await airtableHelpers.find(TABLES.STOCK);
+      const existing = findStockRow(freshStock, line);
+      if (existing) {
+        allStock.push(existing);
+        return applyDelta(line, allStock, options);
+      }
+
+      const created = await airtableHelpers.create(TABLES.STOCK, {
+        product_id: line.productId,
+        product_name: line.productName,
+        reorder_level: 10,
+        unit_price: 0,
+        ...line.template,
+        branch_id: [line.branchId],
+        quantity_available: line.quantity,
+        average_cost: nextAverageCost({}, line.quantity, line.unitCost),
+        version: 1,
+        ledger_initialized: true,
+        last_updated: new Date().toISOString()
+      });
+      allStock.push(created);
+
+      const change = { stockId: created.id, line, quantity: line.quantity, previousQuantity: 0, newQuantity: line.quantity, created: true };
+      await attachCost(line, { ...created, quantity_available: 0, average_cost: undefined }, change);
+      change.entry = await writeLedgerEntry(line, created, change, options);
+      return change;
+    });
+  }
+
+  return withRowLock(stockRow.id, async () => {
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+      const current = await airtableHelpers.findById(TABLES.STOCK, stockRow.id);
+      const version = Number(current.version) || 0;
+      const available = Number(current.quantity_available) || 0;
+      const quantity = line.setQuantity !== undefined ? Number(line.setQuantity) - available : line.quantity;
+      const newQuantity = available + quantity;
+
+      if (newQuantity < 0 && !line.allowNegative) {
+        throw new InsufficientStockError({ product: label, branchId: line.branchId, available, requested: -quantity });
+      }
+
+      const extraFields = {
+        // Link rows matched by name to the catalogue product
+        product_id: line.productId && current.product_id !== line.productId ? line.productId : undefined,
+        ...line.fields
+      };
+      const updated = await airtableHelpers.updateIfMatch(TABLES.STOCK, stockRow.id, {
+        version: current.version,
+        quantity_available: current.quantity_available
+      }, {
+        quantity_available: newQuantity,
+        version: version + 1,
+        ledger_initialized: true,
+        // Only increases and undone receipts carry a cost that moves the average
+        average_cost: nextAverageCost(current, quantity, quantity > 0 || line.reverseLayerId ? line.unitCost : undefined),
+        last_updated: new Date().toISOString(),
+        ...extraFields
+      });
+
+      if (updated) {
+        // Rows that existed before the ledger get their prior quantity booked
+        // as an opening balance so the ledger sums to the real on-hand figure
+        if (!current.ledger_initialized && available !== 0) {
+          const opening = { stockId: stockRow.id, quantity: available, newQuantity: available };
+          await writeLedgerEntry({ ...line, type: 'opening_balance', reason: 'Opening balance', reference: {} }, current, opening, options);
+          if (available > 0) {
+            await openOpeningLayer(current, available).catch(error => {
+              console.error(`Opening cost layer failed for stock row ${current.id}:`, error.message);
+            });
+          }
+        }
+
+        const change = { stockId: stockRow.id, line, quantity, previousQuantity: available, newQuantity, version: version + 1 };
+        // What the extra fields held before, so a reversal restores the whole row
+        change.previousFields = Object.fromEntries(Object.entries(extraFields)
+          .filter(([, value]) => value !== undefined)
+          .map(([key]) => [key, current[key] ?? null]));
+        if (quantity !== 0) {
+          await attachCost(line, current, change);
+          change.entry = await writeLedgerEntry(line, current, change, options);
+        }
+        return change;
+      }
+
+      // Another writer changed the row since we read it: back off and retry
+      await sleep(RETRY_DELAY_MS * attempt);
+    }
+
+    throw new StockConflictError({ product: label, branchId: line.branchId });
+  });
+};
+
+/**
+ * Apply a set of stock quantity changes as one unit of work and record each
+ * of them as a typed entry in the stock ledger.
+ *
+ * Each line is `{ branchId, productId?, productName?, stockId?, quantity, type }`
+ * where quantity is the signed change (negative to take stock out) and type is
+ * one of MOVEMENT_TYPES. Optional per line: `setQuantity` (absolute count
+ * instead of a change), `allowNegative`, `reason`, `reference` (extra ledger
+ * fields such as `{ sale_id: [id] }`), `template` (fields used when a missing
+ * row has to be created for an increase), `fields` (extra Stock fields
+ * written with the change), `unitCost` (purchase cost of an increase),
+ * `inheritCost` (take the unit cost of the previous line, for transfers),
+ * `batches` (batch allocations, see services/batches.js) and `serials`
+ * (serial numbers of the units moved, see services/serials.js). Serials are
+ * checked for every line before any stock is touched.
+ *
+ * Every change is costed (see services/costing.js); the returned changes
+ * carry `unitCost`, `totalCost` and `costingMethod`, which for decreases is
+ * the cost of goods taken out.
+ *
+ * If any line fails, lines already applied are undone with
+ * reverseStockChanges and `options.rollback` is awaited so the caller can undo
+ * its parent record (sale, movement, ...). `options.userId` and
+ * `options.reason` are copied onto every ledger entry.
+ */
+const applyStockChanges = async (lines, options = {}) => {
+  const { rollback } = options;
+  const applied = [];
+
+  try {
+    const changes = aggregateLines(lines);
+    const serialProblems = await checkSerials(changes);
+    if (serialProblems.length > 0) {
+      throw new StockLedgerError(serialProblems[0].message, { serials: serialProblems });
+    }
+
+    const allStock = await airtableHelpers.find(TABLES.STOCK);
+
+    for (const line of changes) {
+      // A transfer_in line takes the cost of the transfer_out applied before it
+      const previous = applied[applied.length - 1];
+      const costedLine = line.inheritCost && previous ? { ...line, unitCost: previous.unitCost } : line;
+      applied.push(await applyDelta(costedLine, allStock, options));
+    }
+    return applied;
+  } catch (error) {
+    console.error('Stock ledger error, rolling back:', error.message);
+    await reverseStockChanges(applied, error.message, options);
+
+    if (rollback) {
+      try {
+        await rollback(error);
+      } catch (rollbackError) {
+        console.error('Parent record rollback failed:', rollbackError.message);
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Undo changes returned by applyStockChanges with compensating `reversal`
+ * entries, newest first, putting back quantities, costs, batches, serials and
+ * any Stock fields the changes wrote. Failures are logged, not thrown, so
+ * every change gets its chance to be undone.
+ */
+const reverseStockChanges = async (changes, reason, options = {}) => {
+  for (const change of [...changes].reverse()) {
+    if (change.quantity === 0 && !Object.keys(change.previousFields || {}).length) continue;
+    try {
+      const reversal = {
+        branchId: change.line.branchId,
+        stockId: change.stockId,
+        type: 'reversal',
+        quantity: -change.quantity,
+        allowNegative: true,
+        unitCost: change.unitCost,
+        reverseLayerId: change.quantity > 0 ? change.layerId : undefined,
+        batches: change.batches,
+        serials: change.serials,
+        fields: change.previousFields,
+        reversesType: change.line.type,
+        reason: `Reversal of ${change.line.type || 'stock change'}: ${reason}`,
+        reference: { ...change.line.reference, reverses_id: change.entry ? [change.entry.id] : undefined }
+      };
+      await applyDelta(reversal, [{ id: change.stockId }], options);
+    } catch (revertError) {
+      console.error(`Failed to revert stock row ${change.stockId}:`, revertError.message);
+    }
+  }
+};
+
+/**
+ * Undo changes already written to the ledger, e.g. everything a sale took
+ * out and its refunds put back, when the sale is deleted. `entries` are the
+ * document's Stock_Movements rows; reversals among them, and the entries
+ * they undid, are skipped so nothing is put back twice. `options.reference`
+ * links the reversal entries to the document. Returns how many changes were
+ * undone.
+ */
+const reverseLedgerEntries = async (entries, reason, options = {}) => {
+  const undone = new Set(entries
+    .filter(entry => entry.movement_type === 'reversal')
+    .map(entry => firstId(entry.reverses_id)));
+  const changes = entries
+    .filter(entry => entry.is_ledger_entry && entry.movement_type !== 'reversal' && !undone.has(entry.id))
+    .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')))
+    .map(entry => ({
+      stockId: firstId(entry.stock_id),
+      line: { branchId: firstId(entry.branch_id), type: entry.movement_type, reference: options.reference },
+      quantity: Number(entry.quantity_change) || 0,
+      unitCost: entry.unit_cost,
+      batches: parseAllocations(entry.batches),
+      serials: normalizeSerials(entry.serial_numbers),
+      entry
+    }));
+  await reverseStockChanges(changes, reason, options);
+  return changes.length;
+};
+
+const ledgerKey = (branchId, productId, productName) => `${branchId}|${productId || normalizeName(productName)}`;
+
+// Sum ledger entries into on-hand quantities per branch/product
+const computeLedgerBalances = async ({ branchId } = {}) => {
+  const entries = await airtableHelpers.find(TABLES.STOCK_MOVEMENTS, '{is_ledger_entry}');
+  const balances = new Map();
+
+  for (const entry of entries) {
+    const entryBranch = firstId(entry.branch_id);
+    if (!entryBranch || (branchId && entryBranch !== branchId)) continue;
+
+    const key = firstId(entry.stock_id) || ledgerKey(entryBranch, entry.product_id, entry.product_name);
+    if (!balances.has(key)) {
+      balances.set(key, {
+        stock_id: firstId(entry.stock_id) || null,
+        branch_id: entryBranch,
+        product_id: entry.product_id || null,
+        product_name: entry.product_name,
+        on_hand: 0,
+        entries: 0,
+        last_movement_at: null
+      });
+    }
+    const balance = balances.get(key);
+    balance.on_hand += Number(entry.quantity_change) || 0;
+    balance.entries++;
+    if (!balance.last_movement_at || entry.created_at > balance.last_movement_at) {
+      balance.last_movement_at = entry.created_at;
+    }
+  }
+
+  return [...balances.values()];
+};
+
+// Compare Stock.quantity_available with the ledger balance for every row
+const reconcileStock = async ({ branchId } = {}) => {
+  const [balances, allStock] = await Promise.all([
+    computeLedgerBalances({ branchId }),
+    airtableHelpers.find(TABLES.STOCK)
+  ]);
+  const byStockId = new Map(balances.filter(b => b.stock_id).map(b => [b.stock_id, b]));
+  const matched = new Set();
+
+  const rows = allStock
+    .filter(stock => !branchId || (stock.branch_id && stock.branch_id.includes(branchId)))
+    .map(stock => {
+      const balance = byStockId.get(stock.id);
+      if (balance) matched.add(balance);
+      const stockQuantity = Number(stock.quantity_available) || 0;
+      const ledgerQuantity = balance ? balance.on_hand : 0;
+      return {
+        stock_id: stock.id,
+        branch_id: firstId(stock.branch_id),
+        product_id: stock.product_id,
+        product_name: stock.product_name,
+        stock_quantity: stockQuantity,
+        ledger_quantity: ledgerQuantity,
+        drift: stockQuantity - ledgerQuantity,
+        has_history: !!balance,
+        ledger_entries: balance ? balance.entries : 0
+      };
+    });
+
+  // Ledger balances whose Stock row no longer exists
+  for (const balance of balances) {
+    if (matched.has(balance)) continue;
+    rows.push({
+      stock_id: balance.stock_id,
+      branch_id: balance.branch_id,
+      product_id: balance.product_id,
+      product_name: balance.product_name,
+      stock_quantity: 0,
+      ledger_quantity: balance.on_hand,
+      drift: -balance.on_hand,
+      has_history: true,
+      ledger_entries: balance.entries,
+      missing_stock_row: true
+    });
+  }
+
+  return rows;
+};
+
+// Overwrite Stock.quantity_available with the ledger balance where they
+// disagree. Rows without any ledger history are left alone.
+const rebuildStockFromLedger = async ({ branchId } = {}) => {
+  const rows = await reconcileStock({ branchId });
+  const rebuilt = [];
+
+  for (const row of rows) {
+    if (!row.has_history || row.missing_stock_row || row.drift === 0) continue;
+
+    await withRowLock(row.stock_id, async () => {
+      const current = await airtableHelpers.findById(TABLES.STOCK, row.stock_id);
+      const updated = await airtableHelpers.updateIfMatch(TABLES.STOCK, row.stock_id, { version: current.version }, {
+        quantity_available: row.ledger_quantity,
+        version: (Number(current.version) || 0) + 1,
+        last_updated: new Date().toISOString()
+      });
+      if (!updated) {
+        throw new StockConflictError({ product: row.product_name, branchId: row.branch_id });
+      }
+    });
+    rebuilt.push(row);
+  }
+
+  return { checked: rows.length, rebuilt };
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  applyStockChanges,
+  reverseStockChanges,
+  reverseLedgerEntries,
+  computeLedgerBalances,
+  reconcileStock,
+  rebuildStockFromLedger,
+  firstId,
+  StockLedgerError,
+  InsufficientStockError,
+  StockConflictError
+};
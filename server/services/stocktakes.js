@@ -0,0 +1,506 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { applyStockChanges, firstId } = require('./stock-ledger');
+const { createProductResolver, productLinkFields } = require('./products');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Stocktake sessions. A session (Stocktakes) freezes the expected quantity of
+ * every Stock row in scope as one Stocktake_Lines row. Counters then submit
+ * counted quantities, in as many batches as they like (Stocktake_Counts keeps
+ * every submission), until the session is submitted for review:
+ *
+ *   counting -> review -> approved
+ *   counting | review -> cancelled (with a reason)
+ *
+ * Approval turns the variances into one multi-line inventory adjustment
+ * (Inventory_Adjustments header + Adjustment_Items) and posts it to stock in
+ * one go. Variances are counted minus expected, so movements made while the
+ * count was running are left alone.
+ *
+ * A `full` stocktake treats lines nobody counted as zero; a `cycle` count only
+ * adjusts the lines that were counted.
+ */
+const SCOPES = ['full', 'cycle'];
+
+const TRANSITIONS = {
+  submit: { from: ['counting'], to: 'review' },
+  reopen: { from: ['review'], to: 'counting' },
+  approve: { from: ['review'], to: 'approved' },
+  cancel: { from: ['counting', 'review'], to: 'cancelled' }
+};
+
+class StocktakeError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'StocktakeError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const now = () => new Date().toISOString();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const isCounted = (line) => line.counted_quantity !== undefined && line.counted_quantity !== null;
+
+// Users with branches.all act for any branch, counters only for their own
+const assertBranchAccess = async (user, branchId) => {
+  if (await hasPermission(user, 'branches.all')) return;
+  if (branchId && firstId(user.branch_id) === branchId) return;
+  throw new StocktakeError('Only staff of this branch can count this stocktake', 403);
+};
+
+const nextStocktakeNumber = (stocktakes) => {
+  const highest = stocktakes.reduce((max, stocktake) => {
+    const match = /^STK-(\d+)$/.exec(stocktake.stocktake_number || '');
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return `STK-${String(highest + 1).padStart(5, '0')}`;
+};
+
+// Count submissions for one session are applied one at a time so counters
+// adding to the same line do not overwrite each other
+const sessionLocks = new Map();
+
+const withSessionLock = async (stocktakeId, fn) => {
+  const previous = sessionLocks.get(stocktakeId) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  sessionLocks.set(stocktakeId, current);
+  try {
+    return await current;
+  } finally {
+    if (sessionLocks.get(stocktakeId) === current) {
+      sessionLocks.delete(stocktakeId);
+    }
+  }
+};
+
+const getLines = async (stocktakeId) => {
+  const lines = await airtableHelpers.find(TABLES.STOCKTAKE_LINES);
+  return lines
+    .filter(line => line.stocktake_id && line.stocktake_id.includes(stocktakeId))
+    .sort((a, b) => (a.product_name || '').localeCompare(b.product_name || ''));
+};
+
+const getStocktake = async (stocktakeId) => {
+  let stocktake;
+  try {
+    stocktake = await airtableHelpers.findById(TABLES.STOCKTAKES, stocktakeId);
+  } catch (error) {
+    throw new StocktakeError('Stocktake not found', 404);
+  }
+  return { ...stocktake, lines: await getLines(stocktakeId) };
+};
+
+const transition = async (stocktake, action, fields = {}) => {
+  const { from, to } = TRANSITIONS[action];
+  if (!from.includes(stocktake.status)) {
+    throw new StocktakeError(`Cannot ${action} a stocktake that is ${stocktake.status}`, 409);
+  }
+
+  const updated = await airtableHelpers.updateIfMatch(TABLES.STOCKTAKES, stocktake.id, { status: stocktake.status }, {
+    status: to,
+    updated_at: now(),
+    ...fields
+  });
+  if (!updated) {
+    throw new StocktakeError('Stocktake was changed by someone else, please reload', 409);
+  }
+  return updated;
+};
+
+const unitCostOf = (stock, product) => Number(stock.average_cost) || Number(stock.last_purchase_cost) || Number(product?.default_cost) || 0;
+
+/**
+ * Open a session for a branch and snapshot the expected quantities. Options:
+ * `scope` ('full' or 'cycle'), `product_ids` and `category` to limit a cycle
+ * count, `blind` to hide expected quantities from counters, `name`, `notes`.
+ */
+const createStocktake = async ({ branch_id, scope = 'full', product_ids, category, blind, name, notes }, user) => {
+  if (!branch_id) {
+    throw new StocktakeError('Branch ID is required');
+  }
+  if (!SCOPES.includes(scope)) {
+    throw new StocktakeError(`Scope must be one of: ${SCOPES.join(', ')}`);
+  }
+
+  const [allStock, products, stocktakes] = await Promise.all([
+    airtableHelpers.find(TABLES.STOCK),
+    airtableHelpers.find(TABLES.PRODUCTS),
+    airtableHelpers.find(TABLES.STOCKTAKES)
+  ]);
+  const productMap = new Map(products.map(product => [product.id, product]));
+
+  // One open session per branch so two snapshots never post the same variance
+  const open = stocktakes.find(stocktake =>
+    ['counting', 'review'].includes(stocktake.status) && firstId(stocktake.branch_id) === branch_id
+  );
+  if (open) {
+    throw new StocktakeError(`Stocktake ${open.stocktake_number} is still open for this branch`, 409);
+  }
+
+  const rows = allStock
+    .filter(stock => stock.branch_id && stock.branch_id.includes(branch_id))
+    .filter(stock => !Array.isArray(product_ids) || product_ids.length === 0 || product_ids.includes(stock.product_id))
+    .filter(stock => !category || (productMap.get(stock.product_id)?.category || '').toLowerCase() === category.toLowerCase());
+  if (rows.length === 0) {
+    throw new StocktakeError('No stock in scope for this stocktake');
+  }
+
+  const snapshotAt = now();
+  const header = await airtableHelpers.create(TABLES.STOCKTAKES, {
+    stocktake_number: nextStocktakeNumber(stocktakes),
+    name: name || undefined,
+    branch_id: [branch_id],
+    scope,
+    category: category || undefined,
+    blind_count: blind === true || blind === 'true',
+    status: 'counting',
+    notes: notes || '',
+    snapshot_at: snapshotAt,
+    line_count: rows.length,
+    created_by: user.id ? [user.id] : undefined,
+    created_at: snapshotAt
+  });
+
+  const lines = [];
+  try {
+    for (const stock of rows) {
+      const product = productMap.get(stock.product_id);
+      lines.push(await airtableHelpers.create(TABLES.STOCKTAKE_LINES, {
+        stocktake_id: [header.id],
+        stock_id: [stock.id],
+        product_id: stock.product_id,
+        product_name: stock.product_name,
+        expected_quantity: Number(stock.quantity_available) || 0,
+        unit_cost: unitCostOf(stock, product)
+      }));
+    }
+  } catch (error) {
+    for (const line of lines) {
+      await airtableHelpers.delete(TABLES.STOCKTAKE_LINES, line.id);
+    }
+    await airtableHelpers.delete(TABLES.STOCKTAKES, header.id);
+    throw error;
+  }
+
+  return { ...header, lines };
+};
+
+/**
+ * Record a batch of counts from one counter. `counts` are
+ * `{ line_id | stock_id | product_id | sku | barcode | product_name, quantity, location? }`.
+ * With `mode: 'add'` (the default, for scanning in batches) a count adds to
+ * what the line already has; `mode: 'set'` replaces it, for recounts. A
+ * `batch_ref` makes a device upload safe to retry. Products found on the
+ * shelf that were not in the snapshot get a new line expecting zero.
+ */
+const recordCounts = async (stocktakeId, { counts, mode = 'add', batch_ref, device_id, location }, user) => {
+  if (!Array.isArray(counts) || counts.length === 0) {
+    throw new StocktakeError('At least one count is required');
+  }
+  if (!['add', 'set'].includes(mode)) {
+    throw new StocktakeError('Mode must be add or set');
+  }
+
+  return withSessionLock(stocktakeId, async () => {
+    const stocktake = await getStocktake(stocktakeId);
+    const branchId = firstId(stocktake.branch_id);
+    await assertBranchAccess(user, branchId);
+    if (stocktake.status !== 'counting') {
+      throw new StocktakeError(`Counts cannot be added to a stocktake that is ${stocktake.status}`, 409);
+    }
+
+    const allCounts = await airtableHelpers.find(TABLES.STOCKTAKE_COUNTS);
+    const sessionCounts = allCounts.filter(count => count.stocktake_id && count.stocktake_id.includes(stocktakeId));
+    if (batch_ref && sessionCounts.some(count => count.batch_ref === batch_ref)) {
+      return { duplicate: true, stocktake };
+    }
+
+    // Work out every line before writing anything
+    const resolveProduct = createProductResolver();
+    const lines = [...stocktake.lines];
+    const resolved = [];
+    for (const count of counts) {
+      const quantity = Number(count.quantity);
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        throw new StocktakeError('Counted quantities must be zero or more', 400, { count });
+      }
+
+      let line = lines.find(l => l.id === count.line_id) ||
+        (count.stock_id && lines.find(l => firstId(l.stock_id) === count.stock_id));
+      let product = null;
+      if (!line) {
+        product = await resolveProduct(count, { allowInactive: true });
+        line = product && lines.find(l => l.product_id === product.id);
+      }
+      if (!line && !product) {
+        throw new StocktakeError('Counted item is not a known product', 404, { count });
+      }
+      resolved.push({ count, quantity, line, product });
+    }
+
+    const touched = new Map();
+    for (const entry of resolved) {
+      let { line } = entry;
+      if (!line) {
+        line = lines.find(l => l.product_id === entry.product.id);
+      }
+      if (!line) {
+        line = await airtableHelpers.create(TABLES.STOCKTAKE_LINES, {
+          stocktake_id: [stocktakeId],
+          ...productLinkFields(entry.product),
+          expected_quantity: 0,
+          unit_cost: Number(entry.product.default_cost) || 0,
+          unexpected: true
+        });
+        lines.push(line);
+      }
+
+      await airtableHelpers.create(TABLES.STOCKTAKE_COUNTS, {
+        stocktake_id: [stocktakeId],
+        line_id: [line.id],
+        product_id: line.product_id,
+        product_name: line.product_name,
+        quantity: entry.quantity,
+        mode,
+        location: entry.count.location || location || undefined,
+        counted_by: user.id ? [user.id] : undefined,
+        device_id: device_id || undefined,
+        batch_ref: batch_ref || undefined,
+        counted_at: now()
+      });
+
+      const base = touched.has(line.id) ? touched.get(line.id) : (isCounted(line) ? Number(line.counted_quantity) : 0);
+      touched.set(line.id, mode === 'set' && !touched.has(line.id) ? entry.quantity : base + entry.quantity);
+    }
+
+    for (const [lineId, counted] of touched) {
+      await airtableHelpers.update(TABLES.STOCKTAKE_LINES, lineId, {
+        counted_quantity: counted,
+        last_counted_at: now()
+      });
+    }
+
+    return { duplicate: false, stocktake: await getStocktake(stocktakeId), linesUpdated: touched.size };
+  });
+};
+
+/**
+ * Variance per line in units and value. Uncounted lines are zero in a full
+ * stocktake and left out of a cycle count.
+ */
+const buildVariance = (stocktake) => {
+  const countsAsZero = stocktake.scope === 'full';
+  const lines = stocktake.lines.map(line => {
+    const expected = Number(line.expected_quantity) || 0;
+    const counted = isCounted(line) ? Number(line.counted_quantity) : (countsAsZero ? 0 : null);
+    const unitCost = Number(line.unit_cost) || 0;
+    const variance = counted === null ? 0 : counted - expected;
+    return {
+      line_id: line.id,
+      stock_id: firstId(line.stock_id) || null,
+      product_id: line.product_id,
+      product_name: line.product_name,
+      expected_quantity: expected,
+      counted_quantity: counted,
+      counted: isCounted(line),
+      unexpected: !!line.unexpected,
+      unit_cost: unitCost,
+      variance_units: variance,
+      variance_value: round2(variance * unitCost)
+    };
+  });
+
+  const included = lines.filter(line => line.counted_quantity !== null);
+  const sum = (list, field) => list.reduce((total, line) => total + line[field], 0);
+  const shortages = included.filter(line => line.variance_units < 0);
+  const surpluses = included.filter(line => line.variance_units > 0);
+
+  return {
+    lines,
+    summary: {
+      lines: lines.length,
+      counted: lines.filter(line => line.counted).length,
+      uncounted: lines.filter(line => !line.counted).length,
+      linesWithVariance: included.filter(line => line.variance_units !== 0).length,
+      expectedUnits: sum(included, 'expected_quantity'),
+      countedUnits: sum(included, 'counted_quantity'),
+      expectedValue: round2(included.reduce((total, line) => total + line.expected_quantity * line.unit_cost, 0)),
+      countedValue: round2(included.reduce((total, line) => total + line.counted_quantity * line.unit_cost, 0)),
+      shortageUnits: -sum(shortages, 'variance_units'),
+      shortageValue: -round2(sum(shortages, 'variance_value')),
+      surplusUnits: sum(surpluses, 'variance_units'),
+      surplusValue: round2(sum(surpluses, 'variance_value')),
+      netVarianceUnits: sum(included, 'variance_units'),
+      netVarianceValue: round2(sum(included, 'variance_value')),
+      accuracy: included.length > 0
+        ? round2(included.filter(line => line.variance_units === 0).length / included.length * 100)
+        : null
+    }
+  };
+};
+
+const getVariance = async (stocktakeId) => {
+  const stocktake = await getStocktake(stocktakeId);
+  return { stocktake, ...buildVariance(stocktake) };
+};
+
+const submitStocktake = async (stocktakeId, user) => {
+  const stocktake = await getStocktake(stocktakeId);
+  await assertBranchAccess(user, firstId(stocktake.branch_id));
+  await transition(stocktake, 'submit', { submitted_by: [user.id], submitted_at: now() });
+  return getStocktake(stocktakeId);
+};
+
+const reopenStocktake = async (stocktakeId, user) => {
+  const stocktake = await getStocktake(stocktakeId);
+  await transition(stocktake, 'reopen', { reopened_by: [user.id], reopened_at: now() });
+  return getStocktake(stocktakeId);
+};
+
+const cancelStocktake = async (stocktakeId, reason, user) => {
+  if (!reason || !String(reason).trim()) {
+    throw new StocktakeError('A reason is required to cancel a stocktake');
+  }
+  const stocktake = await getStocktake(stocktakeId);
+  await transition(stocktake, 'cancel', { cancelled_by: [user.id], cancelled_at: now(), cancellation_reason: reason });
+  return getStocktake(stocktakeId);
+};
+
+/**
+ * Approve the counts: create one adjustment with an item per line that has a
+ * variance and post all of them to stock together. If posting fails the
+ * adjustment is removed and the session goes back to review.
+ */
+const approveStocktake = async (stocktakeId, { notes } = {}, user) => {
+  const stocktake = await getStocktake(stocktakeId);
+  const branchId = firstId(stocktake.branch_id);
+  const { lines, summary } = buildVariance(stocktake);
+  const changed = lines.filter(line => line.variance_units !== 0);
+
+  await transition(stocktake, 'approve', {
+    approved_by: [user.id],
+    approved_at: now(),
+    approval_notes: notes || undefined
+  });
+
+  let adjustment = null;
+  const items = [];
+  const undo = async () => {
+    for (const item of items) {
+      await airtableHelpers.delete(TABLES.ADJUSTMENT_ITEMS, item.id);
+    }
+    if (adjustment) {
+      await airtableHelpers.delete(TABLES.INVENTORY_ADJUSTMENTS, adjustment.id);
+    }
+    await airtableHelpers.update(TABLES.STOCKTAKES, stocktake.id, {
+      status: 'review',
+      approved_by: null,
+      approved_at: null,
+      approval_notes: null,
+      adjustment_id: null
+    });
+  };
+
+  try {
+    if (changed.length > 0) {
+      adjustment = await airtableHelpers.create(TABLES.INVENTORY_ADJUSTMENTS, {
+        branch_id: [branchId],
+        adjustment_type: 'stocktake',
+        stocktake_id: [stocktake.id],
+        quantity_change: summary.netVarianceUnits,
+        value_change: summary.netVarianceValue,
+        line_count: changed.length,
+        reason: `Stocktake ${stocktake.stocktake_number}`,
+        reference_number: stocktake.stocktake_number,
+        status: 'approved',
+        requested_by: stocktake.created_by,
+        approved_by: [user.id],
+        approved_at: now(),
+        adjustment_date: now().split('T')[0],
+        created_at: now()
+      });
+
+      for (const line of changed) {
+        items.push(await airtableHelpers.create(TABLES.ADJUSTMENT_ITEMS, {
+          adjustment_id: [adjustment.id],
+          stock_id: line.stock_id ? [line.stock_id] : undefined,
+          product_id: line.product_id,
+          product_name: line.product_name,
+          expected_quantity: line.expected_quantity,
+          counted_quantity: line.counted_quantity,
+          quantity_change: line.variance_units,
+          unit_cost: line.unit_cost,
+          value_change: line.variance_value
+        }));
+      }
+    }
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+
+  if (changed.length > 0) {
+    await applyStockChanges(changed.map((line, index) => ({
+      type: 'adjustment',
+      branchId,
+      stockId: line.stock_id || undefined,
+      productId: line.product_id,
+      productName: line.product_name,
+      quantity: line.variance_units,
+      unitCost: line.variance_units > 0 ? line.unit_cost : undefined,
+      reference: {
+        adjustment_id: [adjustment.id],
+        adjustment_item_id: [items[index].id],
+        stocktake_id: [stocktake.id]
+      }
+    })), {
+      userId: user.id,
+      reason: `Stocktake ${stocktake.stocktake_number}`,
+      rollback: undo
+    });
+  }
+
+  await airtableHelpers.update(TABLES.STOCKTAKES, stocktake.id, {
+    adjustment_id: adjustment ? [adjustment.id] : undefined,
+    net_variance_units: summary.netVarianceUnits,
+    net_variance_value: summary.netVarianceValue
+  });
+
+  return { stocktake: await getStocktake(stocktakeId), adjustment, items, summary };
+};
+
+const listStocktakes = async ({ branchId, status } = {}) => {
+  const stocktakes = await airtableHelpers.find(TABLES.STOCKTAKES);
+  const statuses = status ? status.split(',') : null;
+  return stocktakes
+    .filter(stocktake => !branchId || firstId(stocktake.branch_id) === branchId)
+    .filter(stocktake => !statuses || statuses.includes(stocktake.status))
+    .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+};
+
+// Counters doing a blind count only see what they have counted themselves;
+// those who run stocktakes (stocktakes.manage) see the expected quantities
+const hideExpected = async (stocktake, user) => {
+  if (!stocktake.blind_count || await hasPermission(user, 'stocktakes.manage')) return stocktake;
+  return {
+    ...stocktake,
+    lines: stocktake.lines.map(({ expected_quantity, ...line }) => line)
+  };
+};
+
+module.exports = {
+  StocktakeError,
+  getStocktake,
+  createStocktake,
+  recordCounts,
+  getVariance,
+  submitStocktake,
+  reopenStocktake,
+  cancelStocktake,
+  approveStocktake,
+  listStocktakes,
+  hideExpected
+};
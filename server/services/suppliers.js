@@ -0,0 +1,365 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Supplier master data and scorecards.
+ *
+ * Suppliers are Contacts with `contact_type: 'supplier'`. Orders link them
+ * as `supplier_id`; bills, payments made and vendor credits as `vendor_id`.
+ * Both keep the free-text name too, and rows written before suppliers
+ * existed are matched to a supplier by that name.
+ */
+
+const DEFAULT_PAYMENT_TERMS_DAYS = envNumber('DEFAULT_SUPPLIER_TERMS_DAYS', 30);
+
+const PROFILE_FIELDS = ['name', 'contact_name', 'phone', 'email', 'address', 'tax_pin', 'notes'];
+const BANK_FIELDS = ['bank_name', 'bank_branch', 'bank_account_name', 'bank_account_number', 'bank_swift_code'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SupplierError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'SupplierError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const ratio = (part, whole) => (whole > 0 ? Math.round(part / whole * 10000) / 10000 : null);
+
+const sameName = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const isSupplier = (contact) => contact && contact.contact_type === 'supplier';
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const maskAccount = (number) => (number ? `****${String(number).slice(-4)}` : number);
+
+// What a user may see of a supplier: bank details are only shown in full
+// to those who pay suppliers (suppliers.bank.view)
+const supplierView = async (supplier, user) => {
+  if (!supplier || await hasPermission(user, 'suppliers.bank.view')) return supplier;
+  return { ...supplier, bank_account_number: maskAccount(supplier.bank_account_number) };
+};
+
+const getSupplier = async (supplierId) => {
+  const contact = await airtableHelpers.findById(TABLES.CONTACTS, supplierId).catch(() => null);
+  if (!isSupplier(contact)) {
+    throw new SupplierError('Supplier not found', 404);
+  }
+  return contact;
+};
+
+const listSuppliers = async ({ search, active } = {}) => {
+  let suppliers = (await airtableHelpers.find(TABLES.CONTACTS)).filter(isSupplier);
+  if (search) {
+    const term = search.toLowerCase();
+    suppliers = suppliers.filter(supplier =>
+      [supplier.name, supplier.contact_name, supplier.phone, supplier.email, supplier.tax_pin]
+        .some(value => value && String(value).toLowerCase().includes(term)));
+  }
+  if (active !== undefined) {
+    suppliers = suppliers.filter(supplier => (supplier.is_active !== false) === (active === true || active === 'true'));
+  }
+  return suppliers.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+};
+
+const supplierFields = (body, { creating }) => {
+  const fields = {};
+  for (const key of [...PROFILE_FIELDS, ...BANK_FIELDS]) {
+    if (body[key] !== undefined) fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  }
+  for (const key of ['payment_terms_days', 'lead_time_days']) {
+    if (body[key] === undefined) continue;
+    const days = parseInt(body[key]);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new SupplierError(`${key} must be a whole number of days`);
+    }
+    fields[key] = days;
+  }
+  if (body.is_active !== undefined) fields.is_active = Boolean(body.is_active);
+
+  if (creating && !fields.name) {
+    throw new SupplierError('Supplier name is required');
+  }
+  if (fields.name === '') {
+    throw new SupplierError('Supplier name cannot be empty');
+  }
+  return fields;
+};
+
+const assertUnique = async (fields, exceptId) => {
+  const suppliers = (await airtableHelpers.find(TABLES.CONTACTS)).filter(isSupplier);
+  const duplicate = suppliers.find(supplier => supplier.id !== exceptId &&
+    (sameName(supplier.name, fields.name) || sameName(supplier.tax_pin, fields.tax_pin)));
+  if (duplicate) {
+    throw new SupplierError(`A supplier with this name or tax PIN already exists: ${duplicate.name}`, 409, { supplier_id: duplicate.id });
+  }
+};
+
+const createSupplier = async (body, user) => {
+  const fields = supplierFields(body, { creating: true });
+  await assertUnique(fields);
+  return airtableHelpers.create(TABLES.CONTACTS, {
+    payment_terms_days: DEFAULT_PAYMENT_TERMS_DAYS,
+    is_active: true,
+    ...fields,
+    contact_type: 'supplier',
+    created_by: user.id ? [user.id] : undefined,
+    created_at: new Date().toISOString()
+  });
+};
+
+const updateSupplier = async (supplierId, body) => {
+  await getSupplier(supplierId);
+  const fields = supplierFields(body, { creating: false });
+  if (fields.name || fields.tax_pin) {
+    await assertUnique(fields, supplierId);
+  }
+  return airtableHelpers.update(TABLES.CONTACTS, supplierId, { ...fields, updated_at: new Date().toISOString() });
+};
+
+/**
+ * Work out the supplier for an order, bill or credit from `id` and/or
+ * `name`. An id must be an active supplier; a name on its own is linked to
+ * the supplier of that name when there is one and kept as free text when
+ * not. Returns `{ supplier, name }`.
+ */
+const resolveSupplier = async ({ id, name }) => {
+  if (id) {
+    const supplier = await getSupplier(id);
+    if (supplier.is_active === false) {
+      throw new SupplierError(`${supplier.name} is inactive`, 409);
+    }
+    return { supplier, name: supplier.name };
+  }
+  if (!name) return { supplier: null, name: null };
+  const suppliers = await listSuppliers({ active: true });
+  const supplier = suppliers.find(candidate => sameName(candidate.name, name)) || null;
+  return { supplier, name: supplier ? supplier.name : name };
+};
+
+// Due date for a supplier's bill from their payment terms
+const billTerms = (supplier, billDate) => {
+  const days = supplier && supplier.payment_terms_days !== undefined ? Number(supplier.payment_terms_days) : DEFAULT_PAYMENT_TERMS_DAYS;
+  return { due_date: addDays(billDate, days), payment_terms: `Net ${days}` };
+};
+
+// Expected delivery from the supplier's lead time, when they have one
+const expectedDelivery = (supplier, orderDate) => (supplier && supplier.lead_time_days !== undefined
+  ? addDays(orderDate, Number(supplier.lead_time_days))
+  : undefined);
+
+// Rows linked to the supplier, or (for older rows) carrying their name
+const belongsTo = (supplier, linkField, nameField) => (row) => {
+  if (row[linkField] && row[linkField].length > 0) return row[linkField].includes(supplier.id);
+  return sameName(row[nameField], supplier.name);
+};
+
+const monthOf = (date) => String(date || '').slice(0, 7);
+
+/**
+ * Supplier performance over orders placed between `from` and `to`:
+ *   - on-time delivery: first receive on or before `expected_delivery_date`
+ *   - fill rate: quantity received / quantity ordered on received orders
+ *   - damaged rate: share of received units not in good condition
+ *   - price variance: unit price per product month by month, and what was
+ *     received against what was ordered
+ */
+const buildScorecard = (supplier, { orders, orderItems, receives, receiveItems }, { from, to } = {}) => {
+  const supplierOrders = orders
+    .filter(belongsTo(supplier, 'supplier_id', 'supplier_name'))
+    .filter(order => order.status !== 'draft' && order.status !== 'cancelled')
+    .filter(order => (!from || order.order_date >= from) && (!to || order.order_date <= to));
+  const orderIds = new Set(supplierOrders.map(order => order.id));
+
+  const receivesByOrder = new Map();
+  for (const receive of receives) {
+    const orderId = firstId(receive.purchase_order_id);
+    if (!orderIds.has(orderId)) continue;
+    receivesByOrder.set(orderId, [...(receivesByOrder.get(orderId) || []), receive]);
+  }
+  const receiveOrder = new Map([...receivesByOrder].flatMap(([orderId, list]) => list.map(receive => [receive.id, orderId])));
+
+  const itemKey = (orderId, item) => `${orderId}:${item.product_id || String(item.product_name || '').toLowerCase().trim()}`;
+
+  // On-time delivery
+  let evaluated = 0;
+  let onTime = 0;
+  let daysLate = 0;
+  const late = [];
+  for (const order of supplierOrders) {
+    const orderReceives = receivesByOrder.get(order.id) || [];
+    if (!order.expected_delivery_date || orderReceives.length === 0) continue;
+    const delivered = orderReceives.map(receive => receive.receive_date).filter(Boolean).sort()[0];
+    if (!delivered) continue;
+    evaluated++;
+    const lateBy = Math.round((new Date(delivered) - new Date(order.expected_delivery_date)) / DAY_MS);
+    if (lateBy <= 0) {
+      onTime++;
+    } else {
+      daysLate += lateBy;
+      late.push({ order_id: order.id, expected_delivery_date: order.expected_delivery_date, delivered_date: delivered, days_late: lateBy });
+    }
+  }
+
+  // Received quantities per order line, and their condition
+  const receivedByLine = new Map();
+  const conditions = {};
+  let unitsReceived = 0;
+  let unitsDamaged = 0;
+  const receivedPrices = [];
+  for (const item of receiveItems) {
+    const orderId = receiveOrder.get(firstId(item.receive_id));
+    if (!orderId) continue;
+    const quantity = Number(item.quantity_received) || 0;
+    const key = itemKey(orderId, item);
+    receivedByLine.set(key, (receivedByLine.get(key) || 0) + quantity);
+
+    const condition = item.condition || 'good';
+    conditions[condition] = (conditions[condition] || 0) + quantity;
+    unitsReceived += quantity;
+    if (condition !== 'good') unitsDamaged += quantity;
+    if (item.unit_cost !== undefined) receivedPrices.push({ key, unitCost: Number(item.unit_cost), quantity });
+  }
+
+  // Fill rate over orders that have been (at least partly) delivered
+  let unitsOrdered = 0;
+  let unitsFilled = 0;
+  const lines = [];
+  const orderById = new Map(supplierOrders.map(order => [order.id, order]));
+  for (const item of orderItems) {
+    const orderId = firstId(item.order_id);
+    const order = orderById.get(orderId);
+    if (!order) continue;
+    lines.push({ order, item, key: itemKey(orderId, item) });
+    if (!receivesByOrder.has(orderId)) continue;
+    const ordered = Number(item.quantity_ordered) || 0;
+    const received = receivedByLine.has(itemKey(orderId, item))
+      ? receivedByLine.get(itemKey(orderId, item))
+      : Number(item.quantity_received) || 0;
+    unitsOrdered += ordered;
+    unitsFilled += Math.min(received, ordered);
+  }
+
+  // Price per product month by month, in order date order
+  const products = new Map();
+  for (const { order, item } of lines.sort((a, b) => String(a.order.order_date).localeCompare(String(b.order.order_date)))) {
+    const price = Number(item.purchase_price_per_unit);
+    const quantity = Number(item.quantity_ordered) || 0;
+    if (!Number.isFinite(price) || quantity <= 0) continue;
+    const productKey = item.product_id || String(item.product_name || '').toLowerCase().trim();
+    if (!products.has(productKey)) {
+      products.set(productKey, { product_id: item.product_id || null, product_name: item.product_name, months: new Map() });
+    }
+    const months = products.get(productKey).months;
+    const month = monthOf(order.order_date);
+    const totals = months.get(month) || { value: 0, quantity: 0 };
+    months.set(month, { value: totals.value + price * quantity, quantity: totals.quantity + quantity });
+  }
+  const priceHistory = [...products.values()].map(product => {
+    const series = [...product.months].map(([month, totals]) => ({
+      month,
+      average_price: round2(totals.value / totals.quantity),
+      quantity: totals.quantity
+    }));
+    series.forEach((point, index) => {
+      const previous = series[index - 1];
+      point.change_percent = previous ? round2((point.average_price - previous.average_price) / previous.average_price * 100) : null;
+    });
+    const firstPrice = series[0].average_price;
+    const lastPrice = series[series.length - 1].average_price;
+    return {
+      product_id: product.product_id,
+      product_name: product.product_name,
+      first_price: firstPrice,
+      last_price: lastPrice,
+      change_percent: firstPrice > 0 ? round2((lastPrice - firstPrice) / firstPrice * 100) : null,
+      series
+    };
+  });
+
+  // Received cost against the ordered price
+  const orderedPrice = new Map(lines.map(({ key, item }) => [key, Number(item.purchase_price_per_unit)]));
+  let orderedValue = 0;
+  let receivedValue = 0;
+  for (const { key, unitCost, quantity } of receivedPrices) {
+    const price = orderedPrice.get(key);
+    if (!Number.isFinite(price) || !Number.isFinite(unitCost)) continue;
+    orderedValue += price * quantity;
+    receivedValue += unitCost * quantity;
+  }
+
+  const onTimeRate = ratio(onTime, evaluated);
+  const fillRate = ratio(unitsFilled, unitsOrdered);
+  const damagedRate = ratio(unitsDamaged, unitsReceived);
+  const rates = [onTimeRate, fillRate, damagedRate === null ? null : 1 - damagedRate].filter(rate => rate !== null);
+
+  return {
+    supplier_id: supplier.id,
+    supplier_name: supplier.name,
+    period: { from: from || null, to: to || null },
+    orders: supplierOrders.length,
+    orders_received: receivesByOrder.size,
+    total_ordered_value: round2(supplierOrders.reduce((sum, order) => sum + (Number(order.total_amount) || 0), 0)),
+    on_time: {
+      evaluated,
+      on_time: onTime,
+      late: late.length,
+      rate: onTimeRate,
+      average_days_late: late.length > 0 ? round2(daysLate / late.length) : 0,
+      late_orders: late
+    },
+    fill_rate: { ordered: unitsOrdered, received: unitsFilled, rate: fillRate },
+    damaged: { received: unitsReceived, damaged: unitsDamaged, rate: damagedRate, by_condition: conditions },
+    price_variance: {
+      received_vs_ordered_percent: orderedValue > 0 ? round2((receivedValue - orderedValue) / orderedValue * 100) : null,
+      products: priceHistory
+    },
+    // Average of on-time, fill and undamaged rates, out of 100
+    score: rates.length > 0 ? Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length * 100) : null
+  };
+};
+
+const loadPurchasing = async () => {
+  const [orders, orderItems, receives, receiveItems] = await Promise.all([
+    airtableHelpers.find(TABLES.ORDERS),
+    airtableHelpers.find(TABLES.ORDER_ITEMS),
+    airtableHelpers.find(TABLES.PURCHASE_RECEIVES),
+    airtableHelpers.find(TABLES.RECEIVE_ITEMS)
+  ]);
+  return { orders, orderItems, receives, receiveItems };
+};
+
+const getScorecard = async (supplierId, period) => {
+  const supplier = await getSupplier(supplierId);
+  return buildScorecard(supplier, await loadPurchasing(), period);
+};
+
+// Scorecards for every active supplier, best first
+const getScorecards = async (period) => {
+  const [suppliers, data] = await Promise.all([listSuppliers({ active: true }), loadPurchasing()]);
+  return suppliers
+    .map(supplier => buildScorecard(supplier, data, period))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+};
+
+module.exports = {
+  SupplierError,
+  supplierView,
+  getSupplier,
+  listSuppliers,
+  createSupplier,
+  updateSupplier,
+  resolveSupplier,
+  billTerms,
+  expectedDelivery,
+  getScorecard,
+  getScorecards
+};
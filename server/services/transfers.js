@@ -0,0 +1,482 @@
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { applyStockChanges, firstId } = require('./stock-ledger');
+const { createProductResolver, productLinkFields } = require('./products');
+const { splitAllocations, parseAllocations } = require('./batches');
+const { normalizeSerials, formatSerials, markSerials } = require('./serials');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Inter-branch transfer documents. A transfer is a header in Transfers with
+ * one Transfer_Items row per product and moves through:
+ *
+ *   requested -> approved -> dispatched -> received -> closed
+ *   requested | approved -> rejected | cancelled (with a reason)
+ *
+ * Dispatch takes the stock out of the source branch; until it is received the
+ * quantity sits in transit. Receipt books what actually arrived into the
+ * destination and records damaged and missing quantities as transit variance.
+ */
+const TRANSFER_STATUSES = ['requested', 'approved', 'dispatched', 'received', 'closed', 'rejected', 'cancelled'];
+
+const TRANSITIONS = {
+  approve: { from: ['requested'], to: 'approved' },
+  reject: { from: ['requested', 'approved'], to: 'rejected' },
+  cancel: { from: ['requested', 'approved'], to: 'cancelled' },
+  dispatch: { from: ['approved'], to: 'dispatched' },
+  receive: { from: ['dispatched'], to: 'received' },
+  close: { from: ['received'], to: 'closed' }
+};
+
+const OPEN_STATUSES = ['requested', 'approved', 'dispatched'];
+
+class TransferError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'TransferError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const now = () => new Date().toISOString();
+
+// Users with branches.all act for any branch, everyone else only for their own
+const assertBranchAccess = async (user, branchId, action) => {
+  if (await hasPermission(user, 'branches.all')) return;
+  if (branchId && firstId(user.branch_id) === branchId) return;
+  throw new TransferError(`Only staff of the ${action} branch can do this`, 403);
+};
+
+const nextTransferNumber = (transfers) => {
+  const highest = transfers.reduce((max, transfer) => {
+    const match = /^TRF-(\d+)$/.exec(transfer.transfer_number || '');
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return `TRF-${String(highest + 1).padStart(5, '0')}`;
+};
+
+const getTransferItems = async (transferId) => {
+  const items = await airtableHelpers.find(TABLES.TRANSFER_ITEMS);
+  return items.filter(item => item.transfer_id && item.transfer_id.includes(transferId));
+};
+
+const getTransfer = async (transferId) => {
+  let transfer;
+  try {
+    transfer = await airtableHelpers.findById(TABLES.TRANSFERS, transferId);
+  } catch (error) {
+    throw new TransferError('Transfer not found', 404);
+  }
+  return { ...transfer, items: await getTransferItems(transferId) };
+};
+
+// Move the header to the next status, failing if someone else moved it first
+const transition = async (transfer, action, fields = {}) => {
+  const { from, to } = TRANSITIONS[action];
+  if (!from.includes(transfer.status)) {
+    throw new TransferError(`Cannot ${action} a transfer that is ${transfer.status}`, 409);
+  }
+
+  const updated = await airtableHelpers.updateIfMatch(TABLES.TRANSFERS, transfer.id, { status: transfer.status }, {
+    status: to,
+    updated_at: now(),
+    ...fields
+  });
+  if (!updated) {
+    throw new TransferError('Transfer was changed by someone else, please reload and try again', 409);
+  }
+  return updated;
+};
+
+// Good units arriving go into batches with the same number and expiry date as
+// the ones dispatched, earliest expiry first
+const receivedBatches = (item, quantityReceived) => {
+  const dispatched = parseAllocations(item.batches);
+  if (dispatched.length === 0) return undefined;
+  return splitAllocations(dispatched, [quantityReceived])[0]
+    .map(({ batch_number, expiry_date, quantity }) => ({ batch_number, expiry_date, quantity }));
+};
+
+const restoreStatus = (transfer, fields) => airtableHelpers.update(TABLES.TRANSFERS, transfer.id, {
+  status: transfer.status,
+  ...fields
+});
+
+/**
+ * Create a transfer in `requested` status. `items` are
+ * `{ product_id | sku | barcode | product_name, quantity, serial_numbers? }`.
+ */
+const requestTransfer = async ({ fromBranchId, toBranchId, items, reason, notes }, user) => {
+  if (!fromBranchId || !toBranchId) {
+    throw new TransferError('Source and destination branches are required');
+  }
+  if (fromBranchId === toBranchId) {
+    throw new TransferError('Source and destination branches must differ');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new TransferError('At least one item is required');
+  }
+  await assertBranchAccess(user, fromBranchId, 'source');
+
+  const resolveProduct = createProductResolver();
+  const lines = [];
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!quantity || quantity <= 0) {
+      throw new TransferError('Every item needs a positive quantity', 400, { item });
+    }
+    const product = await resolveProduct(item);
+    const productName = product ? product.product_name : item.product_name || item.productName;
+    if (!productName) {
+      throw new TransferError('Every item needs a product', 400, { item });
+    }
+    const serials = normalizeSerials(item.serial_numbers);
+    if (serials.length > 0 && serials.length !== quantity) {
+      throw new TransferError(`${quantity} units of ${productName} need ${quantity} serial numbers`, 400, { item });
+    }
+    lines.push({ product, productName, quantity, serials, notes: item.notes });
+  }
+
+  const existing = await airtableHelpers.find(TABLES.TRANSFERS);
+  const header = await airtableHelpers.create(TABLES.TRANSFERS, {
+    transfer_number: nextTransferNumber(existing),
+    from_branch_id: [fromBranchId],
+    to_branch_id: [toBranchId],
+    status: 'requested',
+    reason: reason || 'Branch stock transfer',
+    notes: notes || '',
+    total_quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+    requested_by: user.id ? [user.id] : undefined,
+    requested_at: now(),
+    created_at: now()
+  });
+
+  const created = [];
+  try {
+    for (const line of lines) {
+      created.push(await airtableHelpers.create(TABLES.TRANSFER_ITEMS, {
+        transfer_id: [header.id],
+        product_name: line.productName,
+        ...productLinkFields(line.product),
+        quantity_requested: line.quantity,
+        serial_numbers: formatSerials(line.serials),
+        notes: line.notes || ''
+      }));
+    }
+  } catch (error) {
+    for (const item of created) {
+      await airtableHelpers.delete(TABLES.TRANSFER_ITEMS, item.id);
+    }
+    await airtableHelpers.delete(TABLES.TRANSFERS, header.id);
+    throw error;
+  }
+
+  return { ...header, items: created };
+};
+
+const approveTransfer = async (transferId, user) => {
+  const transfer = await getTransfer(transferId);
+  await assertBranchAccess(user, firstId(transfer.to_branch_id), 'destination');
+  await transition(transfer, 'approve', { approved_by: [user.id], approved_at: now() });
+  return getTransfer(transferId);
+};
+
+// Rejection and cancellation both need a reason and happen before dispatch
+const endTransfer = async (transferId, action, reason, user) => {
+  if (!reason || !String(reason).trim()) {
+    throw new TransferError(`A reason is required to ${action} a transfer`);
+  }
+  const transfer = await getTransfer(transferId);
+  const fields = action === 'reject'
+    ? { rejected_by: [user.id], rejected_at: now(), rejection_reason: reason }
+    : { cancelled_by: [user.id], cancelled_at: now(), cancellation_reason: reason };
+
+  if (action === 'reject') {
+    await assertBranchAccess(user, firstId(transfer.to_branch_id), 'destination');
+  } else {
+    await assertBranchAccess(user, firstId(transfer.from_branch_id), 'source');
+  }
+
+  await transition(transfer, action, fields);
+  return getTransfer(transferId);
+};
+
+/**
+ * Take the goods out of the source branch. `quantities` optionally maps a
+ * transfer item id to the quantity actually sent (never more than requested)
+ * and `serials` to the serial numbers sent; items requested with serials send
+ * those when all of them go.
+ */
+const dispatchTransfer = async (transferId, { quantities = {}, serials = {}, notes } = {}, user) => {
+  const transfer = await getTransfer(transferId);
+  const sourceBranchId = firstId(transfer.from_branch_id);
+  await assertBranchAccess(user, sourceBranchId, 'source');
+
+  const lines = transfer.items.map(item => {
+    const requested = Number(item.quantity_requested) || 0;
+    const quantity = quantities[item.id] !== undefined ? parseInt(quantities[item.id]) : requested;
+    if (!(quantity >= 0) || quantity > requested) {
+      throw new TransferError(`Dispatch quantity for ${item.product_name} must be between 0 and ${requested}`);
+    }
+    const requestedSerials = normalizeSerials(item.serial_numbers);
+    const itemSerials = serials[item.id] !== undefined
+      ? normalizeSerials(serials[item.id])
+      : requestedSerials.length === quantity ? requestedSerials : [];
+    return { item, quantity, serials: itemSerials };
+  });
+  if (!lines.some(line => line.quantity > 0)) {
+    throw new TransferError('Nothing to dispatch');
+  }
+
+  await transition(transfer, 'dispatch', {
+    dispatched_by: [user.id],
+    dispatched_at: now(),
+    dispatch_notes: notes || undefined
+  });
+
+  const reference = { transfer_id: transfer.transfer_number, transfer_doc_id: [transfer.id] };
+  const changes = await applyStockChanges(lines.filter(line => line.quantity > 0).map(({ item, quantity, serials: itemSerials }) => ({
+    type: 'transfer_out',
+    branchId: sourceBranchId,
+    productId: item.product_id,
+    productName: item.product_name,
+    quantity: -quantity,
+    serials: itemSerials,
+    reference: { ...reference, transfer_item_id: [item.id] }
+  })), {
+    userId: user.id,
+    reason: `Transfer ${transfer.transfer_number} dispatched`,
+    rollback: () => restoreStatus(transfer, { dispatched_by: null, dispatched_at: null, dispatch_notes: null })
+  });
+
+  // Stock leaving the branch keeps its cost so the receiving side books the same value
+  let totalValue = 0;
+  for (const { item, quantity, serials: itemSerials } of lines) {
+    // Lines for the same product are merged by the ledger, so fall back to the product
+    const change = changes.find(c => c.line.reference?.transfer_item_id?.[0] === item.id) ||
+      changes.find(c => (c.line.productId || c.line.productName) === (item.product_id || item.product_name));
+    const unitCost = change?.unitCost || 0;
+    const batches = change?.batches?.length ? splitAllocations(change.batches, [quantity])[0] : [];
+    totalValue += unitCost * quantity;
+    await airtableHelpers.update(TABLES.TRANSFER_ITEMS, item.id, {
+      quantity_dispatched: quantity,
+      unit_cost: unitCost,
+      batches: batches.length > 0 ? JSON.stringify(batches) : undefined,
+      serial_numbers: formatSerials(itemSerials) || null
+    });
+  }
+  await airtableHelpers.update(TABLES.TRANSFERS, transfer.id, {
+    total_quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+    total_value: Math.round(totalValue * 100) / 100
+  });
+
+  return getTransfer(transferId);
+};
+
+/**
+ * Confirm receipt at the destination. `lines` are
+ * `{ item_id, quantity_received, quantity_damaged, serial_numbers, notes }`;
+ * items left out are taken as fully received. Only good units enter
+ * destination stock; `serial_numbers` names the good units when not all of a
+ * serialised item arrived, the other dispatched serials are marked not received.
+ */
+const receiveTransfer = async (transferId, { lines = [], notes } = {}, user) => {
+  const transfer = await getTransfer(transferId);
+  const destinationBranchId = firstId(transfer.to_branch_id);
+  await assertBranchAccess(user, destinationBranchId, 'destination');
+
+  const byItem = new Map(lines.map(line => [line.item_id, line]));
+  const received = transfer.items.map(item => {
+    const dispatched = Number(item.quantity_dispatched) || 0;
+    const line = byItem.get(item.id) || {};
+    const quantityReceived = line.quantity_received !== undefined ? parseInt(line.quantity_received) : dispatched;
+    const quantityDamaged = parseInt(line.quantity_damaged) || 0;
+
+    if (!(quantityReceived >= 0) || quantityDamaged < 0 || quantityReceived + quantityDamaged > dispatched) {
+      throw new TransferError(`Received and damaged quantities for ${item.product_name} cannot exceed the ${dispatched} dispatched`);
+    }
+
+    const dispatchedSerials = normalizeSerials(item.serial_numbers);
+    const receivedSerials = line.serial_numbers !== undefined
+      ? normalizeSerials(line.serial_numbers)
+      : quantityReceived === dispatched ? dispatchedSerials : [];
+    const strangers = receivedSerials.filter(serial => !dispatchedSerials.includes(serial));
+    if (strangers.length > 0) {
+      throw new TransferError(`Serial numbers not dispatched on this transfer: ${strangers.join(', ')}`);
+    }
+    return {
+      item,
+      dispatched,
+      quantityReceived,
+      quantityDamaged,
+      variance: dispatched - quantityReceived - quantityDamaged,
+      serials: receivedSerials,
+      missingSerials: dispatchedSerials.filter(serial => !receivedSerials.includes(serial)),
+      notes: line.notes
+    };
+  });
+
+  await transition(transfer, 'receive', {
+    received_by: [user.id],
+    received_at: now(),
+    receipt_notes: notes || undefined
+  });
+
+  const reference = { transfer_id: transfer.transfer_number, transfer_doc_id: [transfer.id] };
+  const allStock = await airtableHelpers.find(TABLES.STOCK);
+  await applyStockChanges(received.filter(line => line.quantityReceived > 0).map(({ item, quantityReceived, serials }) => {
+    const sourceStock = allStock.find(stock =>
+      stock.branch_id && stock.branch_id.includes(firstId(transfer.from_branch_id)) && stock.product_id === item.product_id
+    );
+    return {
+      type: 'transfer_in',
+      branchId: destinationBranchId,
+      productId: item.product_id,
+      productName: item.product_name,
+      quantity: quantityReceived,
+      unitCost: item.unit_cost,
+      batches: receivedBatches(item, quantityReceived),
+      serials,
+      template: {
+        unit_price: sourceStock?.unit_price || 0,
+        reorder_level: sourceStock?.reorder_level || 10
+      },
+      reference: { ...reference, transfer_item_id: [item.id] }
+    };
+  }), {
+    userId: user.id,
+    reason: `Transfer ${transfer.transfer_number} received`,
+    rollback: () => restoreStatus(transfer, { received_by: null, received_at: null, receipt_notes: null })
+  });
+
+  for (const line of received) {
+    await airtableHelpers.update(TABLES.TRANSFER_ITEMS, line.item.id, {
+      quantity_received: line.quantityReceived,
+      quantity_damaged: line.quantityDamaged,
+      quantity_variance: line.variance,
+      variance_value: Math.round((line.dispatched - line.quantityReceived) * (Number(line.item.unit_cost) || 0) * 100) / 100,
+      receipt_notes: line.notes || undefined,
+      serial_numbers_received: formatSerials(line.serials)
+    });
+    await markSerials(line.missingSerials, { status: 'not_received', branch_id: null, stock_id: null });
+  }
+  await airtableHelpers.update(TABLES.TRANSFERS, transfer.id, {
+    has_variance: received.some(line => line.quantityDamaged > 0 || line.variance !== 0)
+  });
+
+  return getTransfer(transferId);
+};
+
+const closeTransfer = async (transferId, { notes } = {}, user) => {
+  const transfer = await getTransfer(transferId);
+  await assertBranchAccess(user, firstId(transfer.to_branch_id), 'destination');
+  await transition(transfer, 'close', { closed_by: [user.id], closed_at: now(), closing_notes: notes || undefined });
+  return getTransfer(transferId);
+};
+
+const listTransfers = async ({ branchId, status, direction } = {}) => {
+  const [transfers, items] = await Promise.all([
+    airtableHelpers.find(TABLES.TRANSFERS),
+    airtableHelpers.find(TABLES.TRANSFER_ITEMS)
+  ]);
+
+  return transfers
+    .filter(transfer => {
+      const incoming = !!branchId && !!transfer.to_branch_id && transfer.to_branch_id.includes(branchId);
+      const outgoing = !!branchId && !!transfer.from_branch_id && transfer.from_branch_id.includes(branchId);
+      if (branchId && !incoming && !outgoing) return false;
+      if (direction === 'incoming' && !incoming) return false;
+      if (direction === 'outgoing' && !outgoing) return false;
+      if (status && !status.split(',').includes(transfer.status)) return false;
+      return true;
+    })
+    .map(transfer => ({
+      ...transfer,
+      direction: branchId ? (transfer.to_branch_id?.includes(branchId) ? 'incoming' : 'outgoing') : undefined,
+      items: items.filter(item => item.transfer_id && item.transfer_id.includes(transfer.id))
+    }))
+    .sort((a, b) => (b.requested_at || '').localeCompare(a.requested_at || ''));
+};
+
+// Quantities dispatched but not yet received, per destination branch and product
+const getInTransit = async ({ branchId } = {}) => {
+  const transfers = await listTransfers({ branchId, status: 'dispatched' });
+  const lines = [];
+  for (const transfer of transfers) {
+    for (const item of transfer.items) {
+      lines.push({
+        transfer_id: transfer.id,
+        transfer_number: transfer.transfer_number,
+        from_branch_id: firstId(transfer.from_branch_id),
+        to_branch_id: firstId(transfer.to_branch_id),
+        product_id: item.product_id,
+        product_name: item.product_name,
+        quantity: Number(item.quantity_dispatched) || 0,
+        value: (Number(item.quantity_dispatched) || 0) * (Number(item.unit_cost) || 0),
+        dispatched_at: transfer.dispatched_at
+      });
+    }
+  }
+  return lines.filter(line => line.quantity > 0);
+};
+
+// Damaged and missing quantities on received transfers
+const getVarianceReport = async ({ branchId, startDate, endDate } = {}) => {
+  const transfers = await listTransfers({ branchId, status: 'received,closed' });
+  const lines = [];
+
+  for (const transfer of transfers) {
+    const receivedOn = (transfer.received_at || '').split('T')[0];
+    if (startDate && receivedOn < startDate) continue;
+    if (endDate && receivedOn > endDate) continue;
+
+    for (const item of transfer.items) {
+      const damaged = Number(item.quantity_damaged) || 0;
+      const missing = Number(item.quantity_variance) || 0;
+      if (damaged === 0 && missing === 0) continue;
+
+      lines.push({
+        transfer_id: transfer.id,
+        transfer_number: transfer.transfer_number,
+        status: transfer.status,
+        from_branch_id: firstId(transfer.from_branch_id),
+        to_branch_id: firstId(transfer.to_branch_id),
+        received_at: transfer.received_at,
+        product_id: item.product_id,
+        product_name: item.product_name,
+        quantity_dispatched: Number(item.quantity_dispatched) || 0,
+        quantity_received: Number(item.quantity_received) || 0,
+        quantity_damaged: damaged,
+        quantity_missing: missing,
+        unit_cost: Number(item.unit_cost) || 0,
+        variance_value: Number(item.variance_value) || 0
+      });
+    }
+  }
+
+  return {
+    lines,
+    summary: {
+      transfersWithVariance: new Set(lines.map(line => line.transfer_id)).size,
+      totalDamaged: lines.reduce((sum, line) => sum + line.quantity_damaged, 0),
+      totalMissing: lines.reduce((sum, line) => sum + line.quantity_missing, 0),
+      totalVarianceValue: lines.reduce((sum, line) => sum + line.variance_value, 0)
+    }
+  };
+};
+
+module.exports = {
+  TRANSFER_STATUSES,
+  OPEN_STATUSES,
+  TransferError,
+  getTransfer,
+  requestTransfer,
+  approveTransfer,
+  endTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  closeTransfer,
+  listTransfers,
+  getInTransit,
+  getVarianceReport
+};
@@ -0,0 +1,797 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { XeroClient } = require('xero-node');
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const { envNumber } = require('../config/env');
+const { listAccounts } = require('./accounting');
+const { METHOD_ACCOUNTS, EXPENSE_CATEGORY_ACCOUNTS, POSTED_BILL_STATUSES } = require('./journal-postings');
+
+/**
+ * Xero integration through xero-node.
+ *
+ * Bills, supplier payments, sales and expenses are pushed to Xero as
+ * purchase invoices, payments, sales invoices (with their payment) and
+ * spend-money transactions. Xero's chart of accounts and its contacts are
+ * pulled back so local accounts and contacts can be matched to theirs.
+ *
+ * Every pushed document has a row in Xero_Mappings holding its Xero id, a
+ * hash of what was last sent and a sync status. `syncAll` (also run by the
+ * scheduler) pushes what is new or changed, voids what was deleted locally,
+ * and retries failures with exponential backoff; validation errors wait
+ * until the document changes or someone retries it. Every push and pull is
+ * written to Xero_Sync_Log.
+ *
+ * The app authenticates as a Xero custom connection (XERO_CLIENT_ID and
+ * XERO_CLIENT_SECRET). For a local mock of the Xero API, set
+ * XERO_API_BASE_URL to the mock and XERO_ACCESS_TOKEN to any token, or pass
+ * them to `configureXero`.
+ */
+
+const TENANT_ID = process.env.XERO_TENANT_ID || '';
+const SCOPES = process.env.XERO_SCOPES || 'accounting.transactions accounting.contacts accounting.settings';
+const REQUEST_TIMEOUT_MS = envNumber('XERO_REQUEST_TIMEOUT_MS', 20000);
+const MAX_ATTEMPTS = envNumber('XERO_SYNC_MAX_ATTEMPTS', 8);
+const RETRY_BASE_SECONDS = envNumber('XERO_RETRY_BASE_SECONDS', 60);
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// Documents dated before this are never pushed, e.g. history already in Xero
+const SYNC_START_DATE = process.env.XERO_SYNC_START_DATE || null;
+const CASH_SALES_CONTACT = process.env.XERO_CASH_SALES_CONTACT || 'Cash sales';
+const CONTACTS_PAGE_SIZE = 100;
+
+// Pushed in this order, so a bill is in Xero before its payments
+const ENTITY_TYPES = ['bill', 'payment_made', 'sale', 'expense'];
+
+// Xero's default chart, for local accounts not mapped to one of Xero's own.
+// Payments need a Xero bank account, so every tender defaults to the bank.
+const DEFAULT_XERO_ACCOUNTS = {
+  cash: '090',
+  bank: '090',
+  card: '090',
+  mpesa: '090',
+  sales: '200',
+  sales_discounts: '200',
+  goods_received: '300',
+  input_tax: '820',
+  general_expenses: '429',
+  rent: '469',
+  utilities: '445',
+  transport: '449',
+  maintenance: '473',
+  salaries: '477'
+};
+
+class XeroSyncError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'XeroSyncError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const firstId = (value) => (Array.isArray(value) ? value[0] : value);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const dateOf = (value) => (value ? String(value).split('T')[0] : new Date().toISOString().split('T')[0]);
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+const hash = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+
+// Client
+
+let client = null;
+let tokenExpiresAt = 0;
+let overrides = {};
+
+const apiBaseUrl = () => overrides.baseUrl || process.env.XERO_API_BASE_URL;
+const fixedAccessToken = () => overrides.accessToken || process.env.XERO_ACCESS_TOKEN;
+
+const isConfigured = () => Boolean(fixedAccessToken() || (process.env.XERO_CLIENT_ID && process.env.XERO_CLIENT_SECRET));
+
+/**
+ * Point the client at another Xero API, such as a local mock, and/or use a
+ * fixed access token instead of the client credentials. Either falls back
+ * to the environment; the next request reconnects with the new settings.
+ */
+const configureXero = ({ baseUrl, accessToken } = {}) => {
+  overrides = { baseUrl, accessToken };
+  client = null;
+  tokenExpiresAt = 0;
+};
+
+// xero-node turns an HTTP error into a rejection, but a request that never
+// gets a response (timeout, connection refused) leaves its promise hanging.
+// Every request gets a timeout (XERO_REQUEST_TIMEOUT_MS, where 0 turns it
+// off), and one without a response comes back as a 503 so it is retried like
+// any other outage.
+const baseAdapter = axios.getAdapter(axios.defaults.adapter);
+const requestGuard = {
+  applyToRequest: (options) => {
+    options.timeout = REQUEST_TIMEOUT_MS;
+    options.adapter = async (config) => {
+      try {
+        return await baseAdapter(config);
+      } catch (error) {
+        if (error.response) throw error;
+        return { status: 503, statusText: 'Unreachable', headers: {}, config, request: error.request, data: { Message: `Xero is unreachable: ${error.message}` } };
+      }
+    };
+  }
+};
+
+const connect = async () => {
+  if (!isConfigured()) {
+    throw new XeroSyncError('Xero is not configured; set XERO_CLIENT_ID and XERO_CLIENT_SECRET', 503);
+  }
+  if (!client) {
+    client = new XeroClient({
+      clientId: process.env.XERO_CLIENT_ID,
+      clientSecret: process.env.XERO_CLIENT_SECRET,
+      grantType: 'client_credentials',
+      scopes: SCOPES
+    });
+    client.accountingApi.authentications.default = requestGuard;
+    if (apiBaseUrl()) {
+      client.accountingApi.basePath = apiBaseUrl().replace(/\/$/, '');
+    }
+  }
+  if (Date.now() >= tokenExpiresAt) {
+    if (fixedAccessToken()) {
+      client.setTokenSet({ access_token: fixedAccessToken() });
+      tokenExpiresAt = Infinity;
+    } else {
+      const tokenSet = await client.getClientCredentialsToken();
+      // Renew a minute early
+      tokenExpiresAt = Date.now() + ((Number(tokenSet.expires_in) || 1800) - 60) * 1000;
+    }
+  }
+  return client.accountingApi;
+};
+
+// Status, message and Retry-After of whatever a Xero call rejected with:
+// xero-node rejects with a JSON string, axios and this module with errors
+const describeError = (error) => {
+  if (error instanceof XeroSyncError) {
+    return { status: error.status, message: error.message };
+  }
+  let parsed = error;
+  if (typeof error === 'string') {
+    try {
+      parsed = JSON.parse(error);
+    } catch (parseError) {
+      return { status: null, message: error };
+    }
+  }
+  const response = (parsed && parsed.response) || {};
+  const status = response.statusCode || response.status || null;
+  if (!status) {
+    return { status: null, message: (parsed && parsed.message) || String(parsed) };
+  }
+  const body = response.data || response.body || parsed.body || {};
+  const validation = (body.Elements || []).flatMap(element => (element.ValidationErrors || []).map(item => item.Message));
+  const headers = response.headers || {};
+  return {
+    status,
+    message: validation.length > 0 ? validation.join('; ') : body.Detail || body.Message || body.Title || `Xero responded with ${status}`,
+    retryAfter: Number(headers['retry-after']) || null
+  };
+};
+
+// Outages, rate limits, expired tokens and documents waiting on another
+// are worth retrying; validation errors are not until the document changes
+const isRetryable = (status) => !status || status === 401 || status === 409 || status === 429 || status >= 500;
+
+// Idempotency keys make a retried request safe when the first one reached Xero
+const idempotencyKey = (...parts) => hash(parts).slice(0, 40);
+
+// Runs
+
+// One sync or pull at a time, so a document is never pushed twice at once
+let queue = Promise.resolve();
+
+const exclusive = (fn) => {
+  const run = queue.catch(() => {}).then(fn);
+  queue = run;
+  return run;
+};
+
+// Tables, mappings and accounts are read once per run
+const createRun = async (user) => {
+  const cache = new Map();
+  let accounts = null;
+  return {
+    triggeredBy: user ? user.id || user.email : 'scheduler',
+    mappings: await airtableHelpers.find(TABLES.XERO_MAPPINGS),
+    load: (table) => {
+      if (!cache.has(table)) cache.set(table, airtableHelpers.find(table));
+      return cache.get(table);
+    },
+    record: async function (table, id) {
+      return (await this.load(table)).find(record => record.id === id) || null;
+    },
+    accounts: () => {
+      if (!accounts) accounts = listAccounts({ includeInactive: true });
+      return accounts;
+    }
+  };
+};
+
+const findMapping = (run, entityType, localId) =>
+  run.mappings.find(mapping => mapping.entity_type === entityType && mapping.local_id === localId) || null;
+
+const saveMapping = async (run, mapping, fields) => {
+  const stamped = { ...fields, updated_at: new Date().toISOString() };
+  if (mapping) {
+    Object.assign(mapping, await airtableHelpers.update(TABLES.XERO_MAPPINGS, mapping.id, stamped));
+    return mapping;
+  }
+  const created = await airtableHelpers.create(TABLES.XERO_MAPPINGS, { ...stamped, created_at: stamped.updated_at });
+  run.mappings.push(created);
+  return created;
+};
+
+// The log is for people; failing to write it never fails a sync
+const logSync = async (run, fields) => {
+  try {
+    await airtableHelpers.create(TABLES.XERO_SYNC_LOG, { ...fields, triggered_by: run.triggeredBy, created_at: new Date().toISOString() });
+  } catch (error) {
+    console.error('Xero sync log error:', error.message);
+  }
+};
+
+// The Xero account code for a local account, by system key or code
+const xeroAccountCode = async (run, account) => {
+  const local = (await run.accounts()).find(a => a.system_key === account || a.code === account);
+  const mapping = local && run.mappings.find(m => m.entity_type === 'account' && m.local_id === local.code);
+  if (mapping) return mapping.xero_code;
+  const fallback = DEFAULT_XERO_ACCOUNTS[local ? local.system_key : account];
+  if (fallback) return fallback;
+  throw new XeroSyncError(`Account ${local ? `${local.code} ${local.name}` : account} is not mapped to a Xero account`, 422);
+};
+
+// The Xero contact for a local contact (or a free-text name), created in
+// Xero when neither the contact nor anyone of that name is there yet
+const resolveContact = async (api, run, { localId, name }) => {
+  const contacts = run.mappings.filter(mapping => mapping.entity_type === 'contact');
+  const mapping = (localId && contacts.find(m => m.local_id === localId))
+    || contacts.find(m => normalizeName(m.name) === normalizeName(name));
+  if (mapping) {
+    if (localId && !mapping.local_id) await saveMapping(run, mapping, { local_id: localId });
+    return mapping.xero_id;
+  }
+  const response = await api.createContacts(TENANT_ID, { contacts: [{ name }] }, true, idempotencyKey('contact', normalizeName(name)));
+  const contact = response.body.contacts[0];
+  await saveMapping(run, null, {
+    entity_type: 'contact',
+    local_id: localId,
+    xero_id: contact.contactID,
+    name: contact.name,
+    status: 'synced',
+    synced_at: new Date().toISOString()
+  });
+  return contact.contactID;
+};
+
+// An invoice or transaction line; quantities only when they add up to the amount
+const lineItem = (description, quantity, unitPrice, amount, accountCode) => {
+  const itemized = Number(quantity) > 0 && round2(Number(quantity) * Number(unitPrice)) === round2(amount);
+  return {
+    description: description || 'Item',
+    quantity: itemized ? Number(quantity) : 1,
+    unitAmount: itemized ? Number(unitPrice) : round2(amount),
+    accountCode
+  };
+};
+
+// Adds a line for whatever the lines do not cover, so Xero's total matches ours
+const balanceLines = (lines, total, description, accountCode) => {
+  const covered = lines.reduce((sum, line) => sum + line.quantity * line.unitAmount, 0);
+  if (Math.abs(total - covered) >= 0.01) {
+    lines.push({ description, quantity: 1, unitAmount: round2(total - covered), accountCode });
+  }
+  return lines;
+};
+
+// Invoices are updated in place; payments cannot be, so a changed one is
+// deleted and made again
+const upsertInvoice = async (api, run, draft, mapping, signature) => {
+  const contactID = await resolveContact(api, run, draft.contact);
+  const invoice = { ...draft.invoice, contact: { contactID } };
+  if (mapping.xero_id) invoice.invoiceID = mapping.xero_id;
+  const response = await api.updateOrCreateInvoices(TENANT_ID, { invoices: [invoice] }, true, undefined, idempotencyKey('invoice', signature));
+  return response.body.invoices[0];
+};
+
+const deletePayment = async (api, paymentId) => {
+  await api.deletePayment(TENANT_ID, paymentId, { status: 'DELETED' });
+};
+
+const createPayment = async (api, payment, invoiceID, signature) => {
+  const response = await api.createPayment(TENANT_ID, {
+    invoice: { invoiceID },
+    account: { code: payment.accountCode },
+    date: payment.date,
+    amount: payment.amount,
+    reference: payment.reference
+  }, idempotencyKey('payment', invoiceID, signature));
+  return response.body.payments[0].paymentID;
+};
+
+const voidInvoice = async (api, mapping) => {
+  if (mapping.xero_payment_id) await deletePayment(api, mapping.xero_payment_id);
+  await api.updateOrCreateInvoices(TENANT_ID, { invoices: [{ invoiceID: mapping.xero_id, status: 'VOIDED' }] }, true);
+  return { xero_payment_id: '' };
+};
+
+/**
+ * What each document type sends. `draft` returns the payload (null when
+ * the document should not be in Xero, `{ skipped }` when it never can be),
+ * `push` sends it and returns the ids to keep, `remove` takes it back out.
+ */
+const DOCUMENTS = {
+  bill: {
+    table: TABLES.BILLS,
+    date: (bill) => bill.bill_date,
+    draft: async (bill, run) => {
+      if (!POSTED_BILL_STATUSES.includes(bill.status)) return null;
+      const accountCodes = new Set((await run.accounts()).map(account => account.code));
+      const fallback = await xeroAccountCode(run, bill.purchase_order_id ? 'goods_received' : 'general_expenses');
+      const lines = [];
+      const items = (await run.load(TABLES.BILL_ITEMS)).filter(item => item.bill_id && item.bill_id.includes(bill.id));
+      for (const item of items) {
+        const amount = Number(item.amount) || (Number(item.quantity) || 0) * (Number(item.unit_price) || 0);
+        const accountCode = accountCodes.has(item.account_code) ? await xeroAccountCode(run, item.account_code) : fallback;
+        lines.push(lineItem(item.description || item.product_name, item.quantity, item.unit_price, amount, accountCode));
+      }
+      const tax = Number(bill.tax_amount) || 0;
+      if (tax > 0) lines.push({ description: 'Tax', quantity: 1, unitAmount: tax, accountCode: await xeroAccountCode(run, 'input_tax') });
+      return {
+        contact: { localId: firstId(bill.vendor_id) || null, name: bill.vendor_name || 'Unknown supplier' },
+        invoice: {
+          type: 'ACCPAY',
+          invoiceNumber: bill.bill_number,
+          reference: bill.reference_number || undefined,
+          date: dateOf(bill.bill_date),
+          dueDate: dateOf(bill.due_date || bill.bill_date),
+          lineAmountTypes: 'NoTax',
+          status: 'AUTHORISED',
+          lineItems: balanceLines(lines, Number(bill.total_amount) || 0, bill.vendor_name || 'Bill', fallback)
+        }
+      };
+    },
+    push: async (api, run, draft, mapping, signature) => {
+      const invoice = await upsertInvoice(api, run, draft, mapping, signature);
+      return { xero_id: invoice.invoiceID, xero_number: invoice.invoiceNumber };
+    },
+    remove: voidInvoice
+  },
+
+  // Supplier payments, against the bill they pay
+  payment_made: {
+    table: TABLES.PAYMENTS_MADE,
+    date: (payment) => payment.payment_date || payment.created_at,
+    draft: async (payment, run) => {
+      if (payment.status && payment.status !== 'completed') return null;
+      const billId = firstId(payment.bill_id);
+      if (!billId) return { skipped: 'Not paid against a bill' };
+      return {
+        billId,
+        payment: {
+          date: dateOf(payment.payment_date || payment.created_at),
+          amount: round2(Number(payment.amount) || 0),
+          reference: payment.reference_number || undefined,
+          accountCode: await xeroAccountCode(run, METHOD_ACCOUNTS[payment.payment_method] || 'bank')
+        }
+      };
+    },
+    push: async (api, run, draft, mapping, signature) => {
+      const bill = await syncDocument(run, 'bill', draft.billId);
+      const billMapping = findMapping(run, 'bill', draft.billId);
+      if (!billMapping || billMapping.status !== 'synced') {
+        throw new XeroSyncError(`Bill ${draft.billId} is not in Xero yet${bill === 'failed' ? `: ${billMapping.last_error}` : ''}`, 409);
+      }
+      if (mapping.xero_id) await deletePayment(api, mapping.xero_id);
+      return { xero_id: await createPayment(api, draft.payment, billMapping.xero_id, signature) };
+    },
+    remove: async (api, mapping) => {
+      await deletePayment(api, mapping.xero_id);
+      return {};
+    }
+  },
+
+  // Sales invoices, with what was taken at the till as their payment.
+  // Refunds are not sent; credit notes for them are raised in Xero.
+  sale: {
+    table: TABLES.SALES,
+    date: (sale) => sale.sale_date,
+    draft: async (sale, run) => {
+      const total = round2(Number(sale.total_amount) || 0);
+      if (total <= 0) return null;
+      const customerId = firstId(sale.customer_id);
+      const customer = customerId ? await run.record(TABLES.CONTACTS, customerId) : null;
+      const salesAccount = await xeroAccountCode(run, 'sales');
+      const items = (await run.load(TABLES.SALE_ITEMS)).filter(item => item.sale_id && item.sale_id.includes(sale.id));
+      const lines = items.map(item => {
+        const quantity = Number(item.quantity_sold) || 0;
+        const amount = item.line_subtotal !== undefined ? Number(item.line_subtotal) : quantity * (Number(item.unit_price) || 0);
+        return lineItem(item.product_name, quantity, item.unit_price, amount, salesAccount);
+      });
+      balanceLines(lines, total, 'Discount', await xeroAccountCode(run, 'sales_discounts'));
+
+      const tenders = (await run.load(TABLES.SALE_PAYMENTS)).filter(payment => payment.sale_id && payment.sale_id.includes(sale.id));
+      const paidWith = tenders.filter(tender => tender.tender_type !== 'credit');
+      const paid = tenders.length > 0
+        ? Math.min(total, paidWith.reduce((sum, tender) => sum + (Number(tender.amount) || 0), 0))
+        : (sale.payment_method === 'credit' ? 0 : total);
+      const method = paidWith.length > 0 ? paidWith[0].tender_type : sale.payment_method;
+
+      return {
+        contact: customer ? { localId: customer.id, name: customer.name } : { localId: null, name: CASH_SALES_CONTACT },
+        invoice: {
+          type: 'ACCREC',
+          invoiceNumber: sale.receipt_number || undefined,
+          reference: sale.id,
+          date: dateOf(sale.sale_date),
+          dueDate: dateOf(sale.due_date || sale.sale_date),
+          lineAmountTypes: 'NoTax',
+          status: 'AUTHORISED',
+          lineItems: lines
+        },
+        payment: paid >= 0.01
+          ? { date: dateOf(sale.sale_date), amount: round2(paid), reference: sale.receipt_number || undefined, accountCode: await xeroAccountCode(run, METHOD_ACCOUNTS[method] || 'cash') }
+          : null
+      };
+    },
+    push: async (api, run, draft, mapping, signature) => {
+      if (mapping.xero_payment_id) await deletePayment(api, mapping.xero_payment_id);
+      const invoice = await upsertInvoice(api, run, draft, mapping, signature);
+      const paymentId = draft.payment ? await createPayment(api, draft.payment, invoice.invoiceID, signature) : '';
+      return { xero_id: invoice.invoiceID, xero_number: invoice.invoiceNumber, xero_payment_id: paymentId };
+    },
+    remove: voidInvoice
+  },
+
+  // Spend-money transactions from the account the expense was paid from
+  expense: {
+    table: TABLES.EXPENSES,
+    date: (expense) => expense.expense_date,
+    draft: async (expense, run) => {
+      if (expense.status === 'rejected' || !(Number(expense.amount) > 0)) return null;
+      const accountCodes = new Set((await run.accounts()).map(account => account.code));
+      const account = accountCodes.has(expense.account_code)
+        ? expense.account_code
+        : EXPENSE_CATEGORY_ACCOUNTS[String(expense.category || '').toLowerCase()] || 'general_expenses';
+      return {
+        contact: { localId: null, name: expense.supplier_name || 'Sundry expenses' },
+        transaction: {
+          type: 'SPEND',
+          date: dateOf(expense.expense_date),
+          reference: expense.receipt_number || undefined,
+          lineAmountTypes: 'NoTax',
+          bankAccount: { code: await xeroAccountCode(run, METHOD_ACCOUNTS[expense.payment_method] || 'cash') },
+          lineItems: [lineItem(expense.description || expense.category, 1, expense.amount, Number(expense.amount), await xeroAccountCode(run, account))]
+        }
+      };
+    },
+    push: async (api, run, draft, mapping, signature) => {
+      const contactID = await resolveContact(api, run, draft.contact);
+      const transaction = { ...draft.transaction, contact: { contactID } };
+      if (mapping.xero_id) transaction.bankTransactionID = mapping.xero_id;
+      const response = await api.updateOrCreateBankTransactions(TENANT_ID, { bankTransactions: [transaction] }, true, undefined, idempotencyKey('spend', signature));
+      return { xero_id: response.body.bankTransactions[0].bankTransactionID };
+    },
+    remove: async (api, mapping) => {
+      await api.updateOrCreateBankTransactions(TENANT_ID, { bankTransactions: [{ bankTransactionID: mapping.xero_id, status: 'DELETED' }] }, true);
+      return {};
+    }
+  }
+};
+
+const isDue = (mapping) =>
+  Boolean(mapping.next_attempt_at) && mapping.next_attempt_at <= new Date().toISOString() && (Number(mapping.attempts) || 0) < MAX_ATTEMPTS;
+
+const recordFailure = async (run, entityType, localId, mapping, signature, error, action, startedAt) => {
+  const { status, message, retryAfter } = describeError(error);
+  const attempts = (mapping && mapping.signature === signature ? Number(mapping.attempts) || 0 : 0) + 1;
+  const retry = isRetryable(status) && attempts < MAX_ATTEMPTS;
+  const delaySeconds = retryAfter || Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+  if (status === 401) tokenExpiresAt = 0;
+  console.error(`Xero sync failed for ${entityType} ${localId}:`, message);
+  await saveMapping(run, mapping, {
+    entity_type: entityType,
+    local_id: localId,
+    status: 'failed',
+    signature,
+    attempts,
+    last_error: message,
+    last_attempt_at: new Date().toISOString(),
+    next_attempt_at: retry ? new Date(Date.now() + delaySeconds * 1000).toISOString() : ''
+  });
+  await logSync(run, { entity_type: entityType, local_id: localId, action, status: 'failed', message, attempt: attempts, duration_ms: Date.now() - startedAt });
+  return 'failed';
+};
+
+/**
+ * Bring one document's copy in Xero up to date. Resolves with what
+ * happened: create, update, void, unchanged, skipped, waiting (a failure
+ * still backing off) or failed. `force` retries a failure straight away.
+ */
+const syncDocument = async (run, entityType, localId, { force = false } = {}) => {
+  const handler = DOCUMENTS[entityType];
+  const mapping = findMapping(run, entityType, localId);
+  const record = await run.record(handler.table, localId);
+  const startedAt = Date.now();
+
+  let draft;
+  try {
+    draft = record ? await handler.draft(record, run) : null;
+  } catch (error) {
+    return recordFailure(run, entityType, localId, mapping, null, error, 'prepare', startedAt);
+  }
+
+  if (draft && draft.skipped) {
+    if (mapping && mapping.status === 'skipped' && mapping.last_error === draft.skipped) return 'unchanged';
+    await saveMapping(run, mapping, { entity_type: entityType, local_id: localId, status: 'skipped', last_error: draft.skipped, next_attempt_at: '' });
+    return 'skipped';
+  }
+  if (!draft && !(mapping && mapping.xero_id)) {
+    // Never reached Xero, so there is nothing to take back
+    if (!mapping || mapping.status === 'skipped') return 'unchanged';
+    await saveMapping(run, mapping, { status: 'skipped', last_error: 'No longer needs syncing', next_attempt_at: '' });
+    return 'skipped';
+  }
+
+  const signature = draft ? hash(draft) : 'void';
+  const action = !draft ? 'void' : mapping && mapping.xero_id ? 'update' : 'create';
+  if (mapping && mapping.signature === signature) {
+    if (mapping.status === 'synced' || mapping.status === 'voided') return 'unchanged';
+    if (mapping.status === 'failed' && !force && !isDue(mapping)) return 'waiting';
+  }
+
+  try {
+    const api = await connect();
+    const fields = draft
+      ? await handler.push(api, run, draft, mapping || {}, signature)
+      : await handler.remove(api, mapping);
+    const saved = await saveMapping(run, mapping, {
+      entity_type: entityType,
+      local_id: localId,
+      ...fields,
+      status: draft ? 'synced' : 'voided',
+      signature,
+      attempts: 0,
+      last_error: '',
+      next_attempt_at: '',
+      synced_at: new Date().toISOString()
+    });
+    await logSync(run, { entity_type: entityType, local_id: localId, action, status: 'success', xero_id: saved.xero_id, duration_ms: Date.now() - startedAt });
+    return action;
+  } catch (error) {
+    return recordFailure(run, entityType, localId, mapping, signature, error, action, startedAt);
+  }
+};
+
+const OUTCOME_COUNTS = { create: 'created', update: 'updated', void: 'voided', unchanged: 'unchanged', skipped: 'skipped', waiting: 'waiting' };
+
+let lastRun = null;
+
+/**
+ * Push every new, changed or deleted document of the given types (default
+ * all) and retry failures that are due. Documents already in Xero are kept
+ * in step even when dated before XERO_SYNC_START_DATE.
+ */
+const syncAll = ({ entityTypes = ENTITY_TYPES, force = false, user } = {}) => exclusive(async () => {
+  if (!isConfigured()) {
+    throw new XeroSyncError('Xero is not configured; set XERO_CLIENT_ID and XERO_CLIENT_SECRET', 503);
+  }
+  const run = await createRun(user);
+  const summary = { created: 0, updated: 0, voided: 0, unchanged: 0, skipped: 0, waiting: 0, failed: [] };
+  for (const entityType of ENTITY_TYPES.filter(type => entityTypes.includes(type))) {
+    const handler = DOCUMENTS[entityType];
+    const ids = new Set();
+    for (const record of await run.load(handler.table)) {
+      if (!SYNC_START_DATE || dateOf(handler.date(record)) >= SYNC_START_DATE) ids.add(record.id);
+    }
+    for (const mapping of run.mappings) {
+      if (mapping.entity_type === entityType) ids.add(mapping.local_id);
+    }
+    for (const localId of ids) {
+      const outcome = await syncDocument(run, entityType, localId, { force });
+      if (outcome === 'failed') {
+        summary.failed.push({ entity_type: entityType, local_id: localId, error: findMapping(run, entityType, localId).last_error });
+      } else {
+        summary[OUTCOME_COUNTS[outcome]]++;
+      }
+    }
+  }
+  lastRun = { finished_at: new Date().toISOString(), triggered_by: run.triggeredBy, ...summary };
+  return summary;
+});
+
+// Retry one document now, whatever its backoff
+const retryDocument = (entityType, localId, user) => exclusive(async () => {
+  if (!DOCUMENTS[entityType]) {
+    throw new XeroSyncError(`Unknown entity type ${entityType}`, 400, { entity_types: ENTITY_TYPES });
+  }
+  const run = await createRun(user);
+  const outcome = await syncDocument(run, entityType, localId, { force: true });
+  return { outcome, mapping: findMapping(run, entityType, localId) };
+});
+
+// Scheduler job
+const syncXero = async () => {
+  if (!isConfigured()) return { skipped: 'Xero is not configured' };
+  const summary = await syncAll();
+  return { ...summary, failed: summary.failed.length };
+};
+
+// Pulls
+
+/**
+ * Fetch Xero's chart of accounts. Each Xero account is matched to the local
+ * account with the same code or name, unless it has been mapped by hand;
+ * the unmatched ones stay listed so they can be mapped with `mapAccount`.
+ */
+const pullAccounts = (user) => exclusive(async () => {
+  const startedAt = Date.now();
+  const run = await createRun(user);
+  try {
+    const api = await connect();
+    const response = await api.getAccounts(TENANT_ID);
+    const locals = await run.accounts();
+    const rows = run.mappings.filter(mapping => mapping.entity_type === 'account');
+    let matched = 0;
+    for (const account of response.body.accounts || []) {
+      const existing = rows.find(row => row.xero_id === account.accountID) || null;
+      let localId = existing ? existing.local_id : null;
+      if (!localId) {
+        const taken = new Set(rows.map(row => row.local_id).filter(Boolean));
+        const local = locals.find(l => l.code === account.code) || locals.find(l => normalizeName(l.name) === normalizeName(account.name));
+        if (local && !taken.has(local.code)) localId = local.code;
+      }
+      const saved = await saveMapping(run, existing, {
+        entity_type: 'account',
+        local_id: localId || '',
+        xero_id: account.accountID,
+        xero_code: account.code,
+        name: account.name,
+        xero_type: account.type ? String(account.type) : '',
+        status: String(account.status) === 'ARCHIVED' ? 'archived' : 'synced',
+        synced_at: new Date().toISOString()
+      });
+      if (!existing) rows.push(saved);
+      if (localId) matched++;
+    }
+    const mappedCodes = new Set(rows.map(row => row.local_id).filter(Boolean));
+    const summary = {
+      pulled: (response.body.accounts || []).length,
+      matched,
+      unmapped_local_accounts: locals.filter(l => !mappedCodes.has(l.code)).map(l => ({ code: l.code, name: l.name }))
+    };
+    await logSync(run, { entity_type: 'account', action: 'pull', status: 'success', message: `${summary.pulled} accounts, ${matched} matched`, duration_ms: Date.now() - startedAt });
+    return summary;
+  } catch (error) {
+    const { status, message } = describeError(error);
+    await logSync(run, { entity_type: 'account', action: 'pull', status: 'failed', message, duration_ms: Date.now() - startedAt });
+    throw error instanceof XeroSyncError ? error : new XeroSyncError(`Could not pull accounts from Xero: ${message}`, status && status < 500 ? 502 : 503);
+  }
+});
+
+// Fetch Xero's contacts and match them to local customers and suppliers by name
+const pullContacts = (user) => exclusive(async () => {
+  const startedAt = Date.now();
+  const run = await createRun(user);
+  try {
+    const api = await connect();
+    const contacts = [];
+    for (let page = 1; ; page++) {
+      const response = await api.getContacts(TENANT_ID, undefined, undefined, undefined, undefined, page, false, true, undefined, CONTACTS_PAGE_SIZE);
+      const batch = response.body.contacts || [];
+      contacts.push(...batch);
+      if (batch.length < CONTACTS_PAGE_SIZE) break;
+    }
+    const locals = (await run.load(TABLES.CONTACTS)).filter(contact => ['customer', 'supplier'].includes(contact.contact_type));
+    const rows = run.mappings.filter(mapping => mapping.entity_type === 'contact');
+    let matched = 0;
+    for (const contact of contacts) {
+      const existing = rows.find(row => row.xero_id === contact.contactID) || null;
+      let localId = existing ? existing.local_id : null;
+      if (!localId) {
+        const taken = new Set(rows.map(row => row.local_id).filter(Boolean));
+        const local = locals.find(l => normalizeName(l.name) === normalizeName(contact.name) && !taken.has(l.id));
+        if (local) localId = local.id;
+      }
+      const saved = await saveMapping(run, existing, {
+        entity_type: 'contact',
+        local_id: localId || '',
+        xero_id: contact.contactID,
+        name: contact.name,
+        status: String(contact.contactStatus) === 'ARCHIVED' ? 'archived' : 'synced',
+        synced_at: new Date().toISOString()
+      });
+      if (!existing) rows.push(saved);
+      if (localId) matched++;
+    }
+    const summary = { pulled: contacts.length, matched };
+    await logSync(run, { entity_type: 'contact', action: 'pull', status: 'success', message: `${contacts.length} contacts, ${matched} matched`, duration_ms: Date.now() - startedAt });
+    return summary;
+  } catch (error) {
+    const { status, message } = describeError(error);
+    await logSync(run, { entity_type: 'contact', action: 'pull', status: 'failed', message, duration_ms: Date.now() - startedAt });
+    throw error instanceof XeroSyncError ? error : new XeroSyncError(`Could not pull contacts from Xero: ${message}`, status && status < 500 ? 502 : 503);
+  }
+});
+
+// Map a local account to a Xero account pulled with `pullAccounts`
+const mapAccount = (code, xeroCode, user) => exclusive(async () => {
+  const run = await createRun(user);
+  if (!(await run.accounts()).some(account => account.code === code)) {
+    throw new XeroSyncError(`Account ${code} not found`, 404);
+  }
+  const rows = run.mappings.filter(mapping => mapping.entity_type === 'account');
+  const target = rows.find(row => row.xero_code === xeroCode);
+  if (!target) {
+    throw new XeroSyncError(`Xero account ${xeroCode} not found; pull the chart of accounts first`, 404);
+  }
+  for (const row of rows) {
+    if (row.local_id === code && row !== target) await saveMapping(run, row, { local_id: '' });
+  }
+  return saveMapping(run, target, { local_id: code });
+});
+
+// Reporting
+
+const listMappings = async ({ entityType, status } = {}) => {
+  const mappings = await airtableHelpers.find(TABLES.XERO_MAPPINGS);
+  return mappings
+    .filter(mapping => (!entityType || mapping.entity_type === entityType) && (!status || mapping.status === status))
+    .sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')));
+};
+
+const listSyncLog = async ({ entityType, localId, status, limit = 100 } = {}) => {
+  const entries = await airtableHelpers.find(TABLES.XERO_SYNC_LOG);
+  return entries
+    .filter(entry => (!entityType || entry.entity_type === entityType)
+      && (!localId || entry.local_id === localId)
+      && (!status || entry.status === status))
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')))
+    .slice(0, limit);
+};
+
+const getSyncStatus = async () => {
+  const mappings = await airtableHelpers.find(TABLES.XERO_MAPPINGS);
+  const counts = {};
+  for (const mapping of mappings) {
+    counts[mapping.entity_type] = counts[mapping.entity_type] || {};
+    counts[mapping.entity_type][mapping.status] = (counts[mapping.entity_type][mapping.status] || 0) + 1;
+  }
+  return {
+    configured: isConfigured(),
+    tenant_id: TENANT_ID || null,
+    sync_start_date: SYNC_START_DATE,
+    last_run: lastRun,
+    counts,
+    failing: mappings
+      .filter(mapping => mapping.status === 'failed')
+      .map(({ entity_type, local_id, attempts, last_error, last_attempt_at, next_attempt_at }) =>
+        ({ entity_type, local_id, attempts, last_error, last_attempt_at, next_attempt_at: next_attempt_at || null }))
+  };
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  XeroSyncError,
+  isConfigured,
+  configureXero,
+  syncAll,
+  syncXero,
+  retryDocument,
+  pullAccounts,
+  pullContacts,
+  mapAccount,
+  listMappings,
+  listSyncLog,
+  getSyncStatus
+};
@@ -0,0 +1,191 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, nextCode, signIn, signInFirstAdmin, addEmployee } = require('./helpers/server');
+
+// Sign-in protections: MFA challenges, password reset links, sessions and
+// lockout
+
+describe('auth', () => {
+  let server;
+  let request;
+  let admin;
+
+  before(async () => {
+    // Lockout and the progressive delay have their own tests below, with
+    // the thresholds they need
+    server = await startServer({ MFA_MAX_ATTEMPTS: '3', LOGIN_MAX_FAILURES: '50', LOGIN_DELAY_AFTER: '50' });
+    request = server.request;
+    admin = await signInFirstAdmin(request);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  describe('MFA challenges', () => {
+    let manager;
+    const password = 'Ch0sen!Secret42';
+
+    before(async () => {
+      manager = await addEmployee(request, admin.token, { email: 'mia.manager@example.com', role: 'manager' });
+    });
+
+    const startChallenge = async () => {
+      const login = await request('POST', '/api/auth/login', { body: { email: 'mia.manager@example.com', password } });
+      assert.equal(login.status, 200, JSON.stringify(login.body));
+      assert.ok(login.body.challengeToken);
+      assert.equal(login.body.accessToken, undefined);
+      return login.body.challengeToken;
+    };
+
+    const answer = (challengeToken, code) => request('POST', '/api/auth/mfa/challenge', { body: { challengeToken, code } });
+
+    it('counts wrong codes down and then refuses even the right one', async () => {
+      const challengeToken = await startChallenge();
+      for (const left of [2, 1, 0]) {
+        const response = await answer(challengeToken, '000000');
+        assert.equal(response.status, 401);
+        assert.equal(response.body.attempts_left, left);
+      }
+      // A copy, so the code's time step is still free for the next test
+      const response = await answer(challengeToken, nextCode({ ...manager.mfa }));
+      assert.equal(response.status, 401);
+      assert.equal(response.body.accessToken, undefined);
+    });
+
+    it('lets a challenge be answered only once', async () => {
+      const challengeToken = await startChallenge();
+      const first = await answer(challengeToken, nextCode(manager.mfa));
+      assert.equal(first.status, 200, JSON.stringify(first.body));
+      assert.ok(first.body.accessToken);
+
+      const second = await answer(challengeToken, nextCode({ ...manager.mfa }));
+      assert.equal(second.status, 401);
+    });
+
+    it('does not count answers to a forged challenge against anyone', async () => {
+      const before = await request('GET', '/api/auth/lockouts', { token: admin.token });
+      assert.equal(before.status, 200);
+
+      const forged = await answer('not-a-challenge', '000000');
+      assert.equal(forged.status, 401);
+
+      const after = await request('GET', '/api/auth/lockouts', { token: admin.token });
+      assert.deepEqual(after.body, before.body);
+    });
+  });
+
+  describe('sessions', () => {
+    let signedIn;
+
+    before(async () => {
+      const seller = await addEmployee(request, admin.token, { email: 'sam.seller@example.com', role: 'sales' });
+      const login = await signIn(request, { email: 'sam.seller@example.com', password: 'Ch0sen!Secret42', mfa: seller.mfa });
+      assert.ok(login.body.refreshToken, JSON.stringify(login.body));
+      signedIn = login.body;
+    });
+
+    const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    const me = (token) => request('GET', '/api/auth/me/permissions', { token });
+
+    it('rotates the refresh token on every use', async () => {
+      const first = await refresh(signedIn.refreshToken);
+      assert.equal(first.status, 200, JSON.stringify(first.body));
+      assert.notEqual(first.body.refreshToken, signedIn.refreshToken);
+      assert.equal((await me(first.body.accessToken)).status, 200);
+
+      const second = await refresh(first.body.refreshToken);
+      assert.equal(second.status, 200, JSON.stringify(second.body));
+      signedIn = { ...signedIn, rotated: first.body.refreshToken, ...second.body };
+    });
+
+    it('ends the whole session when a used refresh token comes back', async () => {
+      const reused = await refresh(signedIn.rotated);
+      assert.equal(reused.status, 401);
+
+      // The newest tokens went with it
+      const latest = await refresh(signedIn.refreshToken);
+      assert.equal(latest.status, 401);
+      assert.equal((await me(signedIn.accessToken)).status, 401);
+    });
+  });
+
+  describe('password reset links', () => {
+    it('keeps the reset token out of the notification outbox', async () => {
+      const response = await request('POST', '/api/auth/password/forgot', { body: { email: 'ada@example.com' } });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+
+      const [message] = server.readTable('Notification_Outbox').filter(row => row.template === 'password_reset');
+      assert.equal(message.to, 'ada@example.com');
+      assert.match(message.body, /reset-password\?token=\[redacted\]/);
+    });
+  });
+});
+
+describe('lockout', () => {
+  let server;
+  let request;
+  let admin;
+  let owner;
+  const password = 'Ch0sen!Secret42';
+
+  before(async () => {
+    server = await startServer({
+      TRUST_PROXY: '1',
+      LOGIN_MAX_FAILURES: '3',
+      LOGIN_IP_MAX_FAILURES: '5',
+      LOGIN_DELAY_AFTER: '50'
+    });
+    request = server.request;
+    admin = await signInFirstAdmin(request);
+    owner = await addEmployee(request, admin.token, { email: 'olly.owner@example.com', role: 'sales' });
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  const login = (email, attempt, ip) => request('POST', '/api/auth/login', {
+    body: { email, password: attempt },
+    headers: { 'X-Forwarded-For': ip }
+  });
+
+  it('locks an account after too many wrong passwords, until an admin unlocks it', async () => {
+    for (let i = 0; i < 2; i++) {
+      const response = await login('olly.owner@example.com', 'Wr0ng!Password', '203.0.113.1');
+      assert.equal(response.status, 401);
+    }
+    // The failure that locks the account says so
+    const third = await login('olly.owner@example.com', 'Wr0ng!Password', '203.0.113.1');
+    assert.equal(third.status, 423);
+
+    const locked = await login('olly.owner@example.com', password, '203.0.113.2');
+    assert.equal(locked.status, 423);
+    assert.ok(locked.body.locked_until);
+
+    const unlock = await request('POST', `/api/auth/users/${owner.id}/unlock`, { token: admin.token });
+    assert.equal(unlock.status, 200, JSON.stringify(unlock.body));
+    const response = await login('olly.owner@example.com', password, '203.0.113.2');
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.ok(response.body.accessToken);
+  });
+
+  it('keeps counting an address\'s failures when it signs in to its own account', async () => {
+    const ip = '198.51.100.7';
+    for (let i = 0; i < 4; i++) {
+      const response = await login(`guess${i}@example.com`, 'Wr0ng!Password', ip);
+      assert.equal(response.status, 401);
+    }
+    const own = await login('olly.owner@example.com', password, ip);
+    assert.equal(own.status, 200, JSON.stringify(own.body));
+
+    const fifth = await login('guess4@example.com', 'Wr0ng!Password', ip);
+    assert.equal(fifth.status, 423);
+    const locked = await login('olly.owner@example.com', password, ip);
+    assert.equal(locked.status, 423);
+
+    // Other addresses are unaffected
+    const elsewhere = await login('olly.owner@example.com', password, '198.51.100.8');
+    assert.equal(elsewhere.status, 200, JSON.stringify(elsewhere.body));
+  });
+});
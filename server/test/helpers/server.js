@@ -0,0 +1,177 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const speakeasy = require('speakeasy');
+
+/**
+ * Runs the API in a child process against a throwaway local data store, for
+ * tests that go through HTTP like a client would.
+ */
+
+const SERVER_ENTRY = path.join(__dirname, '..', '..', 'index.js');
+const START_TIMEOUT_MS = 20000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+/**
+ * Start the server; `env` is added to the test defaults. Resolves with
+ * `{ baseUrl, request, readTable, stop }` once it is listening.
+ */
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsn-test-'));
+  const dataFile = path.join(dir, 'store.json');
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DATA_STORE: 'local',
+      LOCAL_DATA_FILE: dataFile,
+      JWT_SECRET: 'test-access-secret',
+      JWT_REFRESH_SECRET: 'test-refresh-secret',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  // Keep draining the logs so the child never blocks on a full pipe
+  child.stdout.resume();
+  child.stderr.resume();
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // JSON request; resolves with `{ status, body }` whatever the status
+  const request = async (method, urlPath, { body, token, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + urlPath, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        // Any value passes the auth routes' CSRF check
+        'X-CSRF-Token': 'test',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      parsed = text;
+    }
+    return { status: response.status, body: parsed };
+  };
+
+  // A table's rows straight from the data file, for what the API won't serve
+  const readTable = (tableName) => {
+    const { tables = {} } = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    return (tables[tableName] || []).map(record => ({ id: record.id, ...record.fields }));
+  };
+
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  }).then(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  return { baseUrl, request, readTable, stop };
+};
+
+// A TOTP code for a time step after the last one used, as a code can't be
+// used twice (the server accepts one step either side of now)
+const nextCode = (mfa) => {
+  const now = Math.floor(Date.now() / 30000);
+  mfa.step = Math.max(now, (mfa.step === undefined ? now - 1 : mfa.step) + 1);
+  return speakeasy.totp({ secret: mfa.secret, encoding: 'base32', time: mfa.step * 30 });
+};
+
+/**
+ * Sign in through whatever the login asks for next: MFA enrolment (the
+ * secret is kept on `mfa` for later logins), an MFA code or a required
+ * password change to `newPassword`. Resolves with the final login response.
+ */
+const signIn = async (request, { email, password, newPassword, mfa = {} }) => {
+  let response = await request('POST', '/api/auth/login', { body: { email, password } });
+  for (let step = 0; step < 3 && response.status === 200 && !response.body.accessToken; step++) {
+    const { challengeToken, requiresMfaSetup, requiresPasswordChange, passwordChangeToken } = response.body;
+    if (requiresPasswordChange) {
+      response = await request('POST', '/api/auth/password/change-required', { body: { passwordChangeToken, newPassword } });
+    } else if (requiresMfaSetup) {
+      const setup = await request('POST', '/api/auth/setup-mfa', { body: { challengeToken } });
+      mfa.secret = setup.body.secret;
+      response = await request('POST', '/api/auth/verify-mfa', { body: { challengeToken, code: nextCode(mfa) } });
+    } else if (challengeToken) {
+      response = await request('POST', '/api/auth/mfa/challenge', { body: { challengeToken, code: nextCode(mfa) } });
+    } else {
+      break;
+    }
+  }
+  return response;
+};
+
+const TEST_ADMIN = { full_name: 'Ada Admin', email: 'ada@example.com', password: 'Str0ng!Passw0rd' };
+
+/**
+ * Register the first admin on a fresh server and sign them in. Resolves with
+ * `{ token, mfa }`, the MFA state being what later sign-ins need.
+ */
+const signInFirstAdmin = async (request, admin = TEST_ADMIN) => {
+  const registered = await request('POST', '/api/auth/register', { body: { ...admin, role: 'admin' } });
+  if (registered.status !== 201) throw new Error(`Admin registration failed: ${JSON.stringify(registered.body)}`);
+  const mfa = {};
+  const login = await signIn(request, { ...admin, mfa });
+  if (!login.body.accessToken) throw new Error(`Admin sign-in failed: ${JSON.stringify(login.body)}`);
+  return { token: login.body.accessToken, mfa };
+};
+
+/**
+ * Have `adminToken` add an employee through HR and sign them in, picking a
+ * new password as HR set the first one. Resolves with `{ id, token, mfa }`.
+ */
+const addEmployee = async (request, adminToken, { email, role, branchId, full_name = email }) => {
+  const password = 'Temp0rary!Pass1';
+  const created = await request('POST', '/api/hr/employees', {
+    token: adminToken,
+    body: { full_name, email, password, role, ...(branchId ? { branch_id: branchId } : {}) }
+  });
+  if (created.status !== 201) throw new Error(`Adding ${email} failed: ${JSON.stringify(created.body)}`);
+  const mfa = {};
+  const login = await signIn(request, { email, password, newPassword: 'Ch0sen!Secret42', mfa });
+  if (!login.body.accessToken) throw new Error(`${email} sign-in failed: ${JSON.stringify(login.body)}`);
+  return { id: created.body.id, token: login.body.accessToken, mfa };
+};
+
+module.exports = {
+  startServer,
+  signIn,
+  nextCode,
+  signInFirstAdmin,
+  addEmployee
+};
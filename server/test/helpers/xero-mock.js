@@ -0,0 +1,69 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * A local stand-in for the Xero accounting API: enough of Contacts,
+ * Invoices, Payments and BankTransactions for the sync to run against.
+ * Every request is kept in `requests`; `failNext(status, body, headers)`
+ * makes the next request fail instead.
+ */
+const startXeroMock = async () => {
+  const requests = [];
+  const failures = [];
+  const invoices = new Map();
+  let invoiceCount = 0;
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, body, headers: req.headers });
+
+      const send = (status, payload, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+      };
+
+      const failure = failures.shift();
+      if (failure) return send(failure.status, failure.body, failure.headers);
+
+      const [resource, id] = url.pathname.split('/').filter(Boolean);
+      switch (resource) {
+        case 'Contacts':
+          return send(200, { Contacts: body.Contacts.map(contact => ({ ...contact, ContactID: crypto.randomUUID() })) });
+        case 'Invoices':
+          return send(200, {
+            Invoices: body.Invoices.map(invoice => {
+              const saved = { ...(invoices.get(invoice.InvoiceID) || {}), ...invoice };
+              saved.InvoiceID = saved.InvoiceID || crypto.randomUUID();
+              saved.InvoiceNumber = saved.InvoiceNumber || `INV-${String(++invoiceCount).padStart(4, '0')}`;
+              invoices.set(saved.InvoiceID, saved);
+              return saved;
+            })
+          });
+        case 'Payments':
+          return send(200, { Payments: [{ ...(body.Payments ? body.Payments[0] : body), PaymentID: id || crypto.randomUUID() }] });
+        case 'BankTransactions':
+          return send(200, { BankTransactions: body.BankTransactions.map(transaction => ({ ...transaction, BankTransactionID: transaction.BankTransactionID || crypto.randomUUID() })) });
+        default:
+          return send(404, { Message: `No mock for ${req.method} ${url.pathname}` });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    invoices,
+    failNext: (status, body = {}, headers = {}) => failures.push({ status, body, headers }),
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startXeroMock
+};
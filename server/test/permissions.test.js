@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signInFirstAdmin, addEmployee } = require('./helpers/server');
+
+// Routes that must not answer without the right sign-in or permission
+
+describe('permission gates', () => {
+  let server;
+  let request;
+  let admin;
+  let cashier;
+  let branchId;
+
+  before(async () => {
+    server = await startServer();
+    request = server.request;
+    admin = await signInFirstAdmin(request);
+
+    const branch = await request('POST', '/api/data/Branches', { token: admin.token, body: { branch_name: 'Gate Branch' } });
+    assert.equal(branch.status, 201, JSON.stringify(branch.body));
+    branchId = branch.body.id;
+    cashier = await addEmployee(request, admin.token, { email: 'gate.cashier@example.com', role: 'sales', branchId });
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  // Nothing in a response should look like a stored credential
+  const assertNoSecrets = (body) => {
+    const text = JSON.stringify(body);
+    for (const field of ['password_hash', 'mfa_secret', 'mfa_recovery_codes']) {
+      assert.ok(!text.includes(field), `response mentions ${field}`);
+    }
+  };
+
+  describe('diagnostic routes', () => {
+    for (const path of ['/api/debug/tables/employees', '/api/auth/list-users', '/api/auth/test-airtable']) {
+      it(`does not serve ${path}, signed in or not`, async () => {
+        for (const token of [undefined, cashier.token, admin.token]) {
+          const response = await request('GET', path, { token });
+          assert.notEqual(response.status, 200);
+          assertNoSecrets(response.body);
+        }
+      });
+    }
+  });
+
+  describe('accounts and roles', () => {
+    it('only lets the first admin register without signing in', async () => {
+      const response = await request('POST', '/api/auth/register', {
+        body: { full_name: 'Eve', email: 'eve@example.com', password: 'Str0ng!Passw0rd', role: 'admin' }
+      });
+      assert.equal(response.status, 401);
+    });
+
+    it('refuses account creation to someone without roles.manage', async () => {
+      const response = await request('POST', '/api/auth/register', {
+        token: cashier.token,
+        body: { full_name: 'Eve', email: 'eve@example.com', password: 'Str0ng!Passw0rd', role: 'admin' }
+      });
+      assert.equal(response.status, 403);
+    });
+
+    it('refuses HR employee changes to a cashier', async () => {
+      const response = await request('POST', '/api/hr/employees', {
+        token: cashier.token,
+        body: { full_name: 'Eve', email: 'eve@example.com', password: 'Str0ng!Passw0rd', role: 'admin' }
+      });
+      assert.equal(response.status, 403);
+    });
+
+    it('keeps the cashier from promoting themselves through the data API', async () => {
+      const response = await request('PUT', `/api/data/Employees/${cashier.id}`, { token: cashier.token, body: { role: 'admin' } });
+      assert.equal(response.status, 403);
+
+      const me = await request('GET', '/api/auth/me/permissions', { token: cashier.token });
+      assert.equal(me.body.role, 'sales');
+    });
+
+    it('hides credentials from employee reads', async () => {
+      const paths = ['/api/data/Employees', '/api/hr/employees', `/api/hr/employees/${cashier.id}`, `/api/branches/${branchId}/employees`];
+      for (const path of paths) {
+        const response = await request('GET', path, { token: admin.token });
+        assert.equal(response.status, 200, path);
+        assert.ok(JSON.stringify(response.body).includes(cashier.id), path);
+        assertNoSecrets(response.body);
+      }
+    });
+
+    it('refuses employee filters and sorts that name a credential', async () => {
+      const queries = [
+        `filter=${encodeURIComponent("FIND('A', {mfa_secret}) = 1")}`,
+        `filter=${encodeURIComponent("LEFT(password_hash, 4) = '$2b$'")}`,
+        `sort=${encodeURIComponent(JSON.stringify([{ field: 'mfa_recovery_codes' }]))}`
+      ];
+      for (const query of queries) {
+        const response = await request('GET', `/api/data/Employees?${query}`, { token: cashier.token });
+        assert.equal(response.status, 400, query);
+      }
+
+      const allowed = await request('GET', `/api/data/Employees?filter=${encodeURIComponent("{role} = 'sales'")}`, { token: admin.token });
+      assert.equal(allowed.status, 200);
+      assert.deepEqual(allowed.body.map(employee => employee.id), [cashier.id]);
+    });
+
+    it('shows someone tied to a branch only that branch\'s rows', async () => {
+      const other = await request('POST', '/api/data/Branches', { token: admin.token, body: { branch_name: 'Other Branch' } });
+      await addEmployee(request, admin.token, { email: 'other.cashier@example.com', role: 'sales', branchId: other.body.id });
+
+      const response = await request('GET', '/api/data/Employees', { token: cashier.token });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.map(employee => employee.id), [cashier.id]);
+    });
+
+    it('refuses the login failure table through the data API', async () => {
+      const response = await request('GET', '/api/data/Login_Failures', { token: admin.token });
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe('sales', () => {
+    it('refuses sale deletion to a cashier', async () => {
+      const response = await request('DELETE', '/api/sales/recUnknown', { token: cashier.token });
+      assert.equal(response.status, 403);
+    });
+  });
+});
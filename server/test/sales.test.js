@@ -0,0 +1,203 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signInFirstAdmin, addEmployee } = require('./helpers/server');
+
+// Selling at the till: discounts, refunds and the stock ledger behind them
+
+describe('sales', () => {
+  let server;
+  let request;
+  let admin;
+  let cashier;
+  let manager;
+  let branchId;
+  let stock;
+
+  before(async () => {
+    server = await startServer({ MAX_CASHIER_DISCOUNT_PERCENT: '10' });
+    request = server.request;
+    admin = await signInFirstAdmin(request);
+
+    const branch = await request('POST', '/api/data/Branches', { token: admin.token, body: { branch_name: 'Till Branch', receipt_prefix: 'TIL' } });
+    assert.equal(branch.status, 201, JSON.stringify(branch.body));
+    branchId = branch.body.id;
+
+    const added = await request('POST', '/api/stock', {
+      token: admin.token,
+      body: { branchId, product_name: 'Kettle', quantity_available: 50, unit_price: 100, unit_cost: 60 }
+    });
+    assert.equal(added.status, 201, JSON.stringify(added.body));
+    stock = added.body;
+
+    cashier = await addEmployee(request, admin.token, { email: 'tia.till@example.com', role: 'sales', branchId });
+    manager = await addEmployee(request, admin.token, { email: 'max.manager@example.com', role: 'manager', branchId });
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  const checkout = (token, { quantity = 1, line = {}, basket = {}, paid = 1000 } = {}) => request('POST', '/api/sales/checkout', {
+    token,
+    body: {
+      branchId,
+      items: [{ product_id: stock.product_id, quantity, ...line }],
+      ...basket,
+      payments: [{ type: 'cash', amount: paid }]
+    }
+  });
+
+  const onHand = async () => (await request('GET', `/api/data/Stock/${stock.id}`, { token: admin.token })).body.quantity_available;
+
+  describe('discount caps', () => {
+    it('lets a cashier discount up to the cap', async () => {
+      const response = await checkout(cashier.token, { quantity: 2, line: { discount_percent: 10 } });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+      assert.equal(response.body.sale.total_amount, 180);
+    });
+
+    it('refuses a cashier a line discount, basket discount or markdown over the cap', async () => {
+      const attempts = [
+        { line: { discount_percent: 15 } },
+        { line: { discount_amount: 11 } },
+        { basket: { discount_percent: 20 } },
+        { line: { unit_price: 85 } }
+      ];
+      const before = await onHand();
+      for (const attempt of attempts) {
+        const response = await checkout(cashier.token, attempt);
+        assert.equal(response.status, 403, JSON.stringify(attempt));
+      }
+      assert.equal(await onHand(), before);
+    });
+
+    it('lets a manager discount past the cap', async () => {
+      const response = await checkout(manager.token, { line: { discount_percent: 30 } });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+      assert.equal(response.body.sale.total_amount, 70);
+    });
+
+    it('has no way round checkout pricing', async () => {
+      const legacy = await request('POST', '/api/sales', {
+        token: cashier.token,
+        body: { branchId, items: [{ product_id: stock.product_id, quantity: 1, unit_price: 1 }] }
+      });
+      assert.equal(legacy.status, 404);
+
+      const testSale = await request('POST', '/api/sales/test-sale', { token: cashier.token, body: {} });
+      assert.equal(testSale.status, 404);
+
+      const sale = await checkout(cashier.token);
+      const addedItem = await request('POST', '/api/sales/items', {
+        token: cashier.token,
+        body: { sale_id: sale.body.sale.id, product_id: stock.product_id, quantity: 5, unit_price: 1 }
+      });
+      assert.equal(addedItem.status, 403);
+    });
+  });
+
+  describe('refunds', () => {
+    let sale;
+    const refund = (body) => request('POST', `/api/sales/${sale.id}/refund`, { token: manager.token, body });
+    const kettles = (quantity) => [{ product_id: stock.product_id, quantity }];
+
+    before(async () => {
+      const response = await checkout(cashier.token, { quantity: 3 });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+      sale = response.body.sale;
+    });
+
+    it('refunds part of a sale and puts the returned goods back', async () => {
+      const before = await onHand();
+      const response = await refund({ refund_amount: 100, refund_reason: 'Dented', items_to_refund: kettles(1) });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      assert.equal(response.body.total_refunded, 100);
+      assert.equal(response.body.status, 'partially_refunded');
+      assert.equal(await onHand(), before + 1);
+    });
+
+    it('refuses to take back more than is left out on the sale', async () => {
+      const before = await onHand();
+      const response = await refund({ refund_amount: 100, items_to_refund: kettles(3) });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.returnable, 2);
+      assert.equal(await onHand(), before);
+    });
+
+    it('refuses to pay back more than is left of the total', async () => {
+      const response = await refund({ refund_amount: 250 });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.refundable, 200);
+    });
+
+    it('refunds the rest, then refuses to refund again', async () => {
+      const before = await onHand();
+      const rest = await refund({ refund_amount: 200, items_to_refund: kettles(2) });
+      assert.equal(rest.status, 200, JSON.stringify(rest.body));
+      assert.equal(rest.body.status, 'refunded');
+      assert.equal(await onHand(), before + 2);
+
+      const again = await refund({ refund_amount: 10, items_to_refund: kettles(1) });
+      assert.equal(again.status, 409);
+      assert.equal(await onHand(), before + 2);
+
+      const items = await request('GET', `/api/sales/items/by-sale/${sale.id}`, { token: manager.token });
+      assert.equal(items.body.items[0].quantity_refunded, 3);
+    });
+  });
+
+  describe('stock ledger', () => {
+    let toaster;
+
+    before(async () => {
+      const added = await request('POST', '/api/stock', {
+        token: admin.token,
+        body: { branchId, product_name: 'Toaster', quantity_available: 2, unit_price: 40, unit_cost: 25 }
+      });
+      assert.equal(added.status, 201, JSON.stringify(added.body));
+      toaster = added.body;
+    });
+
+    const assertNoDrift = async () => {
+      const response = await request('GET', '/api/stock/ledger/reconciliation', { token: admin.token });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.summary.rowsWithDrift, 0);
+    };
+
+    it('rolls back every line of a sale when one cannot be taken from stock', async () => {
+      const before = await onHand();
+      const response = await request('POST', '/api/sales/checkout', {
+        token: cashier.token,
+        body: {
+          branchId,
+          items: [{ product_id: stock.product_id, quantity: 2 }, { product_id: toaster.product_id, quantity: 5 }],
+          payments: [{ type: 'cash', amount: 1000 }]
+        }
+      });
+      assert.equal(response.status, 409, JSON.stringify(response.body));
+      assert.equal(await onHand(), before);
+      await assertNoDrift();
+    });
+
+    it('puts back what a deleted sale still had out of stock', async () => {
+      const before = await onHand();
+      const sold = await checkout(cashier.token, { quantity: 4 });
+      assert.equal(sold.status, 201, JSON.stringify(sold.body));
+      const saleId = sold.body.sale.id;
+      const refunded = await request('POST', `/api/sales/${saleId}/refund`, {
+        token: manager.token,
+        body: { refund_amount: 100, items_to_refund: [{ product_id: stock.product_id, quantity: 1 }] }
+      });
+      assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+      assert.equal(await onHand(), before - 3);
+
+      const deleted = await request('DELETE', `/api/sales/${saleId}`, { token: manager.token });
+      assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+      assert.equal(await onHand(), before);
+      await assertNoDrift();
+
+      const gone = await request('DELETE', `/api/sales/${saleId}`, { token: manager.token });
+      assert.equal(gone.status, 404);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signIn } = require('./helpers/server');
+
+// End-to-end smoke test of signing in and selling at the till, against the
+// local data store
+
+const ADMIN = { full_name: 'Ada Admin', email: 'ada@example.com', password: 'Str0ng!Passw0rd' };
+const CASHIER = { full_name: 'Cal Cashier', email: 'cal@example.com', password: 'Temp0rary!Pass1', newPassword: 'Ch0sen!Secret42' };
+
+describe('smoke', () => {
+  let server;
+  let request;
+  const adminMfa = {};
+  let adminToken;
+
+  before(async () => {
+    server = await startServer();
+    request = server.request;
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  describe('login', () => {
+    it('creates the first admin account', async () => {
+      const response = await request('POST', '/api/auth/register', { body: { ...ADMIN, role: 'admin' } });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+    });
+
+    it('rejects a wrong password', async () => {
+      const response = await request('POST', '/api/auth/login', { body: { email: ADMIN.email, password: 'Wr0ng!Password' } });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.accessToken, undefined);
+    });
+
+    it('makes an admin enrol in MFA before handing out a session', async () => {
+      const first = await request('POST', '/api/auth/login', { body: { email: ADMIN.email, password: ADMIN.password } });
+      assert.equal(first.status, 200);
+      assert.equal(first.body.requiresMfaSetup, true);
+      assert.equal(first.body.accessToken, undefined);
+
+      const response = await signIn(request, { ...ADMIN, mfa: adminMfa });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      assert.ok(response.body.accessToken);
+      assert.ok(response.body.refreshToken);
+      adminToken = response.body.accessToken;
+    });
+
+    it('asks for an MFA code on the next login', async () => {
+      const response = await signIn(request, { ...ADMIN, mfa: adminMfa });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      assert.ok(response.body.accessToken);
+    });
+
+    it('accepts the access token and rejects requests without one', async () => {
+      const signedIn = await request('GET', '/api/auth/me/permissions', { token: adminToken });
+      assert.equal(signedIn.status, 200);
+      assert.equal(signedIn.body.role, 'admin');
+
+      const anonymous = await request('GET', '/api/sales');
+      assert.equal(anonymous.status, 401);
+    });
+  });
+
+  describe('sale checkout', () => {
+    let branchId;
+    let stock;
+    let cashierToken;
+
+    before(async () => {
+      const branch = await request('POST', '/api/data/Branches', { token: adminToken, body: { branch_name: 'Test Branch', receipt_prefix: 'TST' } });
+      assert.equal(branch.status, 201, JSON.stringify(branch.body));
+      branchId = branch.body.id;
+
+      const added = await request('POST', '/api/stock', {
+        token: adminToken,
+        body: { branchId, product_name: 'Rice 1kg', quantity_available: 20, unit_price: 12, unit_cost: 5 }
+      });
+      assert.equal(added.status, 201, JSON.stringify(added.body));
+      stock = added.body;
+
+      const employee = await request('POST', '/api/hr/employees', {
+        token: adminToken,
+        body: { full_name: CASHIER.full_name, email: CASHIER.email, password: CASHIER.password, role: 'sales', branch_id: branchId }
+      });
+      assert.equal(employee.status, 201, JSON.stringify(employee.body));
+
+      // HR chose the password, so the cashier has to pick a new one
+      const login = await signIn(request, CASHIER);
+      assert.equal(login.status, 200, JSON.stringify(login.body));
+      cashierToken = login.body.accessToken;
+      assert.ok(cashierToken);
+    });
+
+    const checkout = (body, token = cashierToken) => request('POST', '/api/sales/checkout', { token, body });
+
+    it('sells from the cashier\'s branch, takes the stock and numbers the receipt', async () => {
+      const response = await checkout({
+        branchId,
+        items: [{ product_id: stock.product_id, quantity: 3 }],
+        payments: [{ type: 'mpesa', amount: 20, reference: 'QWE123' }, { type: 'cash', amount: 20 }]
+      });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+      assert.equal(response.body.receiptNumber, 'TST-000001');
+      assert.equal(response.body.sale.total_amount, 36);
+      assert.equal(response.body.sale.payment_method, 'split');
+      assert.equal(response.body.change, 4);
+      assert.equal(response.body.items[0].cost_of_goods_sold, 15);
+
+      const after = await request('GET', `/api/data/Stock/${stock.id}`, { token: adminToken });
+      assert.equal(after.body.quantity_available, 17);
+    });
+
+    it('prices from stock and caps a lower price like a discount', async () => {
+      const response = await checkout({
+        branchId,
+        items: [{ product_id: stock.product_id, quantity: 1, unit_price: 1 }],
+        payments: [{ type: 'cash', amount: 12 }]
+      });
+      assert.equal(response.status, 403);
+    });
+
+    it('refuses payments that do not cover the total', async () => {
+      const response = await checkout({
+        branchId,
+        items: [{ product_id: stock.product_id, quantity: 1 }],
+        payments: [{ type: 'card', amount: 10 }]
+      });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.details.due, 2);
+    });
+
+    it('refuses to sell more than is on hand and leaves the stock alone', async () => {
+      const response = await checkout({
+        branchId,
+        items: [{ product_id: stock.product_id, quantity: 500 }],
+        payments: [{ type: 'cash', amount: 6000 }]
+      });
+      assert.equal(response.status, 409, JSON.stringify(response.body));
+
+      const after = await request('GET', `/api/data/Stock/${stock.id}`, { token: adminToken });
+      assert.equal(after.body.quantity_available, 17);
+    });
+
+    it('keeps the ledger in step with the stock row', async () => {
+      const response = await request('GET', '/api/stock/ledger/reconciliation', { token: adminToken });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.summary.rowsWithDrift, 0);
+    });
+  });
+});
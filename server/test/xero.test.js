@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startXeroMock } = require('./helpers/xero-mock');
+
+// Pushing to Xero against a local mock of its API: what is sent, how
+// failures are retried and the sync status each document ends up with
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bsn-xero-test-'));
+process.env.DATA_STORE = 'local';
+process.env.LOCAL_DATA_FILE = path.join(dir, 'store.json');
+
+const { airtableHelpers, TABLES } = require('../config/airtable');
+const xero = require('../services/xero');
+
+let receipts = 0;
+
+// A cash sale with one line, paid in full
+const createSale = async (total) => {
+  const receiptNumber = `TST-${String(++receipts).padStart(6, '0')}`;
+  const sale = await airtableHelpers.create(TABLES.SALES, {
+    sale_date: '2026-03-02',
+    receipt_number: receiptNumber,
+    total_amount: total,
+    payment_method: 'cash',
+    status: 'completed'
+  });
+  await airtableHelpers.create(TABLES.SALE_ITEMS, {
+    sale_id: [sale.id],
+    product_name: 'Rice 1kg',
+    quantity_sold: 2,
+    unit_price: total / 2,
+    line_subtotal: total
+  });
+  await airtableHelpers.create(TABLES.SALE_PAYMENTS, { sale_id: [sale.id], tender_type: 'cash', amount: total });
+  return sale;
+};
+
+const mappingFor = async (sale) =>
+  (await xero.listMappings({ entityType: 'sale' })).find(mapping => mapping.local_id === sale.id);
+
+const syncSales = () => xero.syncAll({ entityTypes: ['sale'] });
+
+describe('xero sync', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startXeroMock();
+    xero.configureXero({ baseUrl: mock.baseUrl, accessToken: 'test-token' });
+  });
+
+  after(async () => {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('push', () => {
+    let sale;
+
+    it('sends a new sale as an invoice with its payment', async () => {
+      sale = await createSale(30);
+      const summary = await syncSales();
+      assert.equal(summary.created, 1);
+      assert.deepEqual(summary.failed, []);
+
+      const calls = mock.requests.map(request => `${request.method} ${request.path}`);
+      assert.deepEqual(calls, ['PUT /Contacts', 'POST /Invoices', 'POST /Payments']);
+
+      const invoice = mock.requests[1].body.Invoices[0];
+      assert.equal(invoice.Type, 'ACCREC');
+      assert.equal(invoice.InvoiceNumber, 'TST-000001');
+      assert.equal(invoice.LineItems[0].AccountCode, '200');
+      assert.equal(invoice.LineItems[0].Quantity * invoice.LineItems[0].UnitAmount, 30);
+      assert.equal(mock.requests[2].body.Amount, 30);
+      assert.ok(mock.requests[1].headers['idempotency-key']);
+
+      const mapping = await mappingFor(sale);
+      assert.equal(mapping.status, 'synced');
+      assert.ok(mapping.xero_id);
+      assert.ok(mapping.xero_payment_id);
+    });
+
+    it('sends nothing when the sale has not changed', async () => {
+      const before = mock.requests.length;
+      const summary = await syncSales();
+      assert.equal(summary.unchanged, 1);
+      assert.equal(mock.requests.length, before);
+    });
+
+    it('updates the same invoice when the sale changes', async () => {
+      const { xero_id: invoiceId, xero_payment_id: paymentId } = await mappingFor(sale);
+      await airtableHelpers.update(TABLES.SALES, sale.id, { total_amount: 28 });
+
+      const summary = await syncSales();
+      assert.equal(summary.updated, 1);
+      assert.equal(mock.invoices.get(invoiceId).InvoiceNumber, 'TST-000001');
+      // Payments can't be edited in Xero, so the old one is deleted
+      assert.ok(mock.requests.some(request => request.path === `/Payments/${paymentId}` && request.body.Status === 'DELETED'));
+      assert.equal((await mappingFor(sale)).xero_id, invoiceId);
+    });
+
+    it('voids the invoice of a sale deleted locally', async () => {
+      const { xero_id: invoiceId } = await mappingFor(sale);
+      await airtableHelpers.delete(TABLES.SALES, sale.id);
+
+      const summary = await syncSales();
+      assert.equal(summary.voided, 1);
+      assert.equal(mock.invoices.get(invoiceId).Status, 'VOIDED');
+      assert.equal((await mappingFor(sale)).status, 'voided');
+    });
+  });
+
+  describe('retry', () => {
+    it('backs off after an outage and retries once the document is due or forced', async () => {
+      const sale = await createSale(12);
+      mock.failNext(503, { Message: 'Service unavailable' });
+
+      let summary = await syncSales();
+      assert.equal(summary.failed.length, 1);
+      let mapping = await mappingFor(sale);
+      assert.equal(mapping.status, 'failed');
+      assert.equal(mapping.attempts, 1);
+      assert.equal(mapping.last_error, 'Service unavailable');
+      assert.ok(new Date(mapping.next_attempt_at) > new Date());
+
+      // Still backing off: the next run leaves it alone
+      const before = mock.requests.length;
+      summary = await syncSales();
+      assert.equal(summary.waiting, 1);
+      assert.equal(mock.requests.length, before);
+
+      const { outcome } = await xero.retryDocument('sale', sale.id);
+      assert.equal(outcome, 'create');
+      mapping = await mappingFor(sale);
+      assert.equal(mapping.status, 'synced');
+      assert.equal(mapping.attempts, 0);
+      assert.equal(mapping.next_attempt_at, undefined);
+    });
+
+    it('waits as long as Xero asks when rate limited', async () => {
+      const sale = await createSale(14);
+      mock.failNext(429, { Title: 'Too many requests' }, { 'Retry-After': '120' });
+
+      await syncSales();
+      const mapping = await mappingFor(sale);
+      assert.equal(mapping.status, 'failed');
+      const wait = (new Date(mapping.next_attempt_at) - new Date(mapping.last_attempt_at)) / 1000;
+      assert.ok(Math.abs(wait - 120) < 5, `waits ${wait}s`);
+    });
+
+    it('does not retry a validation error until the document changes', async () => {
+      const sale = await createSale(16);
+      mock.failNext(400, {
+        Type: 'ValidationException',
+        Elements: [{ ValidationErrors: [{ Message: 'Account code \'200\' is not a valid code' }] }]
+      });
+
+      await syncSales();
+      const mapping = await mappingFor(sale);
+      assert.equal(mapping.status, 'failed');
+      assert.equal(mapping.last_error, 'Account code \'200\' is not a valid code');
+      assert.equal(mapping.next_attempt_at, undefined);
+
+      const summary = await syncSales();
+      assert.equal(summary.waiting, 2);
+
+      // A change to the document sends it again
+      await airtableHelpers.update(TABLES.SALES, sale.id, { total_amount: 17 });
+      await airtableHelpers.update(TABLES.SALES, sale.id, { total_amount: 16 });
+      await xero.retryDocument('sale', sale.id);
+      assert.equal((await mappingFor(sale)).status, 'synced');
+    });
+  });
+
+  describe('status', () => {
+    it('counts documents by sync status and lists the failing ones', async () => {
+      const status = await xero.getSyncStatus();
+      assert.equal(status.configured, true);
+      assert.deepEqual(status.counts.sale, { voided: 1, synced: 2, failed: 1 });
+      assert.equal(status.failing.length, 1);
+      assert.equal(status.failing[0].last_error, 'Too many requests');
+      assert.ok(status.last_run);
+    });
+
+    it('logs every push with its outcome', async () => {
+      const log = await xero.listSyncLog({ entityType: 'sale' });
+      const outcomes = log.map(entry => `${entry.action}:${entry.status}`);
+      assert.ok(outcomes.includes('create:success'));
+      assert.ok(outcomes.includes('update:success'));
+      assert.ok(outcomes.includes('void:success'));
+      assert.ok(outcomes.includes('create:failed'));
+    });
+  });
+});